@@ -27,6 +27,12 @@ import DonorDashboard from "./pages/dashboards/DonorDashboard";
 import VolunteerHistoryScreen from "./pages/tasks/VolunteerHistoryScreen";
 import VolunteerDashboard from "./pages/dashboards/VolunteerDashboard";
 import UserManagementScreen from "./pages/dashboards/UserManagementScreen";
+import OrganizationManagementScreen from "./pages/dashboards/OrganizationManagementScreen";
+import RoleManagementScreen from "./pages/dashboards/RoleManagementScreen";
+import AuditLogScreen from "./pages/dashboards/AuditLogScreen";
+import VolunteerCoverageScreen from "./pages/dashboards/VolunteerCoverageScreen";
+import VolunteerVettingScreen from "./pages/dashboards/VolunteerVettingScreen";
+import ReviewModerationScreen from "./pages/dashboards/ReviewModerationScreen";
 import AdminAssignmentDetailScreen from "./pages/donations/AdminAssignmentDetailScreen";
 
 
@@ -78,6 +84,27 @@ function App() {
             element={<UserManagementScreen />}
           />
 
+          {/* Admin-only route for managing organizations */}
+          <Route
+            path="/admin/organizations"
+            element={<OrganizationManagementScreen />}
+          />
+
+          {/* Admin-only route for managing roles and permissions */}
+          <Route path="/admin/roles" element={<RoleManagementScreen />} />
+
+          {/* Admin-only route for the audit log */}
+          <Route path="/admin/audit" element={<AuditLogScreen />} />
+
+          {/* Admin-only route for the volunteer coverage calendar */}
+          <Route path="/admin/coverage" element={<VolunteerCoverageScreen />} />
+
+          {/* Admin-only route for reviewing and approving volunteers */}
+          <Route path="/admin/vetting" element={<VolunteerVettingScreen />} />
+
+          {/* Admin-only route for moderating ratings and reviews */}
+          <Route path="/admin/reviews" element={<ReviewModerationScreen />} />
+
           {/* Main dashboard routes for different user roles */}
           <Route path="/admin" element={<AdminDashboard />} />
           <Route path="/donor-dashboard" element={<DonorDashboard />} />
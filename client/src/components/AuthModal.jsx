@@ -6,6 +6,9 @@ import { useNavigate } from "react-router-dom";
 import { authService } from "../services/authService";
 // Import axios for making HTTP requests to geocoding endpoints
 import axios from "axios";
+// Import the registration schema the backend checks sign-ups against
+import { validate, firstError } from "@shared/validation.mjs";
+import { RegisterSchema } from "@shared/schemas.mjs";
 
 // AuthModal is a reusable popup component for login and signup.
 // It receives two props:
@@ -233,6 +236,19 @@ const AuthModal = ({ isOpen, onClose }) => {
         setError("Volunteers must provide a phone number and home location.");
         return false;
       }
+      // Check the details sent to the backend (email format, phone, ...)
+      const registerError = firstError(
+        validate(RegisterSchema, {
+          email,
+          name,
+          role: selectedRole,
+          ...(selectedRole === "Volunteer" ? { phone, homeLocation } : {}),
+        })
+      );
+      if (registerError) {
+        setError(registerError);
+        return false;
+      }
     }
 
     // Clear previous errors if everything is valid
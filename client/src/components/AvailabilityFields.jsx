@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+import { WEEKDAY_NAMES } from "../utils/centerProfile";
+
+// Inputs for when a volunteer can take tasks: weekly times, days off and
+// a daily task limit. `form` is { weekly, blackoutDates, maxTasksPerDay }
+// (maxTasksPerDay "" = no limit); onChange(field, value).
+const AvailabilityFields = ({ form, onChange }) => {
+  // Day off being typed in before it is added to the list
+  const [newDayOff, setNewDayOff] = useState("");
+
+  // Add, change or remove a weekly interval
+  const addSlot = () =>
+    onChange("weekly", [
+      ...form.weekly,
+      { weekday: 6, start: "09:00", end: "13:00" },
+    ]);
+
+  const updateSlot = (index, field, value) =>
+    onChange(
+      "weekly",
+      form.weekly.map((slot, i) =>
+        i === index ? { ...slot, [field]: value } : slot
+      )
+    );
+
+  const removeSlot = (index) =>
+    onChange(
+      "weekly",
+      form.weekly.filter((_, i) => i !== index)
+    );
+
+  const addDayOff = () => {
+    if (!newDayOff || form.blackoutDates.includes(newDayOff)) return;
+    onChange("blackoutDates", [...form.blackoutDates, newDayOff].sort());
+    setNewDayOff("");
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="text-sm font-semibold text-gray-700 mb-1">
+          Weekly Availability
+        </p>
+        {form.weekly.length === 0 && (
+          <p className="text-xs text-gray-500 mb-2">
+            No times set: you may be assigned tasks at any time.
+          </p>
+        )}
+        {form.weekly.map((slot, index) => (
+          <div key={index} className="flex items-center space-x-2 mb-2">
+            <select
+              value={slot.weekday}
+              onChange={(e) =>
+                updateSlot(index, "weekday", Number(e.target.value))
+              }
+              className="p-1 border rounded text-sm"
+            >
+              {WEEKDAY_NAMES.map((day, dayIndex) => (
+                <option key={day} value={dayIndex}>
+                  {day}
+                </option>
+              ))}
+            </select>
+            <input
+              type="time"
+              value={slot.start}
+              onChange={(e) => updateSlot(index, "start", e.target.value)}
+              className="p-1 border rounded text-sm"
+            />
+            <span className="text-sm">to</span>
+            <input
+              type="time"
+              value={slot.end}
+              onChange={(e) => updateSlot(index, "end", e.target.value)}
+              className="p-1 border rounded text-sm"
+            />
+            <button
+              onClick={() => removeSlot(index)}
+              className="text-red-600 text-sm"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={addSlot}
+          className="text-sm text-green-700 font-semibold"
+        >
+          + Add available time
+        </button>
+      </div>
+
+      <div>
+        <p className="text-sm font-semibold text-gray-700 mb-1">Days Off</p>
+        <div className="flex flex-wrap gap-2 mb-2">
+          {form.blackoutDates.map((day) => (
+            <span
+              key={day}
+              className="px-2 py-1 bg-gray-100 rounded text-sm flex items-center"
+            >
+              {day}
+              <button
+                onClick={() =>
+                  onChange(
+                    "blackoutDates",
+                    form.blackoutDates.filter((d) => d !== day)
+                  )
+                }
+                className="ml-2 text-red-600"
+                aria-label={`Remove ${day}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+        <div className="flex items-center space-x-2">
+          <input
+            type="date"
+            value={newDayOff}
+            onChange={(e) => setNewDayOff(e.target.value)}
+            className="p-1 border rounded text-sm"
+          />
+          <button
+            onClick={addDayOff}
+            disabled={!newDayOff}
+            className="text-sm text-green-700 font-semibold disabled:text-gray-400"
+          >
+            + Add day off
+          </button>
+        </div>
+      </div>
+
+      <label className="block text-sm font-semibold text-gray-700">
+        Most tasks per day (empty = no limit)
+        <input
+          type="number"
+          min="1"
+          max="20"
+          value={form.maxTasksPerDay}
+          onChange={(e) => onChange("maxTasksPerDay", e.target.value)}
+          className="block mt-1 w-24 p-1 border rounded text-sm font-normal"
+        />
+      </label>
+    </div>
+  );
+};
+
+export default AvailabilityFields;
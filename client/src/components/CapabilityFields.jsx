@@ -0,0 +1,82 @@
+import React from "react";
+import { VEHICLE_TYPES } from "@shared/schemas.mjs";
+
+// Labels for the vehicle types (same order as VEHICLE_TYPES)
+const VEHICLE_LABELS = {
+  none: "No vehicle (on foot / public transport)",
+  bicycle: "Bicycle",
+  motorbike: "Motorbike / scooter",
+  car: "Car",
+  van: "Van",
+  truck: "Truck",
+};
+
+// Inputs for what a volunteer can carry and how far they go. `form` is
+// { vehicleType, cargoCapacityKg, canRefrigerate, foodHandlerCertified,
+// foodHandlerCertExpiresAt, maxTravelRadiusKm } (numbers and the expiry
+// date "" = not set); onChange(field, value). The food-handler certificate
+// is only shown: it comes from an accepted food-safety certificate.
+const CapabilityFields = ({ form, onChange }) => (
+  <div className="space-y-3">
+    <label className="block text-sm font-semibold text-gray-700">
+      Vehicle
+      <select
+        value={form.vehicleType}
+        onChange={(e) => onChange("vehicleType", e.target.value)}
+        className="block mt-1 w-full p-2 border rounded text-sm font-normal"
+      >
+        <option value="" disabled>
+          Choose how you get around
+        </option>
+        {VEHICLE_TYPES.map((type) => (
+          <option key={type} value={type}>
+            {VEHICLE_LABELS[type]}
+          </option>
+        ))}
+      </select>
+    </label>
+
+    <label className="block text-sm font-semibold text-gray-700">
+      Most you can carry in one trip, kg (empty = not sure)
+      <input
+        type="number"
+        min="0"
+        value={form.cargoCapacityKg}
+        onChange={(e) => onChange("cargoCapacityKg", e.target.value)}
+        className="block mt-1 w-32 p-1 border rounded text-sm font-normal"
+      />
+    </label>
+
+    <label className="flex items-center text-sm text-gray-700">
+      <input
+        type="checkbox"
+        checked={form.canRefrigerate}
+        onChange={(e) => onChange("canRefrigerate", e.target.checked)}
+        className="mr-2"
+      />
+      I have a cooler, fridge or freezer for chilled / frozen food
+    </label>
+
+    <p className="text-sm text-gray-700">
+      Food-handler certificate:{" "}
+      {form.foodHandlerCertified
+        ? form.foodHandlerCertExpiresAt
+          ? `valid until ${form.foodHandlerCertExpiresAt}`
+          : "valid"
+        : "none (upload your food-safety certificate for review)"}
+    </p>
+
+    <label className="block text-sm font-semibold text-gray-700">
+      Furthest from home for a pickup, km (empty = no limit)
+      <input
+        type="number"
+        min="1"
+        value={form.maxTravelRadiusKm}
+        onChange={(e) => onChange("maxTravelRadiusKm", e.target.value)}
+        className="block mt-1 w-32 p-1 border rounded text-sm font-normal"
+      />
+    </label>
+  </div>
+);
+
+export default CapabilityFields;
@@ -0,0 +1,162 @@
+import React from "react";
+import {
+  ITEM_TYPES,
+  STORAGE_TYPES,
+  WEEKDAY_NAMES,
+} from "../utils/centerProfile";
+
+// Inputs for what a distribution center publishes: whether it accepts
+// donations, opening hours, storage capacity/stock and item types.
+// `form` comes from toCenterProfileForm; onChange(field, value).
+const CenterProfileFields = ({ form, onChange }) => {
+  // Update one storage amount (field = storageCapacityKg | currentStockKg)
+  const updateAmount = (field, storage, value) =>
+    onChange(field, { ...form[field], [storage]: value });
+
+  // Tick / untick a category (field = acceptedCategories | requestedCategories)
+  const toggleCategory = (field, category) =>
+    onChange(
+      field,
+      form[field].includes(category)
+        ? form[field].filter((c) => c !== category)
+        : [...form[field], category]
+    );
+
+  // Add, change or remove an opening interval
+  const addOpeningHours = () =>
+    onChange("openingHours", [
+      ...form.openingHours,
+      { weekday: 1, open: "09:00", close: "17:00" },
+    ]);
+
+  const updateOpeningHours = (index, field, value) =>
+    onChange(
+      "openingHours",
+      form.openingHours.map((entry, i) =>
+        i === index ? { ...entry, [field]: value } : entry
+      )
+    );
+
+  const removeOpeningHours = (index) =>
+    onChange(
+      "openingHours",
+      form.openingHours.filter((_, i) => i !== index)
+    );
+
+  // Storage amount inputs for one field (capacity or current stock)
+  const renderAmounts = (field, label) => (
+    <div>
+      <p className="text-sm font-semibold text-gray-700 mb-1">{label}</p>
+      <div className="grid grid-cols-3 gap-2">
+        {STORAGE_TYPES.map((storage) => (
+          <label key={storage} className="text-xs text-gray-600">
+            {storage} (kg)
+            <input
+              type="number"
+              min="0"
+              value={form[field][storage]}
+              onChange={(e) => updateAmount(field, storage, e.target.value)}
+              className="w-full p-1 border rounded text-sm"
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+
+  // Category checkboxes (accepted or requested item types)
+  const renderCategories = (field, label) => (
+    <div>
+      <p className="text-sm font-semibold text-gray-700 mb-1">{label}</p>
+      <div className="flex flex-wrap gap-3">
+        {ITEM_TYPES.map((category) => (
+          <label key={category} className="text-sm flex items-center">
+            <input
+              type="checkbox"
+              checked={form[field].includes(category)}
+              onChange={() => toggleCategory(field, category)}
+              className="mr-1"
+            />
+            {category}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <label className="text-sm flex items-center font-semibold text-gray-700">
+        <input
+          type="checkbox"
+          checked={form.acceptingDonations}
+          onChange={(e) => onChange("acceptingDonations", e.target.checked)}
+          className="mr-2"
+        />
+        Accepting donations
+      </label>
+
+      <div>
+        <p className="text-sm font-semibold text-gray-700 mb-1">
+          Opening Hours
+        </p>
+        {form.openingHours.map((entry, index) => (
+          <div key={index} className="flex items-center space-x-2 mb-2">
+            <select
+              value={entry.weekday}
+              onChange={(e) =>
+                updateOpeningHours(index, "weekday", Number(e.target.value))
+              }
+              className="p-1 border rounded text-sm"
+            >
+              {WEEKDAY_NAMES.map((day, dayIndex) => (
+                <option key={day} value={dayIndex}>
+                  {day}
+                </option>
+              ))}
+            </select>
+            <input
+              type="time"
+              value={entry.open}
+              onChange={(e) =>
+                updateOpeningHours(index, "open", e.target.value)
+              }
+              className="p-1 border rounded text-sm"
+            />
+            <span className="text-sm">to</span>
+            <input
+              type="time"
+              value={entry.close}
+              onChange={(e) =>
+                updateOpeningHours(index, "close", e.target.value)
+              }
+              className="p-1 border rounded text-sm"
+            />
+            <button
+              onClick={() => removeOpeningHours(index)}
+              className="text-red-600 text-sm"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={addOpeningHours}
+          className="text-sm text-green-700 font-semibold"
+        >
+          + Add opening hours
+        </button>
+      </div>
+
+      {renderAmounts("storageCapacityKg", "Storage Capacity")}
+      {renderAmounts("currentStockKg", "Current Stock")}
+      {renderCategories(
+        "acceptedCategories",
+        "Accepted Item Types (none ticked = everything)"
+      )}
+      {renderCategories("requestedCategories", "Currently Needed")}
+    </div>
+  );
+};
+
+export default CenterProfileFields;
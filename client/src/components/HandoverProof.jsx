@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from "react";
+import { donationService } from "../services/donationService";
+
+// HandoverProof shows the proof a volunteer captured when completing a task:
+// photo, signature, who handed over / received the food, and where and when.
+// Pass leg="pickup" to show the pickup proof of a direct delivery.
+const HandoverProof = ({ task, leg }) => {
+  const proof = leg === "pickup" ? task.pickupProof : task.proof;
+  const [images, setImages] = useState({});
+
+  // Proof images need the auth header, so they are loaded as blobs
+  useEffect(() => {
+    if (!proof) return undefined;
+
+    let cancelled = false;
+    const urls = [];
+
+    ["photo", "signature"].forEach(async (file) => {
+      try {
+        const url = await donationService.getProofFileUrl(
+          task.taskId,
+          file,
+          leg
+        );
+        if (cancelled) {
+          URL.revokeObjectURL(url);
+          return;
+        }
+        urls.push(url);
+        setImages((prev) => ({ ...prev, [file]: url }));
+      } catch (e) {
+        console.error(e.message);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      urls.forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [task.taskId, proof, leg]);
+
+  if (!proof) return null;
+
+  const isCollection = task.taskType === "collection" || leg === "pickup";
+  const [lng, lat] = proof.location?.coordinates || [];
+
+  return (
+    <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
+      <p className="font-semibold text-gray-700">
+        Proof of {isCollection ? "Pickup" : "Delivery"}
+      </p>
+      <p className="text-sm text-gray-700">
+        {isCollection ? "Handed over by" : "Received by"}: {proof.recipientName}
+      </p>
+      <p className="text-xs text-gray-500">
+        {new Date(proof.capturedAt).toLocaleString("en-US")}
+        {lat !== undefined && (
+          <>
+            {" | "}
+            <a
+              href={`https://www.google.com/maps?q=${lat},${lng}`}
+              target="_blank"
+              rel="noreferrer"
+              className="text-blue-600 hover:underline"
+            >
+              {proof.distanceMeters} m from the{" "}
+              {isCollection ? "pickup" : "drop-off"} point
+            </a>
+          </>
+        )}
+      </p>
+      {proof.locationOverridden && (
+        <p className="text-xs font-semibold text-orange-600">
+          Completed away from the location (admin override
+          {task.locationOverride?.reason
+            ? `: ${task.locationOverride.reason}`
+            : ""}
+          )
+        </p>
+      )}
+      <div className="flex gap-3 mt-2">
+        {images.photo && (
+          <a href={images.photo} target="_blank" rel="noreferrer">
+            <img
+              src={images.photo}
+              alt="Handover"
+              className="h-24 rounded border border-gray-200"
+            />
+          </a>
+        )}
+        {images.signature && (
+          <img
+            src={images.signature}
+            alt="Signature"
+            className="h-24 bg-white rounded border border-gray-200"
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HandoverProof;
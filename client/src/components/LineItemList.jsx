@@ -0,0 +1,81 @@
+import React from "react";
+import { formatQuantity } from "../utils/quantity";
+
+// Badge colours for how much of an item was picked up
+const collectionBadges = {
+  collected: { label: "Collected", className: "bg-green-100 text-green-700" },
+  partial: { label: "Partial", className: "bg-yellow-100 text-yellow-700" },
+  notCollected: {
+    label: "Not Collected",
+    className: "bg-red-100 text-red-700",
+  },
+};
+
+// LineItemList renders the items of a donation (category, quantity, allergens).
+// When `collectedAmounts` + `onCollectedChange` are given, each item gets an
+// input so the collecting volunteer can record a partial pickup.
+const LineItemList = ({ items, collectedAmounts, onCollectedChange }) => {
+  if (!items || items.length === 0) return null;
+
+  const isEditable = !!onCollectedChange;
+
+  return (
+    <ul className="divide-y divide-gray-200">
+      {items.map((item, index) => {
+        const badge = collectionBadges[item.collectionStatus];
+        const itemId = item._id || index;
+
+        return (
+          <li key={itemId} className="py-2">
+            <div className="flex justify-between items-start">
+              <div>
+                <p className="font-semibold text-gray-800">
+                  {item.name ? `${item.name} – ` : ""}
+                  {item.itemType}
+                </p>
+                <p className="text-sm text-gray-600">
+                  {formatQuantity(item.quantity)}
+                  {item.collectedAmount !== undefined &&
+                    item.collectionStatus !== "collected" &&
+                    ` (picked up ${item.collectedAmount} ${item.quantity.unit})`}
+                </p>
+                {item.allergens?.length > 0 && (
+                  <p className="text-xs text-red-600">
+                    Contains: {item.allergens.join(", ")}
+                  </p>
+                )}
+              </div>
+              {badge && (
+                <span
+                  className={`px-2 py-1 text-xs font-semibold rounded-full ${badge.className}`}
+                >
+                  {badge.label}
+                </span>
+              )}
+            </div>
+
+            {/* Collected amount input (collection volunteer only) */}
+            {isEditable && (
+              <label className="flex items-center mt-2 text-sm text-gray-700">
+                Picked up:
+                <input
+                  type="number"
+                  min="0"
+                  max={item.quantity.amount}
+                  step="any"
+                  value={collectedAmounts[itemId] ?? ""}
+                  onChange={(e) => onCollectedChange(itemId, e.target.value)}
+                  className="ml-2 w-24 p-1 border border-gray-300 rounded"
+                  placeholder={String(item.quantity.amount)}
+                />
+                <span className="ml-1">{item.quantity.unit}</span>
+              </label>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default LineItemList;
@@ -7,6 +7,8 @@ import { useNavigate } from "react-router-dom";
 import { authService } from "../services/authService";
 // Donation service to fetch donor/volunteer related notifications
 import { donationService } from "../services/donationService";
+// Formats structured donation quantities for display
+import { formatQuantity } from "../utils/quantity";
 
 // NotificationIcon component shows the bell icon and dropdown list of notifications.
 // It receives a "role" prop to know if the user is a Donor or a Volunteer.
@@ -50,7 +52,7 @@ const NotificationIcon = ({ role }) => {
         if (stats.latestActiveTask) {
           data.push({
             id: stats.latestActiveTask.donationId,
-            message: `NEW TASK ASSIGNED: ${stats.latestActiveTask.itemType} (${stats.latestActiveTask.quantity})`,
+            message: `NEW TASK ASSIGNED: ${stats.latestActiveTask.itemType} (${formatQuantity(stats.latestActiveTask.quantity)})`,
             status: stats.latestActiveTask.status,
             timestamp: stats.latestActiveTask.postedAt,
             path: `/volunteer/task/${stats.latestActiveTask.donationId}`,
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from "react";
+import { reviewService } from "../services/reviewService";
+import { validate, firstError } from "@shared/validation.mjs";
+import { ReviewSchema } from "@shared/schemas.mjs";
+import { REVIEW_QUESTIONS } from "../utils/reviews";
+
+// Star rating and comment for one task waiting for a review; onSubmitted()
+// is called once it is saved.
+const ReviewForm = ({ item, onSubmitted }) => {
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async () => {
+    const payload = { taskId: item.taskId, rating, comment };
+    const error = rating
+      ? firstError(validate(ReviewSchema, payload))
+      : "Choose 1 to 5 stars.";
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await reviewService.submitReview(payload);
+      onSubmitted();
+    } catch (e) {
+      alert(e.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <li className="py-3">
+      <p className="text-sm font-semibold text-gray-800">
+        {REVIEW_QUESTIONS[item.reviewerRole](item.subjectName)}
+      </p>
+      <p className="text-xs text-gray-500">
+        {item.itemType} | completed{" "}
+        {new Date(item.completedAt).toLocaleDateString()}
+      </p>
+      <div className="mt-1 text-2xl text-yellow-500">
+        {[1, 2, 3, 4, 5].map((star) => (
+          <button
+            key={star}
+            type="button"
+            onClick={() => setRating(star)}
+            aria-label={`${star} star${star > 1 ? "s" : ""}`}
+          >
+            {star <= rating ? "★" : "☆"}
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Comment (optional)"
+        rows={2}
+        className="block mt-1 w-full p-2 border rounded text-sm"
+      />
+      <button
+        onClick={handleSubmit}
+        disabled={isSaving}
+        className="mt-2 py-1 px-3 bg-green-700 text-white rounded text-sm disabled:bg-gray-400"
+      >
+        {isSaving ? "Saving..." : "Send review"}
+      </button>
+    </li>
+  );
+};
+
+// Card listing the current user's completed tasks that still wait for a
+// review, each with a rating form. Renders nothing when there are none.
+const PendingReviews = () => {
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    reviewService
+      .getPendingReviews()
+      .then(setItems)
+      .catch((err) => console.error("Failed to load tasks to review:", err));
+  }, []);
+
+  if (items.length === 0) return null;
+
+  return (
+    <div className="bg-white p-4 rounded-xl shadow-md mb-6">
+      <h2 className="text-lg font-bold text-gray-800">
+        Rate your recent tasks
+      </h2>
+      <ul className="divide-y">
+        {items.map((item) => (
+          <ReviewForm
+            key={item.taskId}
+            item={item}
+            onSubmitted={() =>
+              setItems((current) =>
+                current.filter((other) => other.taskId !== item.taskId)
+              )
+            }
+          />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PendingReviews;
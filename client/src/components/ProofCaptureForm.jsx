@@ -0,0 +1,213 @@
+import React, { useState } from "react";
+import SignaturePad from "./SignaturePad";
+
+// Photos are scaled down before upload to keep requests small
+const MAX_PHOTO_SIZE_PX = 1280;
+
+// Read an image file and re-encode it as a (smaller) JPEG data URL
+const compressPhoto = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error("Could not read the photo."));
+    reader.onload = () => {
+      const image = new Image();
+      image.onerror = () => reject(new Error("Unsupported photo format."));
+      image.onload = () => {
+        const scale = Math.min(
+          1,
+          MAX_PHOTO_SIZE_PX / Math.max(image.width, image.height)
+        );
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas
+          .getContext("2d")
+          .drawImage(image, 0, 0, canvas.width, canvas.height);
+        resolve(canvas.toDataURL("image/jpeg", 0.8));
+      };
+      image.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+  });
+
+// Current device position as the proof location payload
+const getDeviceLocation = () =>
+  new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error("Geolocation is not supported by this browser."));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) =>
+        resolve({
+          coordinates: [position.coords.longitude, position.coords.latitude],
+          accuracyMeters: position.coords.accuracy,
+          capturedAt: new Date(position.timestamp).toISOString(),
+        }),
+      () =>
+        reject(new Error("Location access is needed to confirm the handover.")),
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  });
+
+// ProofCaptureForm collects what is needed to complete a task: the handoff
+// code read out by the donor / receiving center, a photo, the other person's
+// name and signature, and the device location (captured on submit).
+// Calls onSubmit({ handoffCode, proof }).
+const ProofCaptureForm = ({ taskType, isSubmitting, onSubmit, onCancel }) => {
+  const [handoffCode, setHandoffCode] = useState("");
+  const [photo, setPhoto] = useState(null);
+  const [recipientName, setRecipientName] = useState("");
+  const [signature, setSignature] = useState(null);
+  const [formError, setFormError] = useState("");
+  const [isLocating, setIsLocating] = useState(false);
+
+  const isCollection = taskType === "collection";
+
+  const handlePhotoChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      setPhoto(await compressPhoto(file));
+      setFormError("");
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!handoffCode.trim()) {
+      setFormError(
+        `Please enter the code from the ${
+          isCollection ? "donor" : "receiving center"
+        }.`
+      );
+      return;
+    }
+    if (!photo || !recipientName.trim() || !signature) {
+      setFormError("Please add a photo, the name and a signature.");
+      return;
+    }
+
+    setIsLocating(true);
+    setFormError("");
+    try {
+      const location = await getDeviceLocation();
+      await onSubmit({
+        handoffCode: handoffCode.trim(),
+        proof: {
+          photo,
+          signature,
+          recipientName: recipientName.trim(),
+          location,
+        },
+      });
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsLocating(false);
+    }
+  };
+
+  const isBusy = isSubmitting || isLocating;
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="bg-white p-4 rounded-xl shadow-md border-l-4 border-green-700 space-y-4"
+    >
+      <h4 className="text-lg font-bold text-green-700">
+        Proof of {isCollection ? "Pickup" : "Delivery"}
+      </h4>
+
+      <div>
+        <label className="block text-sm font-semibold mb-1">
+          {isCollection ? "Pickup" : "Drop-off"} code
+        </label>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          value={handoffCode}
+          onChange={(e) => setHandoffCode(e.target.value)}
+          maxLength={6}
+          placeholder={`Ask the ${
+            isCollection ? "donor" : "receiving center"
+          } for the 6-digit code`}
+          className="w-full p-2 border border-gray-300 rounded-lg tracking-widest"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-semibold mb-1">
+          Photo of the {isCollection ? "collected food" : "delivered food"}
+        </label>
+        <input
+          type="file"
+          accept="image/*"
+          capture="environment"
+          onChange={handlePhotoChange}
+          className="w-full text-sm"
+        />
+        {photo && (
+          <img
+            src={photo}
+            alt="Proof preview"
+            className="mt-2 max-h-40 rounded-lg border border-gray-200"
+          />
+        )}
+      </div>
+
+      <div>
+        <label className="block text-sm font-semibold mb-1">
+          {isCollection ? "Handed over by" : "Received by"}
+        </label>
+        <input
+          type="text"
+          value={recipientName}
+          onChange={(e) => setRecipientName(e.target.value)}
+          maxLength={100}
+          placeholder="Full name"
+          className="w-full p-2 border border-gray-300 rounded-lg"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-semibold mb-1">Signature</label>
+        <SignaturePad onChange={setSignature} />
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Your current location is recorded when you confirm.
+      </p>
+
+      {formError && <p className="text-red-600 text-sm">{formError}</p>}
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={isBusy}
+          className={`flex-1 py-3 text-white font-bold rounded-xl transition ${
+            isBusy
+              ? "bg-green-700/70 cursor-not-allowed"
+              : "bg-green-700 hover:bg-green-800"
+          }`}
+        >
+          {isBusy ? "Submitting..." : "Confirm & Complete"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={isBusy}
+          className="py-3 px-4 text-gray-600 font-semibold rounded-xl hover:bg-gray-100 transition"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ProofCaptureForm;
@@ -0,0 +1,112 @@
+import React from "react";
+import {
+  GoogleMap,
+  Marker,
+  Polyline,
+  useLoadScript,
+} from "@react-google-maps/api";
+
+// Same libraries as the other map screens so the script is loaded once
+const libraries = ["places"];
+
+const mapContainerStyle = {
+  height: "280px",
+  width: "100%",
+  borderRadius: "10px",
+};
+
+// [lng, lat] -> Google Maps { lat, lng }
+const toLatLng = ([lng, lat]) => ({ lat, lng });
+
+// RouteMap draws a planned route: "H" for the starting point and numbered
+// markers for each stop in visiting order. The stop of `highlightTaskId`
+// (e.g. the task being viewed) is drawn bigger.
+const RouteMap = ({ route, highlightTaskId }) => {
+  const { isLoaded, loadError } = useLoadScript({
+    googleMapsApiKey: import.meta.env.VITE_GOOGLE_MAPS_API_KEY,
+    libraries,
+  });
+
+  if (!route || route.stops.length === 0) return null;
+
+  if (loadError) {
+    return (
+      <div className="p-4 text-red-600 text-center">
+        Map Error: {loadError.message}
+      </div>
+    );
+  }
+
+  if (!isLoaded) {
+    return (
+      <div
+        style={{ height: mapContainerStyle.height }}
+        className="flex justify-center items-center bg-gray-200 rounded-xl"
+      >
+        <div className="animate-spin inline-block w-8 h-8 border-4 rounded-full border-green-700 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  const path = [
+    ...(route.start ? [toLatLng(route.start)] : []),
+    ...route.stops.map((stop) => toLatLng(stop.coordinates)),
+  ];
+
+  // Fit the map to the whole route once it has loaded
+  const handleLoad = (map) => {
+    const bounds = new window.google.maps.LatLngBounds();
+    path.forEach((point) => bounds.extend(point));
+    map.fitBounds(bounds, 40);
+  };
+
+  return (
+    <GoogleMap
+      mapContainerStyle={mapContainerStyle}
+      center={path[0]}
+      zoom={13}
+      onLoad={handleLoad}
+      options={{ disableDefaultUI: true, zoomControl: true }}
+    >
+      <Polyline
+        path={path}
+        options={{
+          strokeColor: "#15803D",
+          strokeWeight: 4,
+          strokeOpacity: 0.7,
+        }}
+      />
+      {route.start && (
+        <Marker
+          position={toLatLng(route.start)}
+          label="H"
+          title="Starting point"
+        />
+      )}
+      {route.stops.map((stop) => (
+        <Marker
+          key={stop.stopId}
+          position={toLatLng(stop.coordinates)}
+          label={{
+            text: String(stop.order),
+            color: "white",
+            fontWeight: "bold",
+          }}
+          title={`${stop.order}. ${
+            stop.leg === "pickup" ? "Pickup" : "Drop-off"
+          }: ${stop.address}`}
+          icon={{
+            path: window.google.maps.SymbolPath.CIRCLE,
+            scale: stop.taskId === highlightTaskId ? 16 : 12,
+            fillColor: stop.leg === "pickup" ? "#CA8A04" : "#15803D",
+            fillOpacity: 1,
+            strokeColor: "white",
+            strokeWeight: 2,
+          }}
+        />
+      ))}
+    </GoogleMap>
+  );
+};
+
+export default RouteMap;
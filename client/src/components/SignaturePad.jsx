@@ -0,0 +1,82 @@
+import React, { useRef, useEffect } from "react";
+
+// SignaturePad lets someone sign with a finger, pen or mouse.
+// Calls onChange with a PNG data URL after each stroke, or null when cleared.
+const SignaturePad = ({ onChange, height = 160 }) => {
+  const canvasRef = useRef(null);
+  const isDrawing = useRef(false);
+  const hasInk = useRef(false);
+
+  // Match the canvas resolution to its on-screen size
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    canvas.width = canvas.offsetWidth;
+    canvas.height = height;
+
+    const ctx = canvas.getContext("2d");
+    ctx.lineWidth = 2;
+    ctx.lineCap = "round";
+    ctx.strokeStyle = "#1F2937";
+  }, [height]);
+
+  // Pointer position relative to the canvas
+  const getPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    canvasRef.current.setPointerCapture(e.pointerId);
+    const ctx = canvasRef.current.getContext("2d");
+    const { x, y } = getPoint(e);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    isDrawing.current = true;
+  };
+
+  const handlePointerMove = (e) => {
+    if (!isDrawing.current) return;
+    const ctx = canvasRef.current.getContext("2d");
+    const { x, y } = getPoint(e);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+    hasInk.current = true;
+  };
+
+  const handlePointerUp = () => {
+    if (!isDrawing.current) return;
+    isDrawing.current = false;
+    if (hasInk.current) onChange(canvasRef.current.toDataURL("image/png"));
+  };
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+    hasInk.current = false;
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        className="w-full bg-white border-2 border-dashed border-gray-300 rounded-lg touch-none"
+        style={{ height: `${height}px` }}
+      />
+      <button
+        type="button"
+        onClick={clear}
+        className="mt-1 text-sm text-gray-600 hover:underline"
+      >
+        Clear signature
+      </button>
+    </div>
+  );
+};
+
+export default SignaturePad;
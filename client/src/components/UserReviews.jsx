@@ -0,0 +1,92 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { reviewService } from "../services/reviewService";
+import { REVIEWER_ROLE_LABELS, formatStars } from "../utils/reviews";
+
+// A user's rating and reviews. With canReport (their own profile) each
+// review has a button to report it to the admins.
+const UserReviews = ({ uid, canReport }) => {
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState("");
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      setSummary(await reviewService.getUserReviews(uid));
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [uid]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const handleReport = async (review) => {
+    const reason = window.prompt("What is wrong with this review?");
+    if (!reason?.trim()) return;
+    try {
+      await reviewService.reportReview(review.reviewId, reason);
+      await fetchReviews();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  if (error) return <p className="text-sm text-red-600">{error}</p>;
+  if (!summary) return <p className="text-sm text-gray-500">Loading...</p>;
+
+  return (
+    <div>
+      <p className="text-sm text-gray-700">
+        {summary.reviewCount > 0 ? (
+          <>
+            <span className="text-yellow-500 text-lg">
+              {formatStars(summary.rating)}
+            </span>{" "}
+            {summary.rating.toFixed(1)} from {summary.reviewCount}{" "}
+            {summary.reviewCount === 1 ? "review" : "reviews"}
+          </>
+        ) : (
+          "No reviews yet."
+        )}
+      </p>
+
+      {summary.reviews.length > 0 && (
+        <ul className="mt-2 divide-y text-sm">
+          {summary.reviews.map((review) => (
+            <li key={review.reviewId} className="py-2">
+              <div className="flex justify-between items-center">
+                <span>
+                  <span className="text-yellow-500">
+                    {formatStars(review.rating)}
+                  </span>{" "}
+                  <span className="text-gray-500">
+                    {review.reviewerName ||
+                      REVIEWER_ROLE_LABELS[review.reviewerRole]}{" "}
+                    | {new Date(review.createdAt).toLocaleDateString()}
+                  </span>
+                </span>
+                {canReport &&
+                  (review.reportedAt ? (
+                    <span className="text-xs text-gray-500">Reported</span>
+                  ) : (
+                    <button
+                      onClick={() => handleReport(review)}
+                      className="text-xs text-red-600 font-semibold"
+                    >
+                      Report
+                    </button>
+                  ))}
+              </div>
+              {review.comment && (
+                <p className="text-gray-700 mt-1">{review.comment}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UserReviews;
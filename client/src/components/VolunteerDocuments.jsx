@@ -0,0 +1,168 @@
+import React, { useState, useRef } from "react";
+import { volunteerService } from "../services/volunteerService";
+import { validate, firstError } from "@shared/validation.mjs";
+import {
+  VOLUNTEER_DOCUMENT_TYPES,
+  VolunteerDocumentUploadSchema,
+} from "@shared/schemas.mjs";
+import {
+  DOCUMENT_LABELS,
+  VETTING_STATUS_STYLES,
+  readFileAsDataUrl,
+} from "../utils/vetting";
+
+// Documents larger than this are refused by the server
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+// A volunteer's vetting documents: what is uploaded, what is still needed
+// and a form to upload a new one. `vetting` comes from GET .../vetting;
+// onVettingChange(vetting) is called after an upload.
+const VolunteerDocuments = ({ volunteerId, vetting, onVettingChange }) => {
+  const [type, setType] = useState(
+    vetting.missingDocuments[0] || VOLUNTEER_DOCUMENT_TYPES[0]
+  );
+  const [file, setFile] = useState(null);
+  const [expiresAt, setExpiresAt] = useState("");
+  const [isUploading, setIsUploading] = useState(false);
+  const fileInput = useRef(null);
+
+  // Open a stored document in a new tab
+  const handleView = async (documentId) => {
+    try {
+      const url = await volunteerService.getDocumentFileUrl(
+        volunteerId,
+        documentId
+      );
+      window.open(url, "_blank", "noopener");
+      // The new tab has loaded it by then
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  const handleUpload = async () => {
+    if (file && file.size > MAX_DOCUMENT_BYTES) {
+      alert("The file must be 5 MB or less.");
+      return;
+    }
+
+    setIsUploading(true);
+    try {
+      const payload = {
+        type,
+        file: file ? await readFileAsDataUrl(file) : "",
+        fileName: file?.name || "",
+        expiresAt,
+      };
+      const error = firstError(
+        validate(VolunteerDocumentUploadSchema, payload)
+      );
+      if (error) {
+        alert(error);
+        return;
+      }
+
+      onVettingChange(
+        await volunteerService.uploadDocument(volunteerId, payload)
+      );
+      setFile(null);
+      fileInput.current.value = "";
+      setExpiresAt("");
+      alert("Document uploaded.");
+    } catch (e) {
+      alert(`Failed to upload document: ${e.message}`);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const statusStyle =
+    VETTING_STATUS_STYLES[vetting.status] || VETTING_STATUS_STYLES.pending;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm">
+        Status:{" "}
+        <span
+          className={`px-2 py-1 rounded text-xs font-semibold ${statusStyle.className}`}
+        >
+          {statusStyle.label}
+        </span>
+      </p>
+      {vetting.note && (
+        <p className="text-sm text-red-700">Reason: {vetting.note}</p>
+      )}
+      {vetting.missingDocuments.length > 0 && (
+        <p className="text-sm text-gray-700">
+          Still needed:{" "}
+          {vetting.missingDocuments
+            .map((docType) => DOCUMENT_LABELS[docType])
+            .join(", ")}
+        </p>
+      )}
+
+      {vetting.documents.length > 0 && (
+        <ul className="divide-y text-sm">
+          {vetting.documents.map((doc) => (
+            <li
+              key={doc.documentId}
+              className="py-2 flex justify-between items-center"
+            >
+              <span>
+                <span className="font-semibold">{doc.label}</span> – expires{" "}
+                {new Date(doc.expiresAt).toLocaleDateString()} ({doc.status})
+              </span>
+              <button
+                onClick={() => handleView(doc.documentId)}
+                className="text-green-700 font-semibold"
+              >
+                View
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="border-t pt-3 space-y-2">
+        <p className="text-sm font-semibold text-gray-700">Upload a document</p>
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="block w-full p-2 border rounded text-sm"
+        >
+          {VOLUNTEER_DOCUMENT_TYPES.map((docType) => (
+            <option key={docType} value={docType}>
+              {DOCUMENT_LABELS[docType]}
+            </option>
+          ))}
+        </select>
+        <input
+          type="file"
+          ref={fileInput}
+          accept="image/jpeg,image/png,image/webp,application/pdf"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          className="block text-sm"
+        />
+        <label className="block text-sm text-gray-700">
+          Expiry date
+          <input
+            type="date"
+            value={expiresAt}
+            onChange={(e) => setExpiresAt(e.target.value)}
+            className="block mt-1 p-1 border rounded text-sm"
+          />
+        </label>
+        <button
+          onClick={handleUpload}
+          disabled={isUploading}
+          className="py-2 px-4 bg-green-700 text-white rounded-lg disabled:bg-gray-400"
+        >
+          {isUploading ? "Uploading..." : "Upload"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VolunteerDocuments;
@@ -5,6 +5,7 @@ import { authService } from "../services/authService";
 import DonorDashboard from "./dashboards/DonorDashboard";
 import VolunteerDashboard from "./dashboards/VolunteerDashboard";
 import AdminDashboard from "./dashboards/AdminDashboard";
+import CenterStaffDashboard from "./dashboards/CenterStaffDashboard";
 import axios from "axios";
 
 // This component decides which dashboard to show based on the logged-in user's role.
@@ -14,7 +15,7 @@ const RoleBasedHome = () => {
 
   // Firebase user object (or null if not logged in)
   const [user, setUser] = useState(null);
-  // Role string from backend: "Donor", "Volunteer", or "Admin"
+  // Role string from backend: "Donor", "Volunteer", "Admin" or "CenterStaff"
   const [role, setRole] = useState(null);
   // Loading state while checking auth + role from backend
   const [loading, setLoading] = useState(true);
@@ -49,7 +50,7 @@ const RoleBasedHome = () => {
           }
         );
 
-        // Save the role (Donor / Volunteer / Admin) in local state
+        // Save the role (Donor / Volunteer / Admin / CenterStaff) in local state
         const userData = response.data.user;
         setRole(userData.role);
       } catch (error) {
@@ -91,6 +92,8 @@ const RoleBasedHome = () => {
       return <VolunteerDashboard userName={displayName} />;
     case "Admin":
       return <AdminDashboard userName={displayName} />;
+    case "CenterStaff":
+      return <CenterStaffDashboard userName={displayName} />;
     default:
       // If role is missing or unknown, block access and show an error with a logout button.
       return (
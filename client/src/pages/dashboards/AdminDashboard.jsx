@@ -2,6 +2,8 @@ import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { authService } from "../../services/authService";
 import { donationService } from "../../services/donationService";
+import { formatLineItems, formatQuantity } from "../../utils/quantity";
+import { formatWindow } from "../../utils/timeWindow";
 
 // Admin landing page: shows metrics + queues of pending, distribution, and issue tasks.
 const AdminDashboard = ({ userName }) => {
@@ -14,9 +16,15 @@ const AdminDashboard = ({ userName }) => {
     issues: [],        // tasks/donations with reported issues
   });
 
+  // Active tasks whose time window has already closed
+  const [lateTasks, setLateTasks] = useState([]);
+
   // High-level analytics (totals, completion rate, monthly chart, etc.)
   const [metrics, setMetrics] = useState(null);
 
+  // Whether volunteers may self-claim tasks from the open tasks feed
+  const [claimingEnabled, setClaimingEnabled] = useState(null);
+
   // Loading + error flags for the whole dashboard
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState("");
@@ -47,6 +55,21 @@ const AdminDashboard = ({ userName }) => {
         issues: reportedIssues,
       });
 
+      // Load tasks running past their pickup/drop-off window
+      try {
+        setLateTasks(await donationService.getLateTasks());
+      } catch (e) {
+        console.error("Failed to fetch late tasks:", e);
+      }
+
+      // Load the global self-claiming switch
+      try {
+        const settings = await donationService.getClaimingSettings();
+        setClaimingEnabled(settings.claimingEnabled);
+      } catch (e) {
+        console.error("Failed to fetch claiming settings:", e);
+      }
+
       // Load dashboard metrics (total donations, completion rate, etc.)
       try {
         const stats = await donationService.getMetrics();
@@ -70,6 +93,18 @@ const AdminDashboard = ({ userName }) => {
     return () => clearInterval(interval);
   }, []);
 
+  // Turn volunteer self-claiming on/off for the whole platform
+  const toggleClaiming = async () => {
+    try {
+      const result = await donationService.updateClaimingSettings(
+        !claimingEnabled
+      );
+      setClaimingEnabled(result.claimingEnabled);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
   // Logout confirmation for admin user
   const confirmLogout = async () => {
     if (window.confirm("Are you sure you want to log out of Nourish Link?")) {
@@ -88,8 +123,39 @@ const AdminDashboard = ({ userName }) => {
     });
   };
 
-  // Determine urgency level for a donation based on its availability time
+  // Determine urgency level for a donation.
+  // Uses the server-computed urgency (expiry, storage, pickup time) when present,
+  // otherwise falls back to the availability time only.
   const getPriority = (donation) => {
+    if (donation.urgency?.expiresBeforePickup || donation.urgency?.expired) {
+      return {
+        color: "border-red-600",
+        text: "text-red-700",
+        label: donation.urgency.expired ? "EXPIRED" : "EXPIRES BEFORE PICKUP",
+      };
+    }
+    if (donation.urgency?.level === "urgent") {
+      return {
+        color: "border-red-600",
+        text: "text-red-700",
+        label: "URGENT PICKUP",
+      };
+    }
+    if (donation.urgency?.level === "high") {
+      return {
+        color: "border-yellow-600",
+        text: "text-yellow-700",
+        label: "HIGH PRIORITY",
+      };
+    }
+    if (donation.urgency) {
+      return {
+        color: "border-green-500",
+        text: "text-green-700",
+        label: "STANDARD",
+      };
+    }
+
     const now = new Date();
     const availableTime = new Date(donation.availabilityTime);
     const diffHours = Math.abs(availableTime - now) / 36e5;
@@ -139,12 +205,7 @@ const AdminDashboard = ({ userName }) => {
         );
     }
 
-    // Sort pending donations by earliest availability first
-    if (type === "pending") {
-      list.sort(
-        (a, b) => new Date(a.availabilityTime) - new Date(b.availabilityTime)
-      );
-    }
+    // Pending donations arrive from the server already sorted by urgency
 
     // Render each item as a clickable card that leads to assignment detail page
     return (
@@ -182,8 +243,13 @@ const AdminDashboard = ({ userName }) => {
               <div className="flex items-center justify-between">
                 <div>
                   <p className="text-lg font-bold text-gray-800">
-                    {donation.itemType} ({donation.quantity})
+                    {donation.itemType} ({formatQuantity(donation.quantity)})
                   </p>
+                  {donation.items?.length > 1 && (
+                    <p className="text-xs text-gray-600">
+                      {formatLineItems(donation.items)}
+                    </p>
+                  )}
                   <p
                     className={`text-xs font-semibold mt-1 ${
                       type === "pending"
@@ -201,6 +267,15 @@ const AdminDashboard = ({ userName }) => {
                   <p className="text-xs text-gray-500">
                     Posted: {formatDate(donation.postedAt)}
                   </p>
+                  {donation.expiresAt && (
+                    <p className="text-xs text-gray-500">
+                      Expires: {formatDate(donation.expiresAt)}
+                      {donation.storageRequirement &&
+                      donation.storageRequirement !== "ambient"
+                        ? ` | Keep ${donation.storageRequirement}`
+                        : ""}
+                    </p>
+                  )}
                 </div>
                 {/* Small chevron icon for visual "clickable" hint */}
                 <svg
@@ -232,12 +307,15 @@ const AdminDashboard = ({ userName }) => {
       tasksCompleted,
       completionRate,
       tasksInTransit,
+      totalWeightKg,
+      deliveredWeightKg,
+      deliveredServings,
       monthlyData,
     } = metrics;
 
-    // Compute max value to normalize bar heights
+    // Compute max value (kg) to normalize bar heights
     const allVolumes = monthlyData
-      ? monthlyData.flatMap((d) => [d.received, d.delivered])
+      ? monthlyData.flatMap((d) => [d.receivedKg || 0, d.deliveredKg || 0])
       : [0];
     const maxVolume = Math.max(...allVolumes, 1);
 
@@ -252,7 +330,7 @@ const AdminDashboard = ({ userName }) => {
         <hr className="border-gray-300 mb-4" />
 
         {/* Summary cards */}
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
           <div className="bg-white p-4 rounded-xl shadow-lg border-b-4 border-green-700">
             <p className="text-3xl font-extrabold text-green-700">
               {totalDonations || "0"}
@@ -277,12 +355,24 @@ const AdminDashboard = ({ userName }) => {
             </p>
             <p className="text-sm text-gray-500">Completion Rate</p>
           </div>
+          <div className="bg-white p-4 rounded-xl shadow-lg border-b-4 border-green-500">
+            <p className="text-3xl font-extrabold text-green-600">
+              {deliveredWeightKg || "0"} / {totalWeightKg || "0"} kg
+            </p>
+            <p className="text-sm text-gray-500">Food Delivered / Posted</p>
+          </div>
+          <div className="bg-white p-4 rounded-xl shadow-lg border-b-4 border-blue-400">
+            <p className="text-3xl font-extrabold text-blue-500">
+              {deliveredServings || "0"}
+            </p>
+            <p className="text-sm text-gray-500">Servings Delivered</p>
+          </div>
         </div>
 
         {/* Simple bar chart: monthly received vs delivered volumes */}
         <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
           <h4 className="text-lg font-bold text-gray-700 mb-4">
-            Received vs. Delivered Volume
+            Received vs. Delivered Volume (kg)
           </h4>
           <div className="h-64 flex space-x-6 justify-around items-end p-2 border-l border-b border-gray-300 relative">
             {/* Horizontal grid lines with numeric labels */}
@@ -306,8 +396,10 @@ const AdminDashboard = ({ userName }) => {
             {/* Bars for each month */}
             {monthlyData &&
               monthlyData.map((data, index) => {
-                const receivedHeight = (data.received / maxVolume) * 100;
-                const deliveredHeight = (data.delivered / maxVolume) * 100;
+                const receivedHeight =
+                  ((data.receivedKg || 0) / maxVolume) * 100;
+                const deliveredHeight =
+                  ((data.deliveredKg || 0) / maxVolume) * 100;
 
                 return (
                   <div
@@ -318,12 +410,12 @@ const AdminDashboard = ({ userName }) => {
                       <div
                         className="w-1/3 bg-green-500 rounded-t-sm transition-all duration-500"
                         style={{ height: `${receivedHeight}%` }}
-                        title={`Received: ${data.received} units`}
+                        title={`Received: ${data.receivedKg || 0} kg (${data.received} donations)`}
                       ></div>
                       <div
                         className="w-1/3 bg-blue-500 rounded-t-sm ml-1 transition-all duration-500"
                         style={{ height: `${deliveredHeight}%` }}
-                        title={`Delivered: ${data.delivered} units`}
+                        title={`Delivered: ${data.deliveredKg || 0} kg (${data.delivered} donations)`}
                       ></div>
                     </div>
                     <span className="text-xs text-gray-600 mt-2">
@@ -355,12 +447,57 @@ const AdminDashboard = ({ userName }) => {
       <header className="bg-green-700 text-white p-4 flex justify-between items-center shadow-lg">
         <h1 className="text-xl font-bold">Admin Dashboard</h1>
         <div className="flex items-center space-x-3">
+          {claimingEnabled !== null && (
+            <button
+              onClick={toggleClaiming}
+              className="text-white text-sm py-1 px-3 border border-white rounded hover:bg-green-800 transition"
+              title="Allow volunteers to claim open tasks themselves"
+            >
+              Self-Claiming: {claimingEnabled ? "ON" : "OFF"}
+            </button>
+          )}
           <button
             onClick={() => navigate("/admin/user-management")}
             className="text-white text-sm py-1 px-3 bg-yellow-600 rounded hover:bg-yellow-700 transition"
           >
             Manage Users
           </button>
+          <button
+            onClick={() => navigate("/admin/organizations")}
+            className="text-white text-sm py-1 px-3 bg-yellow-600 rounded hover:bg-yellow-700 transition"
+          >
+            Organizations
+          </button>
+          <button
+            onClick={() => navigate("/admin/roles")}
+            className="text-white text-sm py-1 px-3 bg-yellow-600 rounded hover:bg-yellow-700 transition"
+          >
+            Roles
+          </button>
+          <button
+            onClick={() => navigate("/admin/audit")}
+            className="text-white text-sm py-1 px-3 bg-yellow-600 rounded hover:bg-yellow-700 transition"
+          >
+            Audit Log
+          </button>
+          <button
+            onClick={() => navigate("/admin/coverage")}
+            className="text-white text-sm py-1 px-3 bg-yellow-600 rounded hover:bg-yellow-700 transition"
+          >
+            Coverage
+          </button>
+          <button
+            onClick={() => navigate("/admin/vetting")}
+            className="text-white text-sm py-1 px-3 bg-yellow-600 rounded hover:bg-yellow-700 transition"
+          >
+            Vetting
+          </button>
+          <button
+            onClick={() => navigate("/admin/reviews")}
+            className="text-white text-sm py-1 px-3 bg-yellow-600 rounded hover:bg-yellow-700 transition"
+          >
+            Reviews
+          </button>
           <button
             onClick={confirmLogout}
             className="text-white hover:text-gray-200"
@@ -411,6 +548,41 @@ const AdminDashboard = ({ userName }) => {
         </h3>
         {renderTaskList(tasks.issues, "issues")}
 
+        {/* Tasks past their window (only shown when there are any) */}
+        {lateTasks.length > 0 && (
+          <>
+            <h3 className="text-xl font-bold text-gray-700 mb-3 mt-6 flex items-center">
+              Late Tasks ({lateTasks.length})
+              <span className="ml-2 px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-600">
+                Window Closed
+              </span>
+            </h3>
+            <ul className="space-y-3">
+              {lateTasks.map((task) => (
+                <li
+                  key={task.taskId}
+                  className="bg-white p-4 rounded-lg shadow-md border-l-4 border-red-600 cursor-pointer transition hover:shadow-lg"
+                  onClick={() => navigate(`/admin/assign/${task.donationId}`)}
+                >
+                  <p className="text-lg font-bold text-gray-800">
+                    {task.itemType} ({formatQuantity(task.quantity)})
+                  </p>
+                  <p className="text-xs font-semibold mt-1 text-red-700">
+                    {task.taskType.toUpperCase()} LATE BY {task.minutesLate} MIN
+                  </p>
+                  <p className="text-sm text-gray-600 mt-1">
+                    Volunteer: {task.volunteerName || task.volunteerId}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Window: {formatWindow(task.windowStart, task.windowEnd)}
+                    {task.address ? ` | ${task.address}` : ""}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
         <hr className="border-gray-300 my-6" />
 
         {/* Loading spinner while assignments are being fetched */}
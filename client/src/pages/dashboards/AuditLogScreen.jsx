@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { auditService } from "../../services/auditService";
+
+// Entries shown per page
+const PAGE_SIZE = 50;
+
+// Blank filter form
+const emptyFilters = {
+  actorUid: "",
+  action: "",
+  targetType: "",
+  targetId: "",
+  from: "",
+  to: "",
+  outcome: "",
+};
+
+// Filter form -> query parameters (blank fields left out; dates cover
+// whole local days)
+const toQuery = (filters) => {
+  const query = {};
+  for (const [key, value] of Object.entries(filters)) {
+    if (!value) continue;
+    if (key === "from") {
+      query.from = new Date(`${value}T00:00:00`).toISOString();
+    } else if (key === "to") {
+      query.to = new Date(`${value}T23:59:59.999`).toISOString();
+    } else {
+      query[key] = value.trim();
+    }
+  }
+  return query;
+};
+
+// Show a logged value compactly
+const formatValue = (value) =>
+  value === undefined || value === null ? "—" : JSON.stringify(value);
+
+// Admin-only page listing who changed what, with filters, CSV export and
+// a check that no entry was tampered with.
+const AuditLogScreen = () => {
+  const navigate = useNavigate();
+
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+
+  // Filters being typed, and the ones applied to the list
+  const [filters, setFilters] = useState(emptyFilters);
+  const [appliedFilters, setAppliedFilters] = useState(emptyFilters);
+
+  // Result of the last hash chain check
+  const [verification, setVerification] = useState(null);
+
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Load one page of entries for the applied filters
+  const fetchEntries = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const data = await auditService.getAuditLog({
+        ...toQuery(appliedFilters),
+        page,
+        limit: PAGE_SIZE,
+      });
+      setEntries(data.entries || []);
+      setTotal(data.total || 0);
+      setError("");
+    } catch (err) {
+      setError(err.message || "Failed to fetch audit log.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [appliedFilters, page]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const updateFilter = (field, value) =>
+    setFilters((prev) => ({ ...prev, [field]: value }));
+
+  const applyFilters = () => {
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const clearFilters = () => {
+    setPage(1);
+    setFilters(emptyFilters);
+    setAppliedFilters(emptyFilters);
+  };
+
+  const handleExport = async () => {
+    try {
+      await auditService.exportAuditLog(toQuery(appliedFilters));
+    } catch (err) {
+      alert(`Failed to export audit log: ${err.message}`);
+    }
+  };
+
+  const handleVerify = async () => {
+    try {
+      setVerification(await auditService.verifyAuditLog());
+    } catch (err) {
+      alert(`Failed to verify audit log: ${err.message}`);
+    }
+  };
+
+  const pageCount = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  // Text input for one filter
+  const renderFilterInput = (field, placeholder) => (
+    <input
+      type="text"
+      placeholder={placeholder}
+      value={filters[field]}
+      onChange={(e) => updateFilter(field, e.target.value)}
+      className="p-2 border border-gray-300 rounded-lg text-sm"
+    />
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Top bar with back arrow and title */}
+      <header className="bg-green-700 text-white p-4 flex items-center shadow-lg">
+        <button
+          onClick={() => navigate(-1)}
+          className="text-white mr-4 text-2xl"
+        >
+          &larr;
+        </button>
+        <h1 className="text-xl font-bold">Audit Log (Admin)</h1>
+      </header>
+
+      <div className="p-5">
+        {error && <p className="text-red-600 text-center mb-4">{error}</p>}
+
+        {/* Filters */}
+        <div className="bg-white p-4 rounded-xl shadow-md mb-4 flex flex-wrap items-center gap-2">
+          {renderFilterInput("actorUid", "Actor UID")}
+          {renderFilterInput("action", "Action (e.g. reassign)")}
+          {renderFilterInput("targetType", "Target type")}
+          {renderFilterInput("targetId", "Target ID")}
+          <label className="text-sm text-gray-600">
+            From{" "}
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => updateFilter("from", e.target.value)}
+              className="p-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            To{" "}
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => updateFilter("to", e.target.value)}
+              className="p-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </label>
+          <select
+            value={filters.outcome}
+            onChange={(e) => updateFilter("outcome", e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All outcomes</option>
+            <option value="succeeded">Succeeded</option>
+            <option value="refused">Refused / failed</option>
+          </select>
+          <button
+            onClick={applyFilters}
+            className="py-2 px-3 text-sm bg-green-700 text-white rounded-lg"
+          >
+            Apply
+          </button>
+          <button
+            onClick={clearFilters}
+            className="py-2 px-3 text-sm bg-gray-200 text-gray-700 rounded-lg"
+          >
+            Clear
+          </button>
+        </div>
+
+        {/* Heading + export and chain check */}
+        <div className="mb-4 flex justify-between items-center">
+          <h2 className="text-2xl font-bold text-gray-700">
+            Entries ({total})
+          </h2>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={handleVerify}
+              className="py-2 px-3 text-sm bg-blue-600 text-white rounded-lg"
+            >
+              Verify Integrity
+            </button>
+            <button
+              onClick={handleExport}
+              className="py-2 px-3 text-sm bg-yellow-600 text-white rounded-lg"
+            >
+              Export CSV
+            </button>
+          </div>
+        </div>
+
+        {verification && (
+          <p
+            className={`mb-4 p-3 rounded-lg text-sm ${
+              verification.valid
+                ? "bg-green-100 text-green-800"
+                : "bg-red-100 text-red-800"
+            }`}
+          >
+            {verification.valid
+              ? `All ${verification.checked} entries are intact.`
+              : `Tampering detected at entry #${verification.brokenAt}: ${verification.reason}`}
+          </p>
+        )}
+
+        {isLoading ? (
+          <div className="text-center p-8">
+            <div className="animate-spin inline-block w-8 h-8 border-4 rounded-full border-green-700 border-t-transparent"></div>
+            <p className="mt-2 text-gray-600">Loading audit log...</p>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="text-center p-8 text-gray-500">
+            <p>No audit entries found.</p>
+          </div>
+        ) : (
+          <ul className="space-y-3">
+            {entries.map((entry) => (
+              <li
+                key={entry.sequence}
+                className={`bg-white p-4 rounded-xl shadow-md border-l-4 ${
+                  entry.statusCode >= 400 ? "border-red-400" : "border-gray-400"
+                }`}
+              >
+                <div className="flex justify-between items-center mb-1">
+                  <p className="font-mono text-sm font-semibold text-gray-800">
+                    #{entry.sequence} {entry.action}
+                  </p>
+                  <span className="text-xs text-gray-500">
+                    {new Date(entry.createdAt).toLocaleString()} · HTTP{" "}
+                    {entry.statusCode}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-600">
+                  By {entry.actorName || entry.actorUid || "unknown"}
+                  {entry.actorRole && ` (${entry.actorRole})`}
+                  {entry.ip && ` from ${entry.ip}`}
+                </p>
+                {entry.targetId && (
+                  <p className="text-sm text-gray-600">
+                    Target: {entry.targetType} {entry.targetId}
+                  </p>
+                )}
+                {entry.changes?.length > 0 && (
+                  <ul className="mt-2 text-xs font-mono text-gray-700">
+                    {entry.changes.map((change) => (
+                      <li key={change.field}>
+                        {change.field}: {formatValue(change.from)} →{" "}
+                        {formatValue(change.to)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* Paging */}
+        <div className="flex justify-center items-center space-x-4 mt-6">
+          <button
+            onClick={() => setPage((p) => p - 1)}
+            disabled={page <= 1}
+            className="py-1 px-3 text-sm bg-gray-200 rounded disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {page} of {pageCount}
+          </span>
+          <button
+            onClick={() => setPage((p) => p + 1)}
+            disabled={page >= pageCount}
+            className="py-1 px-3 text-sm bg-gray-200 rounded disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLogScreen;
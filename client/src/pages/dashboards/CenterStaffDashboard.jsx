@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { authService } from "../../services/authService";
+import { donationService } from "../../services/donationService";
+import { organizationService } from "../../services/organizationService";
+import { formatQuantity } from "../../utils/quantity";
+import { getTaskLabel } from "../../utils/taskLeg";
+import CenterProfileFields from "../../components/CenterProfileFields";
+import PendingReviews from "../../components/PendingReviews";
+import {
+  toCenterProfileForm,
+  toCenterProfilePayload,
+} from "../../utils/centerProfile";
+
+// Format a date for the delivery cards
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleString("en-US", {
+        weekday: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "N/A";
+
+// Dashboard for distribution center staff: deliveries on their way to the
+// center, delivered food to confirm, and the center's hours and needs.
+const CenterStaffDashboard = ({ userName }) => {
+  const navigate = useNavigate();
+
+  // Center details and the two delivery lists from the backend
+  const [center, setCenter] = useState(null);
+  const [incoming, setIncoming] = useState([]);
+  const [awaitingReceipt, setAwaitingReceipt] = useState([]);
+
+  // Drop-off code per donationId, to give to the arriving volunteer
+  const [dropoffCodes, setDropoffCodes] = useState({});
+
+  // Center hours / capacity / needs form
+  const [profileForm, setProfileForm] = useState(null);
+  const [isSavingProfile, setIsSavingProfile] = useState(false);
+
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Load deliveries, then the center's published profile
+  const fetchDashboard = useCallback(async () => {
+    try {
+      const data = await donationService.getCenterIncoming();
+      setCenter(data.center);
+      setIncoming(data.incoming || []);
+      setAwaitingReceipt(data.awaitingReceipt || []);
+      setError("");
+
+      if (data.center) {
+        const { organization } = await organizationService.getOrganization(
+          data.center.organizationId
+        );
+        setProfileForm(toCenterProfileForm(organization));
+      }
+    } catch (err) {
+      setError(err.message || "Failed to load center dashboard.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDashboard();
+  }, [fetchDashboard]);
+
+  // Handle logout
+  const confirmLogout = async () => {
+    if (window.confirm("Are you sure you want to log out of Nourish Link?")) {
+      await authService.signOut();
+      navigate("/auth");
+    }
+  };
+
+  // Load the one-time drop-off code of a delivery
+  const showDropoffCode = async (donationId) => {
+    try {
+      const { dropoffCode } = await donationService.getHandoffCodes(donationId);
+      setDropoffCodes((prev) => ({ ...prev, [donationId]: dropoffCode }));
+    } catch (err) {
+      setError(err.message || "Failed to load drop-off code.");
+    }
+  };
+
+  // Refuse a delivery on its way (the admin picks another center)
+  const handleReject = async (donationId) => {
+    const reason = window.prompt("Why can the center not take this delivery?");
+    if (!reason?.trim()) return;
+    try {
+      const result = await donationService.rejectDelivery(donationId, reason);
+      alert(result.message);
+      fetchDashboard();
+    } catch (err) {
+      alert(`Failed to reject delivery: ${err.message}`);
+    }
+  };
+
+  // Confirm a delivered donation arrived as expected
+  const handleConfirm = async (donationId) => {
+    const notes = window.prompt("Notes on the delivery (optional):", "");
+    if (notes === null) return;
+    try {
+      await donationService.confirmReceipt(donationId, notes || undefined);
+      fetchDashboard();
+    } catch (err) {
+      alert(`Failed to confirm receipt: ${err.message}`);
+    }
+  };
+
+  // Save the center's hours, capacity, stock and needs
+  const handleSaveProfile = async () => {
+    setIsSavingProfile(true);
+    try {
+      const organization = await organizationService.updateOrganization(
+        center.organizationId,
+        toCenterProfilePayload(profileForm)
+      );
+      setProfileForm(toCenterProfileForm(organization));
+      alert("Center details updated.");
+    } catch (err) {
+      alert(`Failed to update center: ${err.message}`);
+    } finally {
+      setIsSavingProfile(false);
+    }
+  };
+
+  // One delivery card; `actions` are the buttons for its list
+  const renderDelivery = (donation, actions) => (
+    <li
+      key={donation.donationId}
+      className="bg-white p-4 rounded-xl shadow-md border-l-4 border-blue-500"
+    >
+      <p className="text-lg font-bold text-gray-800">
+        {donation.itemType} ({formatQuantity(donation.quantity)})
+      </p>
+      <p className="text-sm text-gray-600">
+        Storage: {donation.storageRequirement || "ambient"}
+        {donation.expiresAt &&
+          ` · Best before ${formatDate(donation.expiresAt)}`}
+      </p>
+      {donation.task && (
+        <p className="text-sm text-gray-600">
+          {getTaskLabel(donation.task)} by {donation.task.volunteerName} (
+          {donation.task.status})
+        </p>
+      )}
+      <p className="text-sm text-gray-600 mb-3">
+        {donation.status === "delivered"
+          ? `Delivered: ${formatDate(donation.deliveredAt)}`
+          : `Expected: ${formatDate(
+              donation.dropoffWindowStart
+            )} – ${formatDate(donation.dropoffWindowEnd)}`}
+      </p>
+      <div className="flex flex-wrap items-center gap-2">{actions}</div>
+    </li>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-green-700 text-white p-4 flex justify-between items-center shadow-lg">
+        <h1 className="text-xl font-bold">Center Dashboard</h1>
+        <button
+          onClick={confirmLogout}
+          className="text-white hover:text-gray-200"
+        >
+          Logout
+        </button>
+      </header>
+
+      <div className="p-5 max-w-3xl mx-auto">
+        <h2 className="text-2xl font-bold text-green-700">
+          Welcome, {userName}!
+        </h2>
+        {center && (
+          <p className="text-gray-600 mb-4">
+            {center.name} · {center.address}
+          </p>
+        )}
+
+        {error && <p className="text-red-600 text-center mb-4">{error}</p>}
+
+        {/* Volunteers who delivered to the center and can be rated */}
+        <PendingReviews />
+
+        {isLoading ? (
+          <div className="text-center p-8">
+            <div className="animate-spin inline-block w-8 h-8 border-4 rounded-full border-green-700 border-t-transparent"></div>
+            <p className="mt-2 text-gray-600">Loading deliveries...</p>
+          </div>
+        ) : (
+          <>
+            {/* Deliveries still on their way */}
+            <h3 className="text-xl font-bold text-gray-700 mt-4 mb-3">
+              Incoming Deliveries ({incoming.length})
+            </h3>
+            {incoming.length === 0 ? (
+              <p className="text-gray-500 mb-4">No deliveries on the way.</p>
+            ) : (
+              <ul className="space-y-4 mb-6">
+                {incoming.map((donation) =>
+                  renderDelivery(
+                    donation,
+                    <>
+                      {dropoffCodes[donation.donationId] ? (
+                        <span className="text-sm font-mono font-bold text-blue-800">
+                          Drop-off code: {dropoffCodes[donation.donationId]}
+                        </span>
+                      ) : (
+                        <button
+                          onClick={() => showDropoffCode(donation.donationId)}
+                          className="py-1 px-3 text-sm bg-blue-600 text-white rounded"
+                        >
+                          Show Drop-off Code
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleReject(donation.donationId)}
+                        className="py-1 px-3 text-sm bg-red-500 text-white rounded"
+                      >
+                        Reject Delivery
+                      </button>
+                    </>
+                  )
+                )}
+              </ul>
+            )}
+
+            {/* Delivered food the center has not confirmed yet */}
+            <h3 className="text-xl font-bold text-gray-700 mb-3">
+              Awaiting Confirmation ({awaitingReceipt.length})
+            </h3>
+            {awaitingReceipt.length === 0 ? (
+              <p className="text-gray-500 mb-4">Nothing to confirm.</p>
+            ) : (
+              <ul className="space-y-4 mb-6">
+                {awaitingReceipt.map((donation) =>
+                  renderDelivery(
+                    donation,
+                    <button
+                      onClick={() => handleConfirm(donation.donationId)}
+                      className="py-1 px-3 text-sm bg-green-700 text-white rounded"
+                    >
+                      Confirm Receipt
+                    </button>
+                  )
+                )}
+              </ul>
+            )}
+
+            {/* Hours, capacity and needs the center publishes */}
+            {profileForm && (
+              <div className="bg-white p-5 rounded-xl shadow-md mt-6">
+                <h3 className="text-xl font-bold text-gray-700 mb-3">
+                  Center Hours & Needs
+                </h3>
+                <CenterProfileFields
+                  form={profileForm}
+                  onChange={(field, value) =>
+                    setProfileForm((prev) => ({ ...prev, [field]: value }))
+                  }
+                />
+                <button
+                  onClick={handleSaveProfile}
+                  disabled={isSavingProfile}
+                  className="mt-4 py-2 px-4 bg-green-700 text-white rounded-lg disabled:bg-gray-400"
+                >
+                  {isSavingProfile ? "Saving..." : "Save Center Details"}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CenterStaffDashboard;
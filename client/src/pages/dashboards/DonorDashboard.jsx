@@ -2,6 +2,7 @@ import React from "react";
 import { useNavigate } from "react-router-dom";
 import { authService } from "../../services/authService";
 import NotificationIcon from "../../components/NotificationIcon";
+import RecurringSchedulesView from "../donations/RecurringSchedulesView";
 
 const DonorDashboard = ({ userName }) => {
   const navigate = useNavigate();
@@ -101,6 +102,9 @@ const DonorDashboard = ({ userName }) => {
             <span>View My Active Donations</span>
           </button>
 
+          {/* Donor's recurring schedules (skip / pause / end) */}
+          <RecurringSchedulesView />
+
           <button
             onClick={confirmLogout}
             className="py-3 px-6 bg-red-700 text-white text-base font-semibold rounded-lg shadow-md hover:bg-red-800 transition"
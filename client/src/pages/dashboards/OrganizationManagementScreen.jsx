@@ -0,0 +1,544 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { organizationService } from "../../services/organizationService";
+import { donationService } from "../../services/donationService";
+import CenterProfileFields from "../../components/CenterProfileFields";
+import {
+  toCenterProfileForm,
+  toCenterProfilePayload,
+} from "../../utils/centerProfile";
+
+// Organization types (must match the backend OrganizationType list)
+const ORGANIZATION_TYPES = [
+  "DistributionCenter",
+  "DonorBusiness",
+  "CommunityPartner",
+];
+
+// "DistributionCenter" -> "Distribution Center"
+const formatType = (type) => type.replace(/([a-z])([A-Z])/g, "$1 $2");
+
+// Blank form for a new organization
+const emptyForm = () => ({
+  name: "",
+  organizationType: "DistributionCenter",
+  address: "",
+  coordinates: null,
+  ...toCenterProfileForm(),
+});
+
+// Form state for an existing organization
+const toForm = (org) => ({
+  name: org.name,
+  organizationType: org.organizationType,
+  address: org.address,
+  coordinates: org.coordinates,
+  ...toCenterProfileForm(org),
+});
+
+// Admin-only page to create, edit and deactivate organizations,
+// and to link donor accounts to their business.
+const OrganizationManagementScreen = () => {
+  const navigate = useNavigate();
+
+  // All organizations (active and inactive)
+  const [organizations, setOrganizations] = useState([]);
+
+  // Flags for loading spinner and top-level error message
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Current selected filter in the dropdown ("All" or an organization type)
+  const [filterType, setFilterType] = useState("All");
+
+  // Organization being edited: null (none), "new" or its organizationId
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm());
+  const [isSaving, setIsSaving] = useState(false);
+  const [isGeocoding, setIsGeocoding] = useState(false);
+
+  // Accounts linked to the organization being edited: donors posting for
+  // a business or staff of a center. allUsers fills the "add" dropdown.
+  const [members, setMembers] = useState({ donors: [], staff: [] });
+  const [allUsers, setAllUsers] = useState([]);
+  const [selectedUid, setSelectedUid] = useState("");
+
+  // Load all organizations from the server
+  const fetchOrganizations = useCallback(async () => {
+    try {
+      const data = await organizationService.getOrganizations();
+      setOrganizations(data);
+      setError("");
+    } catch (err) {
+      setError(err.message || "Failed to fetch organizations.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOrganizations();
+  }, [fetchOrganizations]);
+
+  // Update one field of the form
+  const updateForm = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  // Open the form for a new organization
+  const startCreate = () => {
+    setEditingId("new");
+    setForm(emptyForm());
+    setMembers({ donors: [], staff: [] });
+  };
+
+  // Reload the donors / staff linked to an organization
+  const loadMembers = async (organizationId) => {
+    const { donors, staff } =
+      await organizationService.getOrganization(organizationId);
+    setMembers({ donors: donors || [], staff: staff || [] });
+  };
+
+  // Open the form for an existing organization (and load its accounts)
+  const startEdit = async (org) => {
+    setEditingId(org.organizationId);
+    setForm(toForm(org));
+    setMembers({ donors: [], staff: [] });
+    setSelectedUid("");
+
+    if (org.organizationType === "CommunityPartner") return;
+    try {
+      const [users] = await Promise.all([
+        allUsers.length ? allUsers : donationService.getAllUsers(),
+        loadMembers(org.organizationId),
+      ]);
+      setAllUsers(users);
+    } catch (err) {
+      setError(err.message || "Failed to load linked accounts.");
+    }
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setForm(emptyForm());
+  };
+
+  // Look up the typed address through the geocoding service
+  const handleGeocode = async () => {
+    if (!form.address.trim()) {
+      alert("Please enter an address first.");
+      return null;
+    }
+    setIsGeocoding(true);
+    try {
+      const result = await organizationService.geocodeAddress(form.address);
+      setForm((prev) => ({
+        ...prev,
+        address: result.formattedAddress,
+        coordinates: result.coordinates,
+      }));
+      return result;
+    } catch (err) {
+      alert(err.message);
+      return null;
+    } finally {
+      setIsGeocoding(false);
+    }
+  };
+
+  // Create or update the organization from the form
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      alert("Please enter a name.");
+      return;
+    }
+
+    // Addresses typed without looking them up are geocoded on save
+    let { address, coordinates } = form;
+    if (!coordinates) {
+      const result = await handleGeocode();
+      if (!result) return;
+      address = result.formattedAddress;
+      coordinates = result.coordinates;
+    }
+
+    const payload = {
+      name: form.name,
+      organizationType: form.organizationType,
+      address,
+      coordinates,
+    };
+    if (form.organizationType === "DistributionCenter") {
+      Object.assign(payload, toCenterProfilePayload(form));
+    }
+
+    setIsSaving(true);
+    try {
+      if (editingId === "new") {
+        await organizationService.createOrganization(payload);
+        alert("Organization created.");
+      } else {
+        await organizationService.updateOrganization(editingId, payload);
+        alert("Organization updated.");
+      }
+      closeForm();
+      fetchOrganizations();
+    } catch (err) {
+      alert(`Failed to save organization: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Deactivate or reactivate an organization
+  const handleToggleStatus = async (org) => {
+    try {
+      if (org.status === "inactive") {
+        await organizationService.updateOrganization(org.organizationId, {
+          status: "active",
+        });
+      } else {
+        if (!window.confirm(`Deactivate ${org.name}?`)) return;
+        await organizationService.deactivateOrganization(org.organizationId);
+      }
+      fetchOrganizations();
+    } catch (err) {
+      alert(`Failed to update status: ${err.message}`);
+    }
+  };
+
+  // Link the selected account: a donor to a business, or staff to a center
+  const handleAddMember = async () => {
+    if (!selectedUid) return;
+    try {
+      const result =
+        form.organizationType === "DonorBusiness"
+          ? await organizationService.linkDonor(editingId, selectedUid)
+          : await organizationService.addStaff(editingId, selectedUid);
+      await loadMembers(editingId);
+      setSelectedUid("");
+      fetchOrganizations();
+      alert(result.message);
+    } catch (err) {
+      alert(`Failed to link account: ${err.message}`);
+    }
+  };
+
+  const handleRemoveMember = async (uid) => {
+    try {
+      if (form.organizationType === "DonorBusiness") {
+        await organizationService.unlinkDonor(editingId, uid);
+      } else {
+        await organizationService.removeStaff(editingId, uid);
+      }
+      await loadMembers(editingId);
+      fetchOrganizations();
+    } catch (err) {
+      alert(`Failed to unlink account: ${err.message}`);
+    }
+  };
+
+  // Make a staff member the center's manager
+  const handleMakeManager = async (uid) => {
+    try {
+      await organizationService.updateOrganization(editingId, {
+        managerUserId: uid,
+      });
+      await loadMembers(editingId);
+    } catch (err) {
+      alert(`Failed to set manager: ${err.message}`);
+    }
+  };
+
+  // Apply type filter to the full organization list
+  const filteredOrganizations = organizations.filter(
+    (org) => filterType === "All" || org.organizationType === filterType
+  );
+
+  // Donor accounts posting for a business, or staff working at a center
+  const renderMembers = () => {
+    const isBusiness = form.organizationType === "DonorBusiness";
+    const list = isBusiness ? members.donors : members.staff;
+    const linkedIds = list.map((member) => member.userId);
+    // Donors can join a business; anyone but admins can become staff
+    const available = allUsers.filter(
+      (user) =>
+        !linkedIds.includes(user.uid) &&
+        (isBusiness ? user.role === "Donor" : user.role !== "Admin")
+    );
+
+    return (
+      <div className="border-t pt-4">
+        <p className="text-sm font-semibold text-gray-700 mb-2">
+          {isBusiness
+            ? "Donor Accounts Posting for This Business"
+            : "Center Staff"}
+        </p>
+        {list.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-2">No accounts linked yet.</p>
+        ) : (
+          <ul className="mb-2 space-y-1">
+            {list.map((member) => (
+              <li
+                key={member.userId}
+                className="flex justify-between items-center text-sm"
+              >
+                <span>
+                  {member.name} ({member.email})
+                  {member.isManager && (
+                    <span className="ml-2 text-xs font-semibold text-green-700">
+                      Manager
+                    </span>
+                  )}
+                </span>
+                <span className="space-x-3">
+                  {!isBusiness && !member.isManager && (
+                    <button
+                      onClick={() => handleMakeManager(member.userId)}
+                      className="text-blue-600"
+                    >
+                      Make manager
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleRemoveMember(member.userId)}
+                    className="text-red-600"
+                  >
+                    Unlink
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex space-x-2">
+          <select
+            value={selectedUid}
+            onChange={(e) => setSelectedUid(e.target.value)}
+            className="flex-1 p-1 border rounded text-sm"
+          >
+            <option value="">
+              {isBusiness
+                ? "-- Choose a donor account --"
+                : "-- Choose an account to add as staff --"}
+            </option>
+            {available.map((user) => (
+              <option key={user.uid} value={user.uid}>
+                {user.name} ({user.email}, {user.role})
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleAddMember}
+            disabled={!selectedUid}
+            className="py-1 px-3 text-sm bg-green-700 text-white rounded disabled:bg-gray-400"
+          >
+            Link
+          </button>
+        </div>
+        {!isBusiness && (
+          <p className="text-xs text-gray-500 mt-1">
+            Linked accounts get the CenterStaff role.
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  // Create / edit form
+  const renderForm = () => (
+    <div className="bg-white p-5 rounded-xl shadow-md mb-6 space-y-4">
+      <h3 className="text-lg font-bold text-gray-700">
+        {editingId === "new" ? "New Organization" : `Edit ${form.name}`}
+      </h3>
+
+      <input
+        type="text"
+        placeholder="Name"
+        value={form.name}
+        onChange={(e) => updateForm("name", e.target.value)}
+        className="w-full p-2 border rounded"
+      />
+
+      <select
+        value={form.organizationType}
+        onChange={(e) => updateForm("organizationType", e.target.value)}
+        className="w-full p-2 border rounded"
+      >
+        {ORGANIZATION_TYPES.map((type) => (
+          <option key={type} value={type}>
+            {formatType(type)}
+          </option>
+        ))}
+      </select>
+
+      <div>
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            placeholder="Address"
+            value={form.address}
+            onChange={(e) =>
+              // A changed address has to be looked up again
+              setForm((prev) => ({
+                ...prev,
+                address: e.target.value,
+                coordinates: null,
+              }))
+            }
+            className="flex-1 p-2 border rounded"
+          />
+          <button
+            onClick={handleGeocode}
+            disabled={isGeocoding}
+            className="py-2 px-3 text-sm bg-blue-600 text-white rounded disabled:bg-gray-400"
+          >
+            {isGeocoding ? "Locating..." : "Locate"}
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          {form.coordinates
+            ? `Location: ${form.coordinates[1].toFixed(
+                5
+              )}, ${form.coordinates[0].toFixed(5)}`
+            : "Address not located yet (it is looked up when you save)."}
+        </p>
+      </div>
+
+      {form.organizationType === "DistributionCenter" && (
+        <div className="border-t pt-4">
+          <CenterProfileFields form={form} onChange={updateForm} />
+        </div>
+      )}
+      {editingId !== "new" &&
+        form.organizationType !== "CommunityPartner" &&
+        renderMembers()}
+
+      <div className="flex space-x-2">
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className="py-2 px-4 bg-green-700 text-white rounded-lg disabled:bg-gray-400"
+        >
+          {isSaving ? "Saving..." : "Save"}
+        </button>
+        <button
+          onClick={closeForm}
+          className="py-2 px-4 bg-gray-200 text-gray-700 rounded-lg"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Top bar with back arrow and title */}
+      <header className="bg-green-700 text-white p-4 flex items-center shadow-lg">
+        <button
+          onClick={() => navigate(-1)}
+          className="text-white mr-4 text-2xl"
+        >
+          &larr;
+        </button>
+        <h1 className="text-xl font-bold">Organization Management (Admin)</h1>
+      </header>
+
+      <div className="p-5">
+        {error && <p className="text-red-600 text-center mb-4">{error}</p>}
+
+        {/* Heading + type filter + create button */}
+        <div className="mb-6 flex justify-between items-center">
+          <h2 className="text-2xl font-bold text-gray-700">
+            Organizations ({organizations.length})
+          </h2>
+          <div className="flex items-center space-x-2">
+            <select
+              value={filterType}
+              onChange={(e) => setFilterType(e.target.value)}
+              className="p-2 border border-gray-300 rounded-lg text-sm"
+            >
+              <option value="All">All types</option>
+              {ORGANIZATION_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {formatType(type)}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={startCreate}
+              className="py-2 px-3 text-sm bg-green-700 text-white rounded-lg"
+            >
+              + New Organization
+            </button>
+          </div>
+        </div>
+
+        {editingId && renderForm()}
+
+        {isLoading ? (
+          <div className="text-center p-8">
+            <div className="animate-spin inline-block w-8 h-8 border-4 rounded-full border-green-700 border-t-transparent"></div>
+            <p className="mt-2 text-gray-600">Loading organizations...</p>
+          </div>
+        ) : filteredOrganizations.length === 0 ? (
+          <div className="text-center p-8 text-gray-500">
+            <p>No organizations found.</p>
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {filteredOrganizations.map((org) => (
+              <li
+                key={org.organizationId}
+                className="bg-white p-4 rounded-xl shadow-md border-l-4 border-gray-400"
+              >
+                <div className="flex justify-between items-center mb-2">
+                  <p className="text-lg font-bold text-green-700">{org.name}</p>
+                  <span
+                    className={`px-3 py-1 text-xs font-semibold rounded-full ${
+                      org.status === "inactive"
+                        ? "bg-gray-100 text-gray-700"
+                        : "bg-green-100 text-green-700"
+                    }`}
+                  >
+                    {org.status}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-600">
+                  {formatType(org.organizationType)}
+                  {org.organizationType === "DonorBusiness" &&
+                    ` · ${org.donorCount} linked donor(s)`}
+                  {org.organizationType === "DistributionCenter" &&
+                    org.acceptingDonations === false &&
+                    " · not accepting donations"}
+                </p>
+                <p className="text-sm text-gray-600 mb-3">{org.address}</p>
+
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => startEdit(org)}
+                    className="py-1 px-3 text-sm font-semibold rounded bg-blue-600 hover:bg-blue-700 text-white transition"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleToggleStatus(org)}
+                    className={`py-1 px-3 text-sm font-semibold rounded transition text-white ${
+                      org.status === "inactive"
+                        ? "bg-green-500 hover:bg-green-600"
+                        : "bg-red-500 hover:bg-red-600"
+                    }`}
+                  >
+                    {org.status === "inactive" ? "Activate" : "Deactivate"}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OrganizationManagementScreen;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { reviewService } from "../../services/reviewService";
+import { REVIEWER_ROLE_LABELS, formatStars } from "../../utils/reviews";
+
+// Lists an admin can look at (same as GET /api/admin/reviews ?status=)
+const QUEUES = [
+  { status: "reported", label: "Reported" },
+  { status: "hidden", label: "Hidden" },
+  { status: "all", label: "All reviews" },
+];
+
+// Admin-only page: look at reported reviews and hide or restore them.
+const ReviewModerationScreen = () => {
+  const navigate = useNavigate();
+
+  const [queue, setQueue] = useState("reported");
+  const [reviews, setReviews] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  // reviewId of the review being changed
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setReviews(await reviewService.getReviewQueue(queue));
+      setError("");
+    } catch (err) {
+      setError(err.message || "Failed to load reviews.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [queue]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  // Hide the review (asks for a reason) or show it again
+  const handleModerate = async (review, hidden) => {
+    let reason = "";
+    if (hidden) {
+      reason = window.prompt("Why is this review hidden?");
+      if (reason === null) return;
+    } else if (!window.confirm("Show this review on the user's profile?")) {
+      return;
+    }
+
+    setBusyId(review.reviewId);
+    try {
+      await reviewService.moderateReview(review.reviewId, hidden, reason);
+      await fetchQueue();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Top bar with back arrow and title */}
+      <header className="bg-green-700 text-white p-4 flex items-center shadow-lg">
+        <button
+          onClick={() => navigate(-1)}
+          className="text-white mr-4 text-2xl"
+        >
+          &larr;
+        </button>
+        <h1 className="text-xl font-bold">Reviews (Admin)</h1>
+      </header>
+
+      <div className="p-5">
+        <div className="flex space-x-2 mb-4">
+          {QUEUES.map((option) => (
+            <button
+              key={option.status}
+              onClick={() => setQueue(option.status)}
+              className={`py-1 px-3 rounded text-sm ${
+                queue === option.status
+                  ? "bg-green-700 text-white"
+                  : "bg-white border border-green-700 text-green-700"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="text-red-600 text-center mb-4">{error}</p>}
+
+        {isLoading ? (
+          <p className="text-gray-500">Loading reviews...</p>
+        ) : reviews.length === 0 ? (
+          <p className="text-gray-500">No reviews in this list.</p>
+        ) : (
+          <ul className="space-y-4">
+            {reviews.map((review) => (
+              <li
+                key={review.reviewId}
+                className="bg-white p-4 rounded-xl shadow-md"
+              >
+                <div className="flex justify-between items-start">
+                  <div>
+                    <p className="font-bold text-gray-800">
+                      <span className="text-yellow-500">
+                        {formatStars(review.rating)}
+                      </span>{" "}
+                      {review.subjectName} ({review.subjectType})
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      By {review.reviewerName} (
+                      {REVIEWER_ROLE_LABELS[review.reviewerRole]}) |{" "}
+                      {new Date(review.createdAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <span
+                    className={`px-2 py-1 rounded text-xs font-semibold ${
+                      review.status === "hidden"
+                        ? "bg-red-100 text-red-800"
+                        : "bg-green-100 text-green-800"
+                    }`}
+                  >
+                    {review.status === "hidden" ? "Hidden" : "Visible"}
+                  </span>
+                </div>
+
+                {review.comment && (
+                  <p className="mt-2 text-sm text-gray-800">
+                    “{review.comment}”
+                  </p>
+                )}
+                {review.reportedAt && (
+                  <p className="mt-2 text-sm text-orange-700">
+                    Reported {new Date(review.reportedAt).toLocaleDateString()}:{" "}
+                    {review.reportReason}
+                  </p>
+                )}
+                {review.moderationReason && (
+                  <p className="mt-2 text-sm text-gray-600">
+                    Moderation note: {review.moderationReason}
+                  </p>
+                )}
+
+                <div className="mt-3 flex space-x-2">
+                  {review.status === "visible" && (
+                    <button
+                      onClick={() => handleModerate(review, true)}
+                      disabled={busyId === review.reviewId}
+                      className="py-1 px-3 bg-red-600 text-white rounded text-sm disabled:bg-gray-400"
+                    >
+                      Hide
+                    </button>
+                  )}
+                  {(review.status === "hidden" || review.reportedAt) && (
+                    <button
+                      onClick={() => handleModerate(review, false)}
+                      disabled={busyId === review.reviewId}
+                      className="py-1 px-3 bg-green-700 text-white rounded text-sm disabled:bg-gray-400"
+                    >
+                      {review.status === "hidden" ? "Restore" : "Keep visible"}
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewModerationScreen;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { roleService } from "../../services/roleService";
+
+// Admin-only page to create roles and choose which permissions each
+// role grants.
+const RoleManagementScreen = () => {
+  const navigate = useNavigate();
+
+  // Roles and the permissions that can be granted, from the backend
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+
+  // Unsaved permission lists per role name
+  const [drafts, setDrafts] = useState({});
+  const [savingRole, setSavingRole] = useState(null);
+
+  // New role form
+  const [newRole, setNewRole] = useState({ name: "", description: "" });
+
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Load roles and the permission list
+  const fetchRoles = useCallback(async () => {
+    try {
+      const data = await roleService.getRoles();
+      setRoles(data.roles || []);
+      setPermissions(data.permissions || []);
+      setDrafts({});
+      setError("");
+    } catch (err) {
+      setError(err.message || "Failed to fetch roles.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRoles();
+  }, [fetchRoles]);
+
+  // Permissions shown for a role (unsaved changes first)
+  const getGranted = (role) => drafts[role.name] || role.permissions;
+
+  // Tick / untick one permission of a role
+  const togglePermission = (role, permission) => {
+    const granted = getGranted(role);
+    setDrafts((prev) => ({
+      ...prev,
+      [role.name]: granted.includes(permission)
+        ? granted.filter((p) => p !== permission)
+        : [...granted, permission],
+    }));
+  };
+
+  // Save a role's permission list
+  const handleSave = async (role) => {
+    setSavingRole(role.name);
+    try {
+      await roleService.updateRole(role.name, {
+        permissions: getGranted(role),
+      });
+      await fetchRoles();
+    } catch (err) {
+      alert(`Failed to save role: ${err.message}`);
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  // Create a role without permissions (they are ticked afterwards)
+  const handleCreate = async () => {
+    if (!newRole.name.trim()) {
+      alert("Role name is required.");
+      return;
+    }
+    try {
+      await roleService.createRole({
+        name: newRole.name.trim(),
+        description: newRole.description,
+        permissions: [],
+      });
+      setNewRole({ name: "", description: "" });
+      await fetchRoles();
+    } catch (err) {
+      alert(`Failed to create role: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the ${role.name} role?`)) return;
+    try {
+      await roleService.deleteRole(role.name);
+      await fetchRoles();
+    } catch (err) {
+      alert(`Failed to delete role: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Top bar with back arrow and title */}
+      <header className="bg-green-700 text-white p-4 flex items-center shadow-lg">
+        <button
+          onClick={() => navigate(-1)}
+          className="text-white mr-4 text-2xl"
+        >
+          &larr;
+        </button>
+        <h1 className="text-xl font-bold">Roles & Permissions (Admin)</h1>
+      </header>
+
+      <div className="p-5">
+        {error && <p className="text-red-600 text-center mb-4">{error}</p>}
+
+        {/* New role form */}
+        <div className="bg-white p-4 rounded-xl shadow-md mb-6 flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            placeholder="Role name (e.g. Dispatcher)"
+            value={newRole.name}
+            onChange={(e) => setNewRole({ ...newRole, name: e.target.value })}
+            className="p-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            type="text"
+            placeholder="Description"
+            value={newRole.description}
+            onChange={(e) =>
+              setNewRole({ ...newRole, description: e.target.value })
+            }
+            className="p-2 border border-gray-300 rounded-lg text-sm flex-1"
+          />
+          <button
+            onClick={handleCreate}
+            className="py-2 px-3 text-sm bg-green-700 text-white rounded-lg"
+          >
+            + New Role
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="text-center p-8">
+            <div className="animate-spin inline-block w-8 h-8 border-4 rounded-full border-green-700 border-t-transparent"></div>
+            <p className="mt-2 text-gray-600">Loading roles...</p>
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {roles.map((role) => (
+              <li
+                key={role.name}
+                className="bg-white p-4 rounded-xl shadow-md border-l-4 border-gray-400"
+              >
+                <div className="flex justify-between items-center mb-1">
+                  <p className="text-lg font-bold text-green-700">
+                    {role.name}
+                    {role.builtIn && (
+                      <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-100 text-gray-700">
+                        built-in
+                      </span>
+                    )}
+                  </p>
+                  <span className="text-sm text-gray-600">
+                    {role.userCount} user(s)
+                  </span>
+                </div>
+                {role.description && (
+                  <p className="text-sm text-gray-600 mb-3">
+                    {role.description}
+                  </p>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-3">
+                  {permissions.map((permission) => (
+                    <label
+                      key={permission.name}
+                      className="text-sm flex items-start"
+                      title={permission.name}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={getGranted(role).includes(permission.name)}
+                        onChange={() => togglePermission(role, permission.name)}
+                        className="mr-2 mt-1"
+                      />
+                      <span>
+                        <span className="font-mono text-xs text-gray-500">
+                          {permission.name}
+                        </span>
+                        <br />
+                        {permission.description}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleSave(role)}
+                    disabled={!drafts[role.name] || savingRole === role.name}
+                    className="py-1 px-3 text-sm font-semibold rounded bg-blue-600 hover:bg-blue-700 text-white transition disabled:bg-gray-400"
+                  >
+                    {savingRole === role.name ? "Saving..." : "Save"}
+                  </button>
+                  {!role.builtIn && (
+                    <button
+                      onClick={() => handleDelete(role)}
+                      className="py-1 px-3 text-sm font-semibold rounded bg-red-500 hover:bg-red-600 text-white transition"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoleManagementScreen;
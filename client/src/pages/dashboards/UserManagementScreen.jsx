@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { donationService } from "../../services/donationService";
+import { roleService } from "../../services/roleService";
 
 // Admin-only page to view all users and update their role/status.
 const UserManagementScreen = () => {
@@ -13,11 +14,19 @@ const UserManagementScreen = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState("");
 
-  // Current selected filter in the dropdown ("All", "Donor", "Volunteer", "Admin")
+  // Current selected filter in the dropdown ("All", "Donor", "Volunteer", ...)
   const [filterRole, setFilterRole] = useState("All");
 
+  // Role names a user can have (built-in ones until the role list loads)
+  const [roleNames, setRoleNames] = useState([
+    "Donor",
+    "Volunteer",
+    "Admin",
+    "CenterStaff",
+  ]);
+
   // List of roles used in the filter dropdown
-  const roles = ["All", "Donor", "Volunteer", "Admin"];
+  const roles = ["All", ...roleNames];
 
   // Load all users from the server when the screen mounts
   const fetchUsers = async () => {
@@ -39,17 +48,25 @@ const UserManagementScreen = () => {
     fetchUsers();
   }, []);
 
+  // Load the roles admins have added (the built-in list stays on failure)
+  useEffect(() => {
+    roleService
+      .getRoles()
+      .then((data) => setRoleNames(data.roles.map((role) => role.name)))
+      .catch(() => {});
+  }, []);
+
   // Admin clicks the status button (Activate / Deactivate)
   // This sends an update to the backend then updates the local list in state.
   const handleUpdateStatus = async (uid, newStatus) => {
     try {
-      await donationService.updateUser(uid, { status: newStatus });
+      const updatedUser = await donationService.updateUser(uid, {
+        status: newStatus,
+      });
 
       // Update user array locally so the UI changes immediately without reloading everything
       setUsers((prevUsers) =>
-        prevUsers.map((user) =>
-          user.uid === uid ? { ...user, status: newStatus } : user
-        )
+        prevUsers.map((user) => (user.uid === uid ? updatedUser : user))
       );
 
       alert(`User status updated to ${newStatus}.`);
@@ -58,16 +75,25 @@ const UserManagementScreen = () => {
     }
   };
 
-  // Admin changes a user's role using the dropdown (Donor / Volunteer / Admin)
+  // Admin changes a user's role using the dropdown (any role except CenterStaff)
   const handleUpdateRole = async (uid, newRole) => {
+    const updates = { role: newRole };
+
+    // A new volunteer profile needs a phone number; an existing one keeps its own
+    if (newRole === "Volunteer") {
+      const phone = window.prompt(
+        "Phone number for the volunteer profile (leave blank to keep the existing one):"
+      );
+      if (phone === null) return;
+      if (phone.trim()) updates.phone = phone.trim();
+    }
+
     try {
-      await donationService.updateUser(uid, { role: newRole });
+      const updatedUser = await donationService.updateUser(uid, updates);
 
-      // Update the role locally so we don’t need a full refresh
+      // Update the user locally so we don’t need a full refresh
       setUsers((prevUsers) =>
-        prevUsers.map((user) =>
-          user.uid === uid ? { ...user, role: newRole } : user
-        )
+        prevUsers.map((user) => (user.uid === uid ? updatedUser : user))
       );
 
       alert(`User role updated to ${newRole}.`);
@@ -180,9 +206,16 @@ const UserManagementScreen = () => {
                     onChange={(e) => handleUpdateRole(user.uid, e.target.value)}
                     className="p-1 border rounded text-sm bg-gray-50"
                   >
-                    <option value="Donor">Donor</option>
-                    <option value="Volunteer">Volunteer</option>
-                    <option value="Admin">Admin</option>
+                    {/* Staff are linked to their center on the Organizations screen */}
+                    {roleNames.map((role) => (
+                      <option
+                        key={role}
+                        value={role}
+                        disabled={role === "CenterStaff"}
+                      >
+                        {role}
+                      </option>
+                    ))}
                   </select>
 
                   <p className="text-sm font-semibold text-gray-700">
@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { donationService } from "../../services/donationService";
+import { WEEKDAY_NAMES } from "../../utils/centerProfile";
+
+// Hours of the day shown in the calendar (pickups outside them are rare)
+const SHOWN_HOURS = Array.from({ length: 16 }, (_, i) => i + 6);
+
+// "YYYY-MM-DD" of today (local time)
+const todayKey = () => {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(
+    now.getDate()
+  )}`;
+};
+
+// Cell colour: red for a gap (pickups, nobody available), then by how
+// many volunteers are available
+const cellClass = ({ available, pickupsStarting }) => {
+  if (pickupsStarting > 0 && available === 0) return "bg-red-500 text-white";
+  if (available === 0) return "bg-gray-200 text-gray-500";
+  if (available < 3) return "bg-green-200 text-green-900";
+  return "bg-green-500 text-white";
+};
+
+// Admin-only page: how many volunteers are available per day and hour,
+// and where pending pickups have nobody to do them.
+const VolunteerCoverageScreen = () => {
+  const navigate = useNavigate();
+
+  const [from, setFrom] = useState(todayKey());
+  const [days, setDays] = useState(14);
+  const [coverage, setCoverage] = useState(null);
+
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const fetchCoverage = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setCoverage(await donationService.getVolunteerCoverage(from, days));
+      setError("");
+    } catch (err) {
+      setError(err.message || "Failed to load volunteer coverage.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [from, days]);
+
+  useEffect(() => {
+    fetchCoverage();
+  }, [fetchCoverage]);
+
+  // Every day with a gap, with the pickups that start in its gap hours
+  const gapDays = (coverage?.calendar || []).filter(
+    (day) => day.gaps.length > 0
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Top bar with back arrow and title */}
+      <header className="bg-green-700 text-white p-4 flex items-center shadow-lg">
+        <button
+          onClick={() => navigate(-1)}
+          className="text-white mr-4 text-2xl"
+        >
+          &larr;
+        </button>
+        <h1 className="text-xl font-bold">Volunteer Coverage (Admin)</h1>
+      </header>
+
+      <div className="p-5">
+        <div className="flex flex-wrap items-end gap-3 mb-4">
+          <label className="text-sm text-gray-700">
+            From
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => e.target.value && setFrom(e.target.value)}
+              className="block p-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Days
+            <select
+              value={days}
+              onChange={(e) => setDays(Number(e.target.value))}
+              className="block p-2 border border-gray-300 rounded-lg text-sm"
+            >
+              {[7, 14, 28].map((count) => (
+                <option key={count} value={count}>
+                  {count}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {error && <p className="text-red-600 text-center mb-4">{error}</p>}
+
+        {isLoading && !coverage ? (
+          <p className="text-gray-500">Loading coverage...</p>
+        ) : (
+          coverage && (
+            <>
+              <p className="text-sm text-gray-600 mb-2">
+                {coverage.volunteers} active volunteer(s).{" "}
+                {coverage.withoutWeeklyTimes > 0 &&
+                  `${coverage.withoutWeeklyTimes} have not set weekly times and count as available at any time.`}
+              </p>
+              <p className="text-xs text-gray-500 mb-4">
+                Each cell is the number of volunteers available in that hour; •
+                marks pickups waiting for a volunteer. Red cells are gaps.
+              </p>
+
+              <div className="overflow-x-auto bg-white rounded-xl shadow-md">
+                <table className="text-xs border-collapse">
+                  <thead>
+                    <tr>
+                      <th className="p-2 text-left">Day</th>
+                      {SHOWN_HOURS.map((hour) => (
+                        <th key={hour} className="p-1 text-gray-500">
+                          {String(hour).padStart(2, "0")}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {coverage.calendar.map((day) => (
+                      <tr key={day.date} className="border-t">
+                        <td className="p-2 whitespace-nowrap font-semibold text-gray-700">
+                          {WEEKDAY_NAMES[day.weekday]} {day.date}
+                          {day.daysOff > 0 && (
+                            <span className="block font-normal text-gray-500">
+                              {day.daysOff} off
+                            </span>
+                          )}
+                        </td>
+                        {SHOWN_HOURS.map((hour) => {
+                          const slot = day.hours[hour];
+                          return (
+                            <td
+                              key={hour}
+                              title={`${slot.available} available, ${slot.pickupsStarting} pickup(s)`}
+                              className={`p-1 w-8 text-center border border-white ${cellClass(
+                                slot
+                              )}`}
+                            >
+                              {slot.available}
+                              {slot.pickupsStarting > 0 && "•"}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <h3 className="text-lg font-bold text-gray-700 mt-6 mb-2">
+                Coverage Gaps
+              </h3>
+              {gapDays.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  Every pending pickup has at least one available volunteer.
+                </p>
+              ) : (
+                <ul className="space-y-2">
+                  {gapDays.map((day) => (
+                    <li
+                      key={day.date}
+                      className="bg-white p-3 rounded-lg shadow border-l-4 border-red-500 text-sm"
+                    >
+                      <p className="font-semibold text-gray-700">
+                        {WEEKDAY_NAMES[day.weekday]} {day.date}: nobody
+                        available at{" "}
+                        {day.gaps
+                          .map((hour) => `${String(hour).padStart(2, "0")}:00`)
+                          .join(", ")}
+                      </p>
+                      <ul className="text-gray-600">
+                        {day.pickups
+                          .filter((pickup) =>
+                            day.gaps.includes(
+                              new Date(pickup.availabilityTime).getHours()
+                            )
+                          )
+                          .map((pickup) => (
+                            <li key={pickup.donationId}>
+                              {pickup.itemType || "Donation"} at{" "}
+                              {new Date(
+                                pickup.availabilityTime
+                              ).toLocaleTimeString([], {
+                                hour: "2-digit",
+                                minute: "2-digit",
+                              })}
+                            </li>
+                          ))}
+                      </ul>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VolunteerCoverageScreen;
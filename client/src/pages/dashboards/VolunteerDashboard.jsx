@@ -2,8 +2,45 @@ import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { authService } from "../../services/authService";
 import { donationService } from "../../services/donationService";
+import { volunteerService } from "../../services/volunteerService";
 import TaskListView from "../tasks/TaskListView";
+import OpenTasksView from "../tasks/OpenTasksView";
 import NotificationIcon from "../../components/NotificationIcon";
+import AvailabilityFields from "../../components/AvailabilityFields";
+import CapabilityFields from "../../components/CapabilityFields";
+import VolunteerDocuments from "../../components/VolunteerDocuments";
+import PendingReviews from "../../components/PendingReviews";
+import UserReviews from "../../components/UserReviews";
+import { validate, firstError } from "@shared/validation.mjs";
+import {
+  VolunteerAvailabilitySchema,
+  VolunteerCapabilitiesSchema,
+} from "@shared/schemas.mjs";
+
+// Saved availability as form values (maxTasksPerDay "" = no limit)
+const toAvailabilityForm = (availability) => ({
+  weekly: (availability?.weekly || []).map(({ weekday, start, end }) => ({
+    weekday,
+    start,
+    end,
+  })),
+  blackoutDates: availability?.blackoutDates || [],
+  maxTasksPerDay: availability?.maxTasksPerDay ?? "",
+});
+
+// Saved capabilities as form values (numbers and the expiry "" = not set)
+const toCapabilityForm = (capabilities) => ({
+  vehicleType: capabilities?.vehicleType || "",
+  cargoCapacityKg: capabilities?.cargoCapacityKg ?? "",
+  canRefrigerate: !!capabilities?.canRefrigerate,
+  foodHandlerCertified: !!capabilities?.foodHandlerCertified,
+  foodHandlerCertExpiresAt:
+    capabilities?.foodHandlerCertExpiresAt?.slice(0, 10) || "",
+  maxTravelRadiusKm: capabilities?.maxTravelRadiusKm ?? "",
+});
+
+// "" -> null, anything else -> number
+const toNumberOrNull = (value) => (value === "" ? null : Number(value));
 
 const VolunteerDashboard = ({ userName }) => {
   const navigate = useNavigate();
@@ -11,6 +48,23 @@ const VolunteerDashboard = ({ userName }) => {
   // Stores volunteer statistics (e.g., tasks completed)
   const [stats, setStats] = useState({ tasksCompleted: 0 });
 
+  // Weekly times, days off and daily limit being edited
+  const [availabilityForm, setAvailabilityForm] = useState(null);
+  const [showAvailability, setShowAvailability] = useState(false);
+  const [isSavingAvailability, setIsSavingAvailability] = useState(false);
+
+  // Vehicle and equipment being edited
+  const [capabilityForm, setCapabilityForm] = useState(null);
+  const [showCapabilities, setShowCapabilities] = useState(false);
+  const [isSavingCapabilities, setIsSavingCapabilities] = useState(false);
+
+  // Vetting status and documents; tasks are only given once approved
+  const [vetting, setVetting] = useState(null);
+  const [showDocuments, setShowDocuments] = useState(false);
+
+  // Ratings donors and centers gave the volunteer
+  const [showReviews, setShowReviews] = useState(false);
+
   // Current logged-in volunteer’s Firebase UID
   const volunteerId = authService.getAuthInstance().currentUser?.uid;
 
@@ -34,6 +88,98 @@ const VolunteerDashboard = ({ userName }) => {
     fetchStats();
   }, [volunteerId]);
 
+  // Load the vetting status; the documents card starts open until approved
+  useEffect(() => {
+    if (!volunteerId) return;
+    volunteerService
+      .getVetting(volunteerId)
+      .then((data) => {
+        setVetting(data);
+        setShowDocuments(data.status !== "approved");
+      })
+      .catch((e) => console.error("Failed to fetch vetting status:", e));
+  }, [volunteerId]);
+
+  // Load the volunteer's availability the first time it is opened
+  useEffect(() => {
+    if (!showAvailability || availabilityForm || !volunteerId) return;
+    volunteerService
+      .getAvailability(volunteerId)
+      .then((availability) =>
+        setAvailabilityForm(toAvailabilityForm(availability))
+      )
+      .catch((e) => alert(`Failed to load availability: ${e.message}`));
+  }, [showAvailability, availabilityForm, volunteerId]);
+
+  // Save weekly times, days off and the daily limit
+  const handleSaveAvailability = async () => {
+    const payload = {
+      ...availabilityForm,
+      maxTasksPerDay:
+        availabilityForm.maxTasksPerDay === ""
+          ? null
+          : Number(availabilityForm.maxTasksPerDay),
+    };
+    const error = firstError(validate(VolunteerAvailabilitySchema, payload));
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    setIsSavingAvailability(true);
+    try {
+      const availability = await volunteerService.updateAvailability(
+        volunteerId,
+        payload
+      );
+      setAvailabilityForm(toAvailabilityForm(availability));
+      alert("Availability saved.");
+    } catch (e) {
+      alert(`Failed to save availability: ${e.message}`);
+    } finally {
+      setIsSavingAvailability(false);
+    }
+  };
+
+  // Load the volunteer's capabilities the first time they are opened
+  useEffect(() => {
+    if (!showCapabilities || capabilityForm || !volunteerId) return;
+    volunteerService
+      .getCapabilities(volunteerId)
+      .then((capabilities) => setCapabilityForm(toCapabilityForm(capabilities)))
+      .catch((e) => alert(`Failed to load vehicle details: ${e.message}`));
+  }, [showCapabilities, capabilityForm, volunteerId]);
+
+  // Save vehicle, capacity, refrigeration and travel radius (the server
+  // keeps the certificate from the volunteer's reviewed documents)
+  const handleSaveCapabilities = async () => {
+    const payload = {
+      ...capabilityForm,
+      cargoCapacityKg: toNumberOrNull(capabilityForm.cargoCapacityKg),
+      maxTravelRadiusKm: toNumberOrNull(capabilityForm.maxTravelRadiusKm),
+      foodHandlerCertExpiresAt: capabilityForm.foodHandlerCertExpiresAt || null,
+    };
+    const error = firstError(validate(VolunteerCapabilitiesSchema, payload));
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    setIsSavingCapabilities(true);
+    try {
+      const capabilities = await volunteerService.updateCapabilities(
+        volunteerId,
+        payload
+      );
+      setCapabilityForm(toCapabilityForm(capabilities));
+      alert("Vehicle details saved.");
+    } catch (e) {
+      alert(`Failed to save vehicle details: ${e.message}`);
+    } finally {
+      setIsSavingCapabilities(false);
+    }
+  };
+
   /**
    * Logout confirmation to avoid accidental sign-out.
    * If confirmed, clears Firebase auth session and redirects to login.
@@ -104,8 +250,146 @@ const VolunteerDashboard = ({ userName }) => {
           </button>
         </div>
 
+        {/* Not approved yet: explain why there are no tasks */}
+        {vetting && vetting.status !== "approved" && (
+          <div className="mb-6 p-4 rounded-xl bg-yellow-50 border-l-4 border-yellow-500 text-sm text-gray-800">
+            {vetting.status === "pending"
+              ? `Your volunteer account is waiting for approval. ${
+                  vetting.missingDocuments.length > 0
+                    ? "Upload your documents below; you"
+                    : "Your documents are being reviewed; you"
+                } can take tasks once an admin has approved them.`
+              : `Your volunteer account is ${vetting.status}${
+                  vetting.note ? `: ${vetting.note}` : "."
+                } Upload new documents below to be reviewed again.`}
+          </div>
+        )}
+
+        {/* ID and certificates checked by admins */}
+        {vetting && (
+          <div className="mb-6 bg-white p-4 rounded-xl shadow-lg">
+            <button
+              onClick={() => setShowDocuments((open) => !open)}
+              className="w-full flex justify-between items-center text-lg font-bold text-gray-700"
+            >
+              My Documents
+              <span className="text-sm text-green-700">
+                {showDocuments ? "Hide" : "Show"}
+              </span>
+            </button>
+            {showDocuments && (
+              <div className="mt-3">
+                <VolunteerDocuments
+                  volunteerId={volunteerId}
+                  vetting={vetting}
+                  onVettingChange={setVetting}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Donors the volunteer collected from and can still rate */}
+        <PendingReviews />
+
+        {/* Ratings and comments from donors and centers */}
+        <div className="mb-6 bg-white p-4 rounded-xl shadow-lg">
+          <button
+            onClick={() => setShowReviews((open) => !open)}
+            className="w-full flex justify-between items-center text-lg font-bold text-gray-700"
+          >
+            <span>
+              My Reviews
+              {stats.reviewCount > 0 && (
+                <span className="ml-2 text-base text-yellow-600">
+                  ★ {stats.rating.toFixed(1)}
+                </span>
+              )}
+            </span>
+            <span className="text-sm text-green-700">
+              {showReviews ? "Hide" : "Show"}
+            </span>
+          </button>
+          {showReviews && (
+            <div className="mt-3">
+              <UserReviews uid={volunteerId} canReport />
+            </div>
+          )}
+        </div>
+
+        {/* When the volunteer can be assigned tasks */}
+        <div className="mb-6 bg-white p-4 rounded-xl shadow-lg">
+          <button
+            onClick={() => setShowAvailability((open) => !open)}
+            className="w-full flex justify-between items-center text-lg font-bold text-gray-700"
+          >
+            My Availability
+            <span className="text-sm text-green-700">
+              {showAvailability ? "Hide" : "Edit"}
+            </span>
+          </button>
+
+          {showAvailability && !availabilityForm && (
+            <p className="mt-3 text-sm text-gray-500">Loading...</p>
+          )}
+          {showAvailability && availabilityForm && (
+            <div className="mt-3">
+              <AvailabilityFields
+                form={availabilityForm}
+                onChange={(field, value) =>
+                  setAvailabilityForm((prev) => ({ ...prev, [field]: value }))
+                }
+              />
+              <button
+                onClick={handleSaveAvailability}
+                disabled={isSavingAvailability}
+                className="mt-4 py-2 px-4 bg-green-700 text-white rounded-lg disabled:bg-gray-400"
+              >
+                {isSavingAvailability ? "Saving..." : "Save Availability"}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* What the volunteer can carry, so they only get tasks that fit */}
+        <div className="mb-6 bg-white p-4 rounded-xl shadow-lg">
+          <button
+            onClick={() => setShowCapabilities((open) => !open)}
+            className="w-full flex justify-between items-center text-lg font-bold text-gray-700"
+          >
+            My Vehicle &amp; Equipment
+            <span className="text-sm text-green-700">
+              {showCapabilities ? "Hide" : "Edit"}
+            </span>
+          </button>
+
+          {showCapabilities && !capabilityForm && (
+            <p className="mt-3 text-sm text-gray-500">Loading...</p>
+          )}
+          {showCapabilities && capabilityForm && (
+            <div className="mt-3">
+              <CapabilityFields
+                form={capabilityForm}
+                onChange={(field, value) =>
+                  setCapabilityForm((prev) => ({ ...prev, [field]: value }))
+                }
+              />
+              <button
+                onClick={handleSaveCapabilities}
+                disabled={isSavingCapabilities}
+                className="mt-4 py-2 px-4 bg-green-700 text-white rounded-lg disabled:bg-gray-400"
+              >
+                {isSavingCapabilities ? "Saving..." : "Save Vehicle Details"}
+              </button>
+            </div>
+          )}
+        </div>
+
         {/* Active tasks list (assigned, picked up, delivery pending, etc.) */}
         <TaskListView />
+
+        {/* Claimable donations near the volunteer (self-service marketplace) */}
+        <OpenTasksView />
       </div>
     </div>
   );
@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { volunteerService } from "../../services/volunteerService";
+import { DOCUMENT_LABELS, VETTING_STATUS_STYLES } from "../../utils/vetting";
+
+// Queues an admin can look at (same as GET /api/admin/vetting ?status=)
+const QUEUES = [
+  { status: "pending", label: "Waiting for approval" },
+  { status: "suspended", label: "Suspended" },
+  { status: "rejected", label: "Rejected" },
+];
+
+// Admin-only page: review volunteers' documents and approve or reject them.
+const VolunteerVettingScreen = () => {
+  const navigate = useNavigate();
+
+  const [queue, setQueue] = useState("pending");
+  const [volunteers, setVolunteers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  // uid of the volunteer being approved or rejected
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setVolunteers(await volunteerService.getVettingQueue(queue));
+      setError("");
+    } catch (err) {
+      setError(err.message || "Failed to load the review queue.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [queue]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  // Open a volunteer's document in a new tab
+  const handleView = async (uid, documentId) => {
+    try {
+      const url = await volunteerService.getDocumentFileUrl(uid, documentId);
+      window.open(url, "_blank", "noopener");
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleApprove = async (volunteer) => {
+    if (!window.confirm(`Approve ${volunteer.name} as a volunteer?`)) return;
+    setBusyId(volunteer.uid);
+    try {
+      await volunteerService.approveVolunteer(volunteer.uid);
+      await fetchQueue();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReject = async (volunteer) => {
+    const reason = window.prompt(
+      `Why is ${volunteer.name} rejected? They will see this reason.`
+    );
+    if (!reason?.trim()) return;
+    setBusyId(volunteer.uid);
+    try {
+      await volunteerService.rejectVolunteer(volunteer.uid, reason);
+      await fetchQueue();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Top bar with back arrow and title */}
+      <header className="bg-green-700 text-white p-4 flex items-center shadow-lg">
+        <button
+          onClick={() => navigate(-1)}
+          className="text-white mr-4 text-2xl"
+        >
+          &larr;
+        </button>
+        <h1 className="text-xl font-bold">Volunteer Vetting (Admin)</h1>
+      </header>
+
+      <div className="p-5">
+        <div className="flex space-x-2 mb-4">
+          {QUEUES.map((option) => (
+            <button
+              key={option.status}
+              onClick={() => setQueue(option.status)}
+              className={`py-1 px-3 rounded text-sm ${
+                queue === option.status
+                  ? "bg-green-700 text-white"
+                  : "bg-white border border-green-700 text-green-700"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="text-red-600 text-center mb-4">{error}</p>}
+
+        {isLoading ? (
+          <p className="text-gray-500">Loading volunteers...</p>
+        ) : volunteers.length === 0 ? (
+          <p className="text-gray-500">No volunteers in this list.</p>
+        ) : (
+          <ul className="space-y-4">
+            {volunteers.map((volunteer) => {
+              const { vetting } = volunteer;
+              const statusStyle =
+                VETTING_STATUS_STYLES[vetting.status] ||
+                VETTING_STATUS_STYLES.pending;
+
+              return (
+                <li
+                  key={volunteer.uid}
+                  className="bg-white p-4 rounded-xl shadow-md"
+                >
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <p className="font-bold text-gray-800">
+                        {volunteer.name}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {volunteer.email} | {volunteer.phone || "No phone"}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {volunteer.address || "No address"} | Vehicle:{" "}
+                        {volunteer.vehicleType || "not given"}
+                      </p>
+                    </div>
+                    <span
+                      className={`px-2 py-1 rounded text-xs font-semibold ${statusStyle.className}`}
+                    >
+                      {statusStyle.label}
+                    </span>
+                  </div>
+
+                  {vetting.note && (
+                    <p className="mt-2 text-sm text-red-700">
+                      Reason: {vetting.note}
+                    </p>
+                  )}
+                  {vetting.missingDocuments.length > 0 && (
+                    <p className="mt-2 text-sm text-orange-700">
+                      Missing:{" "}
+                      {vetting.missingDocuments
+                        .map((type) => DOCUMENT_LABELS[type])
+                        .join(", ")}
+                    </p>
+                  )}
+
+                  <ul className="mt-2 divide-y text-sm">
+                    {vetting.documents.map((doc) => (
+                      <li
+                        key={doc.documentId}
+                        className="py-2 flex justify-between items-center"
+                      >
+                        <span>
+                          <span className="font-semibold">{doc.label}</span> –
+                          expires {new Date(doc.expiresAt).toLocaleDateString()}{" "}
+                          ({doc.status})
+                        </span>
+                        <button
+                          onClick={() =>
+                            handleView(volunteer.uid, doc.documentId)
+                          }
+                          className="text-green-700 font-semibold"
+                        >
+                          View
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+
+                  <div className="mt-3 flex space-x-2">
+                    <button
+                      onClick={() => handleApprove(volunteer)}
+                      disabled={
+                        busyId === volunteer.uid ||
+                        vetting.missingDocuments.length > 0
+                      }
+                      className="py-1 px-3 bg-green-700 text-white rounded text-sm disabled:bg-gray-400"
+                    >
+                      Approve
+                    </button>
+                    {vetting.status !== "rejected" && (
+                      <button
+                        onClick={() => handleReject(volunteer)}
+                        disabled={busyId === volunteer.uid}
+                        className="py-1 px-3 bg-red-600 text-white rounded text-sm disabled:bg-gray-400"
+                      >
+                        Reject
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VolunteerVettingScreen;
@@ -1,7 +1,12 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { useLocation, useNavigate, useParams } from "react-router-dom";
 import { GoogleMap, Marker, useLoadScript } from "@react-google-maps/api";
 import { donationService } from "../../services/donationService";
+import { formatQuantity } from "../../utils/quantity";
+import { formatWindow } from "../../utils/timeWindow";
+import { getTaskPhase, getTaskLabel } from "../../utils/taskLeg";
+import LineItemList from "../../components/LineItemList";
+import HandoverProof from "../../components/HandoverProof";
 
 // Google Maps configuration
 const libraries = ["places"];
@@ -11,6 +16,10 @@ const mapContainerStyle = {
   borderRadius: "10px",
 };
 
+// Center warnings returned with an assignment, appended to the success alert
+const formatWarnings = (warnings) =>
+  warnings?.length ? `\n\nNote: ${warnings.join(" ")}` : "";
+
 const AdminAssignmentDetailScreen = () => {
   // donationId from the URL, e.g. /admin/assign/:id
   const { id } = useParams();
@@ -37,6 +46,25 @@ const AdminAssignmentDetailScreen = () => {
   const [reportingVolunteer, setReportingVolunteer] = useState(null);
   const [originalVolunteer, setOriginalVolunteer] = useState(null); // currently not used, but reserved for future logic
 
+  // Volunteers whose vehicle or equipment does not fit the donation
+  // (capabilityIssues) are hidden unless the admin asks to see them
+  const [showUnfitVolunteers, setShowUnfitVolunteers] = useState(false);
+  const unfitCount = volunteers.filter(
+    (v) => v.capabilityIssues?.length > 0
+  ).length;
+  const listedVolunteers = showUnfitVolunteers
+    ? volunteers
+    : volunteers.filter((v) => !v.capabilityIssues?.length);
+
+  // Tasks of this donation (with proof of pickup/delivery)
+  const [tasks, setTasks] = useState([]);
+
+  // Handoff codes of the active tasks, loaded on request
+  const [handoffCodes, setHandoffCodes] = useState(null);
+
+  // Admin chose to assign to a center that reported it cannot take the food
+  const [overrideFit, setOverrideFit] = useState(false);
+
   // Load Google Maps script using the API key from env
   const { isLoaded, loadError } = useLoadScript({
     googleMapsApiKey: import.meta.env.VITE_GOOGLE_MAPS_API_KEY,
@@ -65,11 +93,8 @@ const AdminAssignmentDetailScreen = () => {
    * reporting volunteer details, etc.).
    */
   useEffect(() => {
-    if (!donation) {
-      setError("Donation data not available. Please return to the dashboard.");
-      setIsLoading(false);
-      return;
-    }
+    // Opened via a direct link: wait for the donation to be loaded by id
+    if (!donation) return;
 
     // Small helper to fetch volunteer profile by ID and store it in a setter
     const fetchVolunteerDetails = async (volunteerId, setter) => {
@@ -85,25 +110,38 @@ const AdminAssignmentDetailScreen = () => {
     // Load volunteers, distribution locations, and issue info depending on mode
     const fetchAssignmentData = async () => {
       try {
-        // 1) Collection assignment mode: load volunteers sorted by distance to pickup
+        // 1) Collection assignment mode: load volunteers ranked by the matching engine
         if (isPendingCollection) {
-          const pickupCoords = normalizedDonation.pickupLocation?.coordinates;
-          if (pickupCoords) {
-            const volData = await donationService.getVolunteers(pickupCoords);
-            setVolunteers(volData);
-            // Preselect the closest volunteer by default
-            if (volData.length > 0) {
-              setSelectedVolunteerId(volData[0].uid);
-              setSelectedVolunteerName(volData[0].name);
-            }
+          const volData = await donationService.getVolunteerSuggestions(
+            donation.donationId
+          );
+          setVolunteers(volData);
+          // Preselect the best available match by default
+          const bestMatch =
+            volData.find((v) => v.available) ||
+            volData.find((v) => !v.capabilityIssues?.length);
+          if (bestMatch) {
+            setSelectedVolunteerId(bestMatch.uid);
+            setSelectedVolunteerName(bestMatch.name);
           }
+
+          // Centers for a direct delivery (pickup + drop-off in one task)
+          setDistributionLocations(
+            await donationService.getDistributionLocations(donation.donationId)
+          );
         }
 
         // 2) Distribution assignment mode: load dropoff centers and the collector volunteer
         if (isPendingDistribution) {
-          const locData = await donationService.getDistributionLocations();
+          const locData = await donationService.getDistributionLocations(
+            donation.donationId
+          );
           setDistributionLocations(locData);
 
+          // Preselect the best ranked center that can take the food
+          const bestCenter = locData.find((loc) => !loc.fit?.blockers.length);
+          if (bestCenter) setSelectedLocationId(String(bestCenter.id));
+
           // Preselect the volunteer who already collected the donation
           if (donation.collectedByVolunteerId) {
             setSelectedVolunteerId(donation.collectedByVolunteerId);
@@ -120,7 +158,11 @@ const AdminAssignmentDetailScreen = () => {
 
         // 3) Issue resolution mode: load volunteer pool & the volunteer who reported the issue
         if (isIssueReported) {
-          const volData = await donationService.getVolunteers();
+          // Volunteers who cannot work during the task's window come last
+          const volData = await donationService.getVolunteers(
+            null,
+            donation.taskId
+          );
           setVolunteers(volData || []);
 
           await fetchVolunteerDetails(
@@ -138,6 +180,87 @@ const AdminAssignmentDetailScreen = () => {
     fetchAssignmentData();
   }, [donation?.donationId, isIssueMode]);
 
+  /**
+   * Load the donation's tasks (and the donation itself when the screen was
+   * opened without it, e.g. from the late tasks list).
+   */
+  const fetchDonationTasks = useCallback(async () => {
+    try {
+      const response = await donationService.getDonationDetails(id);
+      if (!donation) setDonation(response.donation);
+      setTasks(response.tasks || []);
+    } catch (e) {
+      console.error("Failed to fetch donation tasks:", e);
+      if (!donation) {
+        setError(
+          "Donation data not available. Please return to the dashboard."
+        );
+        setIsLoading(false);
+      }
+    }
+  }, [id, donation]);
+
+  useEffect(() => {
+    fetchDonationTasks();
+  }, [fetchDonationTasks]);
+
+  // Show the pickup/drop-off codes (e.g. to pass on to the receiving center)
+  const handleShowHandoffCodes = async () => {
+    try {
+      setHandoffCodes(
+        await donationService.getHandoffCodes(donation.donationId)
+      );
+    } catch (err) {
+      alert(`Could not load handoff codes: ${err.message}`);
+    }
+  };
+
+  // Issue a new code for a task, e.g. after the volunteer was locked out
+  const handleRegenerateCode = async (task) => {
+    if (
+      !window.confirm(
+        "Issue a new handoff code? The old code stops working immediately."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const result = await donationService.regenerateHandoffCode(task.taskId);
+      setHandoffCodes((prev) => ({
+        ...prev,
+        [getTaskPhase(task) === "collection" ? "pickupCode" : "dropoffCode"]:
+          result.handoffCode,
+      }));
+      fetchDonationTasks();
+    } catch (err) {
+      alert(`Could not issue a new code: ${err.message}`);
+    }
+  };
+
+  /**
+   * Admin: let the volunteer complete a task although their device is far
+   * from the pickup/drop-off point (e.g. the pin was placed wrongly).
+   */
+  const handleLocationOverride = async (task) => {
+    const reason = window.prompt(
+      "Why may this task be completed away from its location?"
+    );
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert("A reason is required.");
+      return;
+    }
+
+    try {
+      await donationService.overrideTaskLocation(task.taskId, reason.trim());
+      alert("The volunteer can now complete the task from their location.");
+      fetchDonationTasks();
+    } catch (err) {
+      alert(`Override failed: ${err.message}`);
+    }
+  };
+
   /**
    * Admin: assign a collection task to the selected volunteer.
    * Uses /assign-collection-task API and then returns to admin dashboard.
@@ -169,6 +292,84 @@ const AdminAssignmentDetailScreen = () => {
     }
   };
 
+  /**
+   * Admin: assign one volunteer to pick the donation up and take it straight
+   * to the selected center, skipping the separate distribution assignment.
+   */
+  const handleAssignDirectDelivery = async () => {
+    if (!selectedVolunteerId || !selectedLocationId) {
+      setError("Please select a volunteer and a drop-off center.");
+      return;
+    }
+
+    setIsAssigning(true);
+    setError("");
+
+    try {
+      const result = await donationService.assignDirectDeliveryTask(
+        donation.donationId,
+        selectedVolunteerId,
+        selectedLocationId,
+        overrideFit
+      );
+      alert(
+        `Direct delivery successfully assigned to ${selectedVolunteerName}!${formatWarnings(
+          result.warnings
+        )}`
+      );
+      navigate("/admin");
+    } catch (err) {
+      setError(
+        `Direct delivery assignment failed: ${
+          err.message || "Check network connection."
+        }`
+      );
+    } finally {
+      setIsAssigning(false);
+    }
+  };
+
+  /**
+   * Admin: allow or block volunteers from claiming this donation themselves.
+   */
+  const handleToggleClaiming = async () => {
+    const enabled = donation.claimingEnabled === false;
+    setError("");
+
+    try {
+      const updated = await donationService.setDonationClaiming(
+        donation.donationId,
+        enabled
+      );
+      setDonation({ ...donation, claimingEnabled: updated.claimingEnabled });
+    } catch (err) {
+      setError(`Could not update claiming: ${err.message}`);
+    }
+  };
+
+  /**
+   * Admin: let the matching engine choose the best available volunteer
+   * and assign the collection task in one step.
+   */
+  const handleAutoAssignCollectionTask = async () => {
+    setIsAssigning(true);
+    setError("");
+
+    try {
+      const result = await donationService.autoAssignCollectionTask(
+        donation.donationId
+      );
+      alert(result.message || "Collection task auto-assigned!");
+      navigate("/admin");
+    } catch (err) {
+      setError(
+        `Auto-assignment failed: ${err.message || "Check network connection."}`
+      );
+    } finally {
+      setIsAssigning(false);
+    }
+  };
+
   /**
    * Admin: assign a distribution task (dropoff) for an already collected donation.
    * Needs both volunteer (usually collector) and distribution location.
@@ -183,12 +384,17 @@ const AdminAssignmentDetailScreen = () => {
     setError("");
 
     try {
-      await donationService.assignDistributionTask(
+      const result = await donationService.assignDistributionTask(
         donation.donationId,
         selectedVolunteerId,
-        selectedLocationId
+        selectedLocationId,
+        overrideFit
+      );
+      alert(
+        `Distribution task assigned successfully!${formatWarnings(
+          result.warnings
+        )}`
       );
-      alert("Distribution task assigned successfully!");
       navigate("/admin");
     } catch (err) {
       setError(
@@ -221,8 +427,8 @@ const AdminAssignmentDetailScreen = () => {
 
         // Pick selected volunteer, or the first in list as fallback
         let selectedVol = selectedVolunteerId;
-        if (!selectedVol && volunteers.length > 0) {
-          selectedVol = volunteers[0].uid;
+        if (!selectedVol && listedVolunteers.length > 0) {
+          selectedVol = listedVolunteers[0].uid;
         }
 
         if (!selectedVol) {
@@ -271,8 +477,92 @@ const AdminAssignmentDetailScreen = () => {
     const addressText = user.homeLocation?.address
       ? ` | Address: ${user.homeLocation.address}`
       : "";
+    // Matching details are only present on server-ranked suggestions
+    const matchText =
+      user.score !== undefined
+        ? ` | Match: ${Math.round(user.score * 100)}% | Active tasks: ${
+            user.activeTasks
+          }${user.hasOverlappingTask ? " | BUSY IN THIS WINDOW" : ""}${
+            user.availabilityIssue ? ` | ${user.availabilityIssue}` : ""
+          }${user.available ? "" : " | UNAVAILABLE"}`
+        : "";
+    const capabilityText = user.capabilityIssues?.length
+      ? ` | DOES NOT FIT: ${user.capabilityIssues.join(" ")}`
+      : "";
+    const ratingText = user.reviewCount
+      ? ` | Rating: ${user.rating.toFixed(1)} (${user.reviewCount} reviews)`
+      : "";
 
-    return `${user.name} ${distanceText}${phoneText}${addressText}`;
+    return `${user.name} ${distanceText}${matchText}${capabilityText}${ratingText}${phoneText}${addressText}`;
+  };
+
+  // Checkbox to list volunteers whose vehicle or equipment does not fit
+  const renderUnfitToggle = () =>
+    unfitCount > 0 && (
+      <label className="flex items-center text-sm text-gray-600 mb-3">
+        <input
+          type="checkbox"
+          checked={showUnfitVolunteers}
+          onChange={(e) => setShowUnfitVolunteers(e.target.checked)}
+          className="mr-2"
+        />
+        Show {unfitCount} volunteer(s) whose vehicle or equipment does not fit
+        this donation
+      </label>
+    );
+
+  // Build readable text for a center option: distance, space left, problems
+  const formatCenterOption = (loc) => {
+    if (!loc.fit) return `${loc.name} | ${loc.address}`;
+    const distanceText =
+      loc.fit.distanceKm !== null ? ` | ${loc.fit.distanceKm} km` : "";
+    const spaceText =
+      loc.fit.freeKg !== null ? ` | ${loc.fit.freeKg} kg free` : "";
+    const problemText = loc.fit.blockers.length ? " | CANNOT TAKE THIS" : "";
+    return `${loc.name}${distanceText}${spaceText}${problemText} | ${loc.address}`;
+  };
+
+  // Change the chosen center; an override only applies to one center
+  const handleSelectLocation = (locationId) => {
+    setSelectedLocationId(locationId);
+    setOverrideFit(false);
+  };
+
+  /**
+   * UI block: why the selected center may not be a good fit
+   * (blockers need an explicit override, warnings are informational).
+   */
+  const renderCenterFit = () => {
+    const fit = distributionLocations.find(
+      (loc) => String(loc.id) === String(selectedLocationId)
+    )?.fit;
+    if (!fit || (!fit.blockers.length && !fit.warnings.length)) return null;
+
+    return (
+      <div className="text-sm mb-4 p-3 rounded-lg border border-orange-200 bg-orange-50">
+        {fit.blockers.map((blocker) => (
+          <p key={blocker} className="text-red-700 font-semibold">
+            {blocker}
+          </p>
+        ))}
+        {fit.warnings.map((warning) => (
+          <p key={warning} className="text-orange-700">
+            {warning}
+          </p>
+        ))}
+        {fit.blockers.length > 0 && (
+          <label className="flex items-center mt-2 text-gray-800 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={overrideFit}
+              onChange={(e) => setOverrideFit(e.target.checked)}
+              className="mr-2 h-4 w-4 accent-red-700"
+            />
+            Assign to this center anyway
+          </label>
+        )}
+      </div>
+    );
   };
 
   /**
@@ -282,12 +572,16 @@ const AdminAssignmentDetailScreen = () => {
   const renderCollectionAssignment = () => (
     <>
       <h3 className="text-2xl font-bold text-green-700 mb-3">
-        Select Volunteer (Sorted by Proximity)
+        Select Volunteer (Best Match First)
       </h3>
       <hr className="border-green-700 mb-4" />
 
-      {volunteers.length === 0 ? (
-        <p className="text-gray-500">No active volunteers available.</p>
+      {renderUnfitToggle()}
+
+      {listedVolunteers.length === 0 ? (
+        <p className="text-gray-500">
+          No active volunteers found near this pickup location.
+        </p>
       ) : (
         <div className="relative mb-6">
           <select
@@ -303,7 +597,7 @@ const AdminAssignmentDetailScreen = () => {
             <option value="" disabled>
               Choose a Volunteer
             </option>
-            {volunteers.map((user) => (
+            {listedVolunteers.map((user) => (
               <option key={user.uid} value={user.uid}>
                 {formatVolunteerOption(user)}
               </option>
@@ -325,6 +619,51 @@ const AdminAssignmentDetailScreen = () => {
       >
         {isAssigning ? "Assigning..." : "Assign Collection Task"}
       </button>
+
+      <button
+        onClick={handleAutoAssignCollectionTask}
+        disabled={isAssigning || volunteers.length === 0}
+        className={`w-full mt-3 py-3 text-lg font-bold rounded-lg shadow transition duration-150 ease-in-out border-2 ${
+          isAssigning || volunteers.length === 0
+            ? "border-green-700/50 text-green-700/50 cursor-not-allowed"
+            : "border-green-700 text-green-700 hover:bg-green-50"
+        }`}
+      >
+        Auto-Assign Best Match
+      </button>
+
+      {/* Direct delivery: the same volunteer takes the food to a center */}
+      <h4 className="font-bold text-gray-700 mt-6 mb-2">
+        Or deliver directly to a center:
+      </h4>
+      <div className="relative mb-3">
+        <select
+          value={selectedLocationId}
+          onChange={(e) => handleSelectLocation(e.target.value)}
+          className="w-full p-3 border-2 border-blue-700 rounded-lg appearance-none bg-white text-gray-800"
+        >
+          <option value="">Choose a Center</option>
+          {distributionLocations.map((loc) => (
+            <option key={loc.id} value={loc.id}>
+              {formatCenterOption(loc)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {renderCenterFit()}
+
+      <button
+        onClick={handleAssignDirectDelivery}
+        disabled={isAssigning || !selectedVolunteerId || !selectedLocationId}
+        className={`w-full py-3 text-lg font-bold rounded-lg shadow transition duration-150 ease-in-out ${
+          isAssigning || !selectedVolunteerId || !selectedLocationId
+            ? "bg-blue-600/50 text-white cursor-not-allowed"
+            : "bg-blue-600 text-white hover:bg-blue-700"
+        }`}
+      >
+        Assign Direct Delivery (Pickup + Dropoff)
+      </button>
     </>
   );
 
@@ -348,7 +687,7 @@ const AdminAssignmentDetailScreen = () => {
       <div className="relative mb-4">
         <select
           value={selectedLocationId}
-          onChange={(e) => setSelectedLocationId(e.target.value)}
+          onChange={(e) => handleSelectLocation(e.target.value)}
           className="w-full p-3 border-2 border-blue-700 rounded-lg appearance-none bg-white text-gray-800"
         >
           <option value="" disabled>
@@ -356,12 +695,14 @@ const AdminAssignmentDetailScreen = () => {
           </option>
           {distributionLocations.map((loc) => (
             <option key={loc.id} value={loc.id}>
-              {loc.name} | {loc.address}
+              {formatCenterOption(loc)}
             </option>
           ))}
         </select>
       </div>
 
+      {renderCenterFit()}
+
       {error && <p className="text-red-600 text-center mb-4">{error}</p>}
 
       <button
@@ -415,7 +756,9 @@ const AdminAssignmentDetailScreen = () => {
       <div className="space-y-3">
         <p className="font-bold text-gray-700">Actions:</p>
 
-        {volunteers.length > 0 && (
+        {renderUnfitToggle()}
+
+        {listedVolunteers.length > 0 && (
           <div className="mb-3">
             <label className="block text-sm font-semibold text-gray-700 mb-2">
               Select Volunteer for Reassignment:
@@ -432,12 +775,18 @@ const AdminAssignmentDetailScreen = () => {
               className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500"
             >
               <option value="">-- Choose a volunteer --</option>
-              {volunteers.map((vol) => (
+              {listedVolunteers.map((vol) => (
                 <option key={vol.uid} value={vol.uid}>
                   {vol.name}{" "}
                   {vol.distanceKm && vol.distanceKm !== Infinity
                     ? `(${vol.distanceKm.toFixed(1)}km)`
                     : ""}
+                  {vol.availabilityIssue
+                    ? ` | UNAVAILABLE: ${vol.availabilityIssue}`
+                    : ""}
+                  {vol.capabilityIssues?.length
+                    ? ` | DOES NOT FIT: ${vol.capabilityIssues.join(" ")}`
+                    : ""}
                 </option>
               ))}
             </select>
@@ -563,15 +912,165 @@ const AdminAssignmentDetailScreen = () => {
         <div className="bg-white p-4 rounded-lg shadow">
           {getDetailRow(
             "Item & Quantity",
-            `${normalizedDonation?.itemType} (${normalizedDonation?.quantity})`
+            `${normalizedDonation?.itemType} (${formatQuantity(
+              normalizedDonation?.quantity
+            )})`
           )}
           {getDetailRow("Pickup Address", normalizedDonation?.pickupAddress)}
           {getDetailRow(
-            "Available From",
-            formatDate(normalizedDonation?.availabilityTime)
+            "Pickup Window",
+            formatWindow(
+              normalizedDonation?.availabilityTime,
+              normalizedDonation?.pickupWindowEnd
+            )
           )}
+          {normalizedDonation?.dropoffWindowStart &&
+            getDetailRow(
+              "Drop-off Window",
+              formatWindow(
+                normalizedDonation.dropoffWindowStart,
+                normalizedDonation.dropoffWindowEnd
+              )
+            )}
           {getDetailRow("Notes", normalizedDonation?.notes || "N/A")}
+          {normalizedDonation?.items?.length > 0 && (
+            <div className="mt-3">
+              <p className="font-semibold text-gray-600 mb-1">Items</p>
+              <LineItemList items={normalizedDonation.items} />
+            </div>
+          )}
+          {(isPendingCollection || isPendingDistribution) && (
+            <label className="flex items-center mt-3 text-gray-800 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={donation?.claimingEnabled !== false}
+                onChange={handleToggleClaiming}
+                className="mr-2 h-4 w-4 accent-green-700"
+              />
+              Volunteers can claim this donation from the open tasks feed
+            </label>
+          )}
         </div>
+
+        {/* Tasks with proof of pickup/delivery and location overrides */}
+        {tasks.length > 0 && (
+          <>
+            <h3 className="text-2xl font-bold text-green-700 mb-3 mt-8">
+              Tasks
+            </h3>
+            <hr className="border-green-700 mb-4" />
+
+            <ul className="bg-white p-4 rounded-lg shadow space-y-4">
+              {tasks.map((task) => {
+                const isActive = ["pending", "assigned", "enRoute"].includes(
+                  task.status
+                );
+                return (
+                  <li key={task.taskId} className="text-sm text-gray-700">
+                    <p className="font-semibold">
+                      {getTaskLabel(task)} – {task.status}
+                      <span className="text-gray-500 font-normal">
+                        {" "}
+                        (volunteer {task.volunteerId})
+                      </span>
+                    </p>
+                    {task.pickupProof && (
+                      <HandoverProof task={task} leg="pickup" />
+                    )}
+                    {task.proof && <HandoverProof task={task} />}
+                    {task.failedHandoffAttempts?.length > 0 && (
+                      <p className="text-xs text-red-600">
+                        Wrong handoff codes entered:{" "}
+                        {task.failedHandoffAttempts.length} (last{" "}
+                        {formatDate(
+                          task.failedHandoffAttempts[
+                            task.failedHandoffAttempts.length - 1
+                          ].attemptedAt
+                        )}
+                        )
+                      </p>
+                    )}
+                    {isActive &&
+                      handoffCodes &&
+                      getTaskPhase(task) === "collection" && (
+                        <p className="text-xs text-gray-700">
+                          Pickup code:{" "}
+                          <span className="font-bold tracking-widest">
+                            {handoffCodes.pickupCode || "none"}
+                          </span>
+                        </p>
+                      )}
+                    {isActive &&
+                      handoffCodes &&
+                      task.taskType !== "collection" && (
+                        <p className="text-xs text-gray-700">
+                          Drop-off code:{" "}
+                          <span className="font-bold tracking-widest">
+                            {handoffCodes.dropoffCode || "none"}
+                          </span>
+                        </p>
+                      )}
+                    {isActive && (
+                      <div className="flex gap-3">
+                        {!handoffCodes && (
+                          <button
+                            onClick={handleShowHandoffCodes}
+                            className="text-xs font-semibold text-green-700 hover:underline"
+                          >
+                            Show handoff code
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleRegenerateCode(task)}
+                          className="text-xs font-semibold text-green-700 hover:underline"
+                        >
+                          Issue new code
+                        </button>
+                      </div>
+                    )}
+                    {isActive && task.locationOverride?.grantedAt && (
+                      <p className="text-xs text-orange-600">
+                        May complete away from location:{" "}
+                        {task.locationOverride.reason}
+                      </p>
+                    )}
+                    {isActive && !task.locationOverride?.grantedAt && (
+                      <button
+                        onClick={() => handleLocationOverride(task)}
+                        className="text-xs font-semibold text-orange-700 hover:underline"
+                      >
+                        Allow completion away from location
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+
+        {/* Status history (who changed the donation status, when and why) */}
+        {donation?.statusHistory?.length > 0 && (
+          <>
+            <h3 className="text-2xl font-bold text-green-700 mb-3 mt-8">
+              Status History
+            </h3>
+            <hr className="border-green-700 mb-4" />
+
+            <ul className="bg-white p-4 rounded-lg shadow space-y-2">
+              {donation.statusHistory.map((entry, index) => (
+                <li key={index} className="text-sm text-gray-700">
+                  <span className="font-semibold">
+                    {formatDate(entry.changedAt)}
+                  </span>
+                  : {entry.from || "created"} &rarr; {entry.to}
+                  {entry.reason ? ` (${entry.reason})` : ""}
+                  <span className="text-gray-500"> by {entry.changedBy}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
       </div>
     </div>
   );
@@ -2,17 +2,46 @@ import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import axios from "axios";
 import { donationService } from "../../services/donationService";
+import { scheduleService } from "../../services/scheduleService";
+import { ALLERGENS, QUANTITY_UNITS } from "../../utils/quantity";
+// Same request schemas the server checks the donation and schedule against
+import { validate, firstError } from "@shared/validation.mjs";
+import { DonationPostSchema, ScheduleSchema } from "@shared/schemas.mjs";
+
+// A blank line item as shown in the form
+const emptyItem = () => ({
+  itemType: "Prepared Food",
+  name: "",
+  amount: "",
+  unit: "kg",
+  estimatedWeightKg: "",
+  allergens: [],
+});
 
 const DonationPostScreen = () => {
   const navigate = useNavigate();
 
   // Form fields for the donation
-  const [itemType, setItemType] = useState("Prepared Food");
-  const [quantity, setQuantity] = useState("");
+  // Line items: each with its own category, quantity and allergens
+  const [items, setItems] = useState([emptyItem()]);
   const [notes, setNotes] = useState("");
   const [selectedDate, setSelectedDate] = useState("");
   const [selectedTime, setSelectedTime] = useState("");
 
+  // Food safety: best-before date/time and how the food must be stored
+  const [expiryDate, setExpiryDate] = useState("");
+  const [expiryTime, setExpiryTime] = useState("");
+  const [storageRequirement, setStorageRequirement] = useState("ambient");
+
+  // Recurring donation: repeat this donation on a schedule instead of once
+  const [isRecurring, setIsRecurring] = useState(false);
+  const [frequency, setFrequency] = useState("weekly");
+  const [weekdays, setWeekdays] = useState([]);
+  const [dayOfMonth, setDayOfMonth] = useState(1);
+  const [endDate, setEndDate] = useState("");
+  const [windowEndTime, setWindowEndTime] = useState("");
+  const [shelfLifeHours, setShelfLifeHours] = useState("");
+
   // Location-related state: coordinates + human-readable address
   const [pickupLocation, setPickupLocation] = useState(null);
   const [pickupAddress, setPickupAddress] = useState("");
@@ -31,6 +60,23 @@ const DonationPostScreen = () => {
     "Other Item",
   ];
 
+  // Categories that spoil quickly and therefore need an expiry time
+  const perishableItemTypes = ["Prepared Food", "Produce"];
+  const perishableItem = items.find((item) =>
+    perishableItemTypes.includes(item.itemType)
+  );
+  const isPerishable = !!perishableItem;
+
+  // Storage options (must match the backend StorageRequirement list)
+  const storageOptions = [
+    { value: "ambient", label: "Ambient (room temperature)" },
+    { value: "chilled", label: "Chilled (refrigerated)" },
+    { value: "frozen", label: "Frozen" },
+  ];
+
+  // Weekday labels for weekly schedules (index = JS day number)
+  const weekdayLabels = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
   // Backend endpoint that converts GPS coordinates → address string
   const GEOCODING_NODE_ENDPOINT = "/api/geocoding/reverse";
 
@@ -42,6 +88,37 @@ const DonationPostScreen = () => {
     if (isError) alert(`Error: ${message}`);
   };
 
+  // Update one field of a line item
+  const updateItem = (index, field, value) => {
+    setItems((prev) =>
+      prev.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    );
+  };
+
+  // Tick / untick an allergen on a line item
+  const toggleAllergen = (index, allergen) => {
+    const current = items[index].allergens;
+    updateItem(
+      index,
+      "allergens",
+      current.includes(allergen)
+        ? current.filter((a) => a !== allergen)
+        : [...current, allergen]
+    );
+  };
+
+  // Tick / untick a weekday on a weekly schedule
+  const toggleWeekday = (day) => {
+    setWeekdays((prev) =>
+      prev.includes(day) ? prev.filter((d) => d !== day) : [...prev, day]
+    );
+  };
+
+  const addItem = () => setItems((prev) => [...prev, emptyItem()]);
+
+  const removeItem = (index) =>
+    setItems((prev) => prev.filter((_, i) => i !== index));
+
   // On mount: try to auto-capture current location so donor doesn’t have to click
   useEffect(() => {
     handleGetLocation();
@@ -99,17 +176,94 @@ const DonationPostScreen = () => {
     }
   };
 
+  // Line items in the shape the backend expects
+  const buildItemsPayload = () =>
+    items.map((item) => ({
+      itemType: item.itemType,
+      name: item.name || undefined,
+      quantity: {
+        amount: Number(item.amount),
+        unit: item.unit,
+        estimatedWeightKg:
+          item.estimatedWeightKg !== "" ? Number(item.estimatedWeightKg) : null,
+      },
+      allergens: item.allergens,
+    }));
+
+  /**
+   * Create a recurring schedule from the form instead of a single donation.
+   * The selected date/time become the first day and the pickup window start.
+   */
+  const handleCreateSchedule = async () => {
+    if (!windowEndTime) {
+      showSnackbar("Please choose when the pickup window ends.", true);
+      return;
+    }
+    if (frequency === "weekly" && weekdays.length === 0) {
+      showSnackbar("Please choose at least one weekday.", true);
+      return;
+    }
+    if (isPerishable && !(Number(shelfLifeHours) >= 1)) {
+      showSnackbar(
+        `Please enter how many hours ${perishableItem.itemType} stays fresh.`,
+        true
+      );
+      return;
+    }
+
+    const scheduleData = {
+      frequency,
+      weekdays,
+      dayOfMonth: Number(dayOfMonth),
+      startDate: selectedDate,
+      endDate: endDate || null,
+      template: {
+        items: buildItemsPayload(),
+        notes: notes || null,
+        pickupAddress,
+        pickupLocation: {
+          coordinates: [pickupLocation.lng, pickupLocation.lat],
+        },
+        windowStart: selectedTime,
+        windowEnd: windowEndTime,
+        storageRequirement,
+        shelfLifeHours: shelfLifeHours ? Number(shelfLifeHours) : null,
+      },
+    };
+
+    const scheduleError = firstError(validate(ScheduleSchema, scheduleData));
+    if (scheduleError) {
+      showSnackbar(scheduleError, true);
+      return;
+    }
+
+    setIsPosting(true);
+    setError("");
+
+    try {
+      await scheduleService.createSchedule(scheduleData);
+
+      showSnackbar("Recurring donation scheduled!");
+      navigate("/donor-dashboard");
+    } catch (e) {
+      showSnackbar(`Failed to create schedule: ${e.message}`, true);
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
   /**
    * Submit handler for the donation form.
-   * Validates required fields, builds a payload, and sends it to the backend
-   * using donationService.postNewDonation().
+   * Validates required fields, builds a payload, checks it against
+   * DonationPostSchema and sends it to the backend using
+   * donationService.postNewDonation().
    */
   const handlePostDonation = async (e) => {
     e.preventDefault();
 
     // Basic validation: all these fields are required
     if (
-      !quantity ||
+      items.some((item) => !item.amount) ||
       !selectedDate ||
       !selectedTime ||
       !pickupLocation ||
@@ -122,6 +276,26 @@ const DonationPostScreen = () => {
       return;
     }
 
+    // Window end is optional for one-off donations (backend defaults to 2h)
+    if (windowEndTime && windowEndTime <= selectedTime) {
+      showSnackbar("Pickup window end must be after the start time.", true);
+      return;
+    }
+
+    if (isRecurring) {
+      await handleCreateSchedule();
+      return;
+    }
+
+    // Perishable food needs a best-before time so admins can prioritise it
+    if (isPerishable && (!expiryDate || !expiryTime)) {
+      showSnackbar(
+        `Please enter an expiry date and time for ${perishableItem.itemType}.`,
+        true
+      );
+      return;
+    }
+
     setIsPosting(true);
     setError("");
 
@@ -129,19 +303,39 @@ const DonationPostScreen = () => {
       // Combine date + time into one Date object for availability window
       const availabilityDateTime = new Date(`${selectedDate}T${selectedTime}`);
 
+      // Expiry is optional for non-perishables
+      const expiryDateTime =
+        expiryDate && expiryTime
+          ? new Date(`${expiryDate}T${expiryTime}`)
+          : null;
+
       // Build the payload expected by the backend donation API
       const donationData = {
-        itemType,
-        quantity,
+        items: buildItemsPayload(),
         notes: notes || null,
         pickupAddress,
         availabilityTime: availabilityDateTime.toISOString(),
+        pickupWindowEnd: windowEndTime
+          ? new Date(`${selectedDate}T${windowEndTime}`).toISOString()
+          : null,
+        expiresAt: expiryDateTime ? expiryDateTime.toISOString() : null,
+        storageRequirement,
         pickupLocation: {
           // Store coordinates as [lng, lat] to follow GeoJSON convention
           coordinates: [pickupLocation.lng, pickupLocation.lat],
         },
       };
 
+      // Check the payload the same way the server will (e.g. item amounts
+      // above 0, expiry in the future)
+      const donationError = firstError(
+        validate(DonationPostSchema, donationData)
+      );
+      if (donationError) {
+        showSnackbar(donationError, true);
+        return;
+      }
+
       // POST to /api/donations/post via donationService
       await donationService.postNewDonation(donationData);
 
@@ -160,6 +354,10 @@ const DonationPostScreen = () => {
 
   const accentGold = "text-yellow-600";
 
+  const submitLabel = isRecurring
+    ? "Schedule Recurring Donation"
+    : "Post Donation";
+
   // Shared Tailwind classes for consistent input styling
   const inputStyleClass =
     "w-full p-3 border border-gray-300 rounded-lg text-base focus:ring-green-700 focus:border-green-700";
@@ -186,38 +384,177 @@ const DonationPostScreen = () => {
           </h3>
           <hr className="border-green-700 mb-5" />
 
-          {/* Item type dropdown */}
+          {/* Line items: one card per item in the donation */}
+          {items.map((item, index) => (
+            <div
+              key={index}
+              className="mb-4 p-4 bg-white border border-gray-200 rounded-lg"
+            >
+              <div className="flex justify-between items-center mb-2">
+                <p className="font-semibold text-gray-700">Item {index + 1}</p>
+                {items.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => removeItem(index)}
+                    className="text-sm text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+
+              {/* Category + optional description */}
+              <div className="flex gap-3 mb-3">
+                <select
+                  value={item.itemType}
+                  onChange={(e) =>
+                    updateItem(index, "itemType", e.target.value)
+                  }
+                  className={inputStyleClass}
+                >
+                  {itemTypes.map((type) => (
+                    <option key={type} value={type}>
+                      {type}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={item.name}
+                  onChange={(e) => updateItem(index, "name", e.target.value)}
+                  className={inputStyleClass}
+                  placeholder="Description (e.g., Pasta)"
+                />
+              </div>
+
+              {/* Quantity: amount + unit */}
+              <div className="flex gap-3 mb-3">
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={item.amount}
+                  onChange={(e) => updateItem(index, "amount", e.target.value)}
+                  className={inputStyleClass}
+                  placeholder="Amount"
+                  required
+                />
+                <select
+                  value={item.unit}
+                  onChange={(e) => updateItem(index, "unit", e.target.value)}
+                  className={inputStyleClass}
+                >
+                  {QUANTITY_UNITS.map((unit) => (
+                    <option key={unit.value} value={unit.value}>
+                      {unit.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Weight estimate for count-based units (boxes, trays, ...) */}
+              {!["kg", "lbs"].includes(item.unit) && (
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={item.estimatedWeightKg}
+                  onChange={(e) =>
+                    updateItem(index, "estimatedWeightKg", e.target.value)
+                  }
+                  className={`${inputStyleClass} mb-3`}
+                  placeholder="Estimated weight in kg (Optional)"
+                />
+              )}
+
+              {/* Allergens */}
+              <p className="text-sm font-semibold mb-1">Contains</p>
+              <div className="flex flex-wrap gap-x-4 gap-y-1">
+                {ALLERGENS.map((allergen) => (
+                  <label
+                    key={allergen}
+                    className="flex items-center text-sm text-gray-700"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={item.allergens.includes(allergen)}
+                      onChange={() => toggleAllergen(index, allergen)}
+                      className="mr-1"
+                    />
+                    {allergen}
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <button
+            type="button"
+            onClick={addItem}
+            className="mb-6 text-sm font-semibold text-green-700 hover:underline"
+          >
+            + Add another item
+          </button>
+
+          {/* Storage requirement dropdown */}
           <div className="mb-4">
             <label className="block text-sm font-semibold mb-1">
-              Item Type
+              Storage Requirement
             </label>
             <select
-              value={itemType}
-              onChange={(e) => setItemType(e.target.value)}
+              value={storageRequirement}
+              onChange={(e) => setStorageRequirement(e.target.value)}
               className={inputStyleClass}
             >
-              {itemTypes.map((type) => (
-                <option key={type} value={type}>
-                  {type}
+              {storageOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
                 </option>
               ))}
             </select>
           </div>
 
-          {/* Quantity input */}
-          <div className="mb-4">
-            <label className="block text-sm font-semibold mb-1">
-              Quantity (e.g., 50 lbs, 3 boxes)
-            </label>
-            <input
-              type="text"
-              value={quantity}
-              onChange={(e) => setQuantity(e.target.value)}
-              className={inputStyleClass}
-              placeholder="Enter quantity"
-              required
-            />
-          </div>
+          {/* Recurring: shelf life instead of a fixed expiry date */}
+          {isRecurring ? (
+            <div className="mb-4">
+              <label className="block text-sm font-semibold mb-1">
+                Stays Fresh For (hours after pickup starts){" "}
+                {isPerishable ? "" : "(Optional)"}
+              </label>
+              <input
+                type="number"
+                min="1"
+                value={shelfLifeHours}
+                onChange={(e) => setShelfLifeHours(e.target.value)}
+                className={inputStyleClass}
+                placeholder="e.g., 12"
+                required={isPerishable}
+              />
+            </div>
+          ) : (
+            /* Best-before / expiry date + time (required for perishables) */
+            <div className="mb-4">
+              <label className="block text-sm font-semibold mb-1">
+                Best Before / Expiry {isPerishable ? "" : "(Optional)"}
+              </label>
+              <div className="flex gap-3">
+                <input
+                  type="date"
+                  value={expiryDate}
+                  onChange={(e) => setExpiryDate(e.target.value)}
+                  className={inputStyleClass}
+                  required={isPerishable}
+                />
+                <input
+                  type="time"
+                  value={expiryTime}
+                  onChange={(e) => setExpiryTime(e.target.value)}
+                  className={inputStyleClass}
+                  required={isPerishable}
+                />
+              </div>
+            </div>
+          )}
 
           {/* Optional notes for special instructions */}
           <div className="mb-6">
@@ -237,7 +574,80 @@ const DonationPostScreen = () => {
           <h3 className="text-xl font-bold text-green-700">Pickup Details</h3>
           <hr className="border-green-700 mb-5" />
 
-          {/* Availability date + time fields */}
+          {/* One-off donation or a recurring schedule */}
+          <label className="flex items-center mb-4 text-gray-800 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={isRecurring}
+              onChange={(e) => setIsRecurring(e.target.checked)}
+              className="mr-2 h-4 w-4 accent-green-700"
+            />
+            Repeat this donation on a schedule
+          </label>
+
+          {isRecurring && (
+            <div className="mb-4 p-4 bg-white border border-gray-200 rounded-lg">
+              <label className="block text-sm font-semibold mb-1">
+                Repeats
+              </label>
+              <select
+                value={frequency}
+                onChange={(e) => setFrequency(e.target.value)}
+                className={`${inputStyleClass} mb-3`}
+              >
+                <option value="daily">Daily</option>
+                <option value="weekly">Weekly</option>
+                <option value="monthly">Monthly</option>
+              </select>
+
+              {frequency === "weekly" && (
+                <div className="flex flex-wrap gap-x-4 gap-y-1 mb-3">
+                  {weekdayLabels.map((label, day) => (
+                    <label
+                      key={label}
+                      className="flex items-center text-sm text-gray-700"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={weekdays.includes(day)}
+                        onChange={() => toggleWeekday(day)}
+                        className="mr-1"
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              {frequency === "monthly" && (
+                <div className="mb-3">
+                  <label className="block text-sm font-semibold mb-1">
+                    Day of the Month
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="31"
+                    value={dayOfMonth}
+                    onChange={(e) => setDayOfMonth(e.target.value)}
+                    className={inputStyleClass}
+                  />
+                </div>
+              )}
+
+              <label className="block text-sm font-semibold mb-1">
+                Last Day (Optional)
+              </label>
+              <input
+                type="date"
+                value={endDate}
+                onChange={(e) => setEndDate(e.target.value)}
+                className={inputStyleClass}
+              />
+            </div>
+          )}
+
+          {/* Pickup date + window start (first day when recurring) */}
           <div className="mb-4 flex gap-3">
             <input
               type="date"
@@ -254,6 +664,23 @@ const DonationPostScreen = () => {
               required
             />
           </div>
+          <div className="mb-4">
+            <label className="block text-sm font-semibold mb-1">
+              Pickup Window Ends At{isRecurring ? "" : " (Optional)"}
+            </label>
+            <input
+              type="time"
+              value={windowEndTime}
+              onChange={(e) => setWindowEndTime(e.target.value)}
+              className={inputStyleClass}
+              required={isRecurring}
+            />
+            {!isRecurring && (
+              <p className="text-xs text-gray-500 mt-1">
+                Leave empty for a 2-hour window from the start time.
+              </p>
+            )}
+          </div>
           {!isDateTimeSelected && (
             <p className="text-red-600 text-xs mb-4">
               Please select a date and time.
@@ -317,7 +744,7 @@ const DonationPostScreen = () => {
                 : "bg-green-700 text-white hover:bg-green-800 shadow-green-700/50"
             }`}
           >
-            {isPosting ? "Posting..." : "Post Donation"}
+            {isPosting ? "Posting..." : submitLabel}
           </button>
         </form>
       </div>
@@ -1,6 +1,12 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
+import { getAuth } from "firebase/auth";
 import { donationService } from "../../services/donationService";
+import { formatQuantity } from "../../utils/quantity";
+import LineItemList from "../../components/LineItemList";
+import HandoverProof from "../../components/HandoverProof";
+import PendingReviews from "../../components/PendingReviews";
+import UserReviews from "../../components/UserReviews";
 
 const DonorHistoryScreen = () => {
   const navigate = useNavigate();
@@ -12,8 +18,18 @@ const DonorHistoryScreen = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState("");
 
+  // Proof of pickup/delivery per donationId, loaded when the donor opens it
+  const [proofTasks, setProofTasks] = useState({});
+  const [openProofId, setOpenProofId] = useState("");
+
+  // Pickup code per donationId, to read out to the collecting volunteer
+  const [pickupCodes, setPickupCodes] = useState({});
+
   const primaryGreen = "bg-green-700";
 
+  // Business donations posted by colleagues show who posted them
+  const currentUid = getAuth().currentUser?.uid;
+
   // On mount, load donation history from the backend
   useEffect(() => {
     const fetchHistory = async () => {
@@ -30,6 +46,38 @@ const DonorHistoryScreen = () => {
     fetchHistory();
   }, []);
 
+  // Show/hide the proof of pickup and delivery of a donation
+  const toggleProof = async (donationId) => {
+    if (openProofId === donationId) {
+      setOpenProofId("");
+      return;
+    }
+    setOpenProofId(donationId);
+
+    if (proofTasks[donationId]) return;
+    try {
+      const { tasks } = await donationService.getDonationDetails(donationId);
+      setProofTasks((prev) => ({
+        ...prev,
+        [donationId]: (tasks || []).filter(
+          (task) => task.proof || task.pickupProof
+        ),
+      }));
+    } catch (err) {
+      setError(err.message || "Failed to load proof of handover.");
+    }
+  };
+
+  // Load the one-time pickup code of a donation awaiting collection
+  const showPickupCode = async (donationId) => {
+    try {
+      const { pickupCode } = await donationService.getHandoffCodes(donationId);
+      setPickupCodes((prev) => ({ ...prev, [donationId]: pickupCode }));
+    } catch (err) {
+      setError(err.message || "Failed to load pickup code.");
+    }
+  };
+
   // Choose badge color based on donation status
   const getStatusColor = (status) => {
     switch (status) {
@@ -46,6 +94,7 @@ const DonorHistoryScreen = () => {
       case "enRouteForDistribution":
         return "bg-blue-100 text-blue-700 border border-blue-500";
       case "issueReported":
+      case "cancelled":
         return "bg-red-200 text-red-800";
       default:
         return "bg-gray-200 text-gray-800";
@@ -86,6 +135,19 @@ const DonorHistoryScreen = () => {
         {/* Show error message if the history request failed */}
         {error && <p className="text-red-600 text-center mb-4">{error}</p>}
 
+        {/* Volunteers who picked up the donor's food and can be rated */}
+        <PendingReviews />
+
+        {/* How volunteers rated their pickups from this donor */}
+        {currentUid && (
+          <div className="bg-white p-4 rounded-xl shadow-md mb-6">
+            <h2 className="text-lg font-bold text-gray-800 mb-2">
+              Feedback from volunteers
+            </h2>
+            <UserReviews uid={currentUid} canReport />
+          </div>
+        )}
+
         {/* Loading state while waiting for API response */}
         {isLoading ? (
           <div className="text-center p-8">
@@ -109,11 +171,23 @@ const DonorHistoryScreen = () => {
                 <div className="flex justify-between items-start">
                   <div>
                     <p className="text-lg font-bold text-gray-800">
-                      {donation.itemType} ({donation.quantity})
+                      {donation.itemType} ({formatQuantity(donation.quantity)})
                     </p>
                     <p className="text-sm text-gray-600 mt-1">
                       Posted: {formatDate(donation.postedAt)}
                     </p>
+                    {donation.donorOrganizationName && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        For {donation.donorOrganizationName}
+                        {donation.donorId !== currentUid &&
+                          ` · posted by ${donation.donorName}`}
+                      </p>
+                    )}
+                    {donation.cancellationReason === "expired" && (
+                      <p className="text-xs text-red-600 mt-1">
+                        Cancelled: food expired before it could be collected.
+                      </p>
+                    )}
                   </div>
                   <span
                     className={`px-3 py-1 text-xs font-semibold rounded-full ${getStatusColor(
@@ -124,6 +198,13 @@ const DonorHistoryScreen = () => {
                   </span>
                 </div>
 
+                {/* Line items of multi-item donations */}
+                {donation.items?.length > 1 && (
+                  <div className="mt-2">
+                    <LineItemList items={donation.items} />
+                  </div>
+                )}
+
                 {/* Extra details: pickup address + volunteer names if available */}
                 <div className="mt-2 text-sm text-gray-500">
                   <p>Pickup: {donation.pickupAddress}</p>
@@ -143,6 +224,67 @@ const DonorHistoryScreen = () => {
                     </p>
                   )}
                 </div>
+
+                {/* Pickup code the volunteer must enter to confirm collection */}
+                {["assignedForCollection", "enRouteForCollection"].includes(
+                  donation.status
+                ) && (
+                  <div className="mt-2">
+                    {pickupCodes[donation.donationId] ? (
+                      <p className="text-sm text-gray-700">
+                        Pickup code:{" "}
+                        <span className="text-xl font-bold tracking-widest text-green-700">
+                          {pickupCodes[donation.donationId]}
+                        </span>
+                        <span className="block text-xs text-gray-500">
+                          Only read it out to the volunteer collecting your
+                          donation.
+                        </span>
+                      </p>
+                    ) : (
+                      <button
+                        onClick={() => showPickupCode(donation.donationId)}
+                        className="text-sm font-semibold text-green-700 hover:underline"
+                      >
+                        Show Pickup Code
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {/* Proof of pickup / delivery captured by the volunteers */}
+                {donation.collectedAt && (
+                  <div className="mt-2">
+                    <button
+                      onClick={() => toggleProof(donation.donationId)}
+                      className="text-sm font-semibold text-green-700 hover:underline"
+                    >
+                      {openProofId === donation.donationId
+                        ? "Hide Proof of Handover"
+                        : "View Proof of Handover"}
+                    </button>
+                    {openProofId === donation.donationId && (
+                      <div className="mt-2 space-y-2">
+                        {!proofTasks[donation.donationId] && (
+                          <p className="text-xs text-gray-500">Loading...</p>
+                        )}
+                        {proofTasks[donation.donationId]?.length === 0 && (
+                          <p className="text-xs text-gray-500">
+                            No proof was recorded for this donation.
+                          </p>
+                        )}
+                        {proofTasks[donation.donationId]?.map((task) => (
+                          <React.Fragment key={task.taskId}>
+                            {task.pickupProof && (
+                              <HandoverProof task={task} leg="pickup" />
+                            )}
+                            {task.proof && <HandoverProof task={task} />}
+                          </React.Fragment>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
               </li>
             ))}
           </ul>
@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { scheduleService } from "../../services/scheduleService";
+import { formatLineItems } from "../../utils/quantity";
+
+// Weekday names for describing weekly schedules (index = JS day number)
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Badge colours per schedule status
+const statusColors = {
+  active: "bg-green-100 text-green-700",
+  paused: "bg-yellow-100 text-yellow-700",
+  ended: "bg-gray-200 text-gray-600",
+};
+
+// Human-readable repeat rule, e.g. "Weekly on Mon, Thu"
+const describeFrequency = (schedule) => {
+  if (schedule.frequency === "daily") return "Daily";
+  if (schedule.frequency === "weekly") {
+    return `Weekly on ${schedule.weekdays
+      .map((day) => WEEKDAY_NAMES[day])
+      .join(", ")}`;
+  }
+  return `Monthly on day ${schedule.dayOfMonth}`;
+};
+
+// "2026-10-22" -> "Thu, Oct 22" (parsed as a local date)
+const formatOccurrence = (dateKey) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+};
+
+const RecurringSchedulesView = () => {
+  // Donor's recurring schedules (with upcoming occurrence days)
+  const [schedules, setSchedules] = useState([]);
+
+  // Loading + error state for API calls
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState("");
+  const [error, setError] = useState("");
+
+  // Fetch schedules from the backend
+  const fetchSchedules = useCallback(async () => {
+    try {
+      const data = await scheduleService.getSchedules();
+      setSchedules(data);
+      setError("");
+    } catch (err) {
+      setError(err.message || "Failed to fetch schedules.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSchedules();
+  }, [fetchSchedules]);
+
+  // Replace one schedule in the list after an update
+  const replaceSchedule = (updated) => {
+    setSchedules((prev) =>
+      prev.map((s) => (s.scheduleId === updated.scheduleId ? updated : s))
+    );
+  };
+
+  // Skip a single upcoming occurrence
+  const handleSkip = async (schedule, dateKey) => {
+    if (
+      !window.confirm(
+        `Skip the donation on ${formatOccurrence(dateKey)}? Other days are not affected.`
+      )
+    ) {
+      return;
+    }
+
+    setBusyId(schedule.scheduleId);
+    try {
+      const result = await scheduleService.skipOccurrence(
+        schedule.scheduleId,
+        dateKey
+      );
+      replaceSchedule(result.schedule);
+    } catch (err) {
+      setError(err.message || "Failed to skip occurrence.");
+    } finally {
+      setBusyId("");
+    }
+  };
+
+  // Pause, resume or end the whole schedule
+  const handleStatusChange = async (schedule, action) => {
+    if (
+      action === "end" &&
+      !window.confirm("End this schedule? This cannot be undone.")
+    ) {
+      return;
+    }
+
+    setBusyId(schedule.scheduleId);
+    try {
+      const result = await scheduleService.updateScheduleStatus(
+        schedule.scheduleId,
+        action
+      );
+      replaceSchedule(result.schedule);
+    } catch (err) {
+      setError(err.message || `Failed to ${action} schedule.`);
+    } finally {
+      setBusyId("");
+    }
+  };
+
+  if (isLoading) return null;
+
+  return (
+    <div className="max-w-xl mx-auto mb-12 text-left">
+      <h3 className="text-xl font-extrabold text-green-700 mb-2">
+        Recurring Donations
+      </h3>
+      <hr className="border-gray-300 mb-4" />
+
+      {error && <p className="text-red-600 text-center p-2">{error}</p>}
+
+      {schedules.length === 0 ? (
+        <p className="text-gray-500 text-center">
+          No recurring donations yet. Tick “Repeat this donation” when posting
+          to set one up.
+        </p>
+      ) : (
+        <ul className="space-y-4">
+          {schedules.map((schedule) => {
+            const isBusy = busyId === schedule.scheduleId;
+            return (
+              <li
+                key={schedule.scheduleId}
+                className="bg-white p-4 rounded-xl shadow-md border-l-4 border-yellow-600"
+              >
+                <div className="flex justify-between items-start">
+                  <div>
+                    <p className="text-lg font-bold text-gray-800">
+                      {formatLineItems(schedule.template.items)}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {describeFrequency(schedule)},{" "}
+                      {schedule.template.windowStart}–
+                      {schedule.template.windowEnd}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      From {schedule.startDate}
+                      {schedule.endDate ? ` until ${schedule.endDate}` : ""}
+                    </p>
+                  </div>
+                  <span
+                    className={`px-3 py-1 text-xs font-semibold rounded-full ${
+                      statusColors[schedule.status]
+                    }`}
+                  >
+                    {schedule.status.toUpperCase()}
+                  </span>
+                </div>
+
+                {/* Next occurrences with a skip button each */}
+                {schedule.upcomingOccurrences?.length > 0 && (
+                  <div className="mt-3">
+                    <p className="text-xs font-semibold text-gray-500 mb-1">
+                      Upcoming
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                      {schedule.upcomingOccurrences.map((dateKey) => (
+                        <button
+                          key={dateKey}
+                          onClick={() => handleSkip(schedule, dateKey)}
+                          disabled={isBusy}
+                          title="Skip this day"
+                          className="px-2 py-1 text-xs rounded border border-gray-300 hover:bg-red-50 hover:border-red-300"
+                        >
+                          {formatOccurrence(dateKey)} ✕
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Pause / resume / end */}
+                {schedule.status !== "ended" && (
+                  <div className="flex gap-3 mt-3">
+                    <button
+                      onClick={() =>
+                        handleStatusChange(
+                          schedule,
+                          schedule.status === "active" ? "pause" : "resume"
+                        )
+                      }
+                      disabled={isBusy}
+                      className="text-sm font-semibold text-green-700 hover:underline"
+                    >
+                      {schedule.status === "active" ? "Pause" : "Resume"}
+                    </button>
+                    <button
+                      onClick={() => handleStatusChange(schedule, "end")}
+                      disabled={isBusy}
+                      className="text-sm font-semibold text-red-700 hover:underline"
+                    >
+                      End Schedule
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RecurringSchedulesView;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { donationService } from "../../services/donationService";
+import { formatQuantity } from "../../utils/quantity";
+
+// Radius options (in km) the volunteer can search within
+const RADIUS_OPTIONS = [5, 10, 25, 50];
+
+const OpenTasksView = () => {
+  const navigate = useNavigate();
+
+  // Claimable donations near the volunteer's home location
+  const [openTasks, setOpenTasks] = useState([]);
+  const [radiusKm, setRadiusKm] = useState(10);
+
+  // False when admins have switched self-claiming off globally
+  const [claimingEnabled, setClaimingEnabled] = useState(true);
+
+  // Loading + error state for API calls
+  const [isLoading, setIsLoading] = useState(true);
+  const [claimingId, setClaimingId] = useState("");
+  const [error, setError] = useState("");
+
+  // Fetch the open tasks feed from the backend
+  const fetchOpenTasks = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const data = await donationService.getOpenTasks(radiusKm);
+      setOpenTasks(data.tasks || []);
+      setClaimingEnabled(data.claimingEnabled !== false);
+      setError("");
+    } catch (err) {
+      setError(err.message || "Failed to fetch open tasks.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [radiusKm]);
+
+  // Load on mount / radius change and refresh every 30 seconds
+  useEffect(() => {
+    fetchOpenTasks();
+    const interval = setInterval(fetchOpenTasks, 30000);
+    return () => clearInterval(interval);
+  }, [fetchOpenTasks]);
+
+  /**
+   * Claim a donation. The server guarantees only one volunteer wins,
+   * so a conflict simply means someone else was faster.
+   */
+  const handleClaim = async (openTask) => {
+    setClaimingId(openTask.donationId);
+    setError("");
+
+    try {
+      const result = await donationService.claimTask(openTask.donationId);
+      navigate(`/volunteer/task/${result.task.taskId}`, {
+        state: { task: result.task },
+      });
+    } catch (err) {
+      setError(err.message || "Failed to claim task.");
+      fetchOpenTasks();
+    } finally {
+      setClaimingId("");
+    }
+  };
+
+  return (
+    <div className="mt-8">
+      {/* Section title + radius picker */}
+      <div className="flex justify-between items-center mb-4 px-2">
+        <h3 className="text-xl font-extrabold text-green-700">
+          Open Tasks Near You
+        </h3>
+        <select
+          value={radiusKm}
+          onChange={(e) => setRadiusKm(Number(e.target.value))}
+          className="p-1 border border-gray-300 rounded-lg text-sm bg-white"
+        >
+          {RADIUS_OPTIONS.map((km) => (
+            <option key={km} value={km}>
+              Within {km} km
+            </option>
+          ))}
+        </select>
+      </div>
+      <hr className="border-gray-300 mb-4" />
+
+      {error && <p className="text-red-600 text-center p-4">{error}</p>}
+
+      {!claimingEnabled ? (
+        <div className="text-center p-8 text-gray-500">
+          <p>Task claiming is currently turned off by the admins.</p>
+        </div>
+      ) : isLoading && openTasks.length === 0 ? (
+        <div className="text-center p-8">
+          <div className="animate-spin inline-block w-8 h-8 border-4 rounded-full border-green-700 border-t-transparent"></div>
+          <p className="mt-2 text-gray-600">Looking for open tasks...</p>
+        </div>
+      ) : openTasks.length === 0 ? (
+        <div className="text-center p-8 text-gray-500">
+          <p>No open tasks in your area right now.</p>
+        </div>
+      ) : (
+        <ul className="space-y-4">
+          {openTasks.map((openTask) => {
+            const isCollection = openTask.taskType === "collection";
+            return (
+              <li
+                key={openTask.donationId}
+                className={`bg-white p-4 rounded-xl shadow-lg border-l-8 ${
+                  isCollection ? "border-yellow-600" : "border-green-700"
+                }`}
+              >
+                <div className="flex items-center justify-between space-x-4">
+                  <div className="flex-grow">
+                    <p className="text-lg font-bold text-gray-800">
+                      {openTask.itemType} ({formatQuantity(openTask.quantity)})
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {isCollection ? "COLLECTION" : "DISTRIBUTION"} |{" "}
+                      {openTask.distanceKm.toFixed(1)} km away
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      From: {openTask.pickupAddress}
+                    </p>
+                  </div>
+
+                  <button
+                    onClick={() => handleClaim(openTask)}
+                    disabled={!!claimingId}
+                    className={`py-2 px-4 text-sm font-bold rounded-lg shadow transition ${
+                      claimingId
+                        ? "bg-green-700/50 text-white cursor-not-allowed"
+                        : "bg-green-700 text-white hover:bg-green-800"
+                    }`}
+                  >
+                    {claimingId === openTask.donationId
+                      ? "Claiming..."
+                      : "Claim"}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OpenTasksView;
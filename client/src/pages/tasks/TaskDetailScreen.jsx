@@ -2,6 +2,13 @@ import React, { useState, useEffect } from "react";
 import { useLocation, useNavigate } from "react-router-dom";
 import { GoogleMap, Marker, useLoadScript } from "@react-google-maps/api";
 import { donationService } from "../../services/donationService";
+import { formatQuantity } from "../../utils/quantity";
+import { formatWindow } from "../../utils/timeWindow";
+import { getTaskPhase, getTaskTarget, getTaskLabel } from "../../utils/taskLeg";
+import LineItemList from "../../components/LineItemList";
+import ProofCaptureForm from "../../components/ProofCaptureForm";
+import HandoverProof from "../../components/HandoverProof";
+import RouteMap from "../../components/RouteMap";
 import { getAuth, onAuthStateChanged } from "firebase/auth";
 
 // Tell Google Maps API we want Places library as well
@@ -30,6 +37,15 @@ const TaskDetailScreen = () => {
   // UI state
   const [isUpdating, setIsUpdating] = useState(false);
   const [error, setError] = useState("");
+
+  // Volunteer's planned route across all active tasks (multi-stop days)
+  const [route, setRoute] = useState(null);
+
+  // Completing a task first asks for proof of pickup/delivery
+  const [showProofForm, setShowProofForm] = useState(false);
+
+  // Picked-up amount per line item id (collection tasks only)
+  const [collectedAmounts, setCollectedAmounts] = useState({});
   const [userAuthenticated, setUserAuthenticated] = useState(false);
 
   // Brand colors used for styling sections
@@ -114,6 +130,15 @@ const TaskDetailScreen = () => {
         }
       }
 
+      // Load the planned route so this stop can be shown among the others
+      if (task?.volunteerId) {
+        try {
+          setRoute(await donationService.getVolunteerRoute(task.volunteerId));
+        } catch (e) {
+          console.error("Failed to plan route:", e);
+        }
+      }
+
       // Load donation info if task is tied to a donation
       if (task?.donationId) {
         try {
@@ -146,6 +171,7 @@ const TaskDetailScreen = () => {
     assignedForDistribution: "Assigned For Distribution",
     enRouteForDistribution: "En Route For Distribution",
     delivered: "Delivered",
+    pendingReview: "Issue Reported, Pending Admin Review",
     pending_review: "Issue Reported, Pending Admin Review",
   };
 
@@ -197,10 +223,13 @@ const TaskDetailScreen = () => {
             : "I Am En Route for Dropoff";
         break;
       case "enRoute":
-        label =
-          currentTaskType === "Collection"
-            ? "Collected Item (Admin will assign dropoff)"
-            : "Delivered Item";
+        if (currentTaskType === "Distribution") {
+          label = "Delivered Item";
+        } else if (isDirectDelivery) {
+          label = "Picked Up Item (continue to dropoff)";
+        } else {
+          label = "Collected Item (Admin will assign dropoff)";
+        }
         break;
       case "completed":
         label = "Task Already Completed";
@@ -211,6 +240,13 @@ const TaskDetailScreen = () => {
     return { label, icon };
   };
 
+  // Task window; older tasks without one fall back to the availability time
+  const getTaskWindowText = () => {
+    if (task.windowStart) return formatWindow(task.windowStart, task.windowEnd);
+    if (!donation) return "Loading...";
+    return new Date(donation.availabilityTime).toLocaleString("en-US");
+  };
+
   /**
    * Helper to render a single “row” of icon + label + value.
    * Reused for donation details and location details.
@@ -229,11 +265,18 @@ const TaskDetailScreen = () => {
    * Main handler for “status progression” action button.
    * Calls backend to update task status, then updates local state
    * and navigates back to volunteer dashboard when appropriate.
+   * Completion needs the handoff code and proof, so it opens the proof
+   * form first.
    */
-  const handleActionButton = async () => {
+  const handleActionButton = async (completion) => {
     const nextStatus = getNextStatus(task.status);
     const statusName = formatStatus(nextStatus);
 
+    if (nextStatus === "completed" && !completion) {
+      setShowProofForm(true);
+      return;
+    }
+
     setIsUpdating(true);
     setError("");
 
@@ -241,15 +284,26 @@ const TaskDetailScreen = () => {
       // Task can have different id fields depending on how it was created
       const response = await donationService.updateTaskStatus(
         task._id || task.taskId || task.donationId,
-        nextStatus
+        nextStatus,
+        completion
       );
 
       // Backend may return { task } or { donation }, so handle both
-      setTask(response.task || response.donation);
-      alert(`Task status successfully updated to ${statusName}!`);
+      const updatedTask = response.task || response.donation;
+      setTask(updatedTask);
+      setShowProofForm(false);
+
+      // A direct delivery stays open after its pickup leg (drop-off is next)
+      const isPickupLegDone =
+        isDirectDelivery && updatedTask?.status !== nextStatus;
+      alert(
+        isPickupLegDone
+          ? response.message
+          : `Task status successfully updated to ${statusName}!`
+      );
 
       // If this is not just the “collected” step, send volunteer back to dashboard
-      if (nextStatus !== "collected") {
+      if (nextStatus !== "collected" && !isPickupLegDone) {
         navigate("/volunteer/dashboard");
       }
     } catch (e) {
@@ -304,24 +358,70 @@ const TaskDetailScreen = () => {
     }
   };
 
+  /**
+   * Save how much of each line item was actually picked up.
+   * Items left blank are treated as fully collected when the task completes.
+   */
+  const saveCollectedItems = async () => {
+    const items = Object.entries(collectedAmounts)
+      .filter(([, amount]) => amount !== "")
+      .map(([itemId, amount]) => ({
+        itemId,
+        collectedAmount: Number(amount),
+      }));
+
+    if (items.length === 0) {
+      alert("Enter the amount picked up for at least one item.");
+      return;
+    }
+
+    setIsUpdating(true);
+    setError("");
+
+    try {
+      const response = await donationService.updateCollectedItems(
+        task._id || task.taskId,
+        items
+      );
+      setDonation(response.donation);
+      setCollectedAmounts({});
+      alert("Picked up amounts saved.");
+    } catch (e) {
+      setError(`Failed to save picked up amounts: ${e.message}`);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
   // Convert backend taskType into a human-readable “Collection” or “Distribution”
+  // (direct deliveries follow the leg they are on)
   const currentTaskType =
-    task?.taskType === "collection" ? "Collection" : "Distribution";
+    getTaskPhase(task) === "collection" ? "Collection" : "Distribution";
+
+  const isDirectDelivery = task?.taskType === "directDelivery";
 
   const isDistributionPhase = currentTaskType === "Distribution";
 
+  // Volunteer can report partial pickups until the collection is completed
+  const canEditCollectedItems =
+    !isDistributionPhase && ["assigned", "enRoute"].includes(task.status);
+
   // Button label + icon depend on task status and type
   const { label, icon } = getButtonProps(task.status);
 
   // Coordinates of this task’s target location (pickup or dropoff)
-  const targetCoords = task?.location?.coordinates;
+  const target = getTaskTarget(task);
+  const targetCoords = target.coordinates;
 
   // Center map on target location (fallback to 0,0 if missing)
   const mapCenter = targetCoords
     ? { lat: targetCoords[1], lng: targetCoords[0] }
     : { lat: 0, lng: 0 };
 
-  const targetAddress = task?.address || "Address not available";
+  const targetAddress = target.address || "Address not available";
+
+  // This task's stop in the planned route (if it is on it)
+  const currentStop = route?.stops.find((stop) => stop.taskId === task.taskId);
 
   const mapOptions = {
     zoom: 15,
@@ -333,6 +433,7 @@ const TaskDetailScreen = () => {
     task.status === "completed" ||
     task.status === "cancelled" ||
     task.status === "failed" ||
+    task.status === "pendingReview" ||
     task.status === "pending_review";
 
   return (
@@ -345,7 +446,7 @@ const TaskDetailScreen = () => {
         >
           &larr;
         </button>
-        <h1 className="text-xl font-bold">{currentTaskType} Details</h1>
+        <h1 className="text-xl font-bold">{getTaskLabel(task)} Details</h1>
       </header>
 
       <div className="p-5">
@@ -385,6 +486,17 @@ const TaskDetailScreen = () => {
           )}
         </div>
 
+        {/* Planned route when the volunteer has several stops */}
+        {route?.stops.length > 1 && currentStop && (
+          <div className="mb-6">
+            <h3 className="text-xl font-bold text-green-700 mb-3">
+              Your Route (stop {currentStop.order} of {route.stops.length})
+            </h3>
+            <hr className="border-green-700 mb-4" />
+            <RouteMap route={route} highlightTaskId={task.taskId} />
+          </div>
+        )}
+
         {/* Current task status banner */}
         <div
           className={`p-4 rounded-xl shadow-md flex items-center mb-6 ${
@@ -447,7 +559,7 @@ const TaskDetailScreen = () => {
                   />
                 </svg>,
                 "Quantity",
-                donation.quantity
+                formatQuantity(donation.quantity)
               )}
 
               {buildDetailRow(
@@ -466,6 +578,35 @@ const TaskDetailScreen = () => {
                 "Donor/Source",
                 donation.donorName
               )}
+
+              {/* Line items (with picked-up inputs during collection) */}
+              {donation.items?.length > 0 && (
+                <div className="mt-2">
+                  <p className="text-sm text-gray-500 mb-1">Items</p>
+                  <LineItemList
+                    items={donation.items}
+                    collectedAmounts={collectedAmounts}
+                    onCollectedChange={
+                      canEditCollectedItems
+                        ? (itemId, value) =>
+                            setCollectedAmounts((prev) => ({
+                              ...prev,
+                              [itemId]: value,
+                            }))
+                        : undefined
+                    }
+                  />
+                  {canEditCollectedItems && (
+                    <button
+                      onClick={saveCollectedItems}
+                      disabled={isUpdating}
+                      className="mt-2 py-2 px-4 text-sm font-bold rounded-lg bg-yellow-600 text-white hover:bg-yellow-700 transition"
+                    >
+                      Save Picked Up Amounts
+                    </button>
+                  )}
+                </div>
+              )}
             </>
           ) : donation?.error ? (
             <p className="text-red-600">{donation.error}</p>
@@ -536,10 +677,8 @@ const TaskDetailScreen = () => {
                 clipRule="evenodd"
               />
             </svg>,
-            isDistributionPhase ? "Deadline" : "Available At",
-            donation
-              ? new Date(donation.availabilityTime).toLocaleString("en-US")
-              : "Loading..."
+            isDistributionPhase ? "Drop-off Window" : "Pickup Window",
+            getTaskWindowText()
           )}
         </div>
 
@@ -556,7 +695,8 @@ const TaskDetailScreen = () => {
         )}
 
         {/* Banner if task is under review due to an issue */}
-        {task.status === "pending_review" && (
+        {(task.status === "pendingReview" ||
+          task.status === "pending_review") && (
           <div className="p-4 bg-red-100 border-l-4 border-red-600 text-center rounded-lg mb-4">
             <p className="text-red-600 font-bold text-lg">
               ⚠️ Issue reported. Awaiting Admin review.
@@ -564,11 +704,39 @@ const TaskDetailScreen = () => {
           </div>
         )}
 
+        {/* Proof captured at the pickup of a direct delivery */}
+        {task.pickupProof && (
+          <div className="mb-6">
+            <HandoverProof task={task} leg="pickup" />
+          </div>
+        )}
+
+        {/* Proof captured when the task was completed */}
+        {task.proof && (
+          <div className="mb-6">
+            <HandoverProof task={task} />
+          </div>
+        )}
+
+        {/* ---- Proof of pickup/delivery (shown before completing) ---- */}
+        {!isActionBlocked && showProofForm && (
+          <ProofCaptureForm
+            taskType={getTaskPhase(task)}
+            isSubmitting={isUpdating}
+            onSubmit={handleActionButton}
+            onCancel={() => setShowProofForm(false)}
+          />
+        )}
+        {/* Server errors (e.g. wrong code) shown next to the form too */}
+        {!isActionBlocked && showProofForm && error && (
+          <p className="text-red-600 text-center mt-3">{error}</p>
+        )}
+
         {/* ---- Action Buttons (Update status / Report issue) ---- */}
-        {!isActionBlocked && (
+        {!isActionBlocked && !showProofForm && (
           <div className="space-y-3">
             <button
-              onClick={handleActionButton}
+              onClick={() => handleActionButton()}
               disabled={isUpdating}
               className={`w-full py-4 text-white text-lg font-bold rounded-xl transition duration-150 ease-in-out flex items-center justify-center space-x-2 ${
                 isUpdating
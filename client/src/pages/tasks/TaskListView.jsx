@@ -2,6 +2,24 @@ import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { donationService } from "../../services/donationService";
 import { authService } from "../../services/authService";
+import { formatQuantity } from "../../utils/quantity";
+import { formatDuration, getWindowCountdown } from "../../utils/timeWindow";
+import { getTaskPhase, getTaskTarget } from "../../utils/taskLeg";
+import RouteMap from "../../components/RouteMap";
+
+// Red once the window has closed, orange in its last half hour
+const getCountdownColor = (countdown) => {
+  if (countdown.isLate) return "text-red-600";
+  if (countdown.isClosingSoon) return "text-orange-600";
+  return "text-green-700";
+};
+
+// "2:45 PM"
+const formatTime = (date) =>
+  new Date(date).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+  });
 
 const TaskListView = () => {
   const navigate = useNavigate();
@@ -13,6 +31,12 @@ const TaskListView = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState("");
 
+  // Planned visiting order of the active tasks (stops numbered from 1)
+  const [route, setRoute] = useState(null);
+
+  // Current time, ticking every minute so window countdowns stay fresh
+  const [now, setNow] = useState(new Date());
+
   // Brand colors for styling the cards
   const primaryGreen = "#228B22";
   const accentGold = "#DAA520";
@@ -34,8 +58,29 @@ const TaskListView = () => {
     } finally {
       setIsLoading(false);
     }
+
+    // The route is optional: without it tasks are shown unordered
+    try {
+      setRoute(await donationService.getVolunteerRoute(volunteerId));
+    } catch (e) {
+      console.error("Failed to plan route:", e);
+    }
   };
 
+  // Next planned stop of each task, by taskId
+  // (a direct delivery can have a pickup and a drop-off stop)
+  const stopsByTaskId = (route?.stops || []).reduce((map, stop) => {
+    if (!map[stop.taskId]) map[stop.taskId] = stop;
+    return map;
+  }, {});
+
+  // Tasks in route order; tasks not on the route (e.g. under review) last
+  const orderedTasks = [...tasks].sort(
+    (a, b) =>
+      (stopsByTaskId[a.taskId]?.order ?? Infinity) -
+      (stopsByTaskId[b.taskId]?.order ?? Infinity)
+  );
+
   // On mount:
   // 1) Load active tasks once
   // 2) Refresh tasks every 30 seconds to keep list up-to-date
@@ -45,17 +90,25 @@ const TaskListView = () => {
     return () => clearInterval(interval); // Clean up timer on unmount
   }, []);
 
+  // Tick the countdown clock every minute
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
   /**
    * Decide how each task card should look based on task type:
    * - Collection tasks: yellow / "COLLECTION PENDING"
    * - Distribution tasks: green / "DISTRIBUTION PENDING"
+   * - Direct deliveries look like the leg they are on
    */
   const getTaskVisuals = (task) => {
-    const isCollectionTask = task.taskType === "collection";
+    const isCollectionTask = getTaskPhase(task) === "collection";
+    const isDirect = task.taskType === "directDelivery";
     let action, icon, color, bgColor;
 
     if (isCollectionTask) {
-      action = "COLLECTION PENDING";
+      action = isDirect ? "DIRECT DELIVERY – PICKUP" : "COLLECTION PENDING";
       icon = (
         <svg
           xmlns="http://www.w3.org/2000/svg"
@@ -75,7 +128,7 @@ const TaskListView = () => {
       color = accentGold;
       bgColor = "bg-yellow-50";
     } else {
-      action = "DISTRIBUTION PENDING";
+      action = isDirect ? "DIRECT DELIVERY – DROP-OFF" : "DISTRIBUTION PENDING";
       icon = (
         <svg
           xmlns="http://www.w3.org/2000/svg"
@@ -109,6 +162,18 @@ const TaskListView = () => {
       {/* Error message if API call fails */}
       {error && <p className="text-red-600 text-center p-4">{error}</p>}
 
+      {/* Planned route when there is more than one stop */}
+      {!isLoading && route?.stops.length > 1 && (
+        <div className="mb-6">
+          <RouteMap route={route} />
+          <p className="text-sm text-gray-600 mt-2 px-2">
+            Suggested route: {route.stops.length} stops, {route.totalDistanceKm}{" "}
+            km, about {formatDuration(route.totalDurationMinutes)} including
+            handovers. Pickups always come before their drop-offs.
+          </p>
+        </div>
+      )}
+
       {/* Loading spinner while tasks are being fetched */}
       {isLoading ? (
         <div className="text-center p-8">
@@ -123,8 +188,10 @@ const TaskListView = () => {
       ) : (
         // List of active tasks as clickable cards
         <ul className="space-y-4">
-          {tasks.map((task) => {
+          {orderedTasks.map((task) => {
             const { action, icon, color, bgColor } = getTaskVisuals(task);
+            const countdown = getWindowCountdown(task.windowEnd, now);
+            const stop = stopsByTaskId[task.taskId];
             return (
               <li
                 key={task._id || task.taskId}
@@ -141,10 +208,19 @@ const TaskListView = () => {
                 <div className="flex items-center space-x-4">
                   {/* Circle icon on the left (different icon/color for collection vs distribution) */}
                   <div
-                    className="p-3 rounded-full"
+                    className="p-3 rounded-full relative"
                     style={{ backgroundColor: color + "1A" }} // "1A" = light transparent version
                   >
                     <span style={{ color: color }}>{icon}</span>
+                    {/* Stop number in the planned route */}
+                    {stop && route.stops.length > 1 && (
+                      <span
+                        className="absolute -top-1 -left-1 w-6 h-6 rounded-full text-white text-xs font-bold flex items-center justify-center"
+                        style={{ backgroundColor: color }}
+                      >
+                        {stop.order}
+                      </span>
+                    )}
                   </div>
 
                   {/* Main task info: item, quantity, status, address */}
@@ -152,13 +228,35 @@ const TaskListView = () => {
                     <p className="text-lg font-bold text-gray-800">
                       {task.donationId?.foodItem || task.taskType}{" "}
                       {task.donationId?.quantity
-                        ? `(${task.donationId.quantity})`
+                        ? `(${formatQuantity(task.donationId.quantity)})`
                         : ""}
                     </p>
                     <p className="text-sm text-gray-600">Status: {action}</p>
                     <p className="text-xs text-gray-500">
-                      From: {task.address}
+                      From: {getTaskTarget(task).address}
                     </p>
+                    {countdown && (
+                      <p
+                        className={`text-xs font-semibold mt-1 ${getCountdownColor(
+                          countdown
+                        )}`}
+                      >
+                        {countdown.label}
+                      </p>
+                    )}
+                    {stop && route.stops.length > 1 && (
+                      <p
+                        className={`text-xs mt-1 ${
+                          stop.late
+                            ? "text-red-600 font-semibold"
+                            : "text-gray-500"
+                        }`}
+                      >
+                        Stop {stop.order}: ETA {formatTime(stop.arrivalTime)} (
+                        {stop.legDistanceKm} km)
+                        {stop.late ? " – after the window closes" : ""}
+                      </p>
+                    )}
                   </div>
 
                   {/* Right arrow icon to indicate it's clickable */}
@@ -119,7 +119,10 @@ const VolunteerHistoryScreen = () => {
                   {/* Task type and address info */}
                   <div>
                     <p className="text-lg font-bold text-gray-800">
-                      {capitalize(task.taskType)} Task
+                      {task.taskType === "directDelivery"
+                        ? "Direct Delivery"
+                        : capitalize(task.taskType)}{" "}
+                      Task
                     </p>
                     <p className="text-sm text-gray-600 mt-1">
                       Location: {task.address || "No address provided"}
@@ -0,0 +1,76 @@
+import axios from "axios";
+import { getAuth } from "firebase/auth";
+
+// Helper: get the current user's Firebase ID token to call protected backend APIs.
+// Throws an error if the user is not logged in.
+const getAuthToken = async () => {
+  const auth = getAuth();
+  const user = auth.currentUser;
+  if (!user) {
+    throw new Error("User not authenticated.");
+  }
+  return await user.getIdToken();
+};
+
+// Admin: one page of audit log entries, newest first.
+// filters: { actorUid, action, targetType, targetId, from, to, outcome, page, limit }
+const getAuditLog = async (filters = {}) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/audit", {
+      headers: { Authorization: `Bearer ${token}` },
+      params: filters,
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to fetch audit log."
+    );
+  }
+};
+
+// Admin: download the filtered audit log as a CSV file.
+const exportAuditLog = async (filters = {}) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/audit/export", {
+      headers: { Authorization: `Bearer ${token}` },
+      params: filters,
+      responseType: "blob",
+    });
+
+    // Save the file through a temporary download link
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to export audit log."
+    );
+  }
+};
+
+// Admin: check the audit log's hash chain ({ valid, checked, brokenAt, reason }).
+const verifyAuditLog = async () => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/audit/verify", {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to verify audit log."
+    );
+  }
+};
+
+// Export all audit-related service functions.
+export const auditService = {
+  getAuditLog,
+  exportAuditLog,
+  verifyAuditLog,
+};
@@ -34,7 +34,7 @@ const getAuthToken = async () => {
 const getMetrics = async () => {
   const token = await getAuthToken();
   try {
-    const response = await axios.get("/api/donations/metrics", {
+    const response = await axios.get("/api/admin/metrics", {
       headers: { Authorization: `Bearer ${token}` },
     });
     return response.data;
@@ -61,10 +61,13 @@ const postNewDonation = async (donationData) => {
 };
 
 // Fetch list of distribution locations where donations can be delivered.
-const getDistributionLocations = async () => {
+// With a donationId they come ranked for that donation, each with its fit
+// ({ blockers, warnings, score, distanceKm, freeKg }).
+const getDistributionLocations = async (donationId) => {
   try {
-    const response = await axios.get("/api/donations/distribution-locations", {
+    const response = await axios.get("/api/admin/distribution-locations", {
       headers: { Authorization: `Bearer ${await getAuthToken()}` },
+      params: donationId ? { donationId } : {},
     });
     return response.data.locations || [];
   } catch (error) {
@@ -112,7 +115,7 @@ const getDonorNotifications = async (donorId) => {
 const getPendingAssignments = async () => {
   const token = await getAuthToken();
   try {
-    const response = await axios.get("/api/donations/pending", {
+    const response = await axios.get("/api/admin/pending", {
       headers: { Authorization: `Bearer ${token}` },
     });
     return response.data.donations || [];
@@ -127,7 +130,7 @@ const getPendingAssignments = async () => {
 const getReportedIssues = async () => {
   const token = await getAuthToken();
   try {
-    const response = await axios.get("/api/donations/reported-issues", {
+    const response = await axios.get("/api/admin/reported-issues", {
       headers: { Authorization: `Bearer ${token}` },
     });
     return response.data || [];
@@ -138,12 +141,30 @@ const getReportedIssues = async () => {
   }
 };
 
+// Admin: get active tasks whose pickup/drop-off window has already closed.
+const getLateTasks = async () => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/admin/late-tasks", {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data.tasks || [];
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to fetch late tasks."
+    );
+  }
+};
+
 // Admin: fetch volunteers, and optionally sort them by how close they are to the pickup location.
-const getVolunteers = async (pickupCoords) => {
+// With a taskId, volunteers who cannot work during that task's window
+// carry an availabilityIssue and are listed last.
+const getVolunteers = async (pickupCoords, taskId) => {
   const token = await getAuthToken();
   try {
-    const response = await axios.get("/api/donations/volunteers", {
+    const response = await axios.get("/api/admin/volunteers", {
       headers: { Authorization: `Bearer ${token}` },
+      params: taskId ? { taskId } : {},
     });
 
     const volunteers = response.data.volunteers || [];
@@ -162,7 +183,11 @@ const getVolunteers = async (pickupCoords) => {
           // Volunteers with no location are sent to the bottom
           return { ...v, distanceKm: Infinity };
         })
-        .sort((a, b) => a.distanceKm - b.distanceKm);
+        .sort(
+          (a, b) =>
+            !!a.availabilityIssue - !!b.availabilityIssue ||
+            a.distanceKm - b.distanceKm
+        );
 
       return volunteersWithDistance;
     }
@@ -175,6 +200,23 @@ const getVolunteers = async (pickupCoords) => {
   }
 };
 
+// Admin: volunteer coverage per day and hour, with the hours where pickups
+// have nobody available (from: "YYYY-MM-DD", days: 1-31).
+const getVolunteerCoverage = async (from, days) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/admin/coverage", {
+      headers: { Authorization: `Bearer ${token}` },
+      params: { from, days },
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to load volunteer coverage."
+    );
+  }
+};
+
 // Admin: load all users in the system (donors, volunteers, admins).
 const getAllUsers = async () => {
   const token = await getAuthToken();
@@ -208,7 +250,7 @@ const assignCollectionTask = async (donationId, volunteerId) => {
   const token = await getAuthToken();
   try {
     const response = await axios.put(
-      `/api/donations/assign-collection-task/${donationId}`,
+      `/api/admin/assign-collection-task/${donationId}`,
       { volunteerId },
       {
         headers: { Authorization: `Bearer ${token}` },
@@ -220,13 +262,55 @@ const assignCollectionTask = async (donationId, volunteerId) => {
   }
 };
 
+// Admin: get volunteers ranked by the server-side matching engine
+// (distance, current task load, rating and availability) for a donation.
+const getVolunteerSuggestions = async (donationId) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get(
+      `/api/admin/match-volunteers/${donationId}`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data.volunteers || [];
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to load volunteer suggestions."
+    );
+  }
+};
+
+// Admin: let the server pick the best available volunteer and assign the collection task.
+const autoAssignCollectionTask = async (donationId) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/admin/auto-assign-collection-task/${donationId}`,
+      {},
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || "Auto-assignment failed.");
+  }
+};
+
 // Admin: assign a distribution task (drop off donation) to a volunteer and location.
-const assignDistributionTask = async (donationId, volunteerId, locationId) => {
+// overrideFit assigns even when the center is closed, full or refuses the food.
+const assignDistributionTask = async (
+  donationId,
+  volunteerId,
+  locationId,
+  overrideFit = false
+) => {
   const token = await getAuthToken();
   try {
     const response = await axios.put(
-      `/api/donations/assign-distribution-task/${donationId}`,
-      { volunteerId, locationId },
+      `/api/admin/assign-distribution-task/${donationId}`,
+      { volunteerId, locationId, overrideFit },
       {
         headers: { Authorization: `Bearer ${token}` },
       }
@@ -239,6 +323,117 @@ const assignDistributionTask = async (donationId, volunteerId, locationId) => {
   }
 };
 
+// Admin: assign one volunteer to take a pending donation straight from the
+// donor to a distribution center (pickup and drop-off in one task).
+const assignDirectDeliveryTask = async (
+  donationId,
+  volunteerId,
+  locationId,
+  overrideFit = false
+) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/admin/assign-direct-delivery/${donationId}`,
+      { volunteerId, locationId, overrideFit },
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Direct delivery assignment failed."
+    );
+  }
+};
+
+// Volunteer: load the "open tasks" feed of claimable donations near their home location.
+const getOpenTasks = async (radiusKm) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/donations/open-tasks", {
+      headers: { Authorization: `Bearer ${token}` },
+      params: radiusKm ? { radiusKm } : {},
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to fetch open tasks."
+    );
+  }
+};
+
+// Volunteer: claim an open donation (creates a collection or distribution task).
+const claimTask = async (donationId) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/donations/claim/${donationId}`,
+      {},
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || "Failed to claim task.");
+  }
+};
+
+// Admin: check whether volunteers are allowed to self-claim tasks.
+const getClaimingSettings = async () => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/admin/claiming-settings", {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to fetch claiming settings."
+    );
+  }
+};
+
+// Admin: turn volunteer self-claiming on or off for the whole platform.
+const updateClaimingSettings = async (enabled) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      "/api/admin/claiming-settings",
+      { enabled },
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to update claiming settings."
+    );
+  }
+};
+
+// Admin: turn self-claiming on or off for a single donation.
+const setDonationClaiming = async (donationId, enabled) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/admin/${donationId}/claiming`,
+      { enabled },
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data.donation;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to update donation claiming."
+    );
+  }
+};
+
 // Volunteer: report a problem with a task (e.g. donor unavailable, address incorrect).
 const reportTaskIssue = async (taskId, issueNotes) => {
   const token = await getAuthToken();
@@ -256,12 +451,32 @@ const reportTaskIssue = async (taskId, issueNotes) => {
   }
 };
 
+// Volunteer: record how much of each line item was picked up on a collection task.
+// items = [{ itemId, collectedAmount }]
+const updateCollectedItems = async (taskId, items) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/donations/${taskId}/collected-items`,
+      { items },
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to update collected items."
+    );
+  }
+};
+
 // Admin: assign the reported task to a different volunteer.
 const reassignTask = async (taskId, newVolunteerId) => {
   const token = await getAuthToken();
   try {
     const response = await axios.put(
-      `/api/donations/reassign-task/${taskId}`,
+      `/api/admin/reassign-task/${taskId}`,
       { newVolunteerId },
       {
         headers: { Authorization: `Bearer ${token}` },
@@ -275,6 +490,24 @@ const reassignTask = async (taskId, newVolunteerId) => {
   }
 };
 
+// Volunteer/Admin: planned visiting order of a volunteer's active tasks.
+// Starts from `position` ({ lat, lng }) when given, else the volunteer's home.
+const getVolunteerRoute = async (volunteerId, position) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get(
+      `/api/donations/volunteer/${volunteerId}/route`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+        params: position ? { lat: position.lat, lng: position.lng } : {},
+      }
+    );
+    return response.data.route;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || "Failed to plan route.");
+  }
+};
+
 // Volunteer: fetch tasks that are currently active for a specific volunteer.
 const getActiveVolunteerTasks = async (volunteerId) => {
   const token = await getAuthToken();
@@ -331,12 +564,15 @@ const getVolunteerTaskHistory = async () => {
 };
 
 // Update status of a task (new task-based tracking system).
-const updateTaskStatus = async (taskId, status) => {
+// Completing a task needs { handoffCode, proof } (proof: photo, signature,
+// recipient name, location).
+const updateTaskStatus = async (taskId, status, completion = {}) => {
   const token = await getAuthToken();
 
   const payload = {
     taskId,
     status,
+    ...completion,
   };
 
   try {
@@ -355,25 +591,68 @@ const updateTaskStatus = async (taskId, status) => {
   }
 };
 
-// Legacy method: update donation status directly (kept for backwards compatibility).
-const updateDonationStatus = async (
-  donationId,
-  status,
-  issueNotes = null,
-  reportingVolunteerId = null
-) => {
+// Fetch a proof-of-handover image ("photo" | "signature") as an object URL
+// (leg "pickup" for the pickup proof of a direct delivery).
+// Caller should URL.revokeObjectURL() it when done.
+const getProofFileUrl = async (taskId, file, leg) => {
   const token = await getAuthToken();
+  try {
+    const response = await axios.get(`/api/donations/${taskId}/proof/${file}`, {
+      headers: { Authorization: `Bearer ${token}` },
+      params: leg ? { leg } : {},
+      responseType: "blob",
+    });
+    return URL.createObjectURL(response.data);
+  } catch (error) {
+    throw new Error(
+      `Failed to load proof ${file} (${error.response?.status || "network error"}).`
+    );
+  }
+};
 
-  const payload = {
-    status,
-    issueNotes,
-    reportingVolunteerId,
-  };
+// Donor/Admin/Center staff: handoff codes of a donation's active tasks
+// ({ pickupCode, dropoffCode }; the drop-off code is for Admins and the
+// receiving center's staff).
+const getHandoffCodes = async (donationId) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get(
+      `/api/donations/${donationId}/handoff-codes`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to fetch handoff codes."
+    );
+  }
+};
+
+// Center staff: deliveries headed to their center
+// ({ center, incoming, awaitingReceipt }).
+const getCenterIncoming = async () => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/donations/center/incoming", {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to fetch incoming deliveries."
+    );
+  }
+};
 
+// Center staff: confirm a delivered donation arrived (optional notes).
+const confirmReceipt = async (donationId, notes) => {
+  const token = await getAuthToken();
   try {
     const response = await axios.put(
-      `/api/donations/${donationId}/status`,
-      payload,
+      `/api/donations/center/${donationId}/confirm-receipt`,
+      { notes },
       {
         headers: { Authorization: `Bearer ${token}` },
       }
@@ -381,25 +660,65 @@ const updateDonationStatus = async (
     return response.data;
   } catch (error) {
     throw new Error(
-      error.response?.data?.message || "Failed to update status."
+      error.response?.data?.message || "Failed to confirm receipt."
     );
   }
 };
 
-// Legacy method: clear issue flag on a donation (old model before task-based issues).
-const clearIssue = async (donationId, newStatus) => {
+// Center staff: refuse a delivery on its way to their center.
+const rejectDelivery = async (donationId, reason) => {
   const token = await getAuthToken();
   try {
     const response = await axios.put(
-      `/api/donations/${donationId}`,
-      { status: newStatus },
+      `/api/donations/center/${donationId}/reject`,
+      { reason },
       {
         headers: { Authorization: `Bearer ${token}` },
       }
     );
     return response.data;
   } catch (error) {
-    throw new Error(error.response?.data?.message || "Failed to clear issue.");
+    throw new Error(
+      error.response?.data?.message || "Failed to reject delivery."
+    );
+  }
+};
+
+// Admin: issue a new handoff code for a task (e.g. after a lockout).
+const regenerateHandoffCode = async (taskId) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/admin/${taskId}/handoff-code`,
+      {},
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to issue a new handoff code."
+    );
+  }
+};
+
+// Admin: let a volunteer complete a task away from its pickup/drop-off point.
+const overrideTaskLocation = async (taskId, reason) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/admin/${taskId}/location-override`,
+      { reason },
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to override location check."
+    );
   }
 };
 
@@ -442,20 +761,37 @@ export const donationService = {
   getDonorNotifications,
   getPendingAssignments,
   getReportedIssues,
+  getLateTasks,
   getVolunteers,
+  getVolunteerCoverage,
   getAllUsers,
   updateUser,
   assignCollectionTask,
+  getVolunteerSuggestions,
+  autoAssignCollectionTask,
   getActiveVolunteerTasks,
+  getVolunteerRoute,
   getVolunteerStats,
   getVolunteerTaskHistory,
-  updateDonationStatus,
   updateTaskStatus,
+  getProofFileUrl,
+  overrideTaskLocation,
+  getHandoffCodes,
+  getCenterIncoming,
+  confirmReceipt,
+  rejectDelivery,
+  regenerateHandoffCode,
   reportTaskIssue,
+  updateCollectedItems,
   reassignTask,
+  getOpenTasks,
+  claimTask,
+  getClaimingSettings,
+  updateClaimingSettings,
+  setDonationClaiming,
   getVolunteerDetails,
   getDonationDetails,
   getDistributionLocations,
   assignDistributionTask,
-  clearIssue,
+  assignDirectDeliveryTask,
 };
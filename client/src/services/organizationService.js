@@ -0,0 +1,198 @@
+import axios from "axios";
+import { getAuth } from "firebase/auth";
+
+// Helper: get the current user's Firebase ID token to call protected backend APIs.
+// Throws an error if the user is not logged in.
+const getAuthToken = async () => {
+  const auth = getAuth();
+  const user = auth.currentUser;
+  if (!user) {
+    throw new Error("User not authenticated.");
+  }
+  return await user.getIdToken();
+};
+
+// Admin: list organizations, optionally filtered ({ type, status }).
+const getOrganizations = async (filters = {}) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/organizations", {
+      headers: { Authorization: `Bearer ${token}` },
+      params: filters,
+    });
+    return response.data.organizations || [];
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to fetch organizations."
+    );
+  }
+};
+
+// Fetch one organization; admins also get its linked donors and staff.
+const getOrganization = async (organizationId) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get(`/api/organizations/${organizationId}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to fetch organization."
+    );
+  }
+};
+
+// Admin: create an organization ({ name, address, coordinates: [lng, lat], ... }).
+const createOrganization = async (organizationData) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.post("/api/organizations", organizationData, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data.organization;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to create organization."
+    );
+  }
+};
+
+// Edit an organization (only the fields given are changed).
+// Center staff can only send their own center's hours, stock and needs.
+const updateOrganization = async (organizationId, updateData) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/organizations/${organizationId}`,
+      updateData,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data.organization;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to update organization."
+    );
+  }
+};
+
+// Admin: deactivate an organization (it is kept for history).
+const deactivateOrganization = async (organizationId) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.delete(
+      `/api/organizations/${organizationId}`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data.organization;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to deactivate organization."
+    );
+  }
+};
+
+// Admin: link a donor account to a DonorBusiness.
+const linkDonor = async (organizationId, uid) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/organizations/${organizationId}/donors/${uid}`,
+      {},
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || "Failed to link donor.");
+  }
+};
+
+// Admin: unlink a donor account from a DonorBusiness.
+const unlinkDonor = async (organizationId, uid) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.delete(
+      `/api/organizations/${organizationId}/donors/${uid}`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || "Failed to unlink donor.");
+  }
+};
+
+// Admin: make a user staff of a distribution center.
+const addStaff = async (organizationId, uid) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/organizations/${organizationId}/staff/${uid}`,
+      {},
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to add staff member."
+    );
+  }
+};
+
+// Admin: remove a staff member from a distribution center.
+const removeStaff = async (organizationId, uid) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.delete(
+      `/api/organizations/${organizationId}/staff/${uid}`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to remove staff member."
+    );
+  }
+};
+
+// Turn an address into { coordinates: [lng, lat], formattedAddress }
+// using the backend geocoding route.
+const geocodeAddress = async (address) => {
+  try {
+    const response = await axios.post("/api/geocoding/forward", { address });
+    const { lat, lng } = response.data.coordinates;
+    return {
+      coordinates: [lng, lat],
+      formattedAddress: response.data.formattedAddress,
+    };
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to find this address."
+    );
+  }
+};
+
+// Export all organization-related service functions.
+export const organizationService = {
+  getOrganizations,
+  getOrganization,
+  createOrganization,
+  updateOrganization,
+  deactivateOrganization,
+  linkDonor,
+  unlinkDonor,
+  addStaff,
+  removeStaff,
+  geocodeAddress,
+};
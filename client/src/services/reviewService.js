@@ -0,0 +1,116 @@
+import axios from "axios";
+import { getAuth } from "firebase/auth";
+
+// Helper: get the current user's Firebase ID token to call protected backend APIs.
+// Throws an error if the user is not logged in.
+const getAuthToken = async () => {
+  const auth = getAuth();
+  const user = auth.currentUser;
+  if (!user) {
+    throw new Error("User not authenticated.");
+  }
+  return await user.getIdToken();
+};
+
+// Completed tasks the current user can still review, with who they would rate.
+const getPendingReviews = async () => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/reviews/pending", {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data.reviews || [];
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to load tasks to review."
+    );
+  }
+};
+
+// Rate a completed task ({ taskId, rating, comment }).
+const submitReview = async (review) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.post("/api/reviews", review, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data.review;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || "Failed to save review.");
+  }
+};
+
+// A user's rating and visible reviews: { rating, reviewCount, reviews }.
+const getUserReviews = async (uid) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get(`/api/reviews/users/${uid}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || "Failed to load reviews.");
+  }
+};
+
+// Ask the admins to look at a review of the current user.
+const reportReview = async (reviewId, reason) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/reviews/${reviewId}/report`,
+      { reason },
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data.review;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to report review."
+    );
+  }
+};
+
+// Admin: reported (default), hidden or all reviews.
+const getReviewQueue = async (status = "reported") => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/admin/reviews", {
+      headers: { Authorization: `Bearer ${token}` },
+      params: { status },
+    });
+    return response.data.reviews || [];
+  } catch (error) {
+    throw new Error(error.response?.data?.message || "Failed to load reviews.");
+  }
+};
+
+// Admin: hide a review (hidden = true) or show it again.
+const moderateReview = async (reviewId, hidden, reason) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/admin/reviews/${reviewId}/moderation`,
+      { hidden, reason },
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data.review;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to update review."
+    );
+  }
+};
+
+// Export all review-related service functions.
+export const reviewService = {
+  getPendingReviews,
+  submitReview,
+  getUserReviews,
+  reportReview,
+  getReviewQueue,
+  moderateReview,
+};
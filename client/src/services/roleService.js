@@ -0,0 +1,74 @@
+import axios from "axios";
+import { getAuth } from "firebase/auth";
+
+// Helper: get the current user's Firebase ID token to call protected backend APIs.
+// Throws an error if the user is not logged in.
+const getAuthToken = async () => {
+  const auth = getAuth();
+  const user = auth.currentUser;
+  if (!user) {
+    throw new Error("User not authenticated.");
+  }
+  return await user.getIdToken();
+};
+
+// Admin: every role ({ name, permissions, userCount, ... }) and the
+// permissions that can be granted ({ name, description }).
+const getRoles = async () => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/roles", {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || "Failed to fetch roles.");
+  }
+};
+
+// Admin: create a role ({ name, description, permissions }).
+const createRole = async (roleData) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.post("/api/roles", roleData, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data.role;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || "Failed to create role.");
+  }
+};
+
+// Admin: change a role's description and/or full permission list.
+const updateRole = async (name, updateData) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(`/api/roles/${name}`, updateData, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data.role;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || "Failed to update role.");
+  }
+};
+
+// Admin: delete a role no user has any more.
+const deleteRole = async (name) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.delete(`/api/roles/${name}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || "Failed to delete role.");
+  }
+};
+
+// Export all role-related service functions.
+export const roleService = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+};
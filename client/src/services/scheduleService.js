@@ -0,0 +1,89 @@
+import axios from "axios";
+import { getAuth } from "firebase/auth";
+
+// Helper: get the current user's Firebase ID token to call protected backend APIs.
+// Throws an error if the user is not logged in.
+const getAuthToken = async () => {
+  const auth = getAuth();
+  const user = auth.currentUser;
+  if (!user) {
+    throw new Error("User not authenticated.");
+  }
+  return await user.getIdToken();
+};
+
+// Fetch the donor's recurring schedules (with their upcoming occurrence days).
+const getSchedules = async () => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/schedules", {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data.schedules || [];
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to fetch schedules."
+    );
+  }
+};
+
+// Create a recurring schedule from a donation template.
+const createSchedule = async (scheduleData) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.post("/api/schedules", scheduleData, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to create schedule."
+    );
+  }
+};
+
+// Skip a single occurrence ("YYYY-MM-DD") of a schedule.
+const skipOccurrence = async (scheduleId, date) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/schedules/${scheduleId}/skip`,
+      { date },
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to skip occurrence."
+    );
+  }
+};
+
+// Pause, resume or end a schedule (action = "pause" | "resume" | "end").
+const updateScheduleStatus = async (scheduleId, action) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/schedules/${scheduleId}/${action}`,
+      {},
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || `Failed to ${action} schedule.`
+    );
+  }
+};
+
+// Export all schedule-related service functions.
+export const scheduleService = {
+  getSchedules,
+  createSchedule,
+  skipOccurrence,
+  updateScheduleStatus,
+};
@@ -0,0 +1,212 @@
+import axios from "axios";
+import { getAuth } from "firebase/auth";
+
+// Helper: get the current user's Firebase ID token to call protected backend APIs.
+// Throws an error if the user is not logged in.
+const getAuthToken = async () => {
+  const auth = getAuth();
+  const user = auth.currentUser;
+  if (!user) {
+    throw new Error("User not authenticated.");
+  }
+  return await user.getIdToken();
+};
+
+// Fetch a volunteer's weekly times, days off and daily task limit.
+const getAvailability = async (volunteerId) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get(
+      `/api/volunteers/${volunteerId}/availability`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data.availability;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to load availability."
+    );
+  }
+};
+
+// Save a volunteer's availability ({ weekly, blackoutDates, maxTasksPerDay }).
+const updateAvailability = async (volunteerId, availability) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/volunteers/${volunteerId}/availability`,
+      availability,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data.availability;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to save availability."
+    );
+  }
+};
+
+// Fetch a volunteer's vehicle, cargo capacity, refrigeration, certificate
+// and travel radius.
+const getCapabilities = async (volunteerId) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get(
+      `/api/volunteers/${volunteerId}/capabilities`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data.capabilities;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to load capabilities."
+    );
+  }
+};
+
+// Save a volunteer's capabilities (see VolunteerCapabilitiesSchema).
+const updateCapabilities = async (volunteerId, capabilities) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/volunteers/${volunteerId}/capabilities`,
+      capabilities,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data.capabilities;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to save capabilities."
+    );
+  }
+};
+
+// Fetch a volunteer's vetting status, documents and missing documents.
+const getVetting = async (volunteerId) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get(`/api/volunteers/${volunteerId}/vetting`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.data.vetting;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to load vetting status."
+    );
+  }
+};
+
+// Upload a vetting document ({ type, file (data URL), fileName, expiresAt }).
+// Returns the updated vetting status.
+const uploadDocument = async (volunteerId, document) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.post(
+      `/api/volunteers/${volunteerId}/documents`,
+      document,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data.vetting;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to upload document."
+    );
+  }
+};
+
+// Fetch an uploaded vetting document as an object URL.
+// Caller should URL.revokeObjectURL() it when done.
+const getDocumentFileUrl = async (volunteerId, documentId) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get(
+      `/api/volunteers/${volunteerId}/documents/${documentId}/file`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+        responseType: "blob",
+      }
+    );
+    return URL.createObjectURL(response.data);
+  } catch (error) {
+    throw new Error(
+      `Failed to load document (${error.response?.status || "network error"}).`
+    );
+  }
+};
+
+// Admin: volunteers waiting for approval ("pending"), or the "suspended"
+// or "rejected" ones.
+const getVettingQueue = async (status = "pending") => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.get("/api/admin/vetting", {
+      headers: { Authorization: `Bearer ${token}` },
+      params: { status },
+    });
+    return response.data.volunteers || [];
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to load the review queue."
+    );
+  }
+};
+
+// Admin: approve a volunteer and accept their pending documents.
+const approveVolunteer = async (volunteerId) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/admin/vetting/${volunteerId}/approve`,
+      {},
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data.vetting;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to approve volunteer."
+    );
+  }
+};
+
+// Admin: reject a volunteer; the reason is shown to them.
+const rejectVolunteer = async (volunteerId, reason) => {
+  const token = await getAuthToken();
+  try {
+    const response = await axios.put(
+      `/api/admin/vetting/${volunteerId}/reject`,
+      { reason },
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.data.vetting;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || "Failed to reject volunteer."
+    );
+  }
+};
+
+// Export all volunteer-related service functions.
+export const volunteerService = {
+  getAvailability,
+  updateAvailability,
+  getCapabilities,
+  updateCapabilities,
+  getVetting,
+  uploadDocument,
+  getDocumentFileUrl,
+  getVettingQueue,
+  approveVolunteer,
+  rejectVolunteer,
+};
@@ -0,0 +1,52 @@
+// Item categories a center can accept or ask for (same as donation posting)
+export const ITEM_TYPES = [
+  "Prepared Food",
+  "Non-Perishables",
+  "Produce",
+  "Money/Gift Card",
+  "Other Item",
+];
+
+// Storage types (must match the backend StorageRequirement list)
+export const STORAGE_TYPES = ["ambient", "chilled", "frozen"];
+
+// Weekday labels for opening hours (index = JS day number)
+export const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Storage amounts as form values ("" when not published)
+const toAmountFields = (amounts) =>
+  STORAGE_TYPES.reduce((fields, storage) => {
+    fields[storage] = amounts?.[storage] ?? "";
+    return fields;
+  }, {});
+
+// Storage amounts in the shape the backend expects (blank fields left out)
+const toAmounts = (fields) =>
+  Object.fromEntries(
+    Object.entries(fields)
+      .filter(([, kg]) => kg !== "")
+      .map(([storage, kg]) => [storage, Number(kg)])
+  );
+
+// Form state for what a distribution center publishes
+export const toCenterProfileForm = (org = {}) => ({
+  acceptingDonations: org.acceptingDonations !== false,
+  openingHours: org.openingHours || [],
+  storageCapacityKg: toAmountFields(org.storageCapacityKg),
+  currentStockKg: toAmountFields(org.currentStockKg),
+  acceptedCategories: org.acceptedCategories || [],
+  requestedCategories: org.requestedCategories || [],
+});
+
+// Center profile form -> request body for PUT /api/organizations/:id
+export const toCenterProfilePayload = (form) => ({
+  acceptingDonations: form.acceptingDonations,
+  openingHours: form.openingHours.map((entry) => ({
+    ...entry,
+    weekday: Number(entry.weekday),
+  })),
+  storageCapacityKg: toAmounts(form.storageCapacityKg),
+  currentStockKg: toAmounts(form.currentStockKg),
+  acceptedCategories: form.acceptedCategories,
+  requestedCategories: form.requestedCategories,
+});
@@ -0,0 +1,47 @@
+// Units a donation quantity can be entered in (mirrors the server model)
+export const QUANTITY_UNITS = [
+  { value: "kg", label: "Kilograms (kg)" },
+  { value: "lbs", label: "Pounds (lbs)" },
+  { value: "servings", label: "Servings" },
+  { value: "boxes", label: "Boxes" },
+  { value: "trays", label: "Trays" },
+  { value: "items", label: "Items" },
+];
+
+// Human-readable quantity, e.g. "3 trays (~6 kg)"; older donations stored plain text
+export const formatQuantity = (quantity) => {
+  if (!quantity) return "";
+  if (typeof quantity === "string") return quantity;
+
+  const base = `${quantity.amount} ${quantity.unit}`;
+  if (
+    quantity.estimatedWeightKg !== undefined &&
+    quantity.estimatedWeightKg !== null &&
+    !["kg", "lbs"].includes(quantity.unit)
+  ) {
+    return `${base} (~${quantity.estimatedWeightKg} kg)`;
+  }
+  return base;
+};
+
+// Allergens a donor can flag on each line item (mirrors the server model)
+export const ALLERGENS = [
+  "gluten",
+  "dairy",
+  "eggs",
+  "nuts",
+  "peanuts",
+  "soy",
+  "fish",
+  "shellfish",
+  "sesame",
+];
+
+// Short one-line summary of line items, e.g. "Pasta (2 trays), Produce (1 boxes)"
+export const formatLineItems = (items) =>
+  (items || [])
+    .map(
+      (item) =>
+        `${item.name || item.itemType} (${formatQuantity(item.quantity)})`
+    )
+    .join(", ");
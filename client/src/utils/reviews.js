@@ -0,0 +1,19 @@
+// Who wrote a review, as shown next to it (same keys as reviewerRole)
+export const REVIEWER_ROLE_LABELS = {
+  donor: "Donor",
+  center: "Distribution center",
+  volunteer: "Volunteer",
+};
+
+// Question asked when rating a task, by reviewer role
+export const REVIEW_QUESTIONS = {
+  donor: (name) => `How was the pickup by ${name}?`,
+  center: (name) => `How was the delivery by ${name}?`,
+  volunteer: (name) => `How was the pickup from ${name}?`,
+};
+
+// A 1-5 rating as filled and empty stars, e.g. "★★★★☆"
+export const formatStars = (rating) => {
+  const filled = Math.round(rating);
+  return "★".repeat(filled) + "☆".repeat(5 - filled);
+};
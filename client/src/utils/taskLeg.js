@@ -0,0 +1,26 @@
+// Which part of the donation flow a task is in: "collection" or
+// "distribution". Direct deliveries are collections until the pickup leg
+// is completed, then distributions.
+export const getTaskPhase = (task) => {
+  if (task?.taskType !== "directDelivery") return task?.taskType;
+  return task.leg === "dropoff" ? "distribution" : "collection";
+};
+
+// Where the volunteer has to go next: { coordinates, address }
+export const getTaskTarget = (task) => {
+  if (task?.taskType === "directDelivery" && task.leg === "dropoff") {
+    return {
+      coordinates: task.dropoffLocation?.coordinates,
+      address: task.dropoffAddress,
+    };
+  }
+  return { coordinates: task?.location?.coordinates, address: task?.address };
+};
+
+// Short label for a task, e.g. "Direct Delivery (drop-off)"
+export const getTaskLabel = (task) => {
+  if (task?.taskType === "directDelivery") {
+    return `Direct Delivery (${task.leg === "dropoff" ? "drop-off" : "pickup"})`;
+  }
+  return task?.taskType === "collection" ? "Collection" : "Distribution";
+};
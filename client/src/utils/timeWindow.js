@@ -0,0 +1,54 @@
+// Minutes -> "2h 15m" / "45m"
+export const formatDuration = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+/**
+ * Countdown to the end of a pickup/drop-off window.
+ * Returns { label, isLate, isClosingSoon } or null when there is no window.
+ */
+export const getWindowCountdown = (windowEnd, now = new Date()) => {
+  if (!windowEnd) return null;
+
+  const minutesLeft = Math.round((new Date(windowEnd) - now) / 60000);
+
+  if (minutesLeft < 0) {
+    return {
+      label: `Window closed ${formatDuration(-minutesLeft)} ago`,
+      isLate: true,
+      isClosingSoon: false,
+    };
+  }
+
+  return {
+    label: `Window closes in ${formatDuration(minutesLeft)}`,
+    isLate: false,
+    isClosingSoon: minutesLeft <= 30,
+  };
+};
+
+// "Oct 22, 4:00 PM – 7:00 PM" (end date shown only when it differs)
+export const formatWindow = (start, end) => {
+  if (!start) return "N/A";
+
+  const startDate = new Date(start);
+  const startText = startDate.toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+  if (!end) return startText;
+
+  const endDate = new Date(end);
+  const sameDay = startDate.toDateString() === endDate.toDateString();
+  const endText = endDate.toLocaleString(
+    "en-US",
+    sameDay
+      ? { hour: "numeric", minute: "2-digit" }
+      : { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" }
+  );
+  return `${startText} – ${endText}`;
+};
@@ -0,0 +1,26 @@
+// Names of the vetting documents (same keys as VOLUNTEER_DOCUMENT_TYPES)
+export const DOCUMENT_LABELS = {
+  id: "ID",
+  foodSafetyCertificate: "Food-safety certificate",
+  driversLicence: "Driver's licence",
+};
+
+// How each vetting status is shown: label and Tailwind colour classes
+export const VETTING_STATUS_STYLES = {
+  pending: {
+    label: "Waiting for approval",
+    className: "bg-yellow-100 text-yellow-800",
+  },
+  approved: { label: "Approved", className: "bg-green-100 text-green-800" },
+  rejected: { label: "Rejected", className: "bg-red-100 text-red-800" },
+  suspended: { label: "Suspended", className: "bg-red-100 text-red-800" },
+};
+
+// Read a File chosen in an <input type="file"> as a data URL
+export const readFileAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error("Could not read the file."));
+    reader.readAsDataURL(file);
+  });
@@ -1,10 +1,25 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { fileURLToPath, URL } from "node:url";
+
+const sharedDir = fileURLToPath(new URL("../shared", import.meta.url));
+const clientDir = fileURLToPath(new URL(".", import.meta.url));
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    // Request schemas shared with the server (../shared)
+    alias: {
+      "@shared": sharedDir,
+    },
+  },
   server: {
+    // Let the dev server read ../shared as well as the client folder, but
+    // nothing else outside it (the server keeps keys and uploads there)
+    fs: {
+      allow: [clientDir, sharedDir],
+    },
     proxy: {
       "/api": {
         target: "http://localhost:5000",
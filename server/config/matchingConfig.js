@@ -0,0 +1,61 @@
+// Scoring rules used by the volunteer matching engine.
+// Every value can be overridden through environment variables so coordinators
+// can tune matching without a code change, e.g. MATCH_WEIGHT_DISTANCE=0.6
+
+// Read a numeric environment variable, falling back to a default value
+const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Default matching configuration
+const defaultMatchingConfig = {
+  // Relative weight of each scoring factor (they do not need to add up to 1)
+  weights: {
+    distance: numberFromEnv("MATCH_WEIGHT_DISTANCE", 0.5),
+    load: numberFromEnv("MATCH_WEIGHT_LOAD", 0.3),
+    rating: numberFromEnv("MATCH_WEIGHT_RATING", 0.2),
+  },
+
+  // Volunteers living further away than this are never suggested
+  maxDistanceKm: numberFromEnv("MATCH_MAX_DISTANCE_KM", 25),
+
+  // Volunteers with this many open tasks are treated as unavailable
+  maxActiveTasks: numberFromEnv("MATCH_MAX_ACTIVE_TASKS", 3),
+
+  // How many ranked suggestions are returned to the admin
+  suggestionLimit: numberFromEnv("MATCH_SUGGESTION_LIMIT", 10),
+
+  // Rating (0-5) used for volunteers nobody has reviewed yet
+  unratedRating: numberFromEnv("MATCH_UNRATED_RATING", 3.5),
+};
+
+// Merge per-request overrides (e.g. from query params) into the defaults.
+// Only known keys with numeric values are accepted.
+const getMatchingConfig = (overrides = {}) => {
+  const config = {
+    ...defaultMatchingConfig,
+    weights: { ...defaultMatchingConfig.weights },
+  };
+
+  ["maxDistanceKm", "maxActiveTasks", "suggestionLimit"].forEach((key) => {
+    const value = Number(overrides[key]);
+    if (overrides[key] !== undefined && Number.isFinite(value) && value > 0) {
+      config[key] = value;
+    }
+  });
+
+  Object.keys(config.weights).forEach((key) => {
+    const value = Number(overrides.weights?.[key]);
+    if (overrides.weights?.[key] !== undefined && Number.isFinite(value)) {
+      config.weights[key] = Math.max(0, value);
+    }
+  });
+
+  return config;
+};
+
+module.exports = {
+  defaultMatchingConfig,
+  getMatchingConfig,
+};
@@ -0,0 +1,51 @@
+// One-off migration: convert free-text donation quantities ("50 lbs",
+// "3 trays", ...) into the structured { amount, unit } shape.
+// Run with: npm run migrate:quantity
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const { Donation } = require("../models/donationModel");
+const { parseLegacyQuantity } = require("../services/quantityService");
+
+const MONGO_URI =
+  process.env.MONGO_URI || "mongodb://localhost:27017/nourishlink";
+
+const migrate = async () => {
+  await mongoose.connect(MONGO_URI);
+  console.log("MongoDB Connected");
+
+  // Use the raw collection: string quantities no longer match the schema
+  const cursor = Donation.collection.find({ quantity: { $type: "string" } });
+
+  let converted = 0;
+  let flagged = 0;
+
+  for await (const doc of cursor) {
+    const parsed = parseLegacyQuantity(doc.quantity);
+
+    // Unparseable text is kept in legacyQuantity and flagged for an admin
+    const update = parsed
+      ? { quantity: parsed, legacyQuantity: doc.quantity }
+      : {
+          quantity: { amount: 1, unit: "items" },
+          legacyQuantity: doc.quantity,
+          quantityNeedsReview: true,
+        };
+
+    await Donation.collection.updateOne({ _id: doc._id }, { $set: update });
+
+    if (parsed) converted++;
+    else flagged++;
+  }
+
+  console.log(
+    `Quantity migration done: ${converted} converted, ${flagged} flagged for review.`
+  );
+};
+
+migrate()
+  .catch((err) => {
+    console.error("QUANTITY MIGRATION ERROR:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
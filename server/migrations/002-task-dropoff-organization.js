@@ -0,0 +1,86 @@
+// One-off migration: distribution tasks were created without the center
+// they deliver to, so center staff could not review them. Copy it from the
+// donation onto the tasks, then onto the center reviews already written.
+// Run with: npm run migrate:task-dropoff
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const { Task } = require("../models/taskModel");
+const { Donation } = require("../models/donationModel");
+const { Review } = require("../models/reviewModel");
+
+const MONGO_URI =
+  process.env.MONGO_URI || "mongodb://localhost:27017/nourishlink";
+
+const migrate = async () => {
+  await mongoose.connect(MONGO_URI);
+  console.log("MongoDB Connected");
+
+  // Cancelled and failed tasks are skipped: the donation has moved on to
+  // another center (or none) since, so its center is not theirs
+  const cursor = Task.collection.find({
+    taskType: "distribution",
+    status: { $nin: ["cancelled", "failed"] },
+    dropoffOrganizationId: { $exists: false },
+  });
+
+  let tasksUpdated = 0;
+  let tasksSkipped = 0;
+
+  for await (const doc of cursor) {
+    const donation = await Donation.findOne({
+      donationId: doc.donationId,
+    }).select("dropoffOrganizationId");
+    if (!donation?.dropoffOrganizationId) {
+      tasksSkipped++;
+      continue;
+    }
+
+    await Task.collection.updateOne(
+      { _id: doc._id },
+      { $set: { dropoffOrganizationId: donation.dropoffOrganizationId } }
+    );
+    tasksUpdated++;
+  }
+
+  // Center reviews count once per center: record which center wrote them.
+  // Wait for the one-review-per-center index so it refuses second reviews.
+  await Review.init();
+  let reviewsUpdated = 0;
+  let reviewsDuplicate = 0;
+  const reviews = Review.collection.find({
+    reviewerRole: "center",
+    reviewerOrganizationId: { $exists: false },
+  });
+
+  for await (const doc of reviews) {
+    const task = await Task.findOne({ taskId: doc.taskId }).select(
+      "dropoffOrganizationId"
+    );
+    if (!task?.dropoffOrganizationId) continue;
+
+    try {
+      await Review.collection.updateOne(
+        { _id: doc._id },
+        { $set: { reviewerOrganizationId: task.dropoffOrganizationId } }
+      );
+      reviewsUpdated++;
+    } catch (err) {
+      // A colleague's review of the task already counts for the center;
+      // this one stays as it was
+      if (err.code !== 11000) throw err;
+      reviewsDuplicate++;
+    }
+  }
+
+  console.log(
+    `Task drop-off migration done: ${tasksUpdated} tasks updated, ${tasksSkipped} without a center, ${reviewsUpdated} center reviews updated, ${reviewsDuplicate} left as second reviews of their center.`
+  );
+};
+
+migrate()
+  .catch((err) => {
+    console.error("TASK DROP-OFF MIGRATION ERROR:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
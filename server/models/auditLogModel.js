@@ -0,0 +1,92 @@
+// Import the Mongoose library
+const mongoose = require("mongoose");
+// Extract the Schema constructor from Mongoose
+const { Schema } = mongoose;
+
+// One change made through the API. Entries are append-only and chained:
+// each stores the hash of the previous entry, so editing or deleting an
+// entry breaks every hash after it (see auditService.verifyAuditChain).
+// minimize is off so empty objects (e.g. before: {}) are stored as they
+// were hashed instead of being dropped on save.
+const AuditLogSchema = new Schema(
+  {
+    // Position in the chain (1, 2, 3, ...); unique so the chain cannot fork
+    sequence: { type: Number, required: true, unique: true },
+
+    // Who made the change (null for requests without a signed-in user)
+    actorUid: { type: String, default: null, index: true },
+    actorName: { type: String, default: null },
+    actorRole: { type: String, default: null },
+
+    // Route that made the change, e.g. "PUT /api/users/:uid"
+    action: { type: String, required: true, index: true },
+    method: { type: String, required: true },
+    // Actual URL path, e.g. "/api/users/abc123"
+    path: { type: String, required: true },
+    // HTTP status of the response (4xx = refused, e.g. missing permission)
+    statusCode: { type: Number, required: true },
+
+    // What was changed, e.g. targetType "task" and its taskId
+    targetType: { type: String, default: null, index: true },
+    targetId: { type: String, default: null, index: true },
+
+    // State before and after the change (or the request body when the
+    // route did not describe it), and the fields that differ
+    before: { type: Schema.Types.Mixed, default: null },
+    after: { type: Schema.Types.Mixed, default: null },
+    changes: [
+      {
+        _id: false,
+        field: { type: String },
+        from: { type: Schema.Types.Mixed },
+        to: { type: Schema.Types.Mixed },
+      },
+    ],
+
+    // Client IP address of the request
+    ip: { type: String, default: null },
+
+    // When the change was made
+    createdAt: { type: Date, default: Date.now, index: true },
+
+    // Hash of the previous entry ("" for the first) and of this entry
+    prevHash: { type: String, default: "" },
+    hash: { type: String, required: true },
+  },
+  { minimize: false }
+);
+
+// The log is append-only: block every update and delete through Mongoose
+const blockChange = function () {
+  throw new Error("Audit log entries cannot be changed or deleted.");
+};
+AuditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  blockChange
+);
+AuditLogSchema.pre("save", function () {
+  if (!this.isNew) blockChange();
+});
+
+// Convert the schema into a Mongoose model
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+
+// Latest entry of the chain (null while the log is empty)
+const getLastAuditEntry = async () => {
+  return await AuditLog.findOne().sort({ sequence: -1 });
+};
+
+// Export model and helper functions
+module.exports = {
+  AuditLog,
+  getLastAuditEntry,
+};
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const StatusHistorySchema = require("./statusHistorySchema");
 
 // List of allowed donation statuses.
 // ENUM ensures the 'status' field can only be one of these values.
@@ -9,8 +10,73 @@ const DonationStatus = [
   "collected",
   "assignedForDistribution",
   "delivered",
+  "cancelled",
 ];
 
+// How the food has to be stored until it reaches a distribution center.
+const StorageRequirement = ["ambient", "chilled", "frozen"];
+
+// Units a donation quantity can be expressed in.
+const QuantityUnits = ["kg", "lbs", "servings", "boxes", "trays", "items"];
+
+// Structured quantity: amount + unit, plus derived weight and servings
+// so metrics can add up real amounts instead of free text.
+const QuantitySchema = new Schema(
+  {
+    amount: { type: Number, required: true, min: 0 },
+    unit: { type: String, required: true, enum: QuantityUnits },
+
+    // Donor's estimate, or converted from kg/lbs; empty when unknown
+    estimatedWeightKg: { type: Number, min: 0 },
+
+    // Number of servings (given directly or estimated from weight)
+    estimatedServings: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+// Common food allergens a donor can flag on a line item.
+const Allergens = [
+  "gluten",
+  "dairy",
+  "eggs",
+  "nuts",
+  "peanuts",
+  "soy",
+  "fish",
+  "shellfish",
+  "sesame",
+];
+
+// How much of a line item the collecting volunteer actually picked up.
+const LineItemCollectionStatus = [
+  "pending",
+  "collected",
+  "partial",
+  "notCollected",
+];
+
+// One thing inside a donation, e.g. "2 trays of pasta" or "1 crate of apples".
+// Subdocument _id is kept so volunteers can refer to single items.
+const LineItemSchema = new Schema({
+  // Category, one of the item types the donor picks from
+  itemType: { type: String, required: true },
+
+  // Optional short description ("Pasta", "Apples", ...)
+  name: { type: String },
+
+  quantity: { type: QuantitySchema, required: true },
+  allergens: { type: [{ type: String, enum: Allergens }], default: [] },
+
+  // Filled by the collecting volunteer (same unit as quantity)
+  collectionStatus: {
+    type: String,
+    enum: LineItemCollectionStatus,
+    default: "pending",
+  },
+  collectedAmount: { type: Number, min: 0 },
+});
+
 // Donation schema defines the structure of a donation document in MongoDB.
 const donationSchema = new Schema({
   // Unique ID for each donation (not MongoDB ID, custom generated)
@@ -20,11 +86,42 @@ const donationSchema = new Schema({
   donorId: { type: String, required: true, index: true },
   donorName: { type: String, required: true },
 
-  // Item details
+  // DonorBusiness the donor posted for (its organizationId), so staff of
+  // the same business see each other's donations
+  donorOrganizationId: { type: String, index: true },
+  donorOrganizationName: { type: String },
+
+  // Item details. For multi-item donations these are a summary of `items`
+  // ("Mixed" category, total quantity) so list views keep working.
   itemType: { type: String, required: true },
-  quantity: { type: String, required: true },
+  quantity: { type: QuantitySchema, required: true },
+
+  // Line items making up the donation (at least one for new donations)
+  items: { type: [LineItemSchema], default: [] },
+
+  // Set when the donation was generated from a recurring schedule;
+  // occurrenceDate is the schedule day ("YYYY-MM-DD") it belongs to
+  scheduleId: { type: String },
+  occurrenceDate: { type: String },
+
+  // Original free-text quantity of donations posted before structured
+  // quantities existed (kept by the migration for reference)
+  legacyQuantity: { type: String },
+
+  // Set by the migration when the legacy text could not be parsed
+  quantityNeedsReview: { type: Boolean, default: false },
   notes: { type: String },
 
+  // Best-before / expiry time of the food (used for urgency and auto-cancel)
+  expiresAt: { type: Date },
+
+  // Storage the food needs; must match one of StorageRequirement
+  storageRequirement: {
+    type: String,
+    enum: StorageRequirement,
+    default: "ambient",
+  },
+
   // Status must match one of the values from DonationStatus (ENUM validation)
   status: {
     type: String,
@@ -33,6 +130,9 @@ const donationSchema = new Schema({
     default: "pendingAssignment",
   },
 
+  // Every status change with who made it, when and why (append-only)
+  statusHistory: { type: [StatusHistorySchema], default: [] },
+
   // Pickup location stored as GeoJSON Point
   pickupLocation: {
     type: { type: String, enum: ["Point"], default: "Point" },
@@ -49,15 +149,37 @@ const donationSchema = new Schema({
 
   dropoffAddress: { type: String },
 
+  // Distribution center receiving the donation (its organizationId)
+  dropoffOrganizationId: { type: String },
+
   // Important timestamps
+  // Start of the pickup window (when the food is ready to be collected)
   availabilityTime: { type: Date, required: true },
+  // End of the pickup window; missing on donations posted before windows
+  pickupWindowEnd: { type: Date },
+  // Drop-off window at the distribution center (set on distribution assignment)
+  dropoffWindowStart: { type: Date },
+  dropoffWindowEnd: { type: Date },
   postedAt: { type: Date, default: Date.now },
   collectedAt: { type: Date },
   deliveredAt: { type: Date },
+  cancelledAt: { type: Date },
+
+  // Why the donation was cancelled (e.g. "expired")
+  cancellationReason: { type: String },
+
+  // Whether volunteers may self-claim this donation from the open tasks feed
+  // (admins can switch it off for donations that need hand-picked volunteers)
+  claimingEnabled: { type: Boolean, default: true },
 
   // Volunteer details
   collectedByVolunteerId: { type: String },
   distributionVolunteerId: { type: String },
+
+  // Receiving center staff confirm a delivery once they have checked it
+  receivedAt: { type: Date },
+  receivedByUserId: { type: String },
+  receiptNotes: { type: String },
 });
 
 // Geospatial index needed for finding nearest volunteers
@@ -66,6 +188,15 @@ donationSchema.index({ pickupLocation: "2dsphere" });
 // Index to optimize donor- and status-based queries
 donationSchema.index({ donorId: 1, status: 1 });
 
+// Index used by the expiry scheduler to find donations that have spoiled
+donationSchema.index({ status: 1, expiresAt: 1 });
+
+// One donation per schedule occurrence, even if the scheduler runs twice
+donationSchema.index(
+  { scheduleId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { scheduleId: { $type: "string" } } }
+);
+
 // Creates a model for interacting with the donations collection
 const Donation = mongoose.model("Donation", donationSchema);
 
@@ -100,6 +231,11 @@ const updateDonation = async (donationId, updateData) => {
 module.exports = {
   Donation,
   DonationStatus,
+  StorageRequirement,
+  QuantityUnits,
+  Allergens,
+  LineItemCollectionStatus,
+  LineItemSchema,
   createDonation,
   getDonationById,
   getDonationsByDonorId,
@@ -41,6 +41,20 @@ const getDonorByUserId = async (userId) => {
   return await Donor.findOne({ userId }).populate("organizationId");
 };
 
+// The active DonorBusiness a donor posts for, or null when not linked
+const getDonorBusiness = async (userId) => {
+  const donor = await getDonorByUserId(userId);
+  const organization = donor?.organizationId;
+  return organization && organization.status !== "inactive"
+    ? organization
+    : null;
+};
+
+// Fetch all donors linked to an organization (by its MongoDB _id)
+const getDonorsByOrganization = async (organizationObjectId) => {
+  return await Donor.find({ organizationId: organizationObjectId });
+};
+
 // Fetch all donors with active status
 const getActiveDonors = async () => {
   return await Donor.find({ status: "active" }).populate("organizationId");
@@ -59,6 +73,8 @@ module.exports = {
   Donor,
   createDonor,
   getDonorByUserId,
+  getDonorBusiness,
+  getDonorsByOrganization,
   getActiveDonors,
   updateDonor,
 };
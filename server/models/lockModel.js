@@ -0,0 +1,25 @@
+// Import mongoose library
+const mongoose = require("mongoose");
+// Extract Schema constructor from mongoose
+const { Schema } = mongoose;
+
+// Named locks held for a few seconds while a check and the write it guards
+// run together (see services/lockService.js). A lock counts as held until
+// expiresAt, so one left behind by a crashed server frees itself.
+const LockSchema = new Schema({
+  // What is locked, e.g. "assignment:<volunteer uid>"
+  name: { type: String, required: true, unique: true },
+
+  // Random value identifying the holder, so only it can release the lock
+  token: { type: String, required: true },
+
+  // When the lock stops counting as held
+  expiresAt: { type: Date, required: true },
+});
+
+// Convert the schema into a Mongoose model
+const Lock = mongoose.model("Lock", LockSchema);
+
+module.exports = {
+  Lock,
+};
@@ -28,15 +28,26 @@ const MetricsSchema = new Schema({
   // For donors: total number of donations they have posted
   totalDonationsPosted: { type: Number, default: 0 },
 
-  // Total food items collected (used for analytics)
+  // Legacy count of food items; no longer updated because free-text
+  // quantities made it unreliable (see totalWeightKg / totalServings)
   foodItemsCollected: { type: Number, default: 0 },
 
-  // Average rating given to this user (5.0 = default perfect rating)
-  rating: { type: Number, default: 5.0 },
+  // Estimated food weight (kg) posted by a donor or handled by a volunteer
+  totalWeightKg: { type: Number, default: 0 },
 
-  // How many reviews contributed to the rating
+  // Estimated servings posted by a donor or handled by a volunteer
+  totalServings: { type: Number, default: 0 },
+
+  // Average of the visible reviews of this user (null until the first
+  // review; see reviewService.refreshRating)
+  rating: { type: Number, default: null },
+
+  // How many visible reviews contributed to the rating
   reviewCount: { type: Number, default: 0 },
 
+  // Set to inactive once the user no longer has the Volunteer or Donor
+  // role; the counters are kept in case the role is given back
+  status: { type: String, default: "active", enum: ["active", "inactive"] },
   // Record creation timestamp
   createdAt: { type: Date, default: Date.now },
 
@@ -75,9 +86,29 @@ const updateMetrics = async (userId, updateData) => {
   );
 };
 
+// Atomically add to numeric counters (e.g. { totalWeightKg: 2.5 }),
+// creating the metrics record for the user if it does not exist yet
+const incrementMetrics = async (userId, userType, increments) => {
+  return await Metrics.findOneAndUpdate(
+    { userId },
+    {
+      $inc: increments,
+      $set: { updatedAt: Date.now() },
+      $setOnInsert: {
+        metricsId: new mongoose.Types.ObjectId().toHexString(),
+        userType,
+      },
+    },
+    { new: true, upsert: true }
+  );
+};
+
 // Get top-performing volunteers based on rating and completed tasks
 const getTopVolunteersByMetrics = async (limit = 10) => {
-  return await Metrics.find({ userType: "Volunteer" })
+  return await Metrics.find({
+    userType: "Volunteer",
+    status: { $ne: "inactive" },
+  })
     .sort({ rating: -1, tasksCompleted: -1 })
     .limit(limit);
 };
@@ -88,5 +119,6 @@ module.exports = {
   getMetricsById,
   getMetricsByUserId,
   updateMetrics,
+  incrementMetrics,
   getTopVolunteersByMetrics,
 };
@@ -3,6 +3,8 @@ const mongoose = require("mongoose");
 
 // Extract the Schema class from mongoose (used to define MongoDB document structure)
 const { Schema } = mongoose;
+// Storage types match what donations can require
+const { StorageRequirement } = require("./donationModel");
 
 // List of allowed organization types
 // This will be used as ENUM values in the schema
@@ -12,6 +14,25 @@ const OrganizationType = [
   "CommunityPartner",
 ];
 
+// Kilograms per storage type (ambient / chilled / frozen)
+const StorageAmountsSchema = new Schema(
+  StorageRequirement.reduce((fields, storage) => {
+    fields[storage] = { type: Number, min: 0, default: 0 };
+    return fields;
+  }, {}),
+  { _id: false }
+);
+
+// One opening interval on a day of the week, e.g. Mon 09:00-17:00
+const OpeningHoursSchema = new Schema(
+  {
+    weekday: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+    open: { type: String, required: true }, // "HH:MM"
+    close: { type: String, required: true }, // "HH:MM"
+  },
+  { _id: false }
+);
+
 // Define the structure of an Organization document in MongoDB
 const OrganizationSchema = new Schema({
   // A unique string ID assigned to each organization
@@ -36,6 +57,36 @@ const OrganizationSchema = new Schema({
 
   // Optional: User ID of the manager responsible for this organization
   managerUserId: { type: String, default: null },
+
+  // Inactive organizations are kept for history but no longer offered
+  status: { type: String, default: "active", enum: ["active", "inactive"] },
+
+  // Optional: daily hours a distribution center accepts drop-offs ("HH:MM")
+  dropoffHours: {
+    start: { type: String },
+    end: { type: String },
+  },
+
+  // Distribution centers: weekly opening hours (replace dropoffHours)
+  openingHours: { type: [OpeningHoursSchema], default: [] },
+
+  // Distribution centers: set to false to stop receiving food for a while
+  acceptingDonations: { type: Boolean, default: true },
+
+  // Distribution centers: storage capacity and current stock in kg.
+  // A center without any capacity published is not checked for space.
+  storageCapacityKg: { type: StorageAmountsSchema },
+  currentStockKg: { type: StorageAmountsSchema, default: () => ({}) },
+  stockUpdatedAt: { type: Date },
+
+  // Distribution centers: item types they take (empty = everything)
+  // and item types they are short of
+  acceptedCategories: { type: [String], default: [] },
+  requestedCategories: { type: [String], default: [] },
+
+  // Timestamps for creation and last edit
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
 });
 
 // Create a geospatial index so MongoDB can perform location-based queries
@@ -44,9 +95,13 @@ OrganizationSchema.index({ coordinates: "2dsphere" });
 // Create the Organization model from the schema
 const Organization = mongoose.model("Organization", OrganizationSchema);
 
-// Fetch all organizations of a specific type (default: DistributionCenter)
+// Fetch all active organizations of a specific type (default: DistributionCenter)
+// Older documents without a status count as active
 const getAllOrganizations = async (type = "DistributionCenter") => {
-  return await Organization.find({ organizationType: type });
+  return await Organization.find({
+    organizationType: type,
+    status: { $ne: "inactive" },
+  });
 };
 
 // Fetch a single organization by its organizationId
@@ -54,10 +109,74 @@ const getOrganizationById = async (organizationId) => {
   return await Organization.findOne({ organizationId });
 };
 
+// Fetch an active distribution center (null for other types or inactive ones)
+const getDistributionCenterById = async (organizationId) => {
+  return await Organization.findOne({
+    organizationId,
+    organizationType: "DistributionCenter",
+    status: { $ne: "inactive" },
+  });
+};
+
+// Find the organization of a given type closest to [longitude, latitude]
+const getNearestOrganization = async (
+  coordinates,
+  type = "DistributionCenter"
+) => {
+  return await Organization.findOne({
+    organizationType: type,
+    status: { $ne: "inactive" },
+    coordinates: {
+      $nearSphere: { $geometry: { type: "Point", coordinates } },
+    },
+  });
+};
+
+// Create an organization with the next free numeric organizationId
+// (existing IDs are numeric strings, and the client parses them as numbers)
+const createOrganization = async (organizationData) => {
+  const existing = await Organization.find().select("organizationId");
+  const nextId =
+    existing.reduce(
+      (max, org) => Math.max(max, parseInt(org.organizationId) || 0),
+      0
+    ) + 1;
+
+  const newOrganization = new Organization({
+    ...organizationData,
+    organizationId: String(nextId),
+  });
+  return await newOrganization.save();
+};
+
+// Update an organization by organizationId and return the new version
+const updateOrganization = async (organizationId, updateData) => {
+  return await Organization.findOneAndUpdate({ organizationId }, updateData, {
+    new: true,
+  });
+};
+
+// Add delivered food to a center's stock of the given storage type
+const addCenterStock = async (organizationId, storage, weightKg) => {
+  return await Organization.findOneAndUpdate(
+    { organizationId },
+    {
+      $inc: { [`currentStockKg.${storage}`]: weightKg },
+      $set: { stockUpdatedAt: new Date() },
+    },
+    { new: true }
+  );
+};
+
 // Export model and functions so they can be used in routes/controllers
 module.exports = {
   Organization,
   OrganizationType,
   getAllOrganizations,
   getOrganizationById,
+  getDistributionCenterById,
+  getNearestOrganization,
+  createOrganization,
+  updateOrganization,
+  addCenterStock,
 };
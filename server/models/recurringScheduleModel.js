@@ -0,0 +1,115 @@
+// Import the Mongoose library
+const mongoose = require("mongoose");
+// Extract Schema constructor from mongoose
+const { Schema } = mongoose;
+// Line items and storage options are shared with one-off donations
+const { LineItemSchema, StorageRequirement } = require("./donationModel");
+
+// How often a schedule repeats
+const ScheduleFrequency = ["daily", "weekly", "monthly"];
+
+// Lifecycle of a schedule: paused schedules can be resumed, ended ones cannot
+const ScheduleStatus = ["active", "paused", "ended"];
+
+// Everything needed to generate a Donation for one occurrence
+const DonationTemplateSchema = new Schema(
+  {
+    items: { type: [LineItemSchema], required: true },
+    notes: { type: String },
+
+    pickupAddress: { type: String, required: true },
+    pickupLocation: {
+      type: { type: String, enum: ["Point"], default: "Point" },
+      coordinates: { type: [Number], required: true }, // [longitude, latitude]
+    },
+
+    // Pickup time window on each occurrence day ("HH:MM", server local time)
+    windowStart: { type: String, required: true },
+    windowEnd: { type: String, required: true },
+
+    storageRequirement: {
+      type: String,
+      enum: StorageRequirement,
+      default: "ambient",
+    },
+
+    // Hours after windowStart until the food expires (needed for perishables)
+    shelfLifeHours: { type: Number, min: 1 },
+  },
+  { _id: false }
+);
+
+// A donor's recurring donation, e.g. "bread every Monday and Thursday 6-8pm"
+const RecurringScheduleSchema = new Schema({
+  // Unique ID for each schedule (custom generated, like donationId)
+  scheduleId: { type: String, required: true, unique: true },
+
+  // Donor who owns the schedule
+  donorId: { type: String, required: true, index: true },
+  donorName: { type: String, required: true },
+
+  frequency: { type: String, required: true, enum: ScheduleFrequency },
+
+  // Weekly schedules: days of the week (0 = Sunday ... 6 = Saturday)
+  weekdays: { type: [Number], default: [] },
+
+  // Monthly schedules: day of the month (clamped to short months)
+  dayOfMonth: { type: Number, min: 1, max: 31 },
+
+  // First and (optional) last occurrence day, "YYYY-MM-DD"
+  startDate: { type: String, required: true },
+  endDate: { type: String },
+
+  template: { type: DonationTemplateSchema, required: true },
+
+  status: {
+    type: String,
+    required: true,
+    enum: ScheduleStatus,
+    default: "active",
+  },
+
+  // Occurrence days ("YYYY-MM-DD") the donor chose to skip
+  skippedDates: { type: [String], default: [] },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  endedAt: { type: Date },
+});
+
+// Index used by the scheduler to find schedules that generate donations
+RecurringScheduleSchema.index({ status: 1 });
+
+// Convert the schema into a Mongoose model
+const RecurringSchedule = mongoose.model(
+  "RecurringSchedule",
+  RecurringScheduleSchema
+);
+
+// Fetch a schedule by its scheduleId
+const getScheduleById = async (scheduleId) => {
+  return await RecurringSchedule.findOne({ scheduleId });
+};
+
+// Fetch all schedules of a donor, newest first
+const getSchedulesByDonorId = async (donorId) => {
+  return await RecurringSchedule.find({ donorId }).sort({ createdAt: -1 });
+};
+
+// Update a schedule by scheduleId
+const updateSchedule = async (scheduleId, updateData) => {
+  return await RecurringSchedule.findOneAndUpdate(
+    { scheduleId },
+    { ...updateData, updatedAt: Date.now() },
+    { new: true }
+  );
+};
+
+module.exports = {
+  RecurringSchedule,
+  ScheduleFrequency,
+  ScheduleStatus,
+  getScheduleById,
+  getSchedulesByDonorId,
+  updateSchedule,
+};
@@ -0,0 +1,77 @@
+// Import the Mongoose library
+const mongoose = require("mongoose");
+// Extract the Schema constructor from Mongoose
+const { Schema } = mongoose;
+
+// Who wrote a review: the donor or the receiving center rating the
+// volunteer, or the volunteer rating the donor's pickup
+const ReviewerRoles = ["donor", "center", "volunteer"];
+
+// Whose rating a review counts towards (same as Metrics userType)
+const ReviewSubjectTypes = ["Volunteer", "Donor"];
+
+// Hidden reviews stay stored but are left out of ratings and profiles
+const ReviewStatuses = ["visible", "hidden"];
+
+// A 1-5 star rating of one completed task, left by someone who took part
+// in it. Each person can review a task once, and each center once.
+const ReviewSchema = new Schema({
+  // Unique ID for the review (separate from MongoDB _id)
+  reviewId: { type: String, required: true, unique: true },
+
+  // Task and donation the review is about
+  taskId: { type: String, required: true },
+  donationId: { type: String, required: true },
+
+  // Who wrote it and in which role
+  reviewerId: { type: String, required: true },
+  reviewerRole: { type: String, required: true, enum: ReviewerRoles },
+
+  // Center reviews: the distribution center the staff member wrote for
+  reviewerOrganizationId: { type: String },
+
+  // Who is rated
+  subjectId: { type: String, required: true },
+  subjectType: { type: String, required: true, enum: ReviewSubjectTypes },
+
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  comment: { type: String, maxlength: 1000 },
+
+  status: { type: String, enum: ReviewStatuses, default: "visible" },
+
+  // Set when the rated person reports the review to the admins; cleared
+  // once an admin has looked at it
+  reportedAt: { type: Date },
+  reportReason: { type: String },
+
+  // Last admin decision to hide or restore the review
+  moderation: {
+    reason: { type: String },
+    moderatedBy: { type: String },
+    moderatedAt: { type: Date },
+  },
+
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One review per task and reviewer
+ReviewSchema.index({ taskId: 1, reviewerId: 1 }, { unique: true });
+// One review per task and center, whichever staff member writes it
+ReviewSchema.index(
+  { taskId: 1, reviewerOrganizationId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { reviewerOrganizationId: { $type: "string" } },
+  }
+);
+ReviewSchema.index({ subjectId: 1, status: 1, createdAt: -1 });
+
+// Create model to interact with the reviews collection
+const Review = mongoose.model("Review", ReviewSchema);
+
+module.exports = {
+  Review,
+  ReviewerRoles,
+  ReviewSubjectTypes,
+  ReviewStatuses,
+};
@@ -0,0 +1,56 @@
+// Import the Mongoose library
+const mongoose = require("mongoose");
+// Extract the Schema constructor from Mongoose
+const { Schema } = mongoose;
+
+// A role and the named permissions it grants (e.g. "Admin" -> "users.manage").
+// Kept in the database so admins can add roles without code changes.
+const RoleSchema = new Schema({
+  // Role name stored on User.role (e.g. "Volunteer", "Dispatcher")
+  name: { type: String, required: true, unique: true, trim: true },
+
+  // Short explanation shown on the role management screen
+  description: { type: String, default: "" },
+
+  // Permission names this role grants
+  permissions: { type: [String], default: [] },
+
+  // Built-in default permissions already given to this role, so a permission
+  // an admin removed is not granted again on the next startup
+  grantedDefaults: { type: [String], default: [] },
+
+  // Built-in roles (Donor, Volunteer, Admin, CenterStaff) cannot be deleted
+  builtIn: { type: Boolean, default: false },
+
+  // UID of the admin who last changed the role
+  updatedBy: { type: String, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Convert the schema into a Mongoose model
+const Role = mongoose.model("Role", RoleSchema);
+
+// All roles, built-in ones first
+const getAllRoles = async () => {
+  return await Role.find({}).sort({ builtIn: -1, name: 1 });
+};
+
+// Fetch one role by its name
+const getRoleByName = async (name) => {
+  return await Role.findOne({ name });
+};
+
+// True when a role with this name exists
+const roleExists = async (name) => {
+  return !!(await Role.exists({ name }));
+};
+
+// Export model and helper functions
+module.exports = {
+  Role,
+  getAllRoles,
+  getRoleByName,
+  roleExists,
+};
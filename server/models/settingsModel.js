@@ -0,0 +1,52 @@
+// Import mongoose library
+const mongoose = require("mongoose");
+// Extract Schema constructor from mongoose
+const { Schema } = mongoose;
+
+// Key/value store for platform-wide switches that admins can change at runtime
+// (e.g. whether volunteers are allowed to self-claim tasks).
+const SettingSchema = new Schema({
+  // Unique name of the setting (e.g. "claimingEnabled")
+  key: { type: String, required: true, unique: true },
+
+  // Stored value; can be a boolean, number, string or object
+  value: { type: Schema.Types.Mixed },
+
+  // UID of the admin who last changed the setting
+  updatedBy: { type: String },
+
+  // Timestamp of the last change
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Convert the schema into a Mongoose model
+const Setting = mongoose.model("Setting", SettingSchema);
+
+// Read a setting value, returning defaultValue when it has never been set
+const getSetting = async (key, defaultValue = null) => {
+  const setting = await Setting.findOne({ key });
+  return setting && setting.value !== undefined ? setting.value : defaultValue;
+};
+
+// Create or overwrite a setting value
+const setSetting = async (key, value, updatedBy) => {
+  return await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy, updatedAt: Date.now() },
+    { new: true, upsert: true }
+  );
+};
+
+// Whether volunteer self-claiming is switched on globally; enabled until an
+// admin turns it off
+const isClaimingEnabled = async () => {
+  return (await getSetting("claimingEnabled", true)) !== false;
+};
+
+// Export model and helper functions
+module.exports = {
+  Setting,
+  getSetting,
+  setSetting,
+  isClaimingEnabled,
+};
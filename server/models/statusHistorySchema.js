@@ -0,0 +1,28 @@
+// Import mongoose library
+const mongoose = require("mongoose");
+// Extract Schema constructor from mongoose
+const { Schema } = mongoose;
+
+// One entry in a donation's or task's status history.
+// Entries are only ever appended (see services/statusMachine.js).
+const StatusHistorySchema = new Schema(
+  {
+    // Status before the change (null for the initial status)
+    from: { type: String, default: null },
+
+    // Status after the change
+    to: { type: String, required: true },
+
+    // UID of the user who made the change, or "system" for automatic changes
+    changedBy: { type: String, default: "system" },
+
+    // Optional explanation (issue notes, reassignment reason, etc.)
+    reason: { type: String },
+
+    // When the change happened
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+module.exports = StatusHistorySchema;
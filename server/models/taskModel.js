@@ -2,6 +2,8 @@
 const mongoose = require("mongoose");
 // Extract Schema constructor from Mongoose
 const { Schema } = mongoose;
+// Shared sub-schema for status change history entries
+const StatusHistorySchema = require("./statusHistorySchema");
 
 // Allowed list of task statuses.
 // Using ENUM helps ensure only valid statuses are stored.
@@ -12,10 +14,59 @@ const TaskStatus = [
   "completed",    // Task successfully finished
   "cancelled",    // Cancelled by admin or system
   "failed",       // Volunteer failed to complete task
+  "pendingReview", // Volunteer reported an issue; waiting for Admin
 ];
 
+// Statuses that mean a task is still open and occupying a volunteer.
+// Used to measure a volunteer's current workload.
+const ActiveTaskStatuses = ["pending", "assigned", "enRoute"];
+
 // Allowed list of task types — determines if it’s a pickup or dropoff task.
-const TaskType = ["collection", "distribution"];
+// A direct delivery takes the food straight from the donor to a
+// distribution center: one task with a pickup leg and a drop-off leg.
+const TaskType = ["collection", "distribution", "directDelivery"];
+
+// Legs of a direct delivery task, in order
+const TaskLeg = ["pickup", "dropoff"];
+
+// A stored proof file (photo or signature); the bytes live in proof storage
+const ProofFileSchema = new Schema(
+  {
+    key: { type: String, required: true }, // storage key of the file
+    contentType: { type: String, required: true },
+    size: { type: Number },
+  },
+  { _id: false }
+);
+
+// Proof of pickup/delivery captured by the volunteer when completing a task
+const ProofSchema = new Schema(
+  {
+    photo: { type: ProofFileSchema },
+    signature: { type: ProofFileSchema },
+
+    // Person who handed over (collection) or received (distribution) the food
+    recipientName: { type: String },
+
+    // Device location at completion time
+    location: {
+      type: { type: String, enum: ["Point"], default: "Point" },
+      coordinates: { type: [Number] }, // [longitude, latitude]
+    },
+    accuracyMeters: { type: Number },
+
+    // Device time when the location was captured / server time of upload
+    capturedAt: { type: Date },
+    submittedAt: { type: Date },
+
+    // How far the device was from the task location
+    distanceMeters: { type: Number },
+
+    // True when an admin allowed completion away from the task location
+    locationOverridden: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
 
 // Define task structure for MongoDB
 const TaskSchema = new Schema({
@@ -28,9 +79,12 @@ const TaskSchema = new Schema({
   // Volunteer assigned to this task
   volunteerId: { type: String, required: true, index: true },
 
-  // Whether this is a collection or distribution task
+  // Whether this is a collection, distribution or direct delivery task
   taskType: { type: String, required: true, enum: TaskType },
 
+  // Direct delivery only: the leg the volunteer is on
+  leg: { type: String, enum: TaskLeg },
+
   // Current status of the task (restricted by the enum above)
   status: {
     type: String,
@@ -39,6 +93,9 @@ const TaskSchema = new Schema({
     default: "pending",
   },
 
+  // Every status change with who made it, when and why (append-only)
+  statusHistory: { type: [StatusHistorySchema], default: [] },
+
   // Geographic location involved in this task (pickup or dropoff point)
   location: {
     type: { type: String, enum: ["Point"], default: "Point" }, // GeoJSON point
@@ -48,6 +105,31 @@ const TaskSchema = new Schema({
   // Full address associated with the task location
   address: { type: String, required: true },
 
+  // Direct delivery only: drop-off point (location/address above are the
+  // pickup point)
+  dropoffLocation: {
+    type: { type: String, enum: ["Point"] },
+    coordinates: { type: [Number], default: undefined }, // [longitude, latitude]
+  },
+  dropoffAddress: { type: String },
+
+  // Distribution and direct delivery: the distribution center receiving
+  // the food (its staff review the volunteer)
+  dropoffOrganizationId: { type: String },
+
+  // Time window in which the pickup (collection) or drop-off (distribution)
+  // has to happen; used to stop volunteers getting overlapping tasks.
+  // Direct deliveries span from pickup start to drop-off end.
+  windowStart: { type: Date },
+  windowEnd: { type: Date },
+
+  // Direct delivery only: end of the pickup part of the window
+  pickupWindowEnd: { type: Date },
+
+  // True when the volunteer claimed this task from the open tasks feed
+  // instead of being assigned by an admin
+  selfClaimed: { type: Boolean, default: false },
+
   // Timestamp for when the task was assigned
   assignedAt: { type: Date, default: Date.now },
 
@@ -57,6 +139,42 @@ const TaskSchema = new Schema({
   // Timestamp when volunteer completed the task
   completedAt: { type: Date },
 
+  // Proof of handover, required when the volunteer completes the task
+  proof: { type: ProofSchema },
+
+  // Direct delivery only: when and how the pickup leg was completed
+  pickupCompletedAt: { type: Date },
+  pickupProof: { type: ProofSchema },
+
+  // One-time code the donor (collection) or receiving organization
+  // (distribution) gives the volunteer; never sent to the volunteer
+  handoffCode: { type: String, select: false },
+  handoffCodeIssuedAt: { type: Date },
+
+  // Direct delivery only: code for the drop-off leg, which becomes the
+  // handoffCode once the pickup leg is completed
+  dropoffHandoffCode: { type: String, select: false },
+  handoffVerifiedAt: { type: Date },
+
+  // Wrong codes entered by the volunteer
+  failedHandoffAttempts: {
+    type: [
+      {
+        _id: false,
+        attemptedAt: { type: Date, required: true },
+        volunteerId: { type: String, required: true },
+      },
+    ],
+    default: [],
+  },
+
+  // Admin permission to complete the task away from its location
+  locationOverride: {
+    grantedBy: { type: String },
+    reason: { type: String },
+    grantedAt: { type: Date },
+  },
+
   // Additional notes by volunteer or admin (optional)
   notes: { type: String },
 
@@ -65,6 +183,21 @@ const TaskSchema = new Schema({
 
   // Text describing what issue was reported
   issueNotes: { type: String },
+
+  // Set when staff of the receiving center refused the delivery
+  rejectedByOrganizationId: { type: String },
+  rejectionReason: { type: String },
+  rejectedAt: { type: Date },
+});
+
+// Handoff codes are only ever read explicitly (see handoffCodeService),
+// so they are left out of every JSON response
+TaskSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.handoffCode;
+    delete ret.dropoffHandoffCode;
+    return ret;
+  },
 });
 
 // Index that enables geospatial location queries
@@ -73,6 +206,9 @@ TaskSchema.index({ location: "2dsphere" });
 // Index to quickly find tasks by volunteer and status
 TaskSchema.index({ volunteerId: 1, status: 1 });
 
+// Index used to find overlapping and late tasks
+TaskSchema.index({ status: 1, windowEnd: 1 });
+
 // Convert schema into a database model
 const Task = mongoose.model("Task", TaskSchema);
 
@@ -97,6 +233,25 @@ const getTasksByDonationId = async (donationId) => {
   return await Task.find({ donationId });
 };
 
+// Which part of the donation flow the task is in: "collection" or
+// "distribution". Direct deliveries are collections until the pickup leg
+// is completed, then distributions.
+const getTaskPhase = (task) => {
+  if (task.taskType !== "directDelivery") return task.taskType;
+  return task.leg === "dropoff" ? "distribution" : "collection";
+};
+
+// Where the volunteer has to be for the current phase of the task
+const getTaskTarget = (task) => {
+  if (task.taskType === "directDelivery" && task.leg === "dropoff") {
+    return {
+      coordinates: task.dropoffLocation.coordinates,
+      address: task.dropoffAddress,
+    };
+  }
+  return { coordinates: task.location.coordinates, address: task.address };
+};
+
 // Update a task using its ID and return the updated version
 const updateTask = async (taskId, updateData) => {
   return await Task.findOneAndUpdate({ taskId }, updateData, { new: true });
@@ -107,9 +262,13 @@ module.exports = {
   Task,
   TaskStatus,
   TaskType,
+  TaskLeg,
+  ActiveTaskStatuses,
   createTask,
   getTaskById,
   getTasksByVolunteerId,
   getTasksByDonationId,
   updateTask,
+  getTaskPhase,
+  getTaskTarget,
 };
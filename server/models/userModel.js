@@ -1,8 +1,15 @@
-// Import the Mongoose library 
+// Import the Mongoose library
 const mongoose = require("mongoose");
 // Extract the Schema constructor from Mongoose
 const { Schema } = mongoose;
 
+// Built-in roles. CenterStaff work at one distribution center.
+// Admins can add more roles in the Role collection (see roleModel).
+const UserRoles = ["Donor", "Volunteer", "Admin", "CenterStaff"];
+
+// Account statuses (admins deactivate accounts instead of deleting them)
+const UserStatuses = ["active", "inactive"];
+
 // Define the structure for a User document in the database
 const UserSchema = new Schema({
   // Firebase UID of the user (comes from Firebase Auth)
@@ -14,12 +21,15 @@ const UserSchema = new Schema({
   // Full name of the user
   name: { type: String, required: true },
 
-  // Defines whether user is a Donor, Volunteer, or Admin
-  // ENUM restricts values so invalid roles can't be stored
-  role: { type: String, required: true, enum: ["Donor", "Volunteer", "Admin"] },
+  // Name of the user's role (a built-in role or one added by an admin).
+  // Its permissions come from the matching Role document.
+  role: { type: String, required: true },
+
+  // CenterStaff only: organizationId of the distribution center they work at
+  organizationId: { type: String, default: null, index: true },
 
   // Active/inactive user status (used by Admin to deactivate accounts)
-  status: { type: String, default: "active" },
+  status: { type: String, default: "active", enum: UserStatuses },
 
   // Automatically stores when the user record was created
   createdAt: { type: Date, default: Date.now },
@@ -55,10 +65,27 @@ const getUsersByRole = async (role) => {
   return await User.find({ role, status: "active" });
 };
 
-// Update a user’s data by UID and automatically refresh the updatedAt field
-const updateUser = async (uid, updateData) => {
+// Get the staff accounts of a distribution center (by its organizationId)
+const getStaffByOrganization = async (organizationId) => {
+  return await User.find({ role: "CenterStaff", organizationId });
+};
+
+// Count active users with the role (or any of the roles, when given an
+// array), leaving out one uid (e.g. the user being changed)
+const countActiveUsersByRole = async (role, excludeUid) => {
+  return await User.countDocuments({
+    role: { $in: [].concat(role) },
+    status: "active",
+    uid: { $ne: excludeUid },
+  });
+};
+
+// Update a user’s data by UID and automatically refresh the updatedAt field.
+// With expected (e.g. { role, status }) the update only applies while the
+// user still has those values; returns null otherwise.
+const updateUser = async (uid, updateData, expected = {}) => {
   return await User.findOneAndUpdate(
-    { uid },
+    { ...expected, uid },
     { ...updateData, updatedAt: Date.now() },
     { new: true } // returns updated document instead of old one
   );
@@ -67,9 +94,13 @@ const updateUser = async (uid, updateData) => {
 // Export model and helper functions for use in controllers or services
 module.exports = {
   User,
+  UserRoles,
+  UserStatuses,
   createUser,
   getUserByUid,
   getUserByEmail,
   getUsersByRole,
+  getStaffByOrganization,
+  countActiveUsersByRole,
   updateUser,
 };
@@ -3,6 +3,52 @@ const mongoose = require("mongoose");
 // Extract Schema constructor from mongoose
 const { Schema } = mongoose;
 
+// One weekly interval the volunteer can take tasks in, e.g. Sat 09:00-13:00
+const AvailabilitySlotSchema = new Schema(
+  {
+    weekday: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+    start: { type: String, required: true }, // "HH:MM"
+    end: { type: String, required: true }, // "HH:MM"
+  },
+  { _id: false }
+);
+
+// How a volunteer gets around; "none" = on foot / public transport
+const VehicleTypes = ["none", "bicycle", "motorbike", "car", "van", "truck"];
+
+// Where a volunteer is in the vetting process. Volunteers created before
+// vetting existed, or by an admin changing a user's role, have no status
+// and count as approved.
+const VettingStatuses = ["pending", "approved", "rejected", "suspended"];
+
+// Documents a volunteer can upload for vetting
+const VolunteerDocumentTypes = [
+  "id",
+  "foodSafetyCertificate",
+  "driversLicence",
+];
+
+// Review state of one uploaded document
+const DocumentStatuses = ["pending", "accepted", "rejected"];
+
+// An uploaded vetting document. The file itself is kept in proof storage
+// (see proofStorage) under fileKey.
+const VolunteerDocumentSchema = new Schema(
+  {
+    documentId: { type: String, required: true },
+    type: { type: String, required: true, enum: VolunteerDocumentTypes },
+    fileKey: { type: String, required: true },
+    contentType: { type: String, required: true },
+    fileName: { type: String },
+    expiresAt: { type: Date, required: true },
+    status: { type: String, enum: DocumentStatuses, default: "pending" },
+    uploadedAt: { type: Date, default: Date.now },
+    reviewedBy: { type: String },
+    reviewedAt: { type: Date },
+  },
+  { _id: false }
+);
+
 // Define the structure for a Volunteer document
 const VolunteerSchema = new Schema({
   // Firebase UID of the volunteer (must be unique)
@@ -27,8 +73,50 @@ const VolunteerSchema = new Schema({
   // Tracks how many tasks the volunteer has successfully completed
   tasksCompleted: { type: Number, default: 0 },
 
-  // User rating (tracked by admin or future feature)
-  rating: { type: Number, default: 5.0 },
+  // Average of the visible reviews of the volunteer's tasks (null until
+  // the first review; kept up to date by reviewService.refreshRating)
+  rating: { type: Number, default: null },
+  reviewCount: { type: Number, default: 0 },
+
+  // When the volunteer can take tasks, set from the Volunteer Dashboard.
+  // A volunteer who has not set any weekly times is treated as available
+  // at any time.
+  availability: {
+    weekly: { type: [AvailabilitySlotSchema], default: [] },
+    // Days off ("YYYY-MM-DD", server local time)
+    blackoutDates: { type: [String], default: [] },
+    // Most tasks they want on one day (null = no limit)
+    maxTasksPerDay: { type: Number, min: 1, default: null },
+    updatedAt: { type: Date },
+  },
+
+  // What the volunteer can carry and how far they go, set from the
+  // Volunteer Dashboard. Nothing is checked until they fill it in
+  // (updatedAt is set).
+  capabilities: {
+    vehicleType: { type: String, enum: VehicleTypes },
+    // Most weight they can carry in one trip
+    cargoCapacityKg: { type: Number, min: 0, default: null },
+    // Has a cooler, fridge or freezer for chilled/frozen food
+    canRefrigerate: { type: Boolean, default: false },
+    // Food-handler certificate (needed for prepared food)
+    foodHandlerCertified: { type: Boolean, default: false },
+    foodHandlerCertExpiresAt: { type: Date, default: null },
+    // Furthest from home they will go for a pickup (null = no limit)
+    maxTravelRadiusKm: { type: Number, min: 0, default: null },
+    updatedAt: { type: Date },
+  },
+
+  // Vetting: only approved volunteers are listed, matched and can claim
+  // tasks. note is the reason given for a rejection or suspension.
+  vetting: {
+    status: { type: String, enum: VettingStatuses },
+    note: { type: String },
+    submittedAt: { type: Date },
+    reviewedBy: { type: String },
+    reviewedAt: { type: Date },
+  },
+  documents: { type: [VolunteerDocumentSchema], default: [] },
 
   // Active/inactive status (admin can deactivate volunteers)
   status: { type: String, default: "active", enum: ["active", "inactive"] },
@@ -44,6 +132,15 @@ const VolunteerSchema = new Schema({
 // "find nearest volunteers" queries efficiently
 VolunteerSchema.index({ homeLocation: "2dsphere" });
 
+// Query filter for volunteers who passed vetting (a missing status counts)
+const ApprovedVolunteerFilter = {
+  "vetting.status": { $in: ["approved", null] },
+};
+
+// True when the volunteer passed vetting
+const isApprovedVolunteer = (volunteer) =>
+  !volunteer?.vetting?.status || volunteer.vetting.status === "approved";
+
 // Convert the schema into a Mongoose model
 const Volunteer = mongoose.model("Volunteer", VolunteerSchema);
 
@@ -58,11 +155,14 @@ const getVolunteerByUserId = async (userId) => {
   return await Volunteer.findOne({ userId });
 };
 
-// Get all active volunteers and return essential fields only
+// Get all active, approved volunteers and return essential fields only
 // (used when admin assigns tasks)
 const getActiveVolunteers = async () => {
-  return await Volunteer.find({ status: "active" }).select(
-    "userId phone homeLocation rating tasksCompleted"
+  return await Volunteer.find({
+    status: "active",
+    ...ApprovedVolunteerFilter,
+  }).select(
+    "userId phone homeLocation rating reviewCount tasksCompleted availability capabilities"
   );
 };
 
@@ -78,6 +178,11 @@ const updateVolunteer = async (userId, updateData) => {
 // Export model and service functions
 module.exports = {
   Volunteer,
+  VehicleTypes,
+  VettingStatuses,
+  VolunteerDocumentTypes,
+  ApprovedVolunteerFilter,
+  isApprovedVolunteer,
   createVolunteer,
   getVolunteerByUserId,
   getActiveVolunteers,
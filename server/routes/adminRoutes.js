@@ -0,0 +1,1370 @@
+// Import Express and create a router for the admin API (/api/admin)
+const express = require("express");
+const router = express.Router();
+
+// Import models read and changed by the admin operations
+const { Donation, updateDonation } = require("../models/donationModel");
+const {
+  Task,
+  ActiveTaskStatuses,
+  getTaskTarget,
+} = require("../models/taskModel");
+const {
+  Volunteer,
+  ApprovedVolunteerFilter,
+} = require("../models/volunteerModel");
+const { User } = require("../models/userModel");
+const { Review } = require("../models/reviewModel");
+const {
+  getAllOrganizations,
+  getDistributionCenterById,
+} = require("../models/organizationModel");
+const { setSetting, isClaimingEnabled } = require("../models/settingsModel");
+
+// Import shared assignment logic and the volunteer matching engine
+const {
+  assignCollectionTask,
+  assignDistributionTask,
+  assignDirectDeliveryTask,
+  reassignTask,
+  assertAssignableVolunteer,
+  describeAssignment,
+  sendAssignmentError,
+} = require("../services/assignmentService");
+const {
+  rankVolunteersForDonation,
+  findBestVolunteer,
+} = require("../services/matchingService");
+const { sortByUrgency } = require("../services/urgencyService");
+const { validateWindow } = require("../services/timeWindowService");
+const { rankCentersForDonation } = require("../services/centerFitService");
+const { regenerateHandoffCode } = require("../services/handoffCodeService");
+const {
+  getAvailabilityIssues,
+  getCoverage,
+} = require("../services/availabilityService");
+const { toDateKey, isValidDateKey } = require("../services/recurrenceService");
+const {
+  getCapabilityIssuesForDonation,
+} = require("../services/capabilityService");
+const {
+  Permissions,
+  requirePermission,
+} = require("../services/permissionService");
+const { describeAudit } = require("../services/auditService");
+const {
+  formatVetting,
+  getMissingDocumentTypes,
+  approveVolunteer,
+  rejectVolunteer,
+  DocumentLabels,
+} = require("../services/vettingService");
+const {
+  getUserNames,
+  refreshRating,
+  formatReview,
+} = require("../services/reviewService");
+const {
+  VettingRejectionSchema,
+  ReviewModerationSchema,
+} = require("../../shared/schemas.mjs");
+const {
+  validateRequest,
+  boolean,
+  date,
+  integer,
+  number,
+  objectId,
+  string,
+  userId,
+} = require("../services/validationService");
+
+// Permissions behind the routes below. Users without any of them are
+// turned away here; each route then checks the one it needs.
+const AdminPermissions = [
+  Permissions.DONATIONS_ASSIGN,
+  Permissions.TASKS_VIEW_ANY,
+  Permissions.TASKS_OVERRIDE,
+  Permissions.CLAIMING_MANAGE,
+  Permissions.VOLUNTEERS_VIEW,
+  Permissions.VOLUNTEERS_VET,
+  Permissions.REVIEWS_MODERATE,
+  Permissions.METRICS_VIEW,
+];
+
+router.use(requirePermission(AdminPermissions));
+
+// Request schemas used by several routes below
+const DonationParams = {
+  donationId: objectId({ required: true, label: "Donation ID" }),
+};
+const TaskParams = { taskId: objectId({ required: true, label: "Task ID" }) };
+
+// Matching engine overrides (match-volunteers query, auto-assign body)
+const MatchingOverrides = {
+  maxDistanceKm: number({ greaterThan: 0, coerce: true }),
+  maxActiveTasks: integer({ min: 0, coerce: true }),
+  limit: integer({ min: 1, coerce: true }),
+  distanceWeight: number({ min: 0, coerce: true }),
+  loadWeight: number({ min: 0, coerce: true }),
+  ratingWeight: number({ min: 0, coerce: true }),
+};
+
+// Body of the routes that send a volunteer to a distribution center
+const DropoffAssignmentBody = {
+  volunteerId: userId({ required: true, label: "Volunteer ID" }),
+  locationId: integer({
+    required: true,
+    coerce: true,
+    label: "Drop-off location",
+  }),
+  dropoffWindowStart: date({ label: "Drop-off window start" }),
+  dropoffWindowEnd: date({ label: "Drop-off window end" }),
+  overrideFit: boolean(),
+};
+
+/**
+ * GET /api/admin/pending
+ * Admin-only: returns donations that either need collection assignment
+ * or are already collected and awaiting distribution, most urgent first.
+ * Each donation carries an `urgency` object (score, level, expiry flags).
+ */
+router.get(
+  "/pending",
+  requirePermission(Permissions.DONATIONS_ASSIGN),
+  async (req, res) => {
+    try {
+      const pendingDonations = await Donation.find({
+        status: { $in: ["pendingAssignment", "collected"] },
+      });
+
+      res.json({ donations: sortByUrgency(pendingDonations) });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch pending donations." });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/reported-issues
+ * Admin-only: fetches all tasks that have an issue flagged by volunteers.
+ * Returns a simplified list for Admin to review in the dashboard.
+ */
+router.get(
+  "/reported-issues",
+  requirePermission(Permissions.TASKS_VIEW_ANY),
+  async (req, res) => {
+    try {
+      const reportedTasks = await Task.find({ issueReported: true }).sort({
+        assignedAt: -1,
+      });
+
+      console.log(`Found ${reportedTasks.length} reported tasks`);
+
+      const formattedIssues = reportedTasks.map((task) => {
+        const donation = task.donationId || {};
+
+        return {
+          _id: task._id,
+          taskId: task.taskId,
+
+          donationId: donation.donationId || donation._id,
+
+          currentVolunteer: task.volunteerId,
+
+          issueNotes: task.issueNotes || "No notes provided.",
+          issueReportedAt: task.assignedAt,
+
+          postedAt: donation.postedAt,
+
+          foodItem: donation.itemType || "Unknown Item",
+          quantity: donation.quantity,
+          donorName: donation.donorName,
+
+          address: task.address || donation.pickupAddress,
+        };
+      });
+
+      res.json(formattedIssues);
+    } catch (error) {
+      console.error("FETCH REPORTED ISSUES ERROR:", {
+        message: error.message,
+        name: error.name,
+        stack: error.stack,
+      });
+      res.status(500).json({
+        message: "Failed to fetch reported issues.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/late-tasks
+ * Admin-only: active tasks whose pickup/drop-off window has already closed,
+ * most overdue first.
+ */
+router.get(
+  "/late-tasks",
+  requirePermission(Permissions.TASKS_VIEW_ANY),
+  async (req, res) => {
+    try {
+      const now = new Date();
+      const lateTasks = await Task.find({
+        status: { $in: ActiveTaskStatuses },
+        windowEnd: { $lt: now },
+      }).sort({ windowEnd: 1 });
+
+      // Attach donation + volunteer names for the dashboard
+      const donationIds = lateTasks.map((task) => task.donationId);
+      const volunteerIds = lateTasks.map((task) => task.volunteerId);
+      const [donations, volunteers] = await Promise.all([
+        Donation.find({ donationId: { $in: donationIds } }),
+        User.find({ uid: { $in: volunteerIds } }).select("uid name"),
+      ]);
+
+      const tasks = lateTasks.map((task) => {
+        const donation = donations.find(
+          (d) => d.donationId === task.donationId
+        );
+        const volunteer = volunteers.find((v) => v.uid === task.volunteerId);
+        return {
+          taskId: task.taskId,
+          taskType: task.taskType,
+          status: task.status,
+          donationId: task.donationId,
+          itemType: donation?.itemType,
+          quantity: donation?.quantity,
+          address: getTaskTarget(task).address,
+          volunteerId: task.volunteerId,
+          volunteerName: volunteer?.name || "Unknown",
+          windowStart: task.windowStart,
+          windowEnd: task.windowEnd,
+          minutesLate: Math.round((now - task.windowEnd) / 60000),
+        };
+      });
+
+      res.json({ tasks });
+    } catch (error) {
+      console.error("LATE TASKS ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch late tasks." });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/volunteers
+ * Admin-only: returns list of active, approved volunteers with basic
+ * profile data and their linked User info (name + email).
+ * With ?taskId= each volunteer gets an availabilityIssue for that task's
+ * window (null when they can take it) and capabilityIssues for its
+ * donation (empty when their vehicle and equipment fit), and volunteers
+ * who can take it come first.
+ */
+router.get(
+  "/volunteers",
+  requirePermission(Permissions.VOLUNTEERS_VIEW),
+  validateRequest({ query: { taskId: objectId({ label: "Task ID" }) } }),
+  async (req, res) => {
+    try {
+      const volunteers = await Volunteer.find({
+        status: "active",
+        ...ApprovedVolunteerFilter,
+      }).select(
+        "userId phone homeLocation rating reviewCount tasksCompleted availability capabilities"
+      );
+
+      const volunteersWithNames = await Promise.all(
+        volunteers.map(async (vol) => {
+          const user = await User.findOne({ uid: vol.userId }).select(
+            "name email"
+          );
+          return {
+            ...vol.toObject(),
+            uid: vol.userId,
+            name: user?.name || "Unknown",
+            email: user?.email || "",
+          };
+        })
+      );
+
+      const task = req.query.taskId
+        ? await Task.findOne({ taskId: req.query.taskId })
+        : null;
+      if (task) {
+        const [availabilityIssues, donation] = await Promise.all([
+          task.windowStart && task.windowEnd
+            ? getAvailabilityIssues(volunteers, {
+                start: task.windowStart,
+                end: task.windowEnd,
+              })
+            : {},
+          Donation.findOne({ donationId: task.donationId }),
+        ]);
+        const capabilityIssues = donation
+          ? getCapabilityIssuesForDonation(volunteers, donation)
+          : {};
+
+        volunteersWithNames.forEach((vol) => {
+          vol.availabilityIssue = availabilityIssues[vol.uid] || null;
+          vol.capabilityIssues = capabilityIssues[vol.uid] || [];
+        });
+        // Volunteers who can take the task first
+        const cannotTake = (vol) =>
+          !!vol.availabilityIssue || vol.capabilityIssues.length > 0;
+        volunteersWithNames.sort((a, b) => cannotTake(a) - cannotTake(b));
+      }
+
+      res.json({ volunteers: volunteersWithNames });
+    } catch (error) {
+      console.error("FETCH VOLUNTEERS ERROR:", {
+        message: error.message,
+        name: error.name,
+      });
+      res.status(500).json({
+        message: "Failed to fetch volunteer list.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/coverage
+ * Admin-only: volunteer coverage calendar. For each day from ?from=
+ * (YYYY-MM-DD, default today) for ?days= days (default 14, at most 31): the
+ * number of volunteers available per hour, pickups still waiting for a
+ * volunteer and the hours where pickups start but nobody is available.
+ */
+router.get(
+  "/coverage",
+  requirePermission(Permissions.VOLUNTEERS_VIEW),
+  validateRequest({
+    query: {
+      from: string({
+        check: (from) =>
+          isValidDateKey(from) ? null : "From must be a date (YYYY-MM-DD).",
+      }),
+      days: integer({ min: 1, max: 31, label: "Days" }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const coverage = await getCoverage(
+        req.query.from || toDateKey(new Date()),
+        Number(req.query.days) || 14
+      );
+      res.json(coverage);
+    } catch (error) {
+      console.error("FETCH COVERAGE ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch volunteer coverage." });
+    }
+  }
+);
+
+// Volunteers in the review queue for each ?status= of GET /vetting.
+// "pending" also lists approved volunteers who uploaded a new document.
+const VettingQueueFilters = {
+  pending: {
+    $or: [{ "vetting.status": "pending" }, { "documents.status": "pending" }],
+  },
+  suspended: { "vetting.status": "suspended" },
+  rejected: { "vetting.status": "rejected" },
+};
+
+const VettingParams = {
+  volunteerId: userId({ required: true, label: "Volunteer ID" }),
+};
+
+/**
+ * GET /api/admin/vetting
+ * Volunteer review queue: volunteers waiting for approval (default) or,
+ * with ?status=suspended|rejected, those suspended or rejected, oldest
+ * submission first, with their documents and missing documents.
+ */
+router.get(
+  "/vetting",
+  requirePermission(Permissions.VOLUNTEERS_VET),
+  validateRequest({
+    query: {
+      status: string({
+        enum: Object.keys(VettingQueueFilters),
+        label: "Status",
+      }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const volunteers = await Volunteer.find(
+        VettingQueueFilters[req.query.status || "pending"]
+      ).sort({ "vetting.submittedAt": 1, createdAt: 1 });
+
+      const users = await User.find({
+        uid: { $in: volunteers.map((vol) => vol.userId) },
+      }).select("uid name email status");
+      const userMap = new Map(users.map((user) => [user.uid, user]));
+
+      res.json({
+        volunteers: volunteers.map((vol) => ({
+          uid: vol.userId,
+          name: userMap.get(vol.userId)?.name || "Unknown",
+          email: userMap.get(vol.userId)?.email || "",
+          accountStatus: userMap.get(vol.userId)?.status || null,
+          phone: vol.phone,
+          address: vol.homeLocation?.address || null,
+          vehicleType: vol.capabilities?.vehicleType || null,
+          createdAt: vol.createdAt,
+          vetting: formatVetting(vol),
+        })),
+      });
+    } catch (error) {
+      console.error("FETCH VETTING QUEUE ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch the review queue." });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/vetting/:volunteerId/approve
+ * Approve a volunteer and accept their pending documents. Refused while a
+ * required document (ID, driver's licence for drivers) is missing or
+ * expired.
+ */
+router.put(
+  "/vetting/:volunteerId/approve",
+  requirePermission(Permissions.VOLUNTEERS_VET),
+  validateRequest({ params: VettingParams }),
+  async (req, res) => {
+    try {
+      const volunteer = await Volunteer.findOne({
+        userId: req.params.volunteerId,
+      });
+      if (!volunteer) {
+        return res.status(404).json({ message: "Volunteer not found." });
+      }
+
+      const missing = getMissingDocumentTypes(volunteer);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          message: `Missing or expired: ${missing
+            .map((type) => DocumentLabels[type])
+            .join(", ")}.`,
+        });
+      }
+
+      const before = formatVetting(volunteer);
+      const vetting = formatVetting(
+        await approveVolunteer(volunteer, req.user.uid)
+      );
+
+      describeAudit(res, {
+        targetType: "volunteer",
+        targetId: volunteer.userId,
+        before: { status: before.status, documents: before.documents },
+        after: { status: vetting.status, documents: vetting.documents },
+      });
+
+      res.json({ message: "Volunteer approved.", vetting });
+    } catch (error) {
+      console.error("APPROVE VOLUNTEER ERROR:", error);
+      res.status(500).json({ message: "Failed to approve volunteer." });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/vetting/:volunteerId/reject
+ * Reject a volunteer with a reason (body: { reason }) shown to them. Their
+ * pending documents are rejected and they cannot be given tasks until they
+ * upload new ones and are approved.
+ */
+router.put(
+  "/vetting/:volunteerId/reject",
+  requirePermission(Permissions.VOLUNTEERS_VET),
+  validateRequest({ params: VettingParams, body: VettingRejectionSchema }),
+  async (req, res) => {
+    try {
+      const volunteer = await Volunteer.findOne({
+        userId: req.params.volunteerId,
+      });
+      if (!volunteer) {
+        return res.status(404).json({ message: "Volunteer not found." });
+      }
+
+      const before = formatVetting(volunteer);
+      const vetting = formatVetting(
+        await rejectVolunteer(volunteer, req.user.uid, req.body.reason)
+      );
+
+      describeAudit(res, {
+        targetType: "volunteer",
+        targetId: volunteer.userId,
+        before: { status: before.status, note: before.note },
+        after: { status: vetting.status, note: vetting.note },
+      });
+
+      res.json({ message: "Volunteer rejected.", vetting });
+    } catch (error) {
+      console.error("REJECT VOLUNTEER ERROR:", error);
+      res.status(500).json({ message: "Failed to reject volunteer." });
+    }
+  }
+);
+
+// Review moderation lists (GET /reviews ?status=)
+const ReviewQueueFilters = {
+  reported: { reportedAt: { $ne: null } },
+  hidden: { status: "hidden" },
+  all: {},
+};
+
+// How many reviews a moderation list shows
+const REVIEW_QUEUE_LIMIT = 200;
+
+/**
+ * GET /api/admin/reviews
+ * Reviews reported by the rated user (default) or, with
+ * ?status=hidden|all, hidden or all reviews, newest first, with reviewer
+ * and rated user names.
+ */
+router.get(
+  "/reviews",
+  requirePermission(Permissions.REVIEWS_MODERATE),
+  validateRequest({
+    query: {
+      status: string({
+        enum: Object.keys(ReviewQueueFilters),
+        label: "Status",
+      }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const reviews = await Review.find(
+        ReviewQueueFilters[req.query.status || "reported"]
+      )
+        .sort({ createdAt: -1 })
+        .limit(REVIEW_QUEUE_LIMIT);
+
+      const names = await getUserNames(
+        reviews.flatMap((review) => [review.reviewerId, review.subjectId])
+      );
+
+      res.json({
+        reviews: reviews.map((review) =>
+          formatReview(review, { names, withReviewer: true })
+        ),
+      });
+    } catch (error) {
+      console.error("FETCH REVIEW QUEUE ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch reviews." });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/reviews/:reviewId/moderation
+ * Hide a review or show it again (body: { hidden, reason }). Hidden reviews
+ * no longer count towards the rated user's rating. Clears any report.
+ */
+router.put(
+  "/reviews/:reviewId/moderation",
+  requirePermission(Permissions.REVIEWS_MODERATE),
+  validateRequest({
+    params: { reviewId: objectId({ required: true, label: "Review ID" }) },
+    body: ReviewModerationSchema,
+  }),
+  async (req, res) => {
+    try {
+      const review = await Review.findOne({ reviewId: req.params.reviewId });
+      if (!review) {
+        return res.status(404).json({ message: "Review not found." });
+      }
+
+      const before = { status: review.status, reportedAt: review.reportedAt };
+      review.status = req.body.hidden ? "hidden" : "visible";
+      review.reportedAt = undefined;
+      review.reportReason = undefined;
+      review.moderation = {
+        reason: req.body.reason?.trim() || undefined,
+        moderatedBy: req.user.uid,
+        moderatedAt: new Date(),
+      };
+      await review.save();
+
+      const totals = await refreshRating(review.subjectId, review.subjectType);
+
+      describeAudit(res, {
+        targetType: "review",
+        targetId: review.reviewId,
+        before,
+        after: { status: review.status, reason: review.moderation.reason },
+      });
+
+      res.json({
+        message: req.body.hidden ? "Review hidden." : "Review restored.",
+        review: formatReview(review),
+        ...totals,
+      });
+    } catch (error) {
+      console.error("MODERATE REVIEW ERROR:", error);
+      res.status(500).json({ message: "Failed to update review." });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/assign-collection-task/:id
+ * Admin-only: assigns a collection task to a volunteer for a pending donation.
+ */
+router.put(
+  "/assign-collection-task/:id",
+  requirePermission(Permissions.DONATIONS_ASSIGN),
+  validateRequest({
+    params: { id: objectId({ required: true, label: "Donation ID" }) },
+    body: {
+      volunteerId: userId({ required: true, label: "Volunteer ID" }),
+    },
+  }),
+  async (req, res) => {
+    const { volunteerId } = req.body;
+    const donationId = req.params.id;
+
+    try {
+      // Creates the task, updates metrics and marks the donation assignedForCollection
+      const result = await assignCollectionTask(donationId, volunteerId, {
+        changedBy: req.user.uid,
+      });
+
+      // Validate donation existence
+      if (!result) {
+        return res.status(404).json({
+          message: "Donation not found or status is not pendingAssignment.",
+        });
+      }
+
+      describeAssignment(res, result);
+      res.json({
+        message: "Collection task assigned successfully.",
+        donation: result.donation,
+        task: result.task,
+      });
+    } catch (error) {
+      if (sendAssignmentError(res, error)) return;
+      res.status(500).json({ message: "Failed to assign task." });
+    }
+  }
+);
+
+/**
+ * Helper: reads matching overrides from the query string
+ * (e.g. ?maxDistanceKm=10&distanceWeight=0.7).
+ */
+const getMatchingOverrides = (query = {}) => ({
+  maxDistanceKm: query.maxDistanceKm,
+  maxActiveTasks: query.maxActiveTasks,
+  suggestionLimit: query.limit,
+  weights: {
+    distance: query.distanceWeight,
+    load: query.loadWeight,
+    rating: query.ratingWeight,
+  },
+});
+
+/**
+ * GET /api/admin/match-volunteers/:id
+ * Admin-only: returns volunteers ranked for a pending donation by distance,
+ * active task load, rating and availability (best match first).
+ */
+router.get(
+  "/match-volunteers/:id",
+  requirePermission(Permissions.DONATIONS_ASSIGN),
+  validateRequest({
+    params: { id: objectId({ required: true, label: "Donation ID" }) },
+    query: MatchingOverrides,
+  }),
+  async (req, res) => {
+    const donationId = req.params.id;
+
+    try {
+      const donation = await Donation.findOne({ donationId });
+
+      if (!donation) {
+        return res.status(404).json({ message: "Donation not found." });
+      }
+
+      const { config, candidates } = await rankVolunteersForDonation(
+        donation,
+        getMatchingOverrides(req.query)
+      );
+
+      res.json({ donationId, config, volunteers: candidates });
+    } catch (error) {
+      console.error("MATCH VOLUNTEERS ERROR:", error);
+      res.status(500).json({ message: "Failed to rank volunteers." });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/auto-assign-collection-task/:id
+ * Admin-only: picks the best available volunteer from the matching engine
+ * and assigns them the collection task in one step.
+ */
+router.put(
+  "/auto-assign-collection-task/:id",
+  requirePermission(Permissions.DONATIONS_ASSIGN),
+  validateRequest({
+    params: { id: objectId({ required: true, label: "Donation ID" }) },
+    body: MatchingOverrides,
+  }),
+  async (req, res) => {
+    const donationId = req.params.id;
+
+    try {
+      const donation = await Donation.findOne({
+        donationId: donationId,
+        status: "pendingAssignment",
+      });
+
+      if (!donation) {
+        return res.status(404).json({
+          message: "Donation not found or status is not pendingAssignment.",
+        });
+      }
+
+      const volunteer = await findBestVolunteer(
+        donation,
+        getMatchingOverrides(req.body)
+      );
+
+      if (!volunteer) {
+        return res.status(409).json({
+          message: "No available volunteer found near this donation.",
+        });
+      }
+
+      const result = await assignCollectionTask(donationId, volunteer.uid, {
+        changedBy: req.user.uid,
+      });
+
+      if (!result) {
+        return res.status(409).json({
+          message: "Donation was assigned by someone else in the meantime.",
+        });
+      }
+
+      describeAssignment(res, result);
+      res.json({
+        message: `Collection task auto-assigned to ${volunteer.name}.`,
+        donation: result.donation,
+        task: result.task,
+        volunteer,
+      });
+    } catch (error) {
+      if (sendAssignmentError(res, error)) return;
+      console.error("AUTO ASSIGN ERROR:", error);
+      res.status(500).json({ message: "Failed to auto-assign task." });
+    }
+  }
+);
+
+/**
+ * Helper: a distribution center as returned to the client, with the
+ * capacity, stock, hours and categories it publishes.
+ */
+const formatCenter = (org) => ({
+  id: parseInt(org.organizationId),
+  name: org.name,
+  address: org.address,
+  coordinates: org.coordinates,
+  acceptingDonations: org.acceptingDonations !== false,
+  openingHours: org.openingHours || [],
+  dropoffHours: org.dropoffHours,
+  storageCapacityKg: org.storageCapacityKg,
+  currentStockKg: org.currentStockKg,
+  stockUpdatedAt: org.stockUpdatedAt,
+  acceptedCategories: org.acceptedCategories || [],
+  requestedCategories: org.requestedCategories || [],
+});
+
+/**
+ * GET /api/admin/distribution-locations
+ * Admin-only: returns all predefined DistributionCenter organizations
+ * so Admin can choose where food should be dropped off.
+ * With ?donationId= the centers are ranked for that donation (fit and
+ * distance) and each includes its fit: blockers, warnings, score.
+ */
+router.get(
+  "/distribution-locations",
+  requirePermission(Permissions.DONATIONS_ASSIGN),
+  validateRequest({
+    query: { donationId: objectId({ label: "Donation ID" }) },
+  }),
+  async (req, res) => {
+    try {
+      const organizations = await getAllOrganizations("DistributionCenter");
+
+      if (req.query.donationId) {
+        const donation = await Donation.findOne({
+          donationId: req.query.donationId,
+        });
+        if (!donation) {
+          return res.status(404).json({ message: "Donation not found." });
+        }
+
+        const ranked = rankCentersForDonation(organizations, donation);
+        return res.json({
+          locations: ranked.map(({ center, fit }) => ({
+            ...formatCenter(center),
+            fit,
+          })),
+        });
+      }
+
+      res.json({ locations: organizations.map(formatCenter) });
+    } catch (error) {
+      console.error("FETCH ORGANIZATIONS ERROR:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to fetch distribution locations." });
+    }
+  }
+);
+
+/**
+ * Helper: reads the optional drop-off window from a request body
+ * (dropoffWindowStart / dropoffWindowEnd).
+ * Returns { window } (undefined when not given) or { error }.
+ */
+const getDropoffWindowFromBody = ({ dropoffWindowStart, dropoffWindowEnd }) => {
+  if (!dropoffWindowStart && !dropoffWindowEnd) return {};
+
+  const windowError = validateWindow(
+    dropoffWindowStart,
+    dropoffWindowEnd,
+    "Drop-off window"
+  );
+  if (windowError) return { error: windowError };
+
+  return {
+    window: {
+      start: new Date(dropoffWindowStart),
+      end: new Date(dropoffWindowEnd),
+    },
+  };
+};
+
+/**
+ * PUT /api/admin/assign-distribution-task/:id
+ * Admin-only: assigns a distribution task to a volunteer and sets
+ * the donation's drop-off location.
+ * Refused with 422 when the center is closed, full or does not accept the
+ * food; send overrideFit: true to assign anyway.
+ */
+router.put(
+  "/assign-distribution-task/:id",
+  requirePermission(Permissions.DONATIONS_ASSIGN),
+  validateRequest({
+    params: { id: objectId({ required: true, label: "Donation ID" }) },
+    body: DropoffAssignmentBody,
+  }),
+  async (req, res) => {
+    const { volunteerId, locationId } = req.body;
+    const donationId = req.params.id;
+
+    // Optional explicit drop-off window (defaults to the center's hours)
+    const { window: dropoffWindow, error: windowError } =
+      getDropoffWindowFromBody(req.body);
+    if (windowError) {
+      return res.status(400).json({ message: windowError });
+    }
+
+    // Fetch the selected drop-off organization
+    const dropoffOrganization = await getDistributionCenterById(
+      String(locationId)
+    );
+
+    if (!dropoffOrganization) {
+      return res
+        .status(404)
+        .json({ message: "Invalid drop-off location selected." });
+    }
+
+    try {
+      // Creates the task, updates metrics and sets the donation's drop-off point.
+      // Returns null unless the donation has been collected.
+      const result = await assignDistributionTask(
+        donationId,
+        volunteerId,
+        dropoffOrganization,
+        {
+          changedBy: req.user.uid,
+          dropoffWindow,
+          overrideFit: req.body.overrideFit === true,
+        }
+      );
+
+      if (!result) {
+        return res
+          .status(404)
+          .json({ message: "Donation not found or not yet collected." });
+      }
+
+      describeAssignment(res, result);
+      res.json({
+        message: "Distribution task assigned successfully.",
+        donation: result.donation,
+        task: result.task,
+        warnings: result.warnings,
+      });
+    } catch (error) {
+      if (sendAssignmentError(res, error)) return;
+      res.status(500).json({ message: "Failed to assign distribution task." });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/assign-direct-delivery/:id
+ * Admin-only: assigns one volunteer to take a pending donation straight
+ * from the donor to a distribution center (pickup and drop-off legs in a
+ * single task). Body: { volunteerId, locationId } plus an optional
+ * dropoffWindowStart / dropoffWindowEnd and overrideFit (see
+ * assign-distribution-task).
+ */
+router.put(
+  "/assign-direct-delivery/:id",
+  requirePermission(Permissions.DONATIONS_ASSIGN),
+  validateRequest({
+    params: { id: objectId({ required: true, label: "Donation ID" }) },
+    body: DropoffAssignmentBody,
+  }),
+  async (req, res) => {
+    const { volunteerId, locationId } = req.body;
+    const donationId = req.params.id;
+
+    const { window: dropoffWindow, error: windowError } =
+      getDropoffWindowFromBody(req.body);
+    if (windowError) {
+      return res.status(400).json({ message: windowError });
+    }
+
+    const dropoffOrganization = await getDistributionCenterById(
+      String(locationId)
+    );
+
+    if (!dropoffOrganization) {
+      return res
+        .status(404)
+        .json({ message: "Invalid drop-off location selected." });
+    }
+
+    try {
+      const result = await assignDirectDeliveryTask(
+        donationId,
+        volunteerId,
+        dropoffOrganization,
+        {
+          changedBy: req.user.uid,
+          dropoffWindow,
+          overrideFit: req.body.overrideFit === true,
+        }
+      );
+
+      if (!result) {
+        return res
+          .status(404)
+          .json({ message: "Donation not found or already assigned." });
+      }
+
+      describeAssignment(res, result);
+      res.json({
+        message: "Direct delivery task assigned successfully.",
+        donation: result.donation,
+        task: result.task,
+        warnings: result.warnings,
+      });
+    } catch (error) {
+      if (sendAssignmentError(res, error)) return;
+      console.error("ASSIGN DIRECT DELIVERY ERROR:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to assign direct delivery task." });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/reassign-task/:taskId
+ * Admin-only: assigns a reported task to a different volunteer
+ * and clears the issue flags.
+ */
+router.put(
+  "/reassign-task/:taskId",
+  requirePermission(Permissions.DONATIONS_ASSIGN),
+  validateRequest({
+    params: TaskParams,
+    body: {
+      newVolunteerId: userId({ required: true, label: "New volunteer ID" }),
+      reason: string({ maxLength: 500, label: "Reason" }),
+    },
+  }),
+  async (req, res) => {
+    const { taskId } = req.params;
+    const { newVolunteerId, reason } = req.body;
+
+    try {
+      await assertAssignableVolunteer(newVolunteerId, "newVolunteerId");
+
+      // The new volunteer must be free during the task's window
+      const result = await reassignTask(taskId, newVolunteerId, {
+        changedBy: req.user.uid,
+        reason,
+      });
+
+      if (!result) {
+        return res.status(404).json({ message: "Task not found." });
+      }
+      const { previous, task: updatedTask } = result;
+
+      describeAudit(res, {
+        targetType: "task",
+        targetId: taskId,
+        before: { volunteerId: previous.volunteerId, status: previous.status },
+        after: {
+          volunteerId: updatedTask.volunteerId,
+          status: updatedTask.status,
+        },
+      });
+
+      res.json({
+        message: "Task successfully reassigned and issue flag cleared.",
+        task: updatedTask,
+      });
+    } catch (error) {
+      if (sendAssignmentError(res, error)) return;
+      console.error("REASSIGN TASK ERROR:", error);
+      res.status(500).json({ message: "Failed to reassign task." });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/claiming-settings
+ * Admin-only: returns whether volunteer self-claiming is enabled globally.
+ */
+router.get(
+  "/claiming-settings",
+  requirePermission(Permissions.CLAIMING_MANAGE),
+  async (req, res) => {
+    try {
+      res.json({ claimingEnabled: await isClaimingEnabled() });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch claiming settings." });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/claiming-settings
+ * Admin-only: turns volunteer self-claiming on or off for all donations.
+ * Body: { enabled: true | false }
+ */
+router.put(
+  "/claiming-settings",
+  requirePermission(Permissions.CLAIMING_MANAGE),
+  validateRequest({
+    body: { enabled: boolean({ required: true }) },
+  }),
+  async (req, res) => {
+    const { enabled } = req.body;
+
+    try {
+      await setSetting("claimingEnabled", enabled, req.user.uid);
+      res.json({
+        message: `Task claiming ${enabled ? "enabled" : "disabled"}.`,
+        claimingEnabled: enabled,
+      });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to update claiming settings." });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/:donationId/claiming
+ * Admin-only: turns self-claiming on or off for a single donation.
+ * Body: { enabled: true | false }
+ */
+router.put(
+  "/:donationId/claiming",
+  requirePermission(Permissions.CLAIMING_MANAGE),
+  validateRequest({
+    params: DonationParams,
+    body: { enabled: boolean({ required: true }) },
+  }),
+  async (req, res) => {
+    const { donationId } = req.params;
+    const { enabled } = req.body;
+
+    try {
+      const donation = await updateDonation(donationId, {
+        claimingEnabled: enabled,
+      });
+
+      if (!donation) {
+        return res.status(404).json({ message: "Donation not found." });
+      }
+
+      res.json({
+        message: `Claiming ${enabled ? "enabled" : "disabled"} for this donation.`,
+        donation,
+      });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to update donation claiming." });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/:taskId/handoff-code
+ * Admin-only: issue a new handoff code for an active task, e.g. after the
+ * volunteer was locked out by wrong codes. On a direct delivery this is
+ * the code of the current leg.
+ */
+router.put(
+  "/:taskId/handoff-code",
+  requirePermission(Permissions.TASKS_OVERRIDE),
+  validateRequest({ params: TaskParams }),
+  async (req, res) => {
+    try {
+      const task = await regenerateHandoffCode(req.params.taskId);
+      if (!task) {
+        return res.status(404).json({ message: "Active task not found." });
+      }
+
+      res.json({
+        message: "New handoff code issued.",
+        taskId: task.taskId,
+        handoffCode: task.handoffCode,
+      });
+    } catch (error) {
+      console.error("REGENERATE HANDOFF CODE ERROR:", error);
+      res.status(500).json({ message: "Failed to issue a new handoff code." });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/:taskId/location-override
+ * Admin-only: allow the volunteer to complete an active task although their
+ * device is far from the task location (e.g. wrong pin, handover around the
+ * corner). Body: { reason }.
+ */
+router.put(
+  "/:taskId/location-override",
+  requirePermission(Permissions.TASKS_OVERRIDE),
+  validateRequest({
+    params: TaskParams,
+    body: {
+      reason: string({ required: true, maxLength: 500, label: "Reason" }),
+    },
+  }),
+  async (req, res) => {
+    const reason = req.body.reason.trim();
+
+    try {
+      const task = await Task.findOneAndUpdate(
+        { taskId: req.params.taskId, status: { $in: ActiveTaskStatuses } },
+        {
+          $set: {
+            locationOverride: {
+              grantedBy: req.user.uid,
+              reason,
+              grantedAt: new Date(),
+            },
+          },
+        },
+        { new: true }
+      );
+
+      if (!task) {
+        return res.status(404).json({ message: "Active task not found." });
+      }
+
+      res.json({
+        message: "Volunteer may now complete the task away from its location.",
+        task,
+      });
+    } catch (error) {
+      console.error("LOCATION OVERRIDE ERROR:", error);
+      res.status(500).json({ message: "Failed to override location check." });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/metrics
+ * Admin-only: aggregate platform-wide stats used for the Admin Dashboard
+ * (total donations, tasks completed, in-transit, monthly breakdown, etc.)
+ */
+router.get(
+  "/metrics",
+  requirePermission(Permissions.METRICS_VIEW),
+  async (req, res) => {
+    try {
+      const totalDonations = await Donation.countDocuments();
+      const tasksCompleted = await Task.countDocuments({
+        taskType: { $in: ["distribution", "directDelivery"] },
+        status: "completed",
+      });
+      const tasksInTransit = await Task.countDocuments({
+        status: { $in: ["assigned", "enRoute"] },
+      });
+
+      // Total food volume posted and delivered (kg / servings)
+      const [volume] = await Donation.aggregate([
+        {
+          $group: {
+            _id: null,
+            totalWeightKg: { $sum: "$quantity.estimatedWeightKg" },
+            totalServings: { $sum: "$quantity.estimatedServings" },
+            deliveredWeightKg: {
+              $sum: {
+                $cond: [
+                  { $eq: ["$status", "delivered"] },
+                  "$quantity.estimatedWeightKg",
+                  0,
+                ],
+              },
+            },
+            deliveredServings: {
+              $sum: {
+                $cond: [
+                  { $eq: ["$status", "delivered"] },
+                  "$quantity.estimatedServings",
+                  0,
+                ],
+              },
+            },
+          },
+        },
+      ]);
+
+      const sixMonthsAgo = new Date();
+      sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+
+      const monthlyMetrics = await Donation.aggregate([
+        { $match: { postedAt: { $gte: sixMonthsAgo } } },
+        {
+          $project: {
+            year: { $year: "$postedAt" },
+            month: { $month: "$postedAt" },
+            isDelivered: { $eq: ["$status", "delivered"] },
+            weightKg: { $ifNull: ["$quantity.estimatedWeightKg", 0] },
+          },
+        },
+        {
+          $group: {
+            _id: { year: "$year", month: "$month" },
+            received: { $sum: 1 },
+            delivered: {
+              $sum: { $cond: [{ $eq: ["$isDelivered", true] }, 1, 0] },
+            },
+            receivedKg: { $sum: "$weightKg" },
+            deliveredKg: {
+              $sum: {
+                $cond: [{ $eq: ["$isDelivered", true] }, "$weightKg", 0],
+              },
+            },
+          },
+        },
+        { $sort: { "_id.year": 1, "_id.month": 1 } },
+      ]);
+
+      const monthNames = [
+        "Jan",
+        "Feb",
+        "Mar",
+        "Apr",
+        "May",
+        "Jun",
+        "Jul",
+        "Aug",
+        "Sep",
+        "Oct",
+        "Nov",
+        "Dec",
+      ];
+      const monthlyData = monthlyMetrics.map((item) => ({
+        month: monthNames[item._id.month - 1],
+        received: item.received,
+        delivered: item.delivered,
+        receivedKg: Math.round(item.receivedKg * 10) / 10,
+        deliveredKg: Math.round(item.deliveredKg * 10) / 10,
+      }));
+
+      res.json({
+        totalDonations,
+        tasksCompleted,
+        tasksInTransit,
+        completionRate:
+          totalDonations > 0
+            ? ((tasksCompleted / totalDonations) * 100).toFixed(1)
+            : "0.0",
+        totalWeightKg: Math.round((volume?.totalWeightKg || 0) * 10) / 10,
+        totalServings: Math.round(volume?.totalServings || 0),
+        deliveredWeightKg:
+          Math.round((volume?.deliveredWeightKg || 0) * 10) / 10,
+        deliveredServings: Math.round(volume?.deliveredServings || 0),
+        monthlyData,
+      });
+    } catch (error) {
+      console.error("METRICS AGGREGATION ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch dashboard metrics." });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/orphaned-tasks
+ * Admin-only: integrity check that finds tasks whose donation no longer exists.
+ */
+router.get(
+  "/orphaned-tasks",
+  requirePermission(Permissions.TASKS_VIEW_ANY),
+  async (req, res) => {
+    try {
+      const allTasks = await Task.find();
+
+      const allDonations = await Donation.find();
+      const donationIds = new Set(allDonations.map((d) => d.donationId));
+
+      // Orphaned = task references a donationId that does not exist in Donation collection
+
+      const orphanedTasks = allTasks.filter((task) => {
+        return task.donationId && !donationIds.has(task.donationId);
+      });
+
+      res.json({
+        totalTasks: allTasks.length,
+        totalDonations: allDonations.length,
+        orphanedTasksCount: orphanedTasks.length,
+        orphanedTasks: orphanedTasks.map((t) => ({
+          taskId: t.taskId,
+          donationId: t.donationId,
+          volunteerId: t.volunteerId,
+          status: t.status,
+          createdAt: t.assignedAt,
+        })),
+      });
+    } catch (error) {
+      console.error("ORPHANED TASKS CHECK ERROR:", error);
+      res.status(500).json({ message: "Failed to check orphaned tasks." });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// Import Express and create a router for the API description
+const express = require("express");
+const router = express.Router();
+
+// Used to locate the explorer page
+const path = require("path");
+
+// The documented routers and the generator that describes them
+const { ApiRoutes } = require("./index");
+const { buildOpenApiDocument } = require("../services/openApiService");
+
+// Built on the first request; routes do not change while the server runs
+let openApiDocument = null;
+
+/**
+ * GET /api/docs/openapi.json
+ * The OpenAPI 3.1 description of every route in routes/index.js, with
+ * request schemas, required permissions and the route doc comments.
+ */
+router.get("/openapi.json", (req, res) => {
+  try {
+    openApiDocument = openApiDocument || buildOpenApiDocument(ApiRoutes);
+    res.json(openApiDocument);
+  } catch (err) {
+    console.error("BUILD OPENAPI DOCUMENT ERROR:", err);
+    res.status(500).json({ message: "Failed to build API description." });
+  }
+});
+
+/**
+ * GET /api/docs
+ * Browsable API explorer for openapi.json. Requests can be sent from the
+ * page with a Firebase ID token pasted into it.
+ */
+router.get("/", (req, res) => {
+  res.sendFile(path.join(__dirname, "../docs/apiExplorer.html"));
+});
+
+module.exports = router;
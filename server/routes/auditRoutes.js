@@ -0,0 +1,208 @@
+// Import Express and create a router for reading the audit log
+const express = require("express");
+const router = express.Router();
+
+// Audit log entries are only read here; they are written by auditTrail
+const { AuditLog } = require("../models/auditLogModel");
+const { verifyAuditChain } = require("../services/auditService");
+const {
+  Permissions,
+  requirePermission,
+} = require("../services/permissionService");
+const {
+  validateRequest,
+  date,
+  integer,
+  string,
+  userId,
+} = require("../services/validationService");
+
+// Entries per page on the audit screen (default 50, at most 200)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Most entries written to one CSV export (default: 20000)
+const AUDIT_EXPORT_LIMIT = Number(process.env.AUDIT_EXPORT_LIMIT) || 20000;
+
+// Columns of the CSV export, in order
+const CsvColumns = [
+  "sequence",
+  "createdAt",
+  "actorUid",
+  "actorName",
+  "actorRole",
+  "action",
+  "path",
+  "statusCode",
+  "targetType",
+  "targetId",
+  "changes",
+  "ip",
+  "hash",
+];
+
+// Query string accepted by the list and the export (only the list is paged)
+const AuditQuery = {
+  actorUid: userId({ label: "Actor" }),
+  action: string({ maxLength: 200, label: "Action" }),
+  targetType: string({ maxLength: 60, label: "Target type" }),
+  targetId: string({ maxLength: 128, label: "Target ID" }),
+  from: date({ label: "From date" }),
+  to: date({ label: "To date" }),
+  outcome: string({ enum: ["succeeded", "refused"], label: "Outcome" }),
+  page: integer({ min: 1, label: "Page" }),
+  limit: integer({ min: 1, max: MAX_PAGE_SIZE, label: "Page size" }),
+};
+
+// Escape special characters so user input is matched literally
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Helper: builds the MongoDB filter from the query string
+ * (actorUid, action, targetType, targetId, from, to, outcome),
+ * already checked against AuditQuery.
+ */
+const buildAuditFilter = (query) => {
+  const filter = {};
+  if (query.actorUid) filter.actorUid = String(query.actorUid);
+  if (query.targetType) filter.targetType = String(query.targetType);
+  if (query.targetId) filter.targetId = String(query.targetId);
+  if (query.action) {
+    filter.action = {
+      $regex: escapeRegex(String(query.action)),
+      $options: "i",
+    };
+  }
+  if (query.outcome === "succeeded") filter.statusCode = { $lt: 400 };
+  if (query.outcome === "refused") filter.statusCode = { $gte: 400 };
+
+  for (const [param, operator] of [
+    ["from", "$gte"],
+    ["to", "$lte"],
+  ]) {
+    if (!query[param]) continue;
+    filter.createdAt = {
+      ...filter.createdAt,
+      [operator]: new Date(query[param]),
+    };
+  }
+  return filter;
+};
+
+// "field: from → to; ..." for one entry's changes
+const formatChanges = (changes = []) =>
+  changes
+    .map(
+      ({ field, from, to }) =>
+        `${field}: ${JSON.stringify(from ?? null)} → ${JSON.stringify(
+          to ?? null
+        )}`
+    )
+    .join("; ");
+
+// One CSV cell, quoted when it contains a comma, quote or line break
+const toCsvCell = (value) => {
+  const text =
+    value === null || value === undefined
+      ? ""
+      : value instanceof Date
+        ? value.toISOString()
+        : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * GET /api/audit
+ * Audit log entries, newest first, filtered by the query string
+ * (see buildAuditFilter) and paged with ?page=1&limit=50.
+ */
+router.get(
+  "/",
+  requirePermission(Permissions.AUDIT_VIEW),
+  validateRequest({ query: AuditQuery }),
+  async (req, res) => {
+    const filter = buildAuditFilter(req.query);
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    try {
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort({ sequence: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditLog.countDocuments(filter),
+      ]);
+
+      res.json({ entries, total, page, limit });
+    } catch (err) {
+      console.error("FETCH AUDIT LOG ERROR:", err);
+      res.status(500).json({ message: "Failed to fetch audit log." });
+    }
+  }
+);
+
+/**
+ * GET /api/audit/export
+ * The filtered entries as a CSV file, oldest first. Each row keeps its
+ * entry hash so a saved export can later be checked against the log.
+ */
+router.get(
+  "/export",
+  requirePermission(Permissions.AUDIT_VIEW),
+  validateRequest({ query: AuditQuery }),
+  async (req, res) => {
+    const filter = buildAuditFilter(req.query);
+
+    try {
+      const entries = await AuditLog.find(filter)
+        .sort({ sequence: 1 })
+        .limit(AUDIT_EXPORT_LIMIT)
+        .lean();
+
+      const rows = entries.map((entry) =>
+        CsvColumns.map((column) =>
+          toCsvCell(
+            column === "changes" ? formatChanges(entry.changes) : entry[column]
+          )
+        ).join(",")
+      );
+      const csv = [CsvColumns.join(","), ...rows].join("\r\n") + "\r\n";
+
+      const day = new Date().toISOString().slice(0, 10);
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="audit-log-${day}.csv"`
+      );
+      res.send(csv);
+    } catch (err) {
+      console.error("EXPORT AUDIT LOG ERROR:", err);
+      res.status(500).json({ message: "Failed to export audit log." });
+    }
+  }
+);
+
+/**
+ * GET /api/audit/verify
+ * Recomputes the hash chain and reports whether any entry was changed,
+ * removed or inserted since it was written.
+ */
+router.get(
+  "/verify",
+  requirePermission(Permissions.AUDIT_VIEW),
+  async (req, res) => {
+    try {
+      res.json(await verifyAuditChain());
+    } catch (err) {
+      console.error("VERIFY AUDIT LOG ERROR:", err);
+      res.status(500).json({ message: "Failed to verify audit log." });
+    }
+  }
+);
+
+module.exports = router;
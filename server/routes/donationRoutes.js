@@ -6,6 +6,7 @@ const router = express.Router();
 const {
   Donation,
   DonationStatus,
+  StorageRequirement,
   createDonation,
   getDonationById,
   getDonationsByDonorId,
@@ -18,11 +19,13 @@ const {
   Task,
   TaskStatus,
   TaskType,
+  ActiveTaskStatuses,
   createTask,
   getTaskById,
   getTasksByVolunteerId,
   getTasksByDonationId,
   updateTask,
+  getTaskPhase,
 } = require("../models/taskModel");
 
 // Import Volunteer model and helper methods
@@ -32,15 +35,15 @@ const {
   getVolunteerByUserId,
   getActiveVolunteers,
   updateVolunteer,
+  isApprovedVolunteer,
 } = require("../models/volunteerModel");
 
 // Import Metrics model and helper methods
 const {
   Metrics,
-  createMetrics,
   getMetricsById,
   getMetricsByUserId,
-  updateMetrics,
+  incrementMetrics,
   getTopVolunteersByMetrics,
 } = require("../models/metricsModel");
 // Mongoose is used to generate IDs and work with MongoDB
@@ -55,1072 +58,1498 @@ const {
   getUsersByRole,
   updateUser,
 } = require("../models/userModel");
+// Import Donor helper to find the business a donor posts for
+const { getDonorBusiness } = require("../models/donorModel");
 // Import organization helpers (used for predefined distribution centers)
 
 const {
   Organization,
   getAllOrganizations,
   getOrganizationById,
+  getDistributionCenterById,
+  getNearestOrganization,
+  addCenterStock,
 } = require("../models/organizationModel");
 
-/**
- * Helper: checks if the current user is an Admin.
- * Returns false and sends 403 response if not.
- */
-const isAdmin = (req, res) => {
-  if (req.user.role !== "Admin") {
-    res.status(403).json({ message: "Access denied. Admin role required." });
-    return false;
-  }
-  return true;
+// Import platform settings helpers (global switches such as task claiming)
+const { isClaimingEnabled } = require("../models/settingsModel");
+
+// Import shared assignment logic and the volunteer matching engine
+const {
+  assignCollectionTask,
+  assignDistributionTask,
+  completePickupLeg,
+  DropoffFieldsUnset,
+  rejectDelivery,
+  describeAssignment,
+  sendAssignmentError,
+} = require("../services/assignmentService");
+const {
+  buildHistoryEntry,
+  canTransitionDonation,
+  getDonationStatusForTask,
+  normalizeStatus,
+  transitionDonation,
+  transitionTask,
+  sendTransitionError,
+} = require("../services/statusMachine");
+const { getMatchingConfig } = require("../config/matchingConfig");
+const { PerishableItemTypes } = require("../services/urgencyService");
+const { formatQuantity } = require("../services/quantityService");
+const {
+  getLineItemsFromBody,
+  validateLineItems,
+  normalizeLineItems,
+  summarizeLineItems,
+  applyCollectedAmounts,
+  completeCollection,
+} = require("../services/lineItemService");
+const {
+  DEFAULT_PICKUP_WINDOW_HOURS,
+  validateWindow,
+} = require("../services/timeWindowService");
+const {
+  PROOF_MAX_DISTANCE_METERS,
+  validateProof,
+  checkProofLocation,
+  saveProof,
+  removeProofFiles,
+  readProofFile,
+} = require("../services/proofService");
+const { isValidCoordinates } = require("../services/geoService");
+const { planRoute } = require("../services/routePlanner");
+const { rankCentersForDonation } = require("../services/centerFitService");
+const {
+  verifyHandoffCode,
+  sendHandoffCodeError,
+} = require("../services/handoffCodeService");
+const {
+  Permissions,
+  can,
+  requirePermission,
+} = require("../services/permissionService");
+const { getProfileType } = require("../services/roleProfileService");
+const {
+  validateRequest,
+  array,
+  coordinates,
+  date,
+  integer,
+  number,
+  object,
+  objectId,
+  string,
+  userId,
+} = require("../services/validationService");
+const { DonationPostSchema } = require("../../shared/schemas.mjs");
+
+// Request schemas used by several routes below
+const DonationParams = {
+  donationId: objectId({ required: true, label: "Donation ID" }),
+};
+const TaskParams = { taskId: objectId({ required: true, label: "Task ID" }) };
+const VolunteerParams = {
+  volunteerId: userId({ required: true, label: "Volunteer ID" }),
+};
+
+// Body of PUT /:taskId/status; proof is checked in detail by validateProof
+const TaskStatusBody = {
+  // Sent by the client as well; the task in the URL is the one updated
+  taskId: string(),
+  status: string({
+    required: true,
+    enum: ["enRoute", "completed", "cancelled", "failed"],
+    label: "Status",
+  }),
+  handoffCode: string({ maxLength: 20, label: "Handoff code" }),
+  reason: string({ maxLength: 500, label: "Reason" }),
+  proof: object(
+    {
+      photo: string({ label: "Photo" }),
+      signature: string({ label: "Signature" }),
+      recipientName: string({ maxLength: 100, label: "Recipient name" }),
+      location: object(
+        {
+          coordinates: coordinates({ required: true, label: "Location" }),
+          accuracyMeters: number({ min: 0 }),
+          capturedAt: date({ label: "Location timestamp" }),
+        },
+        { label: "Location" }
+      ),
+    },
+    { label: "Proof" }
+  ),
 };
 
 /**
- * Helper: checks if the current user is a Volunteer.
+ * Helper: checks the signed-in center staff member is linked to a center.
  * Returns false and sends 403 response if not.
  */
-const isVolunteer = (req, res) => {
-  if (req.user.role !== "Volunteer") {
-    res
-      .status(403)
-      .json({ message: "Access denied. Volunteer role required." });
+const hasLinkedCenter = (req, res) => {
+  if (!req.user.organizationId) {
+    res.status(403).json({
+      message: "Your account is not linked to a distribution center.",
+    });
     return false;
   }
   return true;
 };
 
+// Helper: true when the user receives deliveries at the center a donation
+// is headed to
+const isStaffOfDropoffCenter = async (req, donation) =>
+  !!req.user.organizationId &&
+  donation?.dropoffOrganizationId === req.user.organizationId &&
+  (await can(req, Permissions.CENTER_RECEIVE));
+
+// Helper: true when the user may see a task's proof (photo, signature,
+// recipient, location): the task's volunteer, the donor, staff of the
+// receiving center, or users who can view any donation
+const canViewTaskProof = async (req, task, donation) =>
+  task.volunteerId === req.user.uid ||
+  donation?.donorId === req.user.uid ||
+  (await can(req, Permissions.DONATIONS_VIEW_ANY)) ||
+  (await isStaffOfDropoffCenter(req, donation));
+
 /**
  * POST /api/donations/post
  * Allows a Donor or Admin to post a new donation.
  * Validates required fields and saves donation with status "pendingAssignment".
  */
-router.post("/post", async (req, res) => {
-  if (req.user.role !== "Donor" && req.user.role !== "Admin") {
-    return res
-      .status(403)
-      .json({ message: "Access denied. Donor or Admin role required." });
-  }
-
-  const {
-    itemType,
-    quantity,
-    pickupAddress,
-    pickupLocation,
-    availabilityTime,
-    notes,
-  } = req.body;
-
-  console.log("POST /api/donations/post called by:", {
-    userId: req.user.uid,
-    userName: req.user.name,
-    userRole: req.user.role,
-  });
-  console.log("Request body:", {
-    itemType,
-    quantity,
-    pickupAddress,
-    pickupLocation,
-    availabilityTime,
-    notes,
-  });
-
-  if (
-    !itemType ||
-    !quantity ||
-    !pickupAddress ||
-    !pickupLocation ||
-    !pickupLocation?.coordinates ||
-    !availabilityTime
-  ) {
-    console.warn("Validation failed. Missing required fields.");
-    return res
-      .status(400)
-      .json({ message: "Missing required donation fields." });
-  }
-
-  try {
-    const docId = new mongoose.Types.ObjectId().toHexString();
-
-    const newDonation = new Donation({
-      donationId: docId,
-      donorId: req.user.uid,
-      donorName: req.user.name,
+router.post(
+  "/post",
+  requirePermission(Permissions.DONATIONS_CREATE),
+  validateRequest({ body: DonationPostSchema }),
+  async (req, res) => {
+    const {
       itemType,
       quantity,
+      items,
+      pickupAddress,
+      pickupLocation,
+      availabilityTime,
+      pickupWindowEnd,
       notes,
-      status: "pendingAssignment",
-      pickupLocation: {
-        type: "Point",
-        coordinates: pickupLocation.coordinates,
-      },
+      expiresAt,
+      storageRequirement,
+    } = req.body;
+
+    console.log("POST /api/donations/post called by:", {
+      userId: req.user.uid,
+      userName: req.user.name,
+      userRole: req.user.role,
+    });
+    console.log("Request body:", {
+      itemType,
+      quantity,
+      items,
       pickupAddress,
-      availabilityTime: new Date(availabilityTime),
-      postedAt: new Date(),
+      pickupLocation,
+      availabilityTime,
+      pickupWindowEnd,
+      notes,
+      expiresAt,
+      storageRequirement,
     });
 
-    console.log("Saving donation with ID:", docId);
-    await newDonation.save();
-    console.log("Donation saved successfully:", docId);
+    // Line items; a single itemType + quantity is accepted as one item
+    const lineItems = getLineItemsFromBody({ items, itemType, quantity });
 
-    // Update donor metrics: increment totalDonationsPosted and foodItemsCollected
-    try {
-      const qty = Number(quantity) || 0;
-      const metrics = await getMetricsByUserId(req.user.uid);
-      if (!metrics) {
-        const metricsId = new mongoose.Types.ObjectId().toHexString();
-        await createMetrics({
-          metricsId,
-          userId: req.user.uid,
-          userType: "Donor",
-          totalDonationsPosted: 1,
-          foodItemsCollected: qty,
-        });
-      } else {
-        await updateMetrics(req.user.uid, {
-          totalDonationsPosted: (metrics.totalDonationsPosted || 0) + 1,
-          foodItemsCollected: (metrics.foodItemsCollected || 0) + qty,
-        });
-      }
-    } catch (err) {
-      console.error("METRICS UPDATE ERROR (post donation):", err);
+    // Each item needs a category, { amount, unit } quantity and known allergens
+    const lineItemsError = validateLineItems(lineItems);
+    if (lineItemsError) {
+      return res.status(400).json({ message: lineItemsError });
     }
 
-    res.status(201).json({
-      message: "Donation posted successfully.",
-      donation: newDonation,
-    });
-  } catch (error) {
-    console.error("POST DONATION ERROR:", {
-      message: error.message,
-      name: error.name,
-      code: error.code,
-      stack: error.stack,
-    });
-    res
-      .status(500)
-      .json({ message: "Failed to post donation.", error: error.message });
-  }
-});
-
-/**
- * GET /api/donations/pending
- * Admin-only: returns donations that either need collection assignment
- * or are already collected and awaiting distribution.
- */
-router.get("/pending", async (req, res) => {
-  if (!isAdmin(req, res)) return;
-
-  try {
-    const pendingDonations = await Donation.find({
-      status: { $in: ["pendingAssignment", "collected"] },
-    }).sort({ postedAt: -1 });
-
-    res.json({ donations: pendingDonations });
-  } catch (error) {
-    res.status(500).json({ message: "Failed to fetch pending donations." });
-  }
-});
-
-/**
- * GET /api/donations/reported-issues
- * Admin-only: fetches all tasks that have an issue flagged by volunteers.
- * Returns a simplified list for Admin to review in the dashboard.
- */
-router.get("/reported-issues", async (req, res) => {
-  if (req.user.role !== "Admin") {
-    return res.status(403).json({ message: "Access denied." });
-  }
-
-  try {
-    const reportedTasks = await Task.find({ issueReported: true }).sort({
-      assignedAt: -1,
-    });
-
-    console.log(`Found ${reportedTasks.length} reported tasks`);
-
-    const formattedIssues = reportedTasks.map((task) => {
-      const donation = task.donationId || {};
-
-      return {
-        _id: task._id,
-        taskId: task.taskId,
-
-        donationId: donation.donationId || donation._id,
+    const perishableItem = lineItems.find((item) =>
+      PerishableItemTypes.includes(item.itemType)
+    );
 
-        currentVolunteer: task.volunteerId,
+    // availabilityTime is the window start; the end defaults to a short window
+    const windowEnd = pickupWindowEnd
+      ? new Date(pickupWindowEnd)
+      : new Date(
+          new Date(availabilityTime).getTime() +
+            DEFAULT_PICKUP_WINDOW_HOURS * 36e5
+        );
+    const windowError = validateWindow(availabilityTime, windowEnd);
+    if (windowError) {
+      return res.status(400).json({ message: windowError });
+    }
 
-        issueNotes: task.issueNotes || "No notes provided.",
-        issueReportedAt: task.assignedAt,
+    // Perishable food must come with a best-before time so it can be prioritised
+    if (!expiresAt && perishableItem) {
+      return res.status(400).json({
+        message: `An expiry time is required for ${perishableItem.itemType}.`,
+      });
+    }
 
-        postedAt: donation.postedAt,
+    try {
+      const docId = new mongoose.Types.ObjectId().toHexString();
+      const normalizedItems = normalizeLineItems(lineItems);
+      const summary = summarizeLineItems(normalizedItems);
+
+      // Donors linked to a DonorBusiness post on its behalf
+      const donorBusiness =
+        (await getProfileType(req.user.role)) === "Donor"
+          ? await getDonorBusiness(req.user.uid)
+          : null;
+
+      const newDonation = new Donation({
+        donationId: docId,
+        donorId: req.user.uid,
+        donorName: req.user.name,
+        donorOrganizationId: donorBusiness?.organizationId,
+        donorOrganizationName: donorBusiness?.name,
+        itemType: summary.itemType,
+        quantity: summary.quantity,
+        items: normalizedItems,
+        notes,
+        status: "pendingAssignment",
+        statusHistory: [
+          buildHistoryEntry(null, "pendingAssignment", {
+            changedBy: req.user.uid,
+            reason: "Donation posted",
+          }),
+        ],
+        pickupLocation: {
+          type: "Point",
+          coordinates: pickupLocation.coordinates,
+        },
+        pickupAddress,
+        availabilityTime: new Date(availabilityTime),
+        pickupWindowEnd: windowEnd,
+        expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+        storageRequirement: storageRequirement || "ambient",
+        postedAt: new Date(),
+      });
 
-        foodItem: donation.itemType || "Unknown Item",
-        quantity: donation.quantity,
-        donorName: donation.donorName,
+      console.log("Saving donation with ID:", docId);
+      await newDonation.save();
+      console.log("Donation saved successfully:", docId);
 
-        address: task.address || donation.pickupAddress,
-      };
-    });
+      // Update donor metrics: count the donation and add its weight/servings
+      try {
+        await incrementMetrics(req.user.uid, "Donor", {
+          totalDonationsPosted: 1,
+          totalWeightKg: newDonation.quantity.estimatedWeightKg || 0,
+          totalServings: newDonation.quantity.estimatedServings || 0,
+        });
+      } catch (err) {
+        console.error("METRICS UPDATE ERROR (post donation):", err);
+      }
 
-    res.json(formattedIssues);
-  } catch (error) {
-    console.error("FETCH REPORTED ISSUES ERROR:", {
-      message: error.message,
-      name: error.name,
-      stack: error.stack,
-    });
-    res.status(500).json({
-      message: "Failed to fetch reported issues.",
-      error: error.message,
-    });
+      res.status(201).json({
+        message: "Donation posted successfully.",
+        donation: newDonation,
+      });
+    } catch (error) {
+      console.error("POST DONATION ERROR:", {
+        message: error.message,
+        name: error.name,
+        code: error.code,
+        stack: error.stack,
+      });
+      res
+        .status(500)
+        .json({ message: "Failed to post donation.", error: error.message });
+    }
   }
-});
+);
 
 /**
  * PUT /api/donations/report-issue/:taskId
  * Volunteer-only: mark a task as having an issue (e.g., wrong address),
- * attach issue notes, and move it into "pending_review" for Admin.
+ * attach issue notes, and move it into "pendingReview" for Admin.
  */
-router.put("/report-issue/:taskId", async (req, res) => {
-  if (!isVolunteer(req, res)) return;
-
-  const { taskId } = req.params;
-  const { issueNotes } = req.body;
-  const volunteerId = req.user.uid;
-
-  if (!issueNotes) {
-    return res
-      .status(400)
-      .json({ message: "Issue notes are required to report an issue." });
-  }
-
-  try {
-    const task = await Task.findOne({ _id: taskId, volunteerId: volunteerId });
-
-    if (!task) {
-      return res
-        .status(403)
-        .json({ message: "Forbidden. Task not found or not assigned to you." });
-    }
-
-    const updatedTask = await Task.findOneAndUpdate(
-      { _id: taskId },
-      {
-        issueReported: true,
-        issueNotes: issueNotes,
-        status: "pending_review",
-      },
-      { new: true }
-    );
+router.put(
+  "/report-issue/:taskId",
+  requirePermission(Permissions.TASKS_WORK),
+  validateRequest({
+    params: TaskParams,
+    body: {
+      issueNotes: string({
+        required: true,
+        maxLength: 1000,
+        label: "Issue notes",
+      }),
+    },
+  }),
+  async (req, res) => {
+    const { taskId } = req.params;
+    const { issueNotes } = req.body;
+    const volunteerId = req.user.uid;
 
-    res.json({
-      message:
-        "Issue reported successfully. Task status set to pending review.",
-      task: updatedTask,
-    });
-  } catch (error) {
-    console.error("REPORT ISSUE ERROR:", error);
-    res.status(500).json({ message: "Failed to report issue." });
-  }
-});
-
-/**
- * PUT /api/donations/reassign-task/:taskId
- * Admin-only: assigns a reported task to a different volunteer
- * and clears the issue flags.
- */
-router.put("/reassign-task/:taskId", async (req, res) => {
-  if (!isAdmin(req, res)) return;
+    try {
+      const task = await Task.findOne({
+        _id: taskId,
+        volunteerId: volunteerId,
+      });
 
-  const { taskId } = req.params;
-  const { newVolunteerId } = req.body;
+      if (!task) {
+        return res.status(403).json({
+          message: "Forbidden. Task not found or not assigned to you.",
+        });
+      }
 
-  if (!newVolunteerId) {
-    return res
-      .status(400)
-      .json({ message: "New Volunteer ID is required for reassignment." });
-  }
+      const updatedTask = await transitionTask(
+        { _id: taskId, volunteerId: volunteerId },
+        "pendingReview",
+        {
+          changedBy: volunteerId,
+          reason: issueNotes,
+          set: { issueReported: true, issueNotes: issueNotes },
+        }
+      );
 
-  try {
-    const updatedTask = await Task.findOneAndUpdate(
-      { taskId },
-      {
-        volunteerId: newVolunteerId,
-        status: "assigned",
-        issueReported: false,
-        issueNotes: null,
-        assignedAt: new Date(),
-      },
-      { new: true }
-    );
+      if (!updatedTask) {
+        return res
+          .status(409)
+          .json({ message: "Task was changed by someone else. Please retry." });
+      }
 
-    if (!updatedTask) {
-      return res.status(404).json({ message: "Task not found." });
+      res.json({
+        message:
+          "Issue reported successfully. Task status set to pending review.",
+        task: updatedTask,
+      });
+    } catch (error) {
+      if (sendTransitionError(res, error)) return;
+      console.error("REPORT ISSUE ERROR:", error);
+      res.status(500).json({ message: "Failed to report issue." });
     }
-
-    res.json({
-      message: "Task successfully reassigned and issue flag cleared.",
-      task: updatedTask,
-    });
-  } catch (error) {
-    console.error("REASSIGN TASK ERROR:", error);
-    res.status(500).json({ message: "Failed to reassign task." });
   }
-});
-
-/**
- * GET /api/donations/volunteers
- * Admin-only: returns list of active volunteers with basic profile data
- * and their linked User info (name + email).
- */
-router.get("/volunteers", async (req, res) => {
-  if (!isAdmin(req, res)) return;
-
-  try {
-    const volunteers = await Volunteer.find({ status: "active" }).select(
-      "userId phone homeLocation rating tasksCompleted"
-    );
-
-    const volunteersWithNames = await Promise.all(
-      volunteers.map(async (vol) => {
-        const user = await User.findOne({ uid: vol.userId }).select(
-          "name email"
-        );
-        return {
-          ...vol.toObject(),
-          uid: vol.userId,
-          name: user?.name || "Unknown",
-          email: user?.email || "",
-        };
-      })
-    );
-
-    res.json({ volunteers: volunteersWithNames });
-  } catch (error) {
-    console.error("FETCH VOLUNTEERS ERROR:", {
-      message: error.message,
-      name: error.name,
-    });
-    res.status(500).json({
-      message: "Failed to fetch volunteer list.",
-      error: error.message,
-    });
-  }
-});
+);
 
 /**
  * GET /api/donations/donor/:uid/history
  * Returns full donation history for a specific donor.
+ * Donors linked to a DonorBusiness also get the donations their
+ * colleagues posted for it.
  * Only that donor or an Admin is allowed to access it.
  */
-router.get("/donor/:uid/history", async (req, res) => {
-  const { uid } = req.params;
-
-  if (req.user.uid !== uid && req.user.role !== "Admin") {
-    return res
-      .status(403)
-      .json({ message: "Access denied. Cannot view another user's history." });
-  }
+router.get(
+  "/donor/:uid/history",
+  requirePermission(Permissions.DONATIONS_VIEW_ANY, { ownerParam: "uid" }),
+  validateRequest({ params: { uid: userId({ required: true }) } }),
+  async (req, res) => {
+    const { uid } = req.params;
 
-  try {
-    const donations = await Donation.find({ donorId: uid }).sort({
-      postedAt: -1,
-    });
-
-    const taskIds = await Task.find({
-      donationId: { $in: donations.map((d) => d.donationId) },
-    }).select("volunteerId");
-
-    const volunteers = await getUsersByRole("Volunteer");
-    const volunteerMap = volunteers.reduce((map, user) => {
-      map[user.uid] = user.name;
-      return map;
-    }, {});
-
-    const donationsWithNames = donations.map((donation) => {
-      const d = donation.toObject();
-      return d;
-    });
+    try {
+      const donorBusiness = await getDonorBusiness(uid);
+      const donations = await Donation.find(
+        donorBusiness
+          ? {
+              $or: [
+                { donorId: uid },
+                { donorOrganizationId: donorBusiness.organizationId },
+              ],
+            }
+          : { donorId: uid }
+      ).sort({ postedAt: -1 });
+
+      const taskIds = await Task.find({
+        donationId: { $in: donations.map((d) => d.donationId) },
+      }).select("volunteerId");
+
+      const volunteers = await getUsersByRole("Volunteer");
+      const volunteerMap = volunteers.reduce((map, user) => {
+        map[user.uid] = user.name;
+        return map;
+      }, {});
+
+      const donationsWithNames = donations.map((donation) => {
+        const d = donation.toObject();
+        return d;
+      });
 
-    res.json({ donations: donationsWithNames });
-  } catch (error) {
-    console.error("FETCH DONOR HISTORY ERROR:", {
-      message: error.message,
-      name: error.name,
-      code: error.code,
-    });
-    res.status(500).json({
-      message: "Failed to fetch donor history.",
-      error: error.message,
-    });
+      res.json({ donations: donationsWithNames });
+    } catch (error) {
+      console.error("FETCH DONOR HISTORY ERROR:", {
+        message: error.message,
+        name: error.name,
+        code: error.code,
+      });
+      res.status(500).json({
+        message: "Failed to fetch donor history.",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 /**
  * GET /api/donations/donor/:donorId/notifications
  * Donor or Admin: returns notification-style summaries for latest donations.
  */
-router.get("/donor/:donorId/notifications", async (req, res) => {
-  const { donorId } = req.params;
-  if (req.user.uid !== donorId && req.user.role !== "Admin") {
-    return res.status(403).json({ message: "Access denied." });
-  }
+router.get(
+  "/donor/:donorId/notifications",
+  requirePermission(Permissions.DONATIONS_VIEW_ANY, { ownerParam: "donorId" }),
+  validateRequest({ params: { donorId: userId({ required: true }) } }),
+  async (req, res) => {
+    const { donorId } = req.params;
+    try {
+      const latestDonations = await Donation.find({ donorId: donorId })
+        .sort({ postedAt: -1 })
+        .limit(5);
 
-  try {
-    const latestDonations = await Donation.find({ donorId: donorId })
-      .sort({ postedAt: -1 })
-      .limit(5);
-
-    const notifications = latestDonations.map((d) => {
-      return {
-        id: d.donationId,
-        message: `Your donation of ${d.itemType} (${
-          d.quantity
-        }) is currently: ${d.status.replace(/([A-Z])/g, " $1").trim()}`,
-        status: d.status,
-        timestamp: d.postedAt,
-      };
-    });
+      const notifications = latestDonations.map((d) => {
+        return {
+          id: d.donationId,
+          message: `Your donation of ${d.itemType} (${formatQuantity(
+            d.quantity
+          )}) is currently: ${d.status.replace(/([A-Z])/g, " $1").trim()}`,
+          status: d.status,
+          timestamp: d.postedAt,
+        };
+      });
 
-    res.json({ notifications });
-  } catch (error) {
-    res.status(500).json({ message: "Failed to fetch donor notifications." });
+      res.json({ notifications });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch donor notifications." });
+    }
   }
-});
+);
 
 /**
  * GET /api/donations/volunteer/:volunteerId/stats
- * Volunteer or Admin: returns statistics such as tasks completed
- * and count of distribution tasks.
+ * Volunteer or Admin: returns statistics such as tasks completed,
+ * count of distribution tasks and the volunteer's rating.
  */
-router.get("/volunteer/:volunteerId/stats", async (req, res) => {
-  const { volunteerId } = req.params;
+router.get(
+  "/volunteer/:volunteerId/stats",
+  requirePermission(Permissions.TASKS_VIEW_ANY, { ownerParam: "volunteerId" }),
+  validateRequest({ params: VolunteerParams }),
+  async (req, res) => {
+    const { volunteerId } = req.params;
 
-  if (req.user.uid !== volunteerId && req.user.role !== "Admin") {
-    return res.status(403).json({ message: "Access denied." });
-  }
+    try {
+      const activeTasks = await Task.find({
+        volunteerId: volunteerId,
+        status: { $nin: ["completed", "cancelled"] },
+      })
+        .sort({ assignedAt: -1 })
+        .limit(10);
 
-  try {
-    const activeTasks = await Task.find({
-      volunteerId: volunteerId,
-      status: { $nin: ["completed", "cancelled"] },
-    })
-      .sort({ assignedAt: -1 })
-      .limit(10);
+      const completedCount = await Task.countDocuments({
+        volunteerId: volunteerId,
+        status: "completed",
+      });
 
-    const completedCount = await Task.countDocuments({
-      volunteerId: volunteerId,
-      status: "completed",
-    });
+      const distributionCount = await Task.countDocuments({
+        volunteerId: volunteerId,
+        taskType: { $in: ["distribution", "directDelivery"] },
+      });
 
-    const distributionCount = await Task.countDocuments({
-      volunteerId: volunteerId,
-      taskType: "distribution",
-    });
+      const completedDistributionCount = await Task.countDocuments({
+        volunteerId: volunteerId,
+        status: "completed",
+        taskType: { $in: ["distribution", "directDelivery"] },
+      });
 
-    const completedDistributionCount = await Task.countDocuments({
-      volunteerId: volunteerId,
-      status: "completed",
-      taskType: "distribution",
-    });
+      const metrics = await getMetricsByUserId(volunteerId);
 
-    res.json({
-      tasksCompleted: completedCount,
-      distributionCount: distributionCount,
-      completedDistribution: completedDistributionCount,
-      tasksAssigned: await Task.countDocuments({ volunteerId: volunteerId }),
-      rating: 5.0,
-      latestActiveTask: activeTasks.length > 0 ? activeTasks[0] : null,
-    });
-  } catch (error) {
-    console.error("Stats Error:", error);
-    res.status(500).json({ message: "Failed to fetch volunteer statistics." });
+      res.json({
+        tasksCompleted: completedCount,
+        distributionCount: distributionCount,
+        completedDistribution: completedDistributionCount,
+        tasksAssigned: await Task.countDocuments({ volunteerId: volunteerId }),
+        // Average of the volunteer's visible reviews (null = not rated yet)
+        rating: metrics?.reviewCount ? metrics.rating : null,
+        reviewCount: metrics?.reviewCount || 0,
+        latestActiveTask: activeTasks.length > 0 ? activeTasks[0] : null,
+      });
+    } catch (error) {
+      console.error("Stats Error:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to fetch volunteer statistics." });
+    }
   }
-});
+);
 
 /**
  * GET /api/donations/volunteer/:volunteerId/active-tasks
  * Volunteer or Admin: returns only non-completed, non-cancelled tasks.
  */
-router.get("/volunteer/:volunteerId/active-tasks", async (req, res) => {
-  const { volunteerId } = req.params;
+router.get(
+  "/volunteer/:volunteerId/active-tasks",
+  requirePermission(Permissions.TASKS_VIEW_ANY, { ownerParam: "volunteerId" }),
+  validateRequest({ params: VolunteerParams }),
+  async (req, res) => {
+    const { volunteerId } = req.params;
 
-  if (req.user.uid !== volunteerId && req.user.role !== "Admin") {
-    return res
-      .status(403)
-      .json({ message: "Access denied. Can only view your own tasks." });
+    try {
+      const activeTasks = await Task.find({
+        volunteerId: volunteerId,
+        status: { $nin: ["completed", "cancelled"] },
+      })
+        .sort({ assignedAt: -1 })
+        .limit(20);
+
+      res.json({ tasks: activeTasks });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch volunteer tasks." });
+    }
   }
+);
 
-  try {
-    const activeTasks = await Task.find({
-      volunteerId: volunteerId,
-      status: { $nin: ["completed", "cancelled"] },
-    })
-      .sort({ assignedAt: -1 })
-      .limit(20);
+/**
+ * GET /api/donations/volunteer/:volunteerId/route
+ * Volunteer or Admin: optimized visiting order of the volunteer's active
+ * tasks with estimated distance and time. Starts from ?lat=&lng= (current
+ * position) when given, otherwise from the volunteer's home location.
+ */
+router.get(
+  "/volunteer/:volunteerId/route",
+  requirePermission(Permissions.TASKS_VIEW_ANY, { ownerParam: "volunteerId" }),
+  validateRequest({
+    params: VolunteerParams,
+    query: {
+      lng: number({ min: -180, max: 180 }),
+      lat: number({ min: -90, max: 90 }),
+    },
+  }),
+  async (req, res) => {
+    const { volunteerId } = req.params;
+
+    try {
+      const tasks = await Task.find({
+        volunteerId,
+        status: { $in: ActiveTaskStatuses },
+      });
 
-    res.json({ tasks: activeTasks });
-  } catch (error) {
-    res.status(500).json({ message: "Failed to fetch volunteer tasks." });
+      let start = [Number(req.query.lng), Number(req.query.lat)];
+      if (!isValidCoordinates(start)) {
+        const volunteer = await getVolunteerByUserId(volunteerId);
+        start = isValidCoordinates(volunteer?.homeLocation?.coordinates)
+          ? volunteer.homeLocation.coordinates
+          : null;
+      }
+
+      res.json({ route: planRoute(start, tasks) });
+    } catch (error) {
+      console.error("PLAN ROUTE ERROR:", error);
+      res.status(500).json({ message: "Failed to plan route." });
+    }
   }
-});
+);
 
 /**
  * GET /api/donations/volunteer/:volunteerId/all-tasks
  * Volunteer or Admin: returns full task history for that volunteer.
  */
-router.get("/volunteer/:volunteerId/all-tasks", async (req, res) => {
-  const { volunteerId } = req.params;
+router.get(
+  "/volunteer/:volunteerId/all-tasks",
+  requirePermission(Permissions.TASKS_VIEW_ANY, { ownerParam: "volunteerId" }),
+  validateRequest({ params: VolunteerParams }),
+  async (req, res) => {
+    const { volunteerId } = req.params;
 
-  if (req.user.uid !== volunteerId && req.user.role !== "Admin") {
-    return res
-      .status(403)
-      .json({ message: "Access denied. Can only view your own tasks." });
-  }
-
-  try {
-    const allTasks = await Task.find({ volunteerId: volunteerId }).sort({
-      assignedAt: -1,
-    });
+    try {
+      const allTasks = await Task.find({ volunteerId: volunteerId }).sort({
+        assignedAt: -1,
+      });
 
-    res.json({ tasks: allTasks });
-  } catch (error) {
-    res.status(500).json({ message: "Failed to fetch volunteer history." });
+      res.json({ tasks: allTasks });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch volunteer history." });
+    }
   }
-});
+);
 
 /**
  * GET /api/donations/tasks
  * Volunteer-only: shorthand endpoint to get active tasks for the logged-in volunteer.
  */
-router.get("/tasks", async (req, res) => {
-  if (!isVolunteer(req, res)) return;
-  const volunteerId = req.user.uid;
-
-  try {
-    const activeTasks = await Task.find({
-      volunteerId: volunteerId,
-      status: { $nin: ["completed", "cancelled"] },
-    }).sort({ assignedAt: -1 });
-
-    res.json({ tasks: activeTasks });
-  } catch (error) {
-    res.status(500).json({ message: "Failed to fetch volunteer tasks." });
+router.get(
+  "/tasks",
+  requirePermission(Permissions.TASKS_WORK),
+  async (req, res) => {
+    const volunteerId = req.user.uid;
+
+    try {
+      const activeTasks = await Task.find({
+        volunteerId: volunteerId,
+        status: { $nin: ["completed", "cancelled"] },
+      }).sort({ assignedAt: -1 });
+
+      res.json({ tasks: activeTasks });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch volunteer tasks." });
+    }
   }
-});
+);
 
 /**
- * PUT /api/donations/assign-collection-task/:id
- * Admin-only: assigns a collection task to a volunteer for a pending donation.
+ * GET /api/donations/open-tasks
+ * Volunteer-only: "open tasks" feed of claimable donations near the
+ * volunteer's home location. Includes pendingAssignment donations
+ * (collection) and collected donations that still need distribution.
+ * Optional query: ?radiusKm=10
  */
-router.put("/assign-collection-task/:id", async (req, res) => {
-  if (!isAdmin(req, res)) return;
-
-  const { volunteerId } = req.body;
-  const donationId = req.params.id;
-
-  if (!volunteerId) {
-    return res
-      .status(400)
-      .json({ message: "Volunteer ID is required for assignment." });
-  }
-
-  try {
-    const donation = await Donation.findOne({
-      donationId: donationId,
-      status: "pendingAssignment",
-    });
-
-    // Validate donation existence
-    if (!donation) {
-      return res.status(404).json({
-        message: "Donation not found or status is not pendingAssignment.",
-      });
-    }
-
-    const taskId = new mongoose.Types.ObjectId().toHexString();
-    // Create a new Task for collection
-    const task = await Task.create({
-      taskId,
-      donationId: donationId,
-      volunteerId: volunteerId,
-      taskType: "collection",
-      status: "assigned",
-      location: {
-        type: "Point",
-        coordinates: donation.pickupLocation.coordinates,
-      },
-      address: donation.pickupAddress,
-    });
-
-    // Update metrics: increment tasksAssigned for the volunteer
+router.get(
+  "/open-tasks",
+  requirePermission(Permissions.TASKS_WORK),
+  validateRequest({
+    query: { radiusKm: number({ greaterThan: 0 }) },
+  }),
+  async (req, res) => {
     try {
-      const metrics = await getMetricsByUserId(volunteerId);
-      if (!metrics) {
-        const metricsId = new mongoose.Types.ObjectId().toHexString();
-        await createMetrics({
-          metricsId,
-          userId: volunteerId,
-          userType: "Volunteer",
-          tasksAssigned: 1,
-        });
-      } else {
-        await updateMetrics(volunteerId, {
-          tasksAssigned: (metrics.tasksAssigned || 0) + 1,
+      if (!(await isClaimingEnabled())) {
+        return res.json({ claimingEnabled: false, tasks: [] });
+      }
+
+      const volunteer = await getVolunteerByUserId(req.user.uid);
+      if (volunteer && !isApprovedVolunteer(volunteer)) {
+        return res.status(403).json({
+          message: "Your volunteer account has not been approved yet.",
         });
       }
-    } catch (err) {
-      console.error("METRICS UPDATE ERROR (assign collection):", err);
-    }
+      const homeCoords = volunteer?.homeLocation?.coordinates;
 
-    // Mark donation as assigned for collection
-    const updatedDonation = await Donation.findOneAndUpdate(
-      { donationId: donationId },
-      { status: "assignedForCollection" },
-      { new: true }
-    );
+      if (!homeCoords || homeCoords.length !== 2) {
+        return res.status(400).json({
+          message: "Add your home location to your profile to see open tasks.",
+        });
+      }
 
-    res.json({
-      message: "Collection task assigned successfully.",
-      donation: updatedDonation,
-      task,
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Failed to assign task." });
+      const radiusKm =
+        Number(req.query.radiusKm) > 0
+          ? Number(req.query.radiusKm)
+          : getMatchingConfig().maxDistanceKm;
+
+      // Uses the 2dsphere index on Donation.pickupLocation
+      const donations = await Donation.aggregate([
+        {
+          $geoNear: {
+            near: { type: "Point", coordinates: homeCoords },
+            key: "pickupLocation",
+            distanceField: "distanceMeters",
+            maxDistance: radiusKm * 1000,
+            spherical: true,
+            query: {
+              status: { $in: ["pendingAssignment", "collected"] },
+              claimingEnabled: { $ne: false },
+            },
+          },
+        },
+        { $limit: 50 },
+      ]);
+
+      const tasks = donations.map((donation) => ({
+        donationId: donation.donationId,
+        taskType:
+          donation.status === "pendingAssignment"
+            ? "collection"
+            : "distribution",
+        status: donation.status,
+        itemType: donation.itemType,
+        quantity: donation.quantity,
+        items: donation.items || [],
+        donorName: donation.donorName,
+        pickupAddress: donation.pickupAddress,
+        pickupLocation: donation.pickupLocation,
+        availabilityTime: donation.availabilityTime,
+        pickupWindowEnd: donation.pickupWindowEnd,
+        distanceKm: donation.distanceMeters / 1000,
+      }));
+
+      res.json({ claimingEnabled: true, radiusKm, tasks });
+    } catch (error) {
+      console.error("FETCH OPEN TASKS ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch open tasks." });
+    }
   }
-});
+);
 
 /**
- * GET /api/donations/distribution-locations
- * Admin-only: returns all predefined DistributionCenter organizations
- * so Admin can choose where food should be dropped off.
+ * PUT /api/donations/claim/:donationId
+ * Volunteer-only: claim an open donation from the feed.
+ * - pendingAssignment donations become a collection task
+ * - collected donations become a distribution task to the given
+ *   locationId, or to the nearest distribution center if none is given
+ * The donation status is changed atomically, so only one volunteer can win.
  */
-router.get("/distribution-locations", async (req, res) => {
-  if (!isAdmin(req, res)) return;
-
-  try {
-    const organizations = await getAllOrganizations("DistributionCenter");
-
-    const formattedLocations = organizations.map((org) => ({
-      id: parseInt(org.organizationId),
-      name: org.name,
-      address: org.address,
-      coordinates: org.coordinates,
-    }));
-
-    res.json({ locations: formattedLocations });
-  } catch (error) {
-    console.error("FETCH ORGANIZATIONS ERROR:", error);
-    res
-      .status(500)
-      .json({ message: "Failed to fetch distribution locations." });
-  }
-});
+router.put(
+  "/claim/:donationId",
+  requirePermission(Permissions.TASKS_WORK),
+  validateRequest({
+    params: DonationParams,
+    body: {
+      locationId: integer({ coerce: true, label: "Drop-off location" }),
+    },
+  }),
+  async (req, res) => {
+    const { donationId } = req.params;
+    const { locationId } = req.body || {};
+    const volunteerId = req.user.uid;
 
-/**
- * PUT /api/donations/assign-distribution-task/:id
- * Admin-only: assigns a distribution task to a volunteer and sets
- * the donation's drop-off location.
- */
-router.put("/assign-distribution-task/:id", async (req, res) => {
-  if (!isAdmin(req, res)) return;
+    try {
+      if (!(await isClaimingEnabled())) {
+        return res
+          .status(403)
+          .json({ message: "Task claiming is currently disabled by admins." });
+      }
 
-  const { volunteerId, locationId } = req.body;
-  const donationId = req.params.id;
+      const volunteer = await getVolunteerByUserId(volunteerId);
+      if (!volunteer || volunteer.status !== "active") {
+        return res
+          .status(403)
+          .json({ message: "Only active volunteers can claim tasks." });
+      }
+      if (!isApprovedVolunteer(volunteer)) {
+        return res.status(403).json({
+          message: "Your volunteer account has not been approved yet.",
+        });
+      }
 
-  if (!volunteerId || !locationId) {
-    return res
-      .status(400)
-      .json({ message: "Volunteer ID and Location ID are required." });
-  }
+      // Respect the same workload cap that the matching engine uses; it is
+      // checked under the volunteer's assignment lock
+      const { maxActiveTasks } = getMatchingConfig();
 
-  // Fetch the selected drop-off organization
-  const dropoffOrganization = await getOrganizationById(String(locationId));
+      const donation = await Donation.findOne({ donationId });
+      if (!donation) {
+        return res.status(404).json({ message: "Donation not found." });
+      }
 
-  if (!dropoffOrganization) {
-    return res
-      .status(404)
-      .json({ message: "Invalid drop-off location selected." });
-  }
+      let result = null;
 
-  try {
-    // Ensure donation has been collected before assigning distribution
+      if (donation.status === "pendingAssignment") {
+        result = await assignCollectionTask(donationId, volunteerId, {
+          claim: true,
+          changedBy: volunteerId,
+          maxActiveTasks,
+        });
+      } else if (donation.status === "collected") {
+        // Without a chosen center, take the best one that can take the food
+        const dropoffOrganization = locationId
+          ? await getDistributionCenterById(String(locationId))
+          : rankCentersForDonation(
+              await getAllOrganizations("DistributionCenter"),
+              donation
+            ).find(({ fit }) => fit.blockers.length === 0)?.center;
+
+        if (!dropoffOrganization) {
+          return res
+            .status(404)
+            .json({ message: "No drop-off location available for this task." });
+        }
 
-    const donation = await Donation.findOne({
-      donationId: donationId,
-      status: "collected",
-    });
+        result = await assignDistributionTask(
+          donationId,
+          volunteerId,
+          dropoffOrganization,
+          { claim: true, changedBy: volunteerId, maxActiveTasks }
+        );
+      }
+
+      if (!result) {
+        return res.status(409).json({
+          message:
+            "This task has already been claimed or is not open for claiming.",
+        });
+      }
 
-    if (!donation) {
-      return res
-        .status(404)
-        .json({ message: "Donation not found or not yet collected." });
+      describeAssignment(res, result);
+      res.json({
+        message: "Task claimed successfully.",
+        donation: result.donation,
+        task: result.task,
+      });
+    } catch (error) {
+      if (sendAssignmentError(res, error)) return;
+      console.error("CLAIM TASK ERROR:", error);
+      res.status(500).json({ message: "Failed to claim task." });
     }
+  }
+);
 
-    // Create a distribution task
-
-    const taskId = new mongoose.Types.ObjectId().toHexString();
-    const task = await Task.create({
-      taskId,
-      donationId: donationId,
-      volunteerId: volunteerId,
-      taskType: "distribution",
-      status: "assigned",
-      location: {
-        type: "Point",
-        coordinates: dropoffOrganization.coordinates,
-      },
-      address: dropoffOrganization.address,
-    });
+/**
+ * PUT /api/donations/:taskId/collected-items
+ * Volunteer-only: record how much of each line item was picked up
+ * (e.g. only 1 of 2 trays). Body: { items: [{ itemId, collectedAmount }] }.
+ * Only allowed on the volunteer's own collection task (or direct delivery
+ * pickup leg) before it is completed.
+ */
+router.put(
+  "/:taskId/collected-items",
+  requirePermission(Permissions.TASKS_WORK),
+  validateRequest({
+    params: TaskParams,
+    body: {
+      items: array(
+        object(
+          {
+            itemId: objectId({ required: true, label: "Item ID" }),
+            collectedAmount: number({
+              required: true,
+              min: 0,
+              label: "Collected amount",
+            }),
+          },
+          { label: "Item" }
+        ),
+        { required: true, minItems: 1, itemLabel: "Item", label: "Items" }
+      ),
+    },
+  }),
+  async (req, res) => {
+    const { taskId } = req.params;
+    const volunteerId = req.user.uid;
 
-    // Update metrics: increment tasksAssigned for the volunteer
     try {
-      const metrics = await getMetricsByUserId(volunteerId);
-      if (!metrics) {
-        const metricsId = new mongoose.Types.ObjectId().toHexString();
-        await createMetrics({
-          metricsId,
-          userId: volunteerId,
-          userType: "Volunteer",
-          tasksAssigned: 1,
+      const task = await Task.findById(taskId);
+      if (!task || task.volunteerId !== volunteerId) {
+        return res
+          .status(403)
+          .json({ message: "Forbidden. You are not assigned to this task." });
+      }
+
+      if (
+        getTaskPhase(task) !== "collection" ||
+        !["assigned", "enRoute"].includes(task.status)
+      ) {
+        return res.status(409).json({
+          message: "Items can only be updated on an active collection task.",
         });
-      } else {
-        await updateMetrics(volunteerId, {
-          tasksAssigned: (metrics.tasksAssigned || 0) + 1,
+      }
+
+      const donation = await Donation.findOne({
+        donationId: task.donationId,
+        status: "assignedForCollection",
+      });
+      if (!donation) {
+        return res.status(404).json({
+          message: "Donation not found or no longer awaiting pickup.",
         });
       }
-    } catch (err) {
-      console.error("METRICS UPDATE ERROR (assign distribution):", err);
-    }
 
-    const updatedDonation = await Donation.findOneAndUpdate(
-      { donationId: donationId },
-      {
-        status: "assignedForDistribution",
-        dropoffLocation: {
-          type: "Point",
-          coordinates: dropoffOrganization.coordinates,
-        },
-        dropoffAddress: dropoffOrganization.address,
-      },
-      { new: true }
-    );
+      const { items, error } = applyCollectedAmounts(
+        donation.toObject().items,
+        req.body.items
+      );
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
 
-    res.json({
-      message: "Distribution task assigned successfully.",
-      donation: updatedDonation,
-      task,
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Failed to assign distribution task." });
+      const updatedDonation = await Donation.findOneAndUpdate(
+        { donationId: donation.donationId, status: "assignedForCollection" },
+        { $set: { items } },
+        { new: true }
+      );
+      if (!updatedDonation) {
+        return res.status(409).json({
+          message: "Donation was changed by someone else. Please retry.",
+        });
+      }
+
+      res.json({
+        message: "Collected items updated.",
+        donation: updatedDonation,
+      });
+    } catch (error) {
+      console.error("COLLECTED ITEMS UPDATE ERROR:", error);
+      res.status(500).json({ message: "Failed to update collected items." });
+    }
   }
-});
+);
 
 /**
  * PUT /api/donations/:taskId/status
  * Volunteer-only: update status of a task they are assigned to
  * (enRoute, completed, cancelled, failed).
+ * Completing requires the one-time handoff code (body.handoffCode) and
+ * proof of handover in body.proof (photo, recipient name, signature and
+ * device location near the task location).
+ * On a direct delivery task, "completed" first completes the pickup leg
+ * (the task moves on to its drop-off leg) and then the whole task.
  * Also syncs the related Donation's status when appropriate.
- */ router.put("/:taskId/status", async (req, res) => {
-  if (!isVolunteer(req, res)) return;
+ */ router.put(
+  "/:taskId/status",
+  requirePermission(Permissions.TASKS_WORK),
+  validateRequest({ params: TaskParams, body: TaskStatusBody }),
+  async (req, res) => {
+    const { taskId } = req.params;
+    const { status } = req.body;
+    const volunteerId = req.user.uid;
+
+    // Stored proof files, removed again if the completion fails
+    let savedProof = null;
 
-  const { taskId } = req.params;
-  const { status } = req.body;
-  const volunteerId = req.user.uid;
+    try {
+      const task = await Task.findById(taskId);
+      if (!task) {
+        return res.status(403).json({ message: "Forbidden. Task not found." });
+      }
 
-  // Only allow specific status transitions
+      // Ensure this task belongs to the logged-in volunteer
 
-  if (
-    !status ||
-    !["enRoute", "completed", "cancelled", "failed"].includes(status)
-  ) {
-    return res.status(400).json({ message: "Invalid or missing new status." });
-  }
+      if (task.volunteerId !== volunteerId) {
+        return res
+          .status(403)
+          .json({ message: "Forbidden. You are not assigned to this task." });
+      }
 
-  try {
-    const task = await Task.findById(taskId);
-    if (!task) {
-      return res.status(403).json({ message: "Forbidden. Task not found." });
-    }
+      // If an issue is reported, prevent further status updates by volunteer
 
-    // Ensure this task belongs to the logged-in volunteer
+      if (
+        task.issueReported ||
+        normalizeStatus(task.status) === "pendingReview"
+      ) {
+        return res.status(409).json({
+          message:
+            "Task is under Admin review (issue reported) and cannot have its status changed.",
+        });
+      }
 
-    if (task.volunteerId !== volunteerId) {
-      return res
-        .status(403)
-        .json({ message: "Forbidden. You are not assigned to this task." });
-    }
+      // Work out how the related Donation has to move with this task,
+      // and refuse the change up front if the donation cannot follow
 
-    // If an issue is reported, prevent further status updates by volunteer
+      const donation = await Donation.findOne({ donationId: task.donationId });
+      const phase = getTaskPhase(task);
+      const donationStatus = getDonationStatusForTask(phase, status);
 
-    if (task.issueReported || task.status === "pending_review") {
-      return res.status(400).json({
-        message:
-          "Task is under Admin review (issue reported) and cannot have its status changed.",
-      });
-    }
+      if (
+        donation &&
+        donationStatus &&
+        !canTransitionDonation(donation.status, donationStatus)
+      ) {
+        return res.status(409).json({
+          message: `Cannot mark this task ${status} while its donation is "${donation.status}".`,
+        });
+      }
 
-    let updateData = { status };
-    if (status === "completed") {
-      updateData.completedAt = new Date();
-    } else if (status === "enRoute") {
-      updateData.startedAt = new Date();
-    }
+      // Build status update payload
+
+      const taskUpdate = {};
+      if (status === "completed") {
+        const proofError = validateProof(req.body.proof);
+        if (proofError) {
+          return res.status(400).json({ message: proofError });
+        }
 
-    // Build status update payload
+        // Wrong codes are recorded on the task and reported as errors
+        await verifyHandoffCode(task.taskId, volunteerId, req.body.handoffCode);
+
+        // The volunteer has to be at the pickup/drop-off point to complete
+        const location = checkProofLocation(task, req.body.proof.location);
+        if (!location.allowed) {
+          const distanceMeters = Math.round(location.distanceMeters);
+          return res.status(422).json({
+            message: `You are ${distanceMeters} m from the ${
+              phase === "collection" ? "pickup" : "drop-off"
+            } location (max ${PROOF_MAX_DISTANCE_METERS} m). Ask an admin to allow completion from here.`,
+            distanceMeters,
+            maxDistanceMeters: PROOF_MAX_DISTANCE_METERS,
+          });
+        }
 
-    const updatedTask = await Task.findByIdAndUpdate(taskId, updateData, {
-      new: true,
-    });
+        savedProof = await saveProof(task, req.body.proof, location);
+
+        // Direct delivery: the pickup leg is done, the task itself goes on
+        if (task.taskType === "directDelivery" && task.leg === "pickup") {
+          const updatedTask = await completePickupLeg(task, donation, {
+            changedBy: volunteerId,
+            proof: savedProof,
+          });
+          if (!updatedTask) {
+            await removeProofFiles(savedProof);
+            return res.status(409).json({
+              message: "Task was changed by someone else. Please retry.",
+            });
+          }
+          savedProof = null;
+
+          return res.json({
+            message: "Pickup completed. Continue to the drop-off location.",
+            task: updatedTask,
+          });
+        }
 
-    // Keep related Donation in sync with task completion
-
-    const donation = await Donation.findOne({ donationId: task.donationId });
-    if (donation) {
-      let donationUpdate = {};
-      if (task.taskType === "collection" && status === "completed") {
-        donationUpdate.status = "collected";
-        donationUpdate.collectedAt = new Date();
-        donationUpdate.collectedByVolunteerId = volunteerId;
-      } else if (task.taskType === "distribution" && status === "completed") {
-        donationUpdate.status = "delivered";
-        donationUpdate.deliveredAt = new Date();
-        donationUpdate.distributionVolunteerId = volunteerId;
+        taskUpdate.proof = savedProof;
+        taskUpdate.handoffVerifiedAt = new Date();
+        taskUpdate.completedAt = new Date();
+      } else if (status === "enRoute") {
+        taskUpdate.startedAt = new Date();
       }
 
-      if (Object.keys(donationUpdate).length > 0) {
-        await Donation.findOneAndUpdate(
+      const updatedTask = await transitionTask(
+        { _id: taskId, volunteerId: volunteerId },
+        status,
+        { changedBy: volunteerId, reason: req.body.reason, set: taskUpdate }
+      );
+
+      if (!updatedTask) {
+        await removeProofFiles(savedProof);
+        return res
+          .status(409)
+          .json({ message: "Task was changed by someone else. Please retry." });
+      }
+      // The proof files now belong to the completed task
+      savedProof = null;
+
+      // Keep related Donation in sync with the task
+
+      if (donation && donationStatus) {
+        const donationUpdate = {};
+        if (donationStatus === "collected" && status === "completed") {
+          donationUpdate.collectedAt = new Date();
+          donationUpdate.collectedByVolunteerId = volunteerId;
+          // Items the volunteer did not mark as partial/missing were collected
+          donationUpdate.items = completeCollection(donation.toObject().items);
+        } else if (donationStatus === "delivered") {
+          donationUpdate.deliveredAt = new Date();
+          donationUpdate.distributionVolunteerId = volunteerId;
+        }
+
+        // A direct delivery that never picked up no longer has a drop-off
+        const donationUnset =
+          task.taskType === "directDelivery" &&
+          donationStatus === "pendingAssignment"
+            ? DropoffFieldsUnset
+            : undefined;
+
+        await transitionDonation(
           { donationId: task.donationId },
-          donationUpdate
+          donationStatus,
+          {
+            changedBy: volunteerId,
+            reason: `${task.taskType} task ${status}`,
+            set: donationUpdate,
+            unset: donationUnset,
+          }
         );
       }
-    }
 
-    // Update metrics when a task is completed
-    try {
-      if (status === "completed") {
-        const metrics = await getMetricsByUserId(volunteerId);
-        if (!metrics) {
-          const metricsId = new mongoose.Types.ObjectId().toHexString();
-          const base = {
-            metricsId,
-            userId: volunteerId,
-            userType: "Volunteer",
+      // Delivered food now sits in the center's stock
+      if (donation?.dropoffOrganizationId && donationStatus === "delivered") {
+        try {
+          await addCenterStock(
+            donation.dropoffOrganizationId,
+            donation.storageRequirement || "ambient",
+            donation.quantity?.estimatedWeightKg || 0
+          );
+        } catch (err) {
+          console.error("CENTER STOCK UPDATE ERROR:", err);
+        }
+      }
+
+      // Update metrics when a task is completed
+      // (a direct delivery counts as both a collection and a delivery)
+      const countsAsCollection = task.taskType !== "distribution";
+      const countsAsDelivery = task.taskType !== "collection";
+      try {
+        if (status === "completed") {
+          // One atomic update, so tasks completed at the same time all count;
+          // the volunteer is also credited with the food they moved
+          await incrementMetrics(volunteerId, "Volunteer", {
             tasksCompleted: 1,
-          };
-          if (task.taskType === "collection") base.donationsCollected = 1;
-          if (task.taskType === "distribution") base.donationsDelivered = 1;
-          await createMetrics(base);
-        } else {
-          const updateData = {
-            tasksCompleted: (metrics.tasksCompleted || 0) + 1,
-          };
-          if (task.taskType === "collection") {
-            updateData.donationsCollected =
-              (metrics.donationsCollected || 0) + 1;
-          }
-          if (task.taskType === "distribution") {
-            updateData.donationsDelivered =
-              (metrics.donationsDelivered || 0) + 1;
-          }
-          await updateMetrics(volunteerId, updateData);
+            ...(countsAsCollection && { donationsCollected: 1 }),
+            ...(countsAsDelivery && { donationsDelivered: 1 }),
+            ...(donation && {
+              totalWeightKg: donation.quantity?.estimatedWeightKg || 0,
+              totalServings: donation.quantity?.estimatedServings || 0,
+            }),
+          });
         }
+      } catch (err) {
+        console.error("METRICS UPDATE ERROR (task complete):", err);
       }
-    } catch (err) {
-      console.error("METRICS UPDATE ERROR (task complete):", err);
-    }
 
-    res.json({
-      message: `Task status updated to ${status}`,
-      task: updatedTask,
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Failed to update task status." });
+      res.json({
+        message: `Task status updated to ${status}`,
+        task: updatedTask,
+      });
+    } catch (error) {
+      if (savedProof) await removeProofFiles(savedProof);
+      if (sendHandoffCodeError(res, error)) return;
+      if (sendTransitionError(res, error)) return;
+      res.status(500).json({ message: "Failed to update task status." });
+    }
   }
-});
+);
 
 /**
- * GET /api/donations/metrics
- * Admin-only: aggregate platform-wide stats used for the Admin Dashboard
- * (total donations, tasks completed, in-transit, monthly breakdown, etc.)
- */ router.get("/metrics", async (req, res) => {
-  if (!isAdmin(req, res)) return;
-
-  try {
-    const totalDonations = await Donation.countDocuments();
-    const tasksCompleted = await Task.countDocuments({
-      taskType: "distribution",
-      status: "completed",
-    });
-    const tasksInTransit = await Task.countDocuments({
-      status: { $in: ["assigned", "enRoute"] },
-    });
+ * GET /api/donations/center/incoming
+ * Center staff only: donations headed to their distribution center.
+ * Returns { center, incoming, awaitingReceipt }: deliveries still on their
+ * way, and delivered donations the center has not confirmed yet. Each
+ * donation includes its delivery task and the volunteer's name.
+ */
+router.get(
+  "/center/incoming",
+  requirePermission(Permissions.CENTER_RECEIVE),
+  async (req, res) => {
+    if (!hasLinkedCenter(req, res)) return;
 
-    const sixMonthsAgo = new Date();
-    sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+    try {
+      const center = await getOrganizationById(req.user.organizationId);
+      const donations = await Donation.find({
+        dropoffOrganizationId: req.user.organizationId,
+        $or: [
+          {
+            status: {
+              $in: ["assignedForCollection", "assignedForDistribution"],
+            },
+          },
+          { status: "delivered", receivedAt: { $exists: false } },
+        ],
+      }).sort({ dropoffWindowStart: 1 });
+
+      // Latest delivery task of each donation, newest first
+      const tasks = await Task.find({
+        donationId: { $in: donations.map((d) => d.donationId) },
+        taskType: { $ne: "collection" },
+      }).sort({ assignedAt: -1 });
+      const volunteers = await User.find({
+        uid: { $in: tasks.map((task) => task.volunteerId) },
+      }).select("uid name");
+      const volunteerMap = volunteers.reduce((map, user) => {
+        map[user.uid] = user.name;
+        return map;
+      }, {});
+
+      const withTask = (donation) => {
+        const task = tasks.find((t) => t.donationId === donation.donationId);
+        return {
+          ...donation.toObject(),
+          task: task && {
+            taskId: task.taskId,
+            taskType: task.taskType,
+            leg: task.leg,
+            status: task.status,
+            startedAt: task.startedAt,
+            completedAt: task.completedAt,
+            volunteerName: volunteerMap[task.volunteerId] || "Unknown",
+          },
+        };
+      };
 
-    const monthlyMetrics = await Donation.aggregate([
-      { $match: { postedAt: { $gte: sixMonthsAgo } } },
-      {
-        $project: {
-          year: { $year: "$postedAt" },
-          month: { $month: "$postedAt" },
-          isDelivered: { $eq: ["$status", "delivered"] },
+      res.json({
+        center: center && {
+          organizationId: center.organizationId,
+          name: center.name,
+          address: center.address,
         },
-      },
-      {
-        $group: {
-          _id: { year: "$year", month: "$month" },
-          received: { $sum: 1 },
-          delivered: {
-            $sum: { $cond: [{ $eq: ["$isDelivered", true] }, 1, 0] },
+        incoming: donations
+          .filter((d) => d.status !== "delivered")
+          .map(withTask),
+        awaitingReceipt: donations
+          .filter((d) => d.status === "delivered")
+          .map(withTask),
+      });
+    } catch (error) {
+      console.error("FETCH CENTER INCOMING ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch incoming deliveries." });
+    }
+  }
+);
+
+/**
+ * PUT /api/donations/center/:donationId/confirm-receipt
+ * Center staff only: confirm that a delivered donation arrived at their
+ * center as expected. Body: { notes } (optional).
+ */
+router.put(
+  "/center/:donationId/confirm-receipt",
+  requirePermission(Permissions.CENTER_RECEIVE),
+  validateRequest({
+    params: DonationParams,
+    body: { notes: string({ maxLength: 1000, label: "Notes" }) },
+  }),
+  async (req, res) => {
+    if (!hasLinkedCenter(req, res)) return;
+
+    const { donationId } = req.params;
+
+    try {
+      const donation = await Donation.findOne({ donationId });
+      if (!(await isStaffOfDropoffCenter(req, donation))) {
+        return res.status(404).json({ message: "Donation not found." });
+      }
+      if (donation.status !== "delivered") {
+        return res
+          .status(409)
+          .json({ message: "Only delivered donations can be confirmed." });
+      }
+
+      const updated = await Donation.findOneAndUpdate(
+        { donationId, receivedAt: { $exists: false } },
+        {
+          $set: {
+            receivedAt: new Date(),
+            receivedByUserId: req.user.uid,
+            receiptNotes: req.body.notes,
           },
         },
-      },
-      { $sort: { "_id.year": 1, "_id.month": 1 } },
-    ]);
-
-    const monthNames = [
-      "Jan",
-      "Feb",
-      "Mar",
-      "Apr",
-      "May",
-      "Jun",
-      "Jul",
-      "Aug",
-      "Sep",
-      "Oct",
-      "Nov",
-      "Dec",
-    ];
-    const monthlyData = monthlyMetrics.map((item) => ({
-      month: monthNames[item._id.month - 1],
-      received: item.received,
-      delivered: item.delivered,
-    }));
-
-    res.json({
-      totalDonations,
-      tasksCompleted,
-      tasksInTransit,
-      completionRate:
-        totalDonations > 0
-          ? ((tasksCompleted / totalDonations) * 100).toFixed(1)
-          : "0.0",
-      monthlyData,
-    });
-  } catch (error) {
-    console.error("METRICS AGGREGATION ERROR:", error);
-    res.status(500).json({ message: "Failed to fetch dashboard metrics." });
+        { new: true }
+      );
+      if (!updated) {
+        return res
+          .status(409)
+          .json({ message: "Receipt was already confirmed." });
+      }
+
+      res.json({ message: "Receipt confirmed.", donation: updated });
+    } catch (error) {
+      console.error("CONFIRM RECEIPT ERROR:", error);
+      res.status(500).json({ message: "Failed to confirm receipt." });
+    }
   }
-});
+);
 
 /**
- * GET /api/donations/admin/orphaned-tasks
- * Admin-only: debugging endpoint to detect tasks whose donation no longer exists.
+ * PUT /api/donations/center/:donationId/reject
+ * Center staff only: refuse a delivery that is on its way to their center.
+ * Body: { reason } (required). The delivery task fails and the donation
+ * goes back to the admin queue to be sent elsewhere.
  */
-router.get("/admin/orphaned-tasks", async (req, res) => {
-  if (!isAdmin(req, res)) return;
-
-  try {
-    const allTasks = await Task.find();
+router.put(
+  "/center/:donationId/reject",
+  requirePermission(Permissions.CENTER_RECEIVE),
+  validateRequest({
+    params: DonationParams,
+    body: {
+      reason: string({ required: true, maxLength: 500, label: "Reason" }),
+    },
+  }),
+  async (req, res) => {
+    if (!hasLinkedCenter(req, res)) return;
+
+    const { donationId } = req.params;
+    const reason = req.body.reason.trim();
 
-    const allDonations = await Donation.find();
-    const donationIds = new Set(allDonations.map((d) => d.donationId));
+    try {
+      const donation = await Donation.findOne({ donationId });
+      if (!(await isStaffOfDropoffCenter(req, donation))) {
+        return res.status(404).json({ message: "Donation not found." });
+      }
 
-    // Orphaned = task references a donationId that does not exist in Donation collection
+      const task = await Task.findOne({
+        donationId,
+        taskType: { $ne: "collection" },
+        status: { $in: ["assigned", "enRoute"] },
+      });
+      if (!task) {
+        return res.status(409).json({
+          message: "Only deliveries still on their way can be rejected.",
+        });
+      }
 
-    const orphanedTasks = allTasks.filter((task) => {
-      return task.donationId && !donationIds.has(task.donationId);
-    });
+      const center = await getOrganizationById(req.user.organizationId);
+      const updatedTask = await rejectDelivery(task, {
+        changedBy: req.user.uid,
+        organizationId: req.user.organizationId,
+        reason: `Rejected by ${center?.name || "the center"}: ${reason}`,
+      });
+      if (!updatedTask) {
+        return res
+          .status(409)
+          .json({ message: "Task was changed by someone else. Please retry." });
+      }
 
-    res.json({
-      totalTasks: allTasks.length,
-      totalDonations: allDonations.length,
-      orphanedTasksCount: orphanedTasks.length,
-      orphanedTasks: orphanedTasks.map((t) => ({
-        taskId: t.taskId,
-        donationId: t.donationId,
-        volunteerId: t.volunteerId,
-        status: t.status,
-        createdAt: t.assignedAt,
-      })),
-    });
-  } catch (error) {
-    console.error("ORPHANED TASKS CHECK ERROR:", error);
-    res.status(500).json({ message: "Failed to check orphaned tasks." });
+      res.json({
+        message: "Delivery rejected. An admin will choose another center.",
+        task: updatedTask,
+      });
+    } catch (error) {
+      if (sendTransitionError(res, error)) return;
+      console.error("REJECT DELIVERY ERROR:", error);
+      res.status(500).json({ message: "Failed to reject delivery." });
+    }
   }
-});
+);
 
 /**
- * GET /api/donations/:donationId
- * Fetch donation details by donationId.
- * Includes extra logging and a fallback search by MongoDB _id for debugging.
- */ router.get("/:donationId", async (req, res) => {
-  const { donationId } = req.params;
-
-  try {
-    console.log("=== DONATION FETCH DEBUG ===");
-    console.log("Requested donationId:", donationId);
-    console.log("Type:", typeof donationId);
-
-    // First: try to find by donationId field
-
-    let donation = await Donation.findOne({ donationId });
-    console.log("Query result by donationId:", !!donation);
-
-    if (donation) {
-      console.log("Found donation:");
-      console.log("  _id:", donation._id);
-      console.log("  donationId:", donation.donationId);
-      console.log("  itemType:", donation.itemType);
-      return res.json({ donation });
+ * GET /api/donations/:donationId/handoff-codes
+ * Handoff codes of the donation's active tasks.
+ * The donor gets the pickup code to read out to the collecting volunteer;
+ * staff of the receiving center get the drop-off code; Admins get both.
+ * A direct delivery has both codes until its pickup leg is completed.
+ */
+router.get(
+  "/:donationId/handoff-codes",
+  validateRequest({ params: DonationParams }),
+  async (req, res) => {
+    const { donationId } = req.params;
+
+    try {
+      const donation = await Donation.findOne({ donationId });
+      if (!donation) {
+        return res.status(404).json({ message: "Donation not found." });
+      }
+
+      const canViewAny = await can(req, Permissions.DONATIONS_VIEW_ANY);
+      const isDonor = donation.donorId === req.user.uid;
+      const isReceivingStaff = await isStaffOfDropoffCenter(req, donation);
+      if (!canViewAny && !isDonor && !isReceivingStaff) {
+        return res.status(403).json({ message: "Access denied." });
+      }
+
+      const tasks = await Task.find({
+        donationId,
+        status: { $in: ActiveTaskStatuses },
+      }).select("+handoffCode +dropoffHandoffCode");
+
+      const pickupTask = tasks.find(
+        (task) => getTaskPhase(task) === "collection"
+      );
+      const dropoffTask = tasks.find((task) => task.taskType !== "collection");
+      const dropoffCode =
+        dropoffTask?.leg === "pickup"
+          ? dropoffTask.dropoffHandoffCode
+          : dropoffTask?.handoffCode;
+
+      res.json({
+        pickupCode:
+          canViewAny || isDonor ? pickupTask?.handoffCode || null : undefined,
+        dropoffCode:
+          canViewAny || isReceivingStaff ? dropoffCode || null : undefined,
+      });
+    } catch (error) {
+      console.error("FETCH HANDOFF CODES ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch handoff codes." });
     }
+  }
+);
 
-    // If donationId looks like a Mongo ObjectId, try fallback by _id
+/**
+ * GET /api/donations/:taskId/proof/:file
+ * Returns the proof photo or signature ("photo" | "signature") of a task.
+ * ?leg=pickup returns the pickup leg proof of a direct delivery.
+ * Allowed for Admins, the task's volunteer, the donor of the donation and
+ * staff of the center it was delivered to.
+ */
+router.get(
+  "/:taskId/proof/:file",
+  validateRequest({
+    params: {
+      ...TaskParams,
+      file: string({ required: true, enum: ["photo", "signature"] }),
+    },
+    query: { leg: string({ enum: ["pickup"] }) },
+  }),
+  async (req, res) => {
+    const { taskId, file } = req.params;
+    const proofField = req.query.leg === "pickup" ? "pickupProof" : "proof";
 
-    if (donationId.length === 24) {
-      console.log("Trying fallback search by _id:", donationId);
-      donation = await Donation.findById(donationId);
-      if (donation) {
-        console.log(
-          "Found by _id - donationId field value is:",
-          donation.donationId
-        );
-        return res.json({ donation });
+    try {
+      const task = await Task.findOne({ taskId });
+      if (!task?.[proofField]) {
+        return res.status(404).json({ message: "Proof not found." });
       }
+
+      const donation = await Donation.findOne({ donationId: task.donationId });
+      if (!(await canViewTaskProof(req, task, donation))) {
+        return res.status(403).json({ message: "Access denied." });
+      }
+
+      const stored = await readProofFile(task, file, proofField);
+      if (!stored) {
+        return res.status(404).json({ message: "Proof file not found." });
+      }
+
+      res.set("Content-Type", stored.contentType);
+      res.set("Cache-Control", "private, max-age=3600");
+      res.send(stored.buffer);
+    } catch (error) {
+      console.error("FETCH PROOF FILE ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch proof file." });
     }
+  }
+);
+
+/**
+ * Helper: tasks of a donation with their status history, oldest first.
+ * Returned next to the donation so its full lifecycle can be shown.
+ */
+const getTaskHistoryForDonation = async (donationId) => {
+  return await Task.find({ donationId })
+    .select(
+      "taskId taskType leg volunteerId status statusHistory assignedAt completedAt proof pickupCompletedAt pickupProof dropoffAddress locationOverride handoffVerifiedAt failedHandoffAttempts"
+    )
+    .sort({ assignedAt: 1 });
+};
+
+// Task fields holding the proof of a handoff, left out for users who may
+// not see it (see canViewTaskProof)
+const TaskProofFields = [
+  "proof",
+  "pickupProof",
+  "locationOverride",
+  "failedHandoffAttempts",
+];
+
+// Helper: the donation's tasks as shown to the user, without the proof of
+// tasks whose proof they may not see
+const hideTaskProof = (req, tasks, donation) =>
+  Promise.all(
+    tasks.map(async (task) => {
+      if (await canViewTaskProof(req, task, donation)) return task;
+
+      const visible = task.toJSON();
+      TaskProofFields.forEach((field) => delete visible[field]);
+      return visible;
+    })
+  );
+
+/**
+ * Helper: whether the user may see a donation's details: its donor, a
+ * volunteer with one of its tasks, staff of the center it is headed to, or
+ * users who can view any donation.
+ */
+const canViewDonation = async (req, donation, tasks) =>
+  donation.donorId === req.user.uid ||
+  tasks.some((task) => task.volunteerId === req.user.uid) ||
+  (await can(req, Permissions.DONATIONS_VIEW_ANY)) ||
+  (await isStaffOfDropoffCenter(req, donation));
+
+/**
+ * GET /api/donations/:donationId
+ * Fetch donation details by donationId (or by MongoDB _id, used by older
+ * links), including its status history and the status history of every
+ * task created for it.
+ * Only the donor, volunteers with a task for it, staff of the center it is
+ * headed to and users who can view any donation can fetch it. A volunteer
+ * only gets the proof of their own tasks.
+ */
+router.get(
+  "/:donationId",
+  validateRequest({ params: DonationParams }),
+  async (req, res) => {
+    const { donationId } = req.params;
 
-    // Debug info: show sample donations if nothing was found
+    try {
+      const donation =
+        (await Donation.findOne({ donationId })) ||
+        (donationId.length === 24 ? await Donation.findById(donationId) : null);
+      if (!donation) {
+        return res
+          .status(404)
+          .json({ message: "Donation not found.", donation: null });
+      }
 
-    const allDonations = await Donation.find().limit(5);
-    console.log("Sample donations in DB:", allDonations.length);
-    if (allDonations.length > 0) {
-      console.log("First donation sample:", {
-        _id: allDonations[0]._id,
-        donationId: allDonations[0].donationId,
-        donorName: allDonations[0].donorName,
+      const tasks = await getTaskHistoryForDonation(donation.donationId);
+      if (!(await canViewDonation(req, donation, tasks))) {
+        return res.status(403).json({ message: "Access denied." });
+      }
+
+      res.json({ donation, tasks: await hideTaskProof(req, tasks, donation) });
+    } catch (error) {
+      console.error("FETCH DONATION DETAILS ERROR:", {
+        message: error.message,
+        name: error.name,
+        stack: error.stack,
+      });
+      res.status(500).json({
+        message: "Failed to fetch donation details.",
+        error: error.message,
       });
     }
-
-    console.warn(`Donation not found for donationId: ${donationId}`);
-    return res
-      .status(404)
-      .json({ message: "Donation not found.", donation: null });
-  } catch (error) {
-    console.error("FETCH DONATION DETAILS ERROR:", {
-      message: error.message,
-      name: error.name,
-      stack: error.stack,
-    });
-    res.status(500).json({
-      message: "Failed to fetch donation details.",
-      error: error.message,
-    });
   }
-});
+);
 
 // Export the router so it can be mounted under /api/donations in server.js
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
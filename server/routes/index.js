@@ -0,0 +1,104 @@
+// Every API router and where it is mounted. server.js registers them from
+// this list and the OpenAPI description (/api/docs) is generated from it,
+// so a router added here is documented too.
+const userRoutes = require("./userRoutes");
+const adminRoutes = require("./adminRoutes");
+const legacyAdminRoutes = require("./legacyAdminRoutes");
+const donationRoutes = require("./donationRoutes");
+const geocodingRoutes = require("./geocodingRoutes");
+const scheduleRoutes = require("./scheduleRoutes");
+const organizationRoutes = require("./organizationRoutes");
+const volunteerRoutes = require("./volunteerRoutes");
+const roleRoutes = require("./roleRoutes");
+const auditRoutes = require("./auditRoutes");
+const reviewRoutes = require("./reviewRoutes");
+
+// auth: "required" - server.js checks the Firebase token before the router
+//       "router"   - the router checks tokens itself (per route)
+//       "none"     - public
+// audited: false skips the audit log (lookups that change nothing)
+// Routers sharing a path are tried in list order.
+const ApiRoutes = [
+  {
+    path: "/api/users",
+    router: userRoutes,
+    auth: "router",
+    tag: "Users",
+    description: "Registration, profiles and user management",
+  },
+  {
+    path: "/api/admin",
+    router: adminRoutes,
+    auth: "required",
+    tag: "Admin",
+    description:
+      "Pending queue, assignment, volunteer coverage and vetting, review moderation, claiming switches, task overrides, metrics and integrity checks",
+  },
+  {
+    path: "/api/donations",
+    router: legacyAdminRoutes,
+    auth: "required",
+    tag: "Deprecated",
+    description:
+      "Old /api/donations paths of the admin routes; they forward to /api/admin",
+  },
+  {
+    path: "/api/donations",
+    router: donationRoutes,
+    auth: "required",
+    tag: "Donations",
+    description: "Donations, tasks, assignment and hand-overs",
+  },
+  {
+    path: "/api/geocoding",
+    router: geocodingRoutes,
+    auth: "none",
+    audited: false,
+    tag: "Geocoding",
+    description: "Address and coordinate lookups",
+  },
+  {
+    path: "/api/schedules",
+    router: scheduleRoutes,
+    auth: "required",
+    tag: "Schedules",
+    description: "Donors' recurring donation schedules",
+  },
+  {
+    path: "/api/organizations",
+    router: organizationRoutes,
+    auth: "required",
+    tag: "Organizations",
+    description: "Donor businesses and distribution centers",
+  },
+  {
+    path: "/api/volunteers",
+    router: volunteerRoutes,
+    auth: "required",
+    tag: "Volunteers",
+    description: "Volunteer availability and vehicle / equipment profiles",
+  },
+  {
+    path: "/api/roles",
+    router: roleRoutes,
+    auth: "required",
+    tag: "Roles",
+    description: "Roles and permissions",
+  },
+  {
+    path: "/api/reviews",
+    router: reviewRoutes,
+    auth: "required",
+    tag: "Reviews",
+    description: "Ratings and reviews of completed tasks",
+  },
+  {
+    path: "/api/audit",
+    router: auditRoutes,
+    auth: "required",
+    tag: "Audit",
+    description: "Audit log of API changes",
+  },
+];
+
+module.exports = { ApiRoutes };
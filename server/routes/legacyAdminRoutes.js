@@ -0,0 +1,80 @@
+// Deprecation shims for the admin routes that used to live in donationRoutes
+// under /api/donations. Each old path hands the request to adminRoutes and
+// tells the client where the route moved (Deprecation and Link headers).
+const express = require("express");
+const router = express.Router();
+
+const adminRoutes = require("./adminRoutes");
+
+// When the old paths were deprecated (sent in the Deprecation header)
+const DEPRECATED_AT = new Date("2026-10-19T00:00:00Z");
+
+// [method, old path under /api/donations, path under /api/admin]
+const MovedAdminRoutes = [
+  ["get", "/pending", "/pending"],
+  ["get", "/reported-issues", "/reported-issues"],
+  ["get", "/late-tasks", "/late-tasks"],
+  ["get", "/volunteers", "/volunteers"],
+  ["put", "/assign-collection-task/:id", "/assign-collection-task/:id"],
+  ["get", "/match-volunteers/:id", "/match-volunteers/:id"],
+  [
+    "put",
+    "/auto-assign-collection-task/:id",
+    "/auto-assign-collection-task/:id",
+  ],
+  ["get", "/distribution-locations", "/distribution-locations"],
+  ["put", "/assign-distribution-task/:id", "/assign-distribution-task/:id"],
+  ["put", "/assign-direct-delivery/:id", "/assign-direct-delivery/:id"],
+  ["put", "/reassign-task/:taskId", "/reassign-task/:taskId"],
+  ["get", "/claiming-settings", "/claiming-settings"],
+  ["put", "/claiming-settings", "/claiming-settings"],
+  ["put", "/:donationId/claiming", "/:donationId/claiming"],
+  ["put", "/:taskId/handoff-code", "/:taskId/handoff-code"],
+  ["put", "/:taskId/location-override", "/:taskId/location-override"],
+  ["get", "/metrics", "/metrics"],
+  ["get", "/admin/orphaned-tasks", "/orphaned-tasks"],
+];
+
+// Old paths already reported in the server log (once per path)
+const loggedPaths = new Set();
+
+/**
+ * Helper: route handler that serves an old path with the admin route at
+ * newPath (relative to /api/admin). The request keeps its params and query.
+ */
+const forwardToAdmin = (method, oldPath, newPath) => {
+  const handler = (req, res, next) => {
+    const successor = newPath.replace(/:(\w+)/g, (match, name) =>
+      encodeURIComponent(req.params[name])
+    );
+
+    res.set({
+      Deprecation: `@${Math.floor(DEPRECATED_AT.getTime() / 1000)}`,
+      Link: `</api/admin${successor}>; rel="successor-version"`,
+    });
+    if (!loggedPaths.has(oldPath)) {
+      loggedPaths.add(oldPath);
+      console.warn(
+        `DEPRECATED ROUTE: ${method.toUpperCase()} /api/donations${oldPath} was called; use /api/admin${newPath}.`
+      );
+    }
+
+    const url = req.url;
+    const queryIndex = url.indexOf("?");
+    req.url = successor + (queryIndex === -1 ? "" : url.slice(queryIndex));
+    adminRoutes(req, res, (err) => {
+      req.url = url;
+      next(err);
+    });
+  };
+
+  // Listed as deprecated in the generated API description (see openApiService)
+  handler.successor = `/api/admin${newPath}`;
+  return handler;
+};
+
+for (const [method, oldPath, newPath] of MovedAdminRoutes) {
+  router[method](oldPath, forwardToAdmin(method, oldPath, newPath));
+}
+
+module.exports = router;
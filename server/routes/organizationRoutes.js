@@ -0,0 +1,704 @@
+// Import Express and create a router for organization management
+const express = require("express");
+const router = express.Router();
+
+// Import Organization model and helper methods
+const {
+  Organization,
+  OrganizationType,
+  getOrganizationById,
+  createOrganization,
+  updateOrganization,
+} = require("../models/organizationModel");
+
+// Import Donor helpers (donors are linked to their DonorBusiness)
+const {
+  Donor,
+  createDonor,
+  getDonorByUserId,
+  getDonorsByOrganization,
+  updateDonor,
+} = require("../models/donorModel");
+
+// Import User helpers to check who is being linked
+const {
+  User,
+  getUserByUid,
+  getStaffByOrganization,
+  updateUser,
+} = require("../models/userModel");
+
+// Donations still heading to a center block its deactivation
+const { Donation, StorageRequirement } = require("../models/donationModel");
+
+// Shared validation for coordinates and distribution center profiles
+const { isValidCoordinates } = require("../services/geoService");
+const { validateCenterProfile } = require("../services/centerFitService");
+// Permission checks
+const {
+  Permissions,
+  can,
+  roleCan,
+  requirePermission,
+} = require("../services/permissionService");
+const { getProfileType } = require("../services/roleProfileService");
+// Request schemas
+const {
+  validateRequest,
+  array,
+  boolean,
+  coordinates,
+  integer,
+  number,
+  object,
+  string,
+  userId,
+} = require("../services/validationService");
+
+// Fields an admin can set directly on an organization
+const EditableFields = [
+  "name",
+  "address",
+  "coordinates",
+  "organizationType",
+  "managerUserId",
+  "status",
+  "openingHours",
+  "acceptingDonations",
+  "acceptedCategories",
+  "requestedCategories",
+];
+
+// Fields center staff can change on their own center
+const CenterProfileFields = [
+  "openingHours",
+  "acceptingDonations",
+  "acceptedCategories",
+  "requestedCategories",
+  "storageCapacityKg",
+  "currentStockKg",
+];
+
+// Organization IDs are numeric strings ("12")
+const OrganizationParams = {
+  id: string({
+    required: true,
+    pattern: /^\d+$/,
+    patternMessage: "Organization ID is not valid.",
+    label: "Organization ID",
+  }),
+};
+const MemberParams = { ...OrganizationParams, uid: userId({ required: true }) };
+
+// kg per storage type, e.g. { chilled: 120 }
+const StorageAmounts = (label) =>
+  object(
+    Object.fromEntries(
+      StorageRequirement.map((storage) => [
+        storage,
+        number({ min: 0, label: `${label} (${storage})` }),
+      ])
+    ),
+    { label }
+  );
+
+// Body of POST and PUT. Field values are checked here; the rules that
+// depend on several fields (required on create, intervals that close
+// after they open) stay in validateOrganization.
+const OrganizationBody = {
+  name: string({ maxLength: 100, label: "Name" }),
+  address: string({ maxLength: 300, label: "Address" }),
+  coordinates: coordinates({ label: "Coordinates" }),
+  organizationType: string({ enum: OrganizationType, label: "Type" }),
+  managerUserId: userId({ label: "Manager" }),
+  status: string({ enum: ["active", "inactive"], label: "Status" }),
+  openingHours: array(
+    object(
+      {
+        weekday: integer({ required: true, min: 0, max: 6, label: "Weekday" }),
+        open: string({ required: true, label: "Opening time" }),
+        close: string({ required: true, label: "Closing time" }),
+      },
+      { allowUnknown: true }
+    ),
+    { itemLabel: "Opening interval", label: "Opening hours" }
+  ),
+  acceptingDonations: boolean({ label: "Accepting donations" }),
+  acceptedCategories: array(string({ maxLength: 60 }), {
+    itemLabel: "Accepted category",
+  }),
+  requestedCategories: array(string({ maxLength: 60 }), {
+    itemLabel: "Requested category",
+  }),
+  storageCapacityKg: StorageAmounts("Storage capacity"),
+  currentStockKg: StorageAmounts("Current stock"),
+};
+
+// Donation statuses in which a drop-off center is still needed
+const InboundDonationStatuses = [
+  "assignedForCollection",
+  "collected",
+  "assignedForDistribution",
+];
+
+// Helper: true when the user is staff of the given organization (linked
+// to it with a role that receives deliveries)
+const isStaffOf = async (user, organization) =>
+  !!user.organizationId &&
+  user.organizationId === organization.organizationId &&
+  (await roleCan(user.role, Permissions.CENTER_RECEIVE));
+
+// Helper: users as listed on an organization (donors or staff)
+const toMember = (user, fallbackUid) => ({
+  userId: user?.uid || fallbackUid,
+  name: user?.name || "Unknown",
+  email: user?.email,
+  status: user?.status,
+});
+
+/**
+ * Helper: loads the organization named in the URL.
+ * Sends 404 and returns null when it does not exist.
+ */
+const loadOrganization = async (req, res) => {
+  const organization = await getOrganizationById(String(req.params.id));
+  if (!organization) {
+    res.status(404).json({ message: "Organization not found." });
+    return null;
+  }
+  return organization;
+};
+
+/**
+ * Helper: checks an organization body beyond OrganizationBody.
+ * New organizations need a name, address and coordinates; on edits only
+ * the fields given are checked. Returns an error message or null.
+ */
+const validateOrganization = (body, { isNew = false } = {}) => {
+  if (isNew && (!body.name || !body.address || !body.coordinates)) {
+    return "Name, address and coordinates are required.";
+  }
+  for (const field of ["name", "address"]) {
+    if (body[field] !== undefined && !String(body[field]).trim()) {
+      return `${field} cannot be empty.`;
+    }
+  }
+  if (body.coordinates !== undefined && !isValidCoordinates(body.coordinates)) {
+    return "Coordinates must be [longitude, latitude]. Geocode the address first.";
+  }
+  return validateCenterProfile(body);
+};
+
+// Helper: the editable fields given in the body, with strings trimmed
+const pickEditableFields = (body) =>
+  EditableFields.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] =
+        typeof body[field] === "string" ? body[field].trim() : body[field];
+    }
+    return fields;
+  }, {});
+
+/**
+ * Helper: builds the Mongo update for the fields given in the body.
+ * Storage amounts are set per storage type so the others are kept.
+ */
+const buildOrganizationUpdate = (body) => {
+  const update = { ...pickEditableFields(body), updatedAt: new Date() };
+  ["storageCapacityKg", "currentStockKg"].forEach((field) => {
+    Object.entries(body[field] || {}).forEach(([storage, kg]) => {
+      update[`${field}.${storage}`] = Number(kg);
+    });
+  });
+  if (body.currentStockKg) update.stockUpdatedAt = new Date();
+  return update;
+};
+
+/**
+ * Helper: returns a message when the organization cannot be deactivated
+ * (donations are still on their way to the center), otherwise null.
+ */
+const getDeactivationBlocker = async (organization) => {
+  if (organization.organizationType !== "DistributionCenter") return null;
+
+  const inbound = await Donation.countDocuments({
+    dropoffOrganizationId: organization.organizationId,
+    status: { $in: InboundDonationStatuses },
+  });
+  return inbound > 0
+    ? `${inbound} donation(s) are still on their way to this center. Reassign them first.`
+    : null;
+};
+
+/**
+ * Helper: sends the response for errors raised while saving.
+ * Duplicate names give 409, schema errors 400.
+ */
+const sendSaveError = (res, error, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res
+      .status(409)
+      .json({ message: "An organization with this name already exists." });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+/**
+ * GET /api/organizations
+ * Admin-only: lists organizations, newest first.
+ * Optional filters: ?type=DistributionCenter and ?status=active|inactive.
+ * Each organization includes how many donors are linked to it.
+ */
+router.get(
+  "/",
+  requirePermission(Permissions.ORGANIZATIONS_MANAGE),
+  validateRequest({
+    query: {
+      type: string({ enum: OrganizationType, label: "Type" }),
+      status: string({ enum: ["active", "inactive"], label: "Status" }),
+    },
+  }),
+  async (req, res) => {
+    const filter = {};
+    if (req.query.type) filter.organizationType = req.query.type;
+    if (req.query.status === "inactive") filter.status = "inactive";
+    if (req.query.status === "active") filter.status = { $ne: "inactive" };
+
+    try {
+      const organizations = await Organization.find(filter).sort({
+        createdAt: -1,
+      });
+
+      const donorCounts = await Donor.aggregate([
+        {
+          $match: {
+            organizationId: { $in: organizations.map((org) => org._id) },
+          },
+        },
+        { $group: { _id: "$organizationId", count: { $sum: 1 } } },
+      ]);
+      const countMap = donorCounts.reduce((map, entry) => {
+        map[entry._id.toString()] = entry.count;
+        return map;
+      }, {});
+
+      res.json({
+        organizations: organizations.map((org) => ({
+          ...org.toObject(),
+          status: org.status || "active",
+          donorCount: countMap[org._id.toString()] || 0,
+        })),
+      });
+    } catch (error) {
+      console.error("FETCH ORGANIZATIONS ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch organizations." });
+    }
+  }
+);
+
+/**
+ * POST /api/organizations
+ * Admin-only: creates an organization.
+ * Body: { name, address, coordinates: [lng, lat], organizationType } and,
+ * for distribution centers, the capacity/hours/needs fields.
+ * Coordinates come from the geocoding routes (/api/geocoding/forward).
+ */
+router.post(
+  "/",
+  requirePermission(Permissions.ORGANIZATIONS_MANAGE),
+  validateRequest({ body: OrganizationBody }),
+  async (req, res) => {
+    const validationError = validateOrganization(req.body, { isNew: true });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const organizationData = pickEditableFields(req.body);
+    ["storageCapacityKg", "currentStockKg"].forEach((field) => {
+      if (!req.body[field]) return;
+      organizationData[field] = StorageRequirement.reduce(
+        (amounts, storage) => {
+          amounts[storage] = Number(req.body[field][storage]) || 0;
+          return amounts;
+        },
+        {}
+      );
+    });
+
+    try {
+      const organization = await createOrganization(organizationData);
+      res.status(201).json({
+        message: "Organization created.",
+        organization,
+      });
+    } catch (error) {
+      console.error("CREATE ORGANIZATION ERROR:", error);
+      sendSaveError(res, error, "Failed to create organization.");
+    }
+  }
+);
+
+/**
+ * GET /api/organizations/:id
+ * Admins can view any organization; donors can view the business they
+ * are linked to and center staff their own center. Admins also get the
+ * linked donors (businesses) or staff (distribution centers).
+ */
+router.get(
+  "/:id",
+  validateRequest({ params: OrganizationParams }),
+  async (req, res) => {
+    try {
+      const organization = await loadOrganization(req, res);
+      if (!organization) return;
+
+      if (!(await can(req, Permissions.ORGANIZATIONS_MANAGE))) {
+        const donor =
+          (await getProfileType(req.user.role)) === "Donor"
+            ? await getDonorByUserId(req.user.uid)
+            : null;
+        const isLinkedDonor =
+          donor?.organizationId?.organizationId === organization.organizationId;
+        if (!isLinkedDonor && !(await isStaffOf(req.user, organization))) {
+          return res.status(403).json({ message: "Access denied." });
+        }
+        return res.json({ organization });
+      }
+
+      const donors = await getDonorsByOrganization(organization._id);
+      const donorUsers = await User.find({
+        uid: { $in: donors.map((donor) => donor.userId) },
+      }).select("uid name email status");
+      const staff = await getStaffByOrganization(organization.organizationId);
+
+      res.json({
+        organization,
+        donors: donors.map((donor) =>
+          toMember(
+            donorUsers.find((user) => user.uid === donor.userId),
+            donor.userId
+          )
+        ),
+        staff: staff.map((user) => ({
+          ...toMember(user),
+          isManager: organization.managerUserId === user.uid,
+        })),
+      });
+    } catch (error) {
+      console.error("FETCH ORGANIZATION ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch organization." });
+    }
+  }
+);
+
+/**
+ * PUT /api/organizations/:id
+ * Admins edit any organization; center staff can update their own
+ * center's hours, capacity, stock and needs (CenterProfileFields).
+ * Only the fields given are changed; storage amounts are merged per
+ * storage type. Setting status to "inactive" follows the same rules as
+ * DELETE. A center's managerUserId must be one of its staff.
+ */
+router.put(
+  "/:id",
+  requirePermission([
+    Permissions.ORGANIZATIONS_MANAGE,
+    Permissions.CENTER_EDIT_PROFILE,
+  ]),
+  validateRequest({ params: OrganizationParams, body: OrganizationBody }),
+  async (req, res) => {
+    const validationError = validateOrganization(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    try {
+      const organization = await loadOrganization(req, res);
+      if (!organization) return;
+
+      if (!(await can(req, Permissions.ORGANIZATIONS_MANAGE))) {
+        if (!(await isStaffOf(req.user, organization))) {
+          return res.status(403).json({ message: "Access denied." });
+        }
+        const lockedField = Object.keys(req.body).find(
+          (field) => !CenterProfileFields.includes(field)
+        );
+        if (lockedField) {
+          return res.status(403).json({
+            message: `Center staff cannot change ${lockedField}. Ask an admin.`,
+          });
+        }
+      }
+
+      if (req.body.managerUserId) {
+        const manager = await getUserByUid(req.body.managerUserId);
+        if (
+          organization.organizationType === "DistributionCenter" &&
+          !(await isStaffOf(manager || {}, organization))
+        ) {
+          return res.status(400).json({
+            message: "The manager must be one of the center's staff.",
+          });
+        }
+      }
+
+      if (
+        req.body.status === "inactive" &&
+        organization.status !== "inactive"
+      ) {
+        const blocker = await getDeactivationBlocker(organization);
+        if (blocker) return res.status(409).json({ message: blocker });
+      }
+
+      const updated = await updateOrganization(organization.organizationId, {
+        $set: buildOrganizationUpdate(req.body),
+      });
+
+      // Keep the name shown on linked donor profiles in sync
+      if (req.body.name && req.body.name !== organization.name) {
+        await Donor.updateMany(
+          { organizationId: organization._id },
+          { organizationName: updated.name, updatedAt: Date.now() }
+        );
+      }
+
+      res.json({ message: "Organization updated.", organization: updated });
+    } catch (error) {
+      console.error("UPDATE ORGANIZATION ERROR:", error);
+      sendSaveError(res, error, "Failed to update organization.");
+    }
+  }
+);
+
+/**
+ * DELETE /api/organizations/:id
+ * Admin-only: deactivates an organization. It is kept so past donations
+ * and tasks still resolve, but is no longer offered as a drop-off point
+ * and its donors stop posting on its behalf. Centers with donations still
+ * heading to them cannot be deactivated (409).
+ */
+router.delete(
+  "/:id",
+  requirePermission(Permissions.ORGANIZATIONS_MANAGE),
+  validateRequest({ params: OrganizationParams }),
+  async (req, res) => {
+    try {
+      const organization = await loadOrganization(req, res);
+      if (!organization) return;
+
+      const blocker = await getDeactivationBlocker(organization);
+      if (blocker) return res.status(409).json({ message: blocker });
+
+      const updated = await updateOrganization(organization.organizationId, {
+        status: "inactive",
+        updatedAt: new Date(),
+      });
+
+      res.json({ message: "Organization deactivated.", organization: updated });
+    } catch (error) {
+      console.error("DEACTIVATE ORGANIZATION ERROR:", error);
+      res.status(500).json({ message: "Failed to deactivate organization." });
+    }
+  }
+);
+
+/**
+ * PUT /api/organizations/:id/donors/:uid
+ * Admin-only: links a donor account to a DonorBusiness so its donations
+ * are posted on the business's behalf. A donor belongs to one business;
+ * linking again moves them.
+ */
+router.put(
+  "/:id/donors/:uid",
+  requirePermission(Permissions.ORGANIZATIONS_MANAGE),
+  validateRequest({ params: MemberParams }),
+  async (req, res) => {
+    try {
+      const organization = await loadOrganization(req, res);
+      if (!organization) return;
+
+      if (organization.organizationType !== "DonorBusiness") {
+        return res
+          .status(400)
+          .json({ message: "Donors can only be linked to a DonorBusiness." });
+      }
+      if (organization.status === "inactive") {
+        return res
+          .status(400)
+          .json({ message: "Cannot link donors to an inactive organization." });
+      }
+
+      const user = await getUserByUid(req.params.uid);
+      if (!user || (await getProfileType(user.role)) !== "Donor") {
+        return res.status(404).json({ message: "Donor not found." });
+      }
+
+      // Accounts switched to Donor by an admin may not have a profile yet
+      if (!(await getDonorByUserId(user.uid))) {
+        await createDonor({ userId: user.uid });
+      }
+
+      const donor = await updateDonor(user.uid, {
+        organizationId: organization._id,
+        organizationName: organization.name,
+      });
+
+      res.json({
+        message: `${user.name} now posts for ${organization.name}.`,
+        donor,
+      });
+    } catch (error) {
+      console.error("LINK DONOR ERROR:", error);
+      res.status(500).json({ message: "Failed to link donor." });
+    }
+  }
+);
+
+/**
+ * DELETE /api/organizations/:id/donors/:uid
+ * Admin-only: unlinks a donor from the business. Donations they already
+ * posted stay with the business.
+ */
+router.delete(
+  "/:id/donors/:uid",
+  requirePermission(Permissions.ORGANIZATIONS_MANAGE),
+  validateRequest({ params: MemberParams }),
+  async (req, res) => {
+    try {
+      const organization = await loadOrganization(req, res);
+      if (!organization) return;
+
+      const donor = await Donor.findOneAndUpdate(
+        { userId: req.params.uid, organizationId: organization._id },
+        {
+          $unset: { organizationId: 1, organizationName: 1 },
+          $set: { updatedAt: Date.now() },
+        },
+        { new: true }
+      );
+      if (!donor) {
+        return res
+          .status(404)
+          .json({ message: "Donor is not linked to this organization." });
+      }
+
+      res.json({ message: "Donor unlinked.", donor });
+    } catch (error) {
+      console.error("UNLINK DONOR ERROR:", error);
+      res.status(500).json({ message: "Failed to unlink donor." });
+    }
+  }
+);
+
+/**
+ * PUT /api/organizations/:id/staff/:uid
+ * Admin-only: makes a user staff of a distribution center. Their role
+ * becomes CenterStaff and they only see that center's deliveries.
+ * A staff member works at one center; linking again moves them.
+ */
+router.put(
+  "/:id/staff/:uid",
+  requirePermission(Permissions.ORGANIZATIONS_MANAGE),
+  validateRequest({ params: MemberParams }),
+  async (req, res) => {
+    try {
+      const organization = await loadOrganization(req, res);
+      if (!organization) return;
+
+      if (organization.organizationType !== "DistributionCenter") {
+        return res.status(400).json({
+          message: "Staff can only be added to a distribution center.",
+        });
+      }
+      if (organization.status === "inactive") {
+        return res
+          .status(400)
+          .json({ message: "Cannot add staff to an inactive organization." });
+      }
+
+      const user = await getUserByUid(req.params.uid);
+      if (!user) {
+        return res.status(404).json({ message: "User not found." });
+      }
+      if (
+        (await roleCan(user.role, Permissions.USERS_MANAGE)) ||
+        (await roleCan(user.role, Permissions.ROLES_MANAGE))
+      ) {
+        return res
+          .status(400)
+          .json({ message: "Admins cannot be made center staff." });
+      }
+
+      // Moving away from another center also ends being its manager
+      if (
+        user.organizationId &&
+        user.organizationId !== organization.organizationId
+      ) {
+        await Organization.updateOne(
+          { organizationId: user.organizationId, managerUserId: user.uid },
+          { managerUserId: null }
+        );
+      }
+
+      // Users whose role already receives deliveries keep it; everyone
+      // else gets the built-in CenterStaff role
+      const role = (await roleCan(user.role, Permissions.CENTER_RECEIVE))
+        ? user.role
+        : "CenterStaff";
+      const updatedUser = await updateUser(user.uid, {
+        role,
+        organizationId: organization.organizationId,
+      });
+
+      res.json({
+        message: `${user.name} is now staff at ${organization.name}.`,
+        user: updatedUser,
+      });
+    } catch (error) {
+      console.error("ADD CENTER STAFF ERROR:", error);
+      res.status(500).json({ message: "Failed to add staff member." });
+    }
+  }
+);
+
+/**
+ * DELETE /api/organizations/:id/staff/:uid
+ * Admin-only: removes a staff member from the center. The account keeps
+ * the CenterStaff role but sees no center data until linked again.
+ */
+router.delete(
+  "/:id/staff/:uid",
+  requirePermission(Permissions.ORGANIZATIONS_MANAGE),
+  validateRequest({ params: MemberParams }),
+  async (req, res) => {
+    try {
+      const organization = await loadOrganization(req, res);
+      if (!organization) return;
+
+      const user = await getUserByUid(req.params.uid);
+      if (!(await isStaffOf(user || {}, organization))) {
+        return res
+          .status(404)
+          .json({ message: "User is not staff of this organization." });
+      }
+
+      const updatedUser = await updateUser(user.uid, { organizationId: null });
+      if (organization.managerUserId === user.uid) {
+        await updateOrganization(organization.organizationId, {
+          managerUserId: null,
+        });
+      }
+
+      res.json({ message: "Staff member removed.", user: updatedUser });
+    } catch (error) {
+      console.error("REMOVE CENTER STAFF ERROR:", error);
+      res.status(500).json({ message: "Failed to remove staff member." });
+    }
+  }
+);
+
+// Export the router so it can be mounted under /api/organizations in the main server
+module.exports = router;
@@ -0,0 +1,235 @@
+// Import Express and create a router for task reviews (/api/reviews)
+const express = require("express");
+const router = express.Router();
+
+// Mongoose is used to generate IDs
+const mongoose = require("mongoose");
+
+const { Review } = require("../models/reviewModel");
+const { Task } = require("../models/taskModel");
+const { Donation } = require("../models/donationModel");
+const { getMetricsByUserId } = require("../models/metricsModel");
+const {
+  getReviewTarget,
+  isWithinReviewWindow,
+  getPendingReviews,
+  getUserNames,
+  refreshRating,
+  formatReview,
+} = require("../services/reviewService");
+const {
+  Permissions,
+  can,
+  requirePermission,
+} = require("../services/permissionService");
+const { describeAudit } = require("../services/auditService");
+const {
+  validateRequest,
+  objectId,
+  userId,
+} = require("../services/validationService");
+const {
+  ReviewSchema,
+  ReviewReportSchema,
+} = require("../../shared/schemas.mjs");
+
+// Donors, center staff and volunteers review the tasks they took part in
+const ReviewerPermissions = [
+  Permissions.DONATIONS_CREATE,
+  Permissions.CENTER_RECEIVE,
+  Permissions.TASKS_WORK,
+];
+
+const ReviewParams = {
+  reviewId: objectId({ required: true, label: "Review ID" }),
+};
+
+// How many reviews a profile shows
+const PROFILE_REVIEW_LIMIT = 50;
+
+/**
+ * GET /api/reviews/pending
+ * Completed tasks the signed-in donor, center staff member or volunteer can
+ * still review, newest first, with the person they would rate.
+ */
+router.get(
+  "/pending",
+  requirePermission(ReviewerPermissions),
+  async (req, res) => {
+    try {
+      res.json({ reviews: await getPendingReviews(req) });
+    } catch (error) {
+      console.error("FETCH PENDING REVIEWS ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch tasks to review." });
+    }
+  }
+);
+
+/**
+ * POST /api/reviews
+ * Rate a completed task (body: { taskId, rating 1-5, comment }). Donors
+ * rate the volunteer who picked up their food, center staff the volunteer
+ * who delivered to their center and volunteers the donor they collected
+ * from. Each task can be reviewed once per person (once per center for
+ * center staff), within the review window after it was completed.
+ */
+router.post(
+  "/",
+  requirePermission(ReviewerPermissions),
+  validateRequest({ body: ReviewSchema }),
+  async (req, res) => {
+    const { taskId, rating, comment } = req.body;
+
+    try {
+      const task = await Task.findOne({ taskId });
+      const donation =
+        task && (await Donation.findOne({ donationId: task.donationId }));
+      const target = donation && (await getReviewTarget(req, task, donation));
+      if (!target) {
+        return res.status(404).json({ message: "Task not found." });
+      }
+      if (task.status !== "completed") {
+        return res
+          .status(409)
+          .json({ message: "Only completed tasks can be reviewed." });
+      }
+      if (!isWithinReviewWindow(task)) {
+        return res
+          .status(409)
+          .json({ message: "This task can no longer be reviewed." });
+      }
+
+      const review = new Review({
+        reviewId: new mongoose.Types.ObjectId().toHexString(),
+        taskId,
+        donationId: task.donationId,
+        reviewerId: req.user.uid,
+        ...target,
+        ...(target.reviewerRole === "center" && {
+          reviewerOrganizationId: req.user.organizationId,
+        }),
+        rating,
+        comment: comment?.trim() || undefined,
+      });
+      try {
+        await review.save();
+      } catch (err) {
+        if (err.code === 11000) {
+          return res.status(409).json({
+            message:
+              target.reviewerRole === "center"
+                ? "Your center has already reviewed this task."
+                : "You have already reviewed this task.",
+          });
+        }
+        throw err;
+      }
+
+      await refreshRating(target.subjectId, target.subjectType);
+
+      describeAudit(res, {
+        targetType: "review",
+        targetId: review.reviewId,
+        after: formatReview(review),
+      });
+
+      res.status(201).json({
+        message: "Thank you for your review.",
+        review: formatReview(review),
+      });
+    } catch (error) {
+      console.error("CREATE REVIEW ERROR:", error);
+      res.status(500).json({ message: "Failed to save review." });
+    }
+  }
+);
+
+/**
+ * GET /api/reviews/users/:uid
+ * A user's rating and their visible reviews, newest first. Users can read
+ * their own; Admins anyone's. Reviewers are only named to users who can
+ * moderate reviews.
+ */
+router.get(
+  "/users/:uid",
+  requirePermission(
+    [Permissions.VOLUNTEERS_VIEW, Permissions.REVIEWS_MODERATE],
+    { ownerParam: "uid" }
+  ),
+  validateRequest({
+    params: { uid: userId({ required: true, label: "User ID" }) },
+  }),
+  async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const [metrics, reviews] = await Promise.all([
+        getMetricsByUserId(uid),
+        Review.find({ subjectId: uid, status: "visible" })
+          .sort({ createdAt: -1 })
+          .limit(PROFILE_REVIEW_LIMIT),
+      ]);
+
+      const withReviewer = await can(req, Permissions.REVIEWS_MODERATE);
+      const names = withReviewer
+        ? await getUserNames(
+            reviews.flatMap((review) => [review.reviewerId, review.subjectId])
+          )
+        : undefined;
+
+      res.json({
+        rating: metrics?.reviewCount ? metrics.rating : null,
+        reviewCount: metrics?.reviewCount || 0,
+        reviews: reviews.map((review) =>
+          formatReview(review, { names, withReviewer })
+        ),
+      });
+    } catch (error) {
+      console.error("FETCH USER REVIEWS ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch reviews." });
+    }
+  }
+);
+
+/**
+ * PUT /api/reviews/:reviewId/report
+ * The rated user asks the admins to look at a review (body: { reason }).
+ * The review stays visible until an admin hides it.
+ */
+router.put(
+  "/:reviewId/report",
+  requirePermission(ReviewerPermissions),
+  validateRequest({ params: ReviewParams, body: ReviewReportSchema }),
+  async (req, res) => {
+    try {
+      const review = await Review.findOne({ reviewId: req.params.reviewId });
+      if (!review || review.subjectId !== req.user.uid) {
+        return res.status(404).json({ message: "Review not found." });
+      }
+      if (review.status === "hidden") {
+        return res
+          .status(409)
+          .json({ message: "This review has already been hidden." });
+      }
+
+      review.reportedAt = new Date();
+      review.reportReason = req.body.reason.trim();
+      await review.save();
+
+      describeAudit(res, {
+        targetType: "review",
+        targetId: review.reviewId,
+        after: { reportReason: review.reportReason },
+      });
+
+      res.json({
+        message: "Thanks, an admin will look at this review.",
+        review: formatReview(review),
+      });
+    } catch (error) {
+      console.error("REPORT REVIEW ERROR:", error);
+      res.status(500).json({ message: "Failed to report review." });
+    }
+  }
+);
+
+module.exports = router;
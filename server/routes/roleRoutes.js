@@ -0,0 +1,221 @@
+// Import Express and create a router for role and permission management
+const express = require("express");
+const router = express.Router();
+
+// Import Role model helpers
+const { Role, getAllRoles, getRoleByName } = require("../models/roleModel");
+// Users are counted per role (a role in use cannot be deleted)
+const { User } = require("../models/userModel");
+
+// Permission catalogue and checks
+const {
+  Permissions,
+  PermissionDescriptions,
+  clearRoleCache,
+  requirePermission,
+} = require("../services/permissionService");
+// Request schemas
+const {
+  validateRequest,
+  array,
+  string,
+} = require("../services/validationService");
+
+// Role names are stored on User.role, e.g. "Dispatcher" or "ReadOnlyAuditor"
+const ROLE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9]{1,39}$/;
+
+// Permission lists may only name permissions from the catalogue
+const PermissionList = array(
+  string({
+    label: "Permission",
+    check: (permission) =>
+      Object.values(Permissions).includes(permission)
+        ? null
+        : `Unknown permission: ${permission}.`,
+  }),
+  { label: "Permissions" }
+);
+
+const RoleParams = { name: string({ required: true, label: "Role" }) };
+
+/**
+ * Helper: loads the role named in the URL.
+ * Sends 404 and returns null when it does not exist.
+ */
+const loadRole = async (req, res) => {
+  const role = await getRoleByName(req.params.name);
+  if (!role) {
+    res.status(404).json({ message: "Role not found." });
+    return null;
+  }
+  return role;
+};
+
+/**
+ * GET /api/roles
+ * Every role with its permissions and how many users have it, plus the
+ * list of permissions that can be granted.
+ */
+router.get(
+  "/",
+  requirePermission(Permissions.ROLES_MANAGE),
+  async (req, res) => {
+    try {
+      const roles = await getAllRoles();
+      const counts = await User.aggregate([
+        { $group: { _id: "$role", count: { $sum: 1 } } },
+      ]);
+
+      res.json({
+        roles: roles.map((role) => ({
+          ...role.toObject(),
+          userCount: counts.find((c) => c._id === role.name)?.count || 0,
+        })),
+        permissions: Object.values(Permissions).map((name) => ({
+          name,
+          description: PermissionDescriptions[name],
+        })),
+      });
+    } catch (error) {
+      console.error("FETCH ROLES ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch roles." });
+    }
+  }
+);
+
+/**
+ * POST /api/roles
+ * Create a role ({ name, description, permissions }). Users can then be
+ * given the role from user management.
+ */
+router.post(
+  "/",
+  requirePermission(Permissions.ROLES_MANAGE),
+  validateRequest({
+    body: {
+      name: string({
+        required: true,
+        pattern: ROLE_NAME_PATTERN,
+        patternMessage:
+          "Role name must start with a letter and use only letters and digits.",
+        label: "Role name",
+      }),
+      description: string({ maxLength: 300, label: "Description" }),
+      permissions: PermissionList,
+    },
+  }),
+  async (req, res) => {
+    const { name, description = "", permissions = [] } = req.body;
+
+    try {
+      if (await getRoleByName(name)) {
+        return res.status(409).json({ message: "This role already exists." });
+      }
+
+      const role = await Role.create({
+        name,
+        description: String(description).trim(),
+        permissions: [...new Set(permissions)],
+        updatedBy: req.user.uid,
+      });
+      clearRoleCache();
+
+      res.status(201).json({ message: "Role created.", role });
+    } catch (error) {
+      console.error("CREATE ROLE ERROR:", error);
+      res.status(500).json({ message: "Failed to create role." });
+    }
+  }
+);
+
+/**
+ * PUT /api/roles/:name
+ * Change a role's description and/or permissions (the full list).
+ * Admins cannot take roles.manage away from their own role.
+ */
+router.put(
+  "/:name",
+  requirePermission(Permissions.ROLES_MANAGE),
+  validateRequest({
+    params: RoleParams,
+    body: {
+      description: string({ maxLength: 300, label: "Description" }),
+      permissions: PermissionList,
+    },
+  }),
+  async (req, res) => {
+    const { description, permissions } = req.body;
+
+    try {
+      const role = await loadRole(req, res);
+      if (!role) return;
+
+      if (
+        permissions !== undefined &&
+        role.name === req.user.role &&
+        !permissions.includes(Permissions.ROLES_MANAGE)
+      ) {
+        return res.status(400).json({
+          message: `You cannot remove ${Permissions.ROLES_MANAGE} from your own role.`,
+        });
+      }
+
+      const update = { updatedBy: req.user.uid, updatedAt: Date.now() };
+      if (description !== undefined) {
+        update.description = String(description).trim();
+      }
+      if (permissions !== undefined) {
+        update.permissions = [...new Set(permissions)];
+      }
+
+      const updated = await Role.findOneAndUpdate({ name: role.name }, update, {
+        new: true,
+      });
+      clearRoleCache();
+
+      res.json({ message: "Role updated.", role: updated });
+    } catch (error) {
+      console.error("UPDATE ROLE ERROR:", error);
+      res.status(500).json({ message: "Failed to update role." });
+    }
+  }
+);
+
+/**
+ * DELETE /api/roles/:name
+ * Delete a role added by an admin. Built-in roles and roles that users
+ * still have cannot be deleted.
+ */
+router.delete(
+  "/:name",
+  requirePermission(Permissions.ROLES_MANAGE),
+  validateRequest({ params: RoleParams }),
+  async (req, res) => {
+    try {
+      const role = await loadRole(req, res);
+      if (!role) return;
+
+      if (role.builtIn) {
+        return res
+          .status(409)
+          .json({ message: "Built-in roles cannot be deleted." });
+      }
+      const userCount = await User.countDocuments({ role: role.name });
+      if (userCount > 0) {
+        return res.status(409).json({
+          message: `${userCount} user(s) still have this role. Change their role first.`,
+        });
+      }
+
+      await Role.deleteOne({ name: role.name });
+      clearRoleCache();
+
+      res.json({ message: "Role deleted." });
+    } catch (error) {
+      console.error("DELETE ROLE ERROR:", error);
+      res.status(500).json({ message: "Failed to delete role." });
+    }
+  }
+);
+
+module.exports = router;
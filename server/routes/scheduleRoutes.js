@@ -0,0 +1,335 @@
+// Import Express and create a router for recurring donation schedules
+const express = require("express");
+const router = express.Router();
+
+// Mongoose is used to generate IDs
+const mongoose = require("mongoose");
+
+// Import RecurringSchedule model and helper methods
+const {
+  RecurringSchedule,
+  getScheduleById,
+  getSchedulesByDonorId,
+  updateSchedule,
+} = require("../models/recurringScheduleModel");
+
+// Import schedule logic (validation, occurrences, donation generation)
+const { normalizeLineItems } = require("../services/lineItemService");
+const {
+  isValidDateKey,
+  occursOn,
+  getUpcomingOccurrences,
+  validateSchedule,
+} = require("../services/recurrenceService");
+const {
+  generateScheduledDonations,
+  cancelGeneratedDonations,
+} = require("../services/recurringDonationScheduler");
+const {
+  Permissions,
+  can,
+  requirePermission,
+} = require("../services/permissionService");
+// Request schemas (the schedule body is shared with the donation form)
+const {
+  validateRequest,
+  objectId,
+  string,
+} = require("../services/validationService");
+const { ScheduleSchema } = require("../../shared/schemas.mjs");
+
+const ScheduleParams = {
+  scheduleId: objectId({ required: true, label: "Schedule ID" }),
+};
+
+/**
+ * Helper: loads a schedule the current donor owns.
+ * Sends 404 and returns null when it does not exist or belongs to someone else.
+ */
+const loadOwnSchedule = async (req, res) => {
+  const schedule = await getScheduleById(req.params.scheduleId);
+  if (!schedule || schedule.donorId !== req.user.uid) {
+    res.status(404).json({ message: "Schedule not found." });
+    return null;
+  }
+  return schedule;
+};
+
+// Schedule as returned to the client, with its next occurrence days
+const withUpcoming = (schedule) => ({
+  ...schedule.toObject(),
+  upcomingOccurrences:
+    schedule.status === "active" ? getUpcomingOccurrences(schedule) : [],
+});
+
+/**
+ * GET /api/schedules
+ * Donors get their own schedules; Admins get every schedule.
+ */
+router.get(
+  "/",
+  requirePermission([
+    Permissions.SCHEDULES_MANAGE,
+    Permissions.SCHEDULES_VIEW_ANY,
+  ]),
+  async (req, res) => {
+    try {
+      const schedules = (await can(req, Permissions.SCHEDULES_VIEW_ANY))
+        ? await RecurringSchedule.find().sort({ createdAt: -1 })
+        : await getSchedulesByDonorId(req.user.uid);
+
+      res.json({ schedules: schedules.map(withUpcoming) });
+    } catch (error) {
+      console.error("FETCH SCHEDULES ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch schedules." });
+    }
+  }
+);
+
+/**
+ * POST /api/schedules
+ * Donor-only: create a recurring schedule (daily, weekly on chosen weekdays,
+ * or monthly) with a donation template. Donations are generated ahead of
+ * each occurrence by the recurring scheduler.
+ */
+router.post(
+  "/",
+  requirePermission(Permissions.SCHEDULES_MANAGE),
+  validateRequest({ body: ScheduleSchema }),
+  async (req, res) => {
+    const { frequency, weekdays, dayOfMonth, startDate, endDate, template } =
+      req.body;
+
+    const scheduleError = validateSchedule(req.body);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+
+    try {
+      const schedule = await RecurringSchedule.create({
+        scheduleId: new mongoose.Types.ObjectId().toHexString(),
+        donorId: req.user.uid,
+        donorName: req.user.name,
+        frequency,
+        weekdays: frequency === "weekly" ? [...new Set(weekdays)].sort() : [],
+        dayOfMonth: frequency === "monthly" ? dayOfMonth : undefined,
+        startDate,
+        endDate: endDate || undefined,
+        template: {
+          items: normalizeLineItems(template.items),
+          notes: template.notes,
+          pickupAddress: template.pickupAddress,
+          pickupLocation: {
+            type: "Point",
+            coordinates: template.pickupLocation.coordinates,
+          },
+          windowStart: template.windowStart,
+          windowEnd: template.windowEnd,
+          storageRequirement: template.storageRequirement || "ambient",
+          shelfLifeHours: template.shelfLifeHours
+            ? Number(template.shelfLifeHours)
+            : undefined,
+        },
+      });
+
+      // Generate occurrences that already fall within the lead time
+      try {
+        await generateScheduledDonations();
+      } catch (err) {
+        console.error("RECURRING SCHEDULER ERROR (new schedule):", err);
+      }
+
+      res.status(201).json({
+        message: "Recurring schedule created.",
+        schedule: withUpcoming(schedule),
+      });
+    } catch (error) {
+      console.error("CREATE SCHEDULE ERROR:", error);
+      res.status(500).json({ message: "Failed to create schedule." });
+    }
+  }
+);
+
+/**
+ * PUT /api/schedules/:scheduleId/skip
+ * Donor-only: skip a single occurrence. Body: { date: "YYYY-MM-DD" }.
+ * If the donation for that day was already generated it is cancelled.
+ */
+router.put(
+  "/:scheduleId/skip",
+  requirePermission(Permissions.SCHEDULES_MANAGE),
+  validateRequest({
+    params: ScheduleParams,
+    body: {
+      date: string({
+        required: true,
+        label: "Date",
+        check: (date) =>
+          isValidDateKey(date)
+            ? null
+            : "A valid date (YYYY-MM-DD) is required.",
+      }),
+    },
+  }),
+  async (req, res) => {
+    const { date } = req.body;
+
+    try {
+      const schedule = await loadOwnSchedule(req, res);
+      if (!schedule) return;
+
+      if (schedule.status === "ended") {
+        return res.status(409).json({ message: "This schedule has ended." });
+      }
+      if (!occursOn(schedule, date)) {
+        return res
+          .status(400)
+          .json({ message: "The schedule has no occurrence on that date." });
+      }
+
+      const updatedSchedule = await RecurringSchedule.findOneAndUpdate(
+        { scheduleId: schedule.scheduleId },
+        { $addToSet: { skippedDates: date }, $set: { updatedAt: Date.now() } },
+        { new: true }
+      );
+
+      const cancelledDonations = await cancelGeneratedDonations(schedule, {
+        dateKey: date,
+        changedBy: req.user.uid,
+        reason: `Occurrence ${date} skipped by donor`,
+      });
+
+      res.json({
+        message: `Occurrence on ${date} skipped.`,
+        cancelledDonations,
+        schedule: withUpcoming(updatedSchedule),
+      });
+    } catch (error) {
+      console.error("SKIP OCCURRENCE ERROR:", error);
+      res.status(500).json({ message: "Failed to skip occurrence." });
+    }
+  }
+);
+
+/**
+ * PUT /api/schedules/:scheduleId/pause
+ * Donor-only: stop generating donations until the schedule is resumed.
+ * Upcoming donations that were already generated are cancelled.
+ */
+router.put(
+  "/:scheduleId/pause",
+  requirePermission(Permissions.SCHEDULES_MANAGE),
+  validateRequest({ params: ScheduleParams }),
+  async (req, res) => {
+    try {
+      const schedule = await loadOwnSchedule(req, res);
+      if (!schedule) return;
+
+      if (schedule.status !== "active") {
+        return res
+          .status(409)
+          .json({ message: `Schedule is ${schedule.status}, not active.` });
+      }
+
+      const updatedSchedule = await updateSchedule(schedule.scheduleId, {
+        status: "paused",
+      });
+
+      const cancelledDonations = await cancelGeneratedDonations(schedule, {
+        changedBy: req.user.uid,
+        reason: "Recurring schedule paused by donor",
+      });
+
+      res.json({
+        message: "Schedule paused.",
+        cancelledDonations,
+        schedule: withUpcoming(updatedSchedule),
+      });
+    } catch (error) {
+      console.error("PAUSE SCHEDULE ERROR:", error);
+      res.status(500).json({ message: "Failed to pause schedule." });
+    }
+  }
+);
+
+/**
+ * PUT /api/schedules/:scheduleId/resume
+ * Donor-only: resume a paused schedule.
+ */
+router.put(
+  "/:scheduleId/resume",
+  requirePermission(Permissions.SCHEDULES_MANAGE),
+  validateRequest({ params: ScheduleParams }),
+  async (req, res) => {
+    try {
+      const schedule = await loadOwnSchedule(req, res);
+      if (!schedule) return;
+
+      if (schedule.status !== "paused") {
+        return res
+          .status(409)
+          .json({ message: `Schedule is ${schedule.status}, not paused.` });
+      }
+
+      const updatedSchedule = await updateSchedule(schedule.scheduleId, {
+        status: "active",
+      });
+
+      try {
+        await generateScheduledDonations();
+      } catch (err) {
+        console.error("RECURRING SCHEDULER ERROR (resume):", err);
+      }
+
+      res.json({
+        message: "Schedule resumed.",
+        schedule: withUpcoming(updatedSchedule),
+      });
+    } catch (error) {
+      console.error("RESUME SCHEDULE ERROR:", error);
+      res.status(500).json({ message: "Failed to resume schedule." });
+    }
+  }
+);
+
+/**
+ * PUT /api/schedules/:scheduleId/end
+ * Donor-only: end a schedule for good.
+ * Upcoming donations that were already generated are cancelled.
+ */
+router.put(
+  "/:scheduleId/end",
+  requirePermission(Permissions.SCHEDULES_MANAGE),
+  validateRequest({ params: ScheduleParams }),
+  async (req, res) => {
+    try {
+      const schedule = await loadOwnSchedule(req, res);
+      if (!schedule) return;
+
+      if (schedule.status === "ended") {
+        return res.status(409).json({ message: "Schedule has already ended." });
+      }
+
+      const updatedSchedule = await updateSchedule(schedule.scheduleId, {
+        status: "ended",
+        endedAt: new Date(),
+      });
+
+      const cancelledDonations = await cancelGeneratedDonations(schedule, {
+        changedBy: req.user.uid,
+        reason: "Recurring schedule ended by donor",
+      });
+
+      res.json({
+        message: "Schedule ended.",
+        cancelledDonations,
+        schedule: withUpcoming(updatedSchedule),
+      });
+    } catch (error) {
+      console.error("END SCHEDULE ERROR:", error);
+      res.status(500).json({ message: "Failed to end schedule." });
+    }
+  }
+);
+
+module.exports = router;
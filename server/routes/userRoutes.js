@@ -5,10 +5,12 @@ const router = express.Router();
 // Import User model helpers (for working with the main User collection)
 const {
   User,
+  UserStatuses,
   createUser,
   getUserByUid,
   getUserByEmail,
   getUsersByRole,
+  countActiveUsersByRole,
   updateUser,
 } = require("../models/userModel");
 
@@ -40,11 +42,133 @@ const {
   getTopVolunteersByMetrics,
 } = require("../models/metricsModel");
 
+// Task and organization models (checked and updated on role changes)
+const { Task, ActiveTaskStatuses } = require("../models/taskModel");
+const { Organization } = require("../models/organizationModel");
+
+// Role helpers (an admin can only assign roles that exist)
+const { roleExists } = require("../models/roleModel");
+// Volunteer/Donor profiles and Metrics that follow a user's role
+const {
+  getProfileType,
+  needsVolunteerPhone,
+  syncRoleProfiles,
+} = require("../services/roleProfileService");
+// Audit log: routes describe what they changed
+const { describeAudit, pickFields } = require("../services/auditService");
+
+// Permission checks for the protected routes below
+const {
+  Permissions,
+  roleCan,
+  getRolesWithPermission,
+  requirePermission,
+} = require("../services/permissionService");
+// Serializes changes that could remove the last admin
+const { withLock, LockBusyError } = require("../services/lockService");
+// Request schemas (registration is shared with the sign-up form)
+const {
+  validateRequest,
+  string,
+  userId,
+} = require("../services/validationService");
+const { RegisterSchema } = require("../../shared/schemas.mjs");
+
 // Firebase Admin SDK used for verifying Firebase ID tokens
 const admin = require("firebase-admin");
 // Mongoose used for generating ObjectId strings when needed
 const mongoose = require("mongoose");
 
+// Fields an admin can change on a user account. phone is stored on the
+// user's Volunteer profile.
+const EditableUserFields = ["name", "role", "status", "phone"];
+
+const UserParams = { uid: userId({ required: true }) };
+
+// Body of PUT /:uid; only EditableUserFields are accepted
+const UserUpdateBody = {
+  name: string({ maxLength: 100, label: "Name" }),
+  role: string({ maxLength: 40, label: "Role" }),
+  status: string({ enum: UserStatuses, label: "Status" }),
+  phone: RegisterSchema.phone,
+};
+
+/**
+ * Helper: checks a user update body beyond UserUpdateBody.
+ * At least one field must be given, and none of them blank.
+ * Returns an error message or null.
+ */
+const validateUserUpdate = (body) => {
+  const fields = Object.keys(body || {});
+  if (fields.length === 0) {
+    return `Nothing to update. Editable fields: ${EditableUserFields.join(", ")}.`;
+  }
+  for (const field of ["name", "role", "phone"]) {
+    if (
+      body[field] !== undefined &&
+      (typeof body[field] !== "string" || !body[field].trim())
+    ) {
+      return `${field} cannot be empty.`;
+    }
+  }
+  return null;
+};
+
+// Helper: the editable fields given in the body, with strings trimmed
+const pickUserUpdate = (body) =>
+  EditableUserFields.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] =
+        typeof body[field] === "string" ? body[field].trim() : body[field];
+    }
+    return fields;
+  }, {});
+
+// Helper: roles that can manage users or roles (the platform always needs
+// one active user with such a role)
+const getManagerRoles = async () => [
+  ...new Set([
+    ...(await getRolesWithPermission(Permissions.USERS_MANAGE)),
+    ...(await getRolesWithPermission(Permissions.ROLES_MANAGE)),
+  ]),
+];
+
+/**
+ * Helper: returns a message when the update would leave the platform
+ * without an active user who can manage users or roles, or take a
+ * volunteer with active tasks off duty. Returns null when the update can
+ * go ahead.
+ */
+const getUserUpdateBlocker = async (user, updates) => {
+  const losesRole = updates.role !== undefined && updates.role !== user.role;
+  const deactivated =
+    updates.status === "inactive" && user.status !== "inactive";
+  if (!losesRole && !deactivated) return null;
+
+  const managerRoles = await getManagerRoles();
+  const staysManager =
+    !deactivated && managerRoles.includes(updates.role ?? user.role);
+  if (
+    managerRoles.includes(user.role) &&
+    user.status === "active" &&
+    !staysManager &&
+    (await countActiveUsersByRole(managerRoles, user.uid)) === 0
+  ) {
+    return "This is the last active admin. Make another user an admin first.";
+  }
+
+  if (await roleCan(user.role, Permissions.TASKS_WORK)) {
+    const activeTasks = await Task.countDocuments({
+      volunteerId: user.uid,
+      status: { $in: ActiveTaskStatuses },
+    });
+    if (activeTasks > 0) {
+      return `This volunteer still has ${activeTasks} active task(s). Reassign them first.`;
+    }
+  }
+  return null;
+};
+
 /**
  * Middleware: verifyToken
  * - Reads Bearer token from Authorization header
@@ -112,130 +236,236 @@ const verifyTokenOnly = async (req, res, next) => {
  * POST /api/users/register
  * Registers a new user in the application database, after Firebase sign-up.
  * - Requires a valid Firebase token (verifyTokenOnly)
+ * - Body is checked against RegisterSchema (shared with the sign-up form)
  * - Creates a User record
  * - If role is Volunteer or Donor, creates corresponding profile + metrics
  */
-router.post("/register", verifyTokenOnly, async (req, res) => {
-  try {
-    const { email, name, role, phone, homeLocation } = req.body;
-    const uid = req.firebaseUid;
-
-    // Basic field validation (must have uid/email/name/role)
-    if (!uid || !email || !name || !role) {
-      return res.status(400).send({ message: "Missing required fields." });
-    }
-
-    // Base user object stored in the User collection
-    const userData = {
-      uid,
-      email,
-      name,
-      role,
-      status: "active",
-    };
+router.post(
+  "/register",
+  verifyTokenOnly,
+  validateRequest({ body: RegisterSchema }),
+  async (req, res) => {
+    try {
+      const { email, name, role, phone, homeLocation } = req.body;
+      const uid = req.firebaseUid;
+
+      // The body was checked against RegisterSchema; the token must name a user
+      if (!uid) {
+        return res.status(400).send({ message: "Missing required fields." });
+      }
 
-    const user = await createUser(userData);
+      // Base user object stored in the User collection
+      const userData = {
+        uid,
+        email,
+        name,
+        role,
+        status: "active",
+      };
 
-    // If user is a Volunteer, also create a Volunteer profile and metrics record
-    if (role === "Volunteer" && (phone || homeLocation)) {
-      const volunteerId = new mongoose.Types.ObjectId().toHexString();
+      const user = await createUser(userData);
+      const profileType = await getProfileType(role);
 
-      const volunteerData = {
-        userId: uid,
-        phone: phone || "",
-      };
+      // If user is a Volunteer, also create a Volunteer profile and metrics record
+      if (profileType === "Volunteer" && (phone || homeLocation)) {
+        const volunteerId = new mongoose.Types.ObjectId().toHexString();
 
-      // If home location is provided, store coordinates and address as GeoJSON
-      if (homeLocation && homeLocation.coordinates) {
-        volunteerData.homeLocation = {
-          type: "Point",
-          coordinates: homeLocation.coordinates,
-          address: homeLocation.address || "",
+        // Self-registered volunteers wait for an admin to check their
+        // documents before they can be given tasks
+        const volunteerData = {
+          userId: uid,
+          phone: phone || "",
+          vetting: { status: "pending", submittedAt: new Date() },
         };
-      }
-
-      await createVolunteer(volunteerData);
 
-      const metricsId = new mongoose.Types.ObjectId().toHexString();
-      await createMetrics({
-        metricsId,
-        userId: uid,
-        userType: "Volunteer",
-      });
-    } else if (role === "Donor") {
-      // If user is a Donor, create Donor profile and metrics record
-      const donorId = new mongoose.Types.ObjectId().toHexString();
-      await createDonor({
-        userId: uid,
-      });
+        // If home location is provided, store coordinates and address as GeoJSON
+        if (homeLocation && homeLocation.coordinates) {
+          volunteerData.homeLocation = {
+            type: "Point",
+            coordinates: homeLocation.coordinates,
+            address: homeLocation.address || "",
+          };
+        }
+
+        await createVolunteer(volunteerData);
+
+        const metricsId = new mongoose.Types.ObjectId().toHexString();
+        await createMetrics({
+          metricsId,
+          userId: uid,
+          userType: "Volunteer",
+        });
+      } else if (profileType === "Donor") {
+        // If user is a Donor, create Donor profile and metrics record
+        const donorId = new mongoose.Types.ObjectId().toHexString();
+        await createDonor({
+          userId: uid,
+        });
+
+        const metricsId = new mongoose.Types.ObjectId().toHexString();
+        await createMetrics({
+          metricsId,
+          userId: uid,
+          userType: "Donor",
+        });
+      }
 
-      const metricsId = new mongoose.Types.ObjectId().toHexString();
-      await createMetrics({
-        metricsId,
-        userId: uid,
-        userType: "Donor",
+      res.status(201).send({ message: "User registered successfully", user });
+    } catch (error) {
+      res.status(500).send({
+        message: "Failed to register user details.",
+        error: error.message,
       });
     }
-
-    res.status(201).send({ message: "User registered successfully", user });
-  } catch (error) {
-    res.status(500).send({
-      message: "Failed to register user details.",
-      error: error.message,
-    });
   }
-});
+);
 
 /**
  * GET /api/users/
  * Returns a list of all users in the system.
- * - Only accessible by Admin users (checked via verifyToken + role check)
+ * - Requires the users.view permission (Admins by default)
  */
-router.get("/", verifyToken, async (req, res) => {
-  if (req.user.role !== "Admin") {
-    return res
-      .status(403)
-      .send({ message: "Access denied. Admin role required." });
-  }
-
-  try {
-    // Load all users, excluding the internal __v version field
-    const users = await User.find({}).select("-__v");
-    res.status(200).send({ users });
-  } catch (error) {
-    res.status(500).send({ message: "Failed to retrieve user list." });
+router.get(
+  "/",
+  verifyToken,
+  requirePermission(Permissions.USERS_VIEW),
+  async (req, res) => {
+    try {
+      // Load all users, excluding the internal __v version field
+      const users = await User.find({}).select("-__v");
+      res.status(200).send({ users });
+    } catch (error) {
+      res.status(500).send({ message: "Failed to retrieve user list." });
+    }
   }
-});
+);
 
 /**
  * PUT /api/users/:uid
- * Updates a user’s details (e.g., role, status) in the User collection.
- * - Only Admins are allowed to perform updates
+ * Updates a user's name, role or status (EditableUserFields); any other
+ * field is refused. Requires the users.manage permission (Admins by default).
+ * - CenterStaff is given on the Organizations screen, with their center
+ * - The last active user who can manage users or roles (Admin by default)
+ *   cannot be demoted or deactivated
+ * - A volunteer with active tasks keeps the role until they are reassigned
+ * - The Volunteer/Donor profile and Metrics record follow the new role
+ *   (phone is needed when a user without a Volunteer profile becomes one)
  */
-router.put("/:uid", verifyToken, async (req, res) => {
-  if (req.user.role !== "Admin") {
-    return res
-      .status(403)
-      .send({ message: "Access denied. Admin role required." });
-  }
+router.put(
+  "/:uid",
+  verifyToken,
+  requirePermission(Permissions.USERS_MANAGE),
+  validateRequest({ params: UserParams, body: UserUpdateBody }),
+  async (req, res) => {
+    const { uid } = req.params;
 
-  const { uid } = req.params;
-  const updates = req.body;
+    const validationError = validateUserUpdate(req.body);
+    if (validationError) {
+      return res.status(400).send({ message: validationError });
+    }
+    const { phone, ...updates } = pickUserUpdate(req.body);
 
-  try {
-    const updatedUser = await updateUser(uid, updates);
+    try {
+      if (updates.role && !(await roleExists(updates.role))) {
+        return res.status(400).send({ message: "Unknown role." });
+      }
 
-    if (!updatedUser) {
-      return res.status(404).send({ message: "User not found." });
-    }
+      const existingUser = await getUserByUid(uid);
+      if (!existingUser) {
+        return res.status(404).send({ message: "User not found." });
+      }
 
-    res
-      .status(200)
-      .send({ message: "User updated successfully.", user: updatedUser });
-  } catch (error) {
-    res.status(500).send({ message: "Failed to update user." });
+      const newRole = updates.role || existingUser.role;
+      const roleChanged = newRole !== existingUser.role;
+      const profileType = await getProfileType(newRole);
+      if (roleChanged && (await roleCan(newRole, Permissions.CENTER_RECEIVE))) {
+        return res.status(400).send({
+          message:
+            "Make users center staff from the Organizations screen, so they are linked to their center.",
+        });
+      }
+      if (phone && profileType !== "Volunteer") {
+        return res
+          .status(400)
+          .send({ message: "Only volunteers have a phone number." });
+      }
+      if (
+        roleChanged &&
+        profileType === "Volunteer" &&
+        !phone &&
+        (await needsVolunteerPhone(uid))
+      ) {
+        return res.status(400).send({
+          message: "A phone number is needed to make this user a volunteer.",
+        });
+      }
+
+      // Staff leaving the role are unlinked from their center
+      const leavesCenter =
+        roleChanged &&
+        (await roleCan(existingUser.role, Permissions.CENTER_RECEIVE));
+      if (leavesCenter) updates.organizationId = null;
+
+      // Check and update under one lock, and only while the user still has
+      // the role and status that were checked, so two admins cannot remove
+      // each other's access at the same time
+      const { blocker, updatedUser } = await withLock(
+        "user-management",
+        async () => {
+          const message = await getUserUpdateBlocker(existingUser, updates);
+          if (message) return { blocker: message };
+          return {
+            updatedUser: await updateUser(uid, updates, {
+              role: existingUser.role,
+              status: existingUser.status,
+            }),
+          };
+        }
+      );
+
+      if (blocker) {
+        return res.status(409).send({ message: blocker });
+      }
+      if (!updatedUser) {
+        return res.status(409).send({
+          message:
+            "This user was changed by someone else. Reload and try again.",
+        });
+      }
+
+      if (leavesCenter) {
+        await Organization.updateMany(
+          { managerUserId: uid },
+          { managerUserId: null }
+        );
+      }
+
+      // Create or retire the Volunteer/Donor profile and Metrics record
+      if (roleChanged || updates.status || phone) {
+        await syncRoleProfiles(updatedUser, { phone });
+      }
+
+      // Record the fields that were set, before and after, in the audit log
+      const changedFields = Object.keys(updates);
+      describeAudit(res, {
+        targetType: "user",
+        targetId: uid,
+        before: pickFields(existingUser, changedFields),
+        after: pickFields(updatedUser, changedFields),
+      });
+
+      res
+        .status(200)
+        .send({ message: "User updated successfully.", user: updatedUser });
+    } catch (error) {
+      if (error instanceof LockBusyError) {
+        return res.status(409).send({ message: error.message });
+      }
+      console.error("UPDATE USER ERROR:", error);
+      res.status(500).send({ message: "Failed to update user." });
+    }
   }
-});
+);
 
 /**
  * GET /api/users/role-details/:uid
@@ -244,85 +474,85 @@ router.put("/:uid", verifyToken, async (req, res) => {
  * - role-specific extra data (Volunteer or Donor document)
  * Access control:
  * - User can access their own data
- * - Admin can access any user’s data
+ * - Users with users.view (Admins) can access any user’s data
  */
-router.get("/role-details/:uid", verifyToken, async (req, res) => {
-  try {
-    const { uid } = req.params;
-
-    // Non-admin users can only request their own record
-    if (uid !== req.user.uid) {
-      if (req.user.role !== "Admin") {
-        return res.status(403).send({ message: "Access denied." });
+router.get(
+  "/role-details/:uid",
+  verifyToken,
+  requirePermission(Permissions.USERS_VIEW, { ownerParam: "uid" }),
+  validateRequest({ params: UserParams }),
+  async (req, res) => {
+    try {
+      const { uid } = req.params;
+
+      const user = await getUserByUid(uid);
+      if (!user) {
+        return res.status(404).send({ message: "User not found in database." });
       }
-    }
 
-    const user = await getUserByUid(uid);
-    if (!user) {
-      return res.status(404).send({ message: "User not found in database." });
-    }
+      let roleData = null;
+      const profileType = await getProfileType(user.role);
+      if (profileType === "Volunteer") {
+        roleData = await getVolunteerByUserId(uid);
+      } else if (profileType === "Donor") {
+        roleData = await getDonorByUserId(uid);
+      }
 
-    let roleData = null;
-    if (user.role === "Volunteer") {
-      roleData = await getVolunteerByUserId(uid);
-    } else if (user.role === "Donor") {
-      roleData = await getDonorByUserId(uid);
+      res.status(200).send({ user, roleData });
+    } catch (error) {
+      res.status(500).send({ message: "Failed to retrieve user data." });
     }
-
-    res.status(200).send({ user, roleData });
-  } catch (error) {
-    res.status(500).send({ message: "Failed to retrieve user data." });
   }
-});
+);
 
 /**
  * GET /api/users/:uid
  * Returns basic profile info and role-specific details for a single user.
  * Access control:
  * - User can see their own profile
- * - Admin can see any user’s profile
+ * - Users with users.view (Admins) can see any user’s profile
  */
-router.get("/:uid", verifyToken, async (req, res) => {
-  try {
-    const { uid } = req.params;
-
-    // Enforce that non-admins can only view their own profile
-    if (req.user.uid !== uid && req.user.role !== "Admin") {
-      return res
-        .status(403)
-        .send({ message: "Access denied to user profile details." });
-    }
-
-    const user = await getUserByUid(uid);
+router.get(
+  "/:uid",
+  verifyToken,
+  requirePermission(Permissions.USERS_VIEW, { ownerParam: "uid" }),
+  validateRequest({ params: UserParams }),
+  async (req, res) => {
+    try {
+      const { uid } = req.params;
+
+      const user = await getUserByUid(uid);
+
+      if (!user) {
+        return res.status(404).send({ message: "User not found." });
+      }
 
-    if (!user) {
-      return res.status(404).send({ message: "User not found." });
-    }
+      // Load extra role-specific data, if applicable
+      let roleDetails = null;
+      const profileType = await getProfileType(user.role);
+      if (profileType === "Volunteer") {
+        roleDetails = await getVolunteerByUserId(uid);
+      } else if (profileType === "Donor") {
+        roleDetails = await getDonorByUserId(uid);
+      }
 
-    // Load extra role-specific data, if applicable
-    let roleDetails = null;
-    if (user.role === "Volunteer") {
-      roleDetails = await getVolunteerByUserId(uid);
-    } else if (user.role === "Donor") {
-      roleDetails = await getDonorByUserId(uid);
+      // Return a simplified user object (no internal fields) plus role details
+      res.status(200).send({
+        user: {
+          uid: user.uid,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+        },
+        roleDetails,
+      });
+    } catch (error) {
+      res
+        .status(500)
+        .send({ message: "Failed to retrieve user profile details." });
     }
-
-    // Return a simplified user object (no internal fields) plus role details
-    res.status(200).send({
-      user: {
-        uid: user.uid,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
-      roleDetails,
-    });
-  } catch (error) {
-    res
-      .status(500)
-      .send({ message: "Failed to retrieve user profile details." });
   }
-});
+);
 
 // Export the router so it can be mounted under /api/users in the main server
 module.exports = router;
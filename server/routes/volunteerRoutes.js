@@ -0,0 +1,340 @@
+// Import Express and create a router for volunteer profiles
+const express = require("express");
+const router = express.Router();
+
+// Import Volunteer model helpers
+const {
+  getVolunteerByUserId,
+  updateVolunteer,
+} = require("../models/volunteerModel");
+
+const {
+  Permissions,
+  can,
+  requirePermission,
+} = require("../services/permissionService");
+const { describeAudit } = require("../services/auditService");
+const {
+  validateRequest,
+  userId,
+  objectId,
+} = require("../services/validationService");
+const {
+  formatVetting,
+  addVolunteerDocument,
+  readVolunteerDocument,
+} = require("../services/vettingService");
+const {
+  VolunteerAvailabilitySchema,
+  VolunteerCapabilitiesSchema,
+  VolunteerDocumentUploadSchema,
+} = require("../../shared/schemas.mjs");
+
+const VolunteerParams = {
+  volunteerId: userId({ required: true, label: "Volunteer ID" }),
+};
+
+// Availability as returned to the client (defaults for volunteers who
+// never set it)
+const formatAvailability = (availability) => ({
+  weekly: availability?.weekly || [],
+  blackoutDates: availability?.blackoutDates || [],
+  maxTasksPerDay: availability?.maxTasksPerDay ?? null,
+  updatedAt: availability?.updatedAt || null,
+});
+
+/**
+ * GET /api/volunteers/:volunteerId/availability
+ * Weekly times, days off and daily task limit of a volunteer.
+ * Volunteers can read their own; Admins anyone's.
+ */
+router.get(
+  "/:volunteerId/availability",
+  requirePermission(Permissions.VOLUNTEERS_VIEW, { ownerParam: "volunteerId" }),
+  validateRequest({ params: VolunteerParams }),
+  async (req, res) => {
+    try {
+      const volunteer = await getVolunteerByUserId(req.params.volunteerId);
+      if (!volunteer) {
+        return res.status(404).json({ message: "Volunteer not found." });
+      }
+
+      res.json({ availability: formatAvailability(volunteer.availability) });
+    } catch (error) {
+      console.error("FETCH AVAILABILITY ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch availability." });
+    }
+  }
+);
+
+/**
+ * PUT /api/volunteers/:volunteerId/availability
+ * Replace a volunteer's availability. Body: { weekly: [{ weekday, start,
+ * end }], blackoutDates: ["YYYY-MM-DD"], maxTasksPerDay } (omitted fields
+ * keep their value; maxTasksPerDay: null removes the limit).
+ * Volunteers set their own; Admins can change anyone's.
+ */
+router.put(
+  "/:volunteerId/availability",
+  requirePermission(Permissions.USERS_MANAGE, { ownerParam: "volunteerId" }),
+  validateRequest({
+    params: VolunteerParams,
+    body: VolunteerAvailabilitySchema,
+  }),
+  async (req, res) => {
+    const { volunteerId } = req.params;
+    const { weekly, blackoutDates, maxTasksPerDay } = req.body;
+
+    try {
+      const volunteer = await getVolunteerByUserId(volunteerId);
+      if (!volunteer) {
+        return res.status(404).json({ message: "Volunteer not found." });
+      }
+
+      const before = formatAvailability(volunteer.availability);
+      const availability = {
+        weekly: (weekly ?? before.weekly).map(({ weekday, start, end }) => ({
+          weekday,
+          start,
+          end,
+        })),
+        blackoutDates: [...new Set(blackoutDates ?? before.blackoutDates)]
+          .map(String)
+          .sort(),
+        maxTasksPerDay:
+          maxTasksPerDay === undefined ? before.maxTasksPerDay : maxTasksPerDay,
+        updatedAt: new Date(),
+      };
+
+      const updated = await updateVolunteer(volunteerId, { availability });
+
+      describeAudit(res, {
+        targetType: "volunteer",
+        targetId: volunteerId,
+        before,
+        after: formatAvailability(updated.availability),
+      });
+
+      res.json({
+        message: "Availability saved.",
+        availability: formatAvailability(updated.availability),
+      });
+    } catch (error) {
+      console.error("UPDATE AVAILABILITY ERROR:", error);
+      res.status(500).json({ message: "Failed to save availability." });
+    }
+  }
+);
+
+// Capabilities as returned to the client (null vehicleType = not filled in)
+const formatCapabilities = (capabilities) => ({
+  vehicleType: capabilities?.vehicleType || null,
+  cargoCapacityKg: capabilities?.cargoCapacityKg ?? null,
+  canRefrigerate: !!capabilities?.canRefrigerate,
+  foodHandlerCertified: !!capabilities?.foodHandlerCertified,
+  foodHandlerCertExpiresAt: capabilities?.foodHandlerCertExpiresAt || null,
+  maxTravelRadiusKm: capabilities?.maxTravelRadiusKm ?? null,
+  updatedAt: capabilities?.updatedAt || null,
+});
+
+/**
+ * GET /api/volunteers/:volunteerId/capabilities
+ * Vehicle, cargo capacity, refrigeration, food-handler certificate and
+ * travel radius of a volunteer.
+ * Volunteers can read their own; Admins anyone's.
+ */
+router.get(
+  "/:volunteerId/capabilities",
+  requirePermission(Permissions.VOLUNTEERS_VIEW, { ownerParam: "volunteerId" }),
+  validateRequest({ params: VolunteerParams }),
+  async (req, res) => {
+    try {
+      const volunteer = await getVolunteerByUserId(req.params.volunteerId);
+      if (!volunteer) {
+        return res.status(404).json({ message: "Volunteer not found." });
+      }
+
+      res.json({ capabilities: formatCapabilities(volunteer.capabilities) });
+    } catch (error) {
+      console.error("FETCH CAPABILITIES ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch capabilities." });
+    }
+  }
+);
+
+/**
+ * PUT /api/volunteers/:volunteerId/capabilities
+ * Replace a volunteer's capabilities. Body: { vehicleType, cargoCapacityKg,
+ * canRefrigerate, foodHandlerCertified, foodHandlerCertExpiresAt,
+ * maxTravelRadiusKm } (missing or null numbers and dates = not set).
+ * Volunteers set their own; Admins can change anyone's. The food-handler
+ * certificate comes from an accepted food-safety certificate document, so
+ * only users who vet volunteers can change it here; for anyone else the
+ * stored certificate is kept.
+ */
+router.put(
+  "/:volunteerId/capabilities",
+  requirePermission(Permissions.USERS_MANAGE, { ownerParam: "volunteerId" }),
+  validateRequest({
+    params: VolunteerParams,
+    body: VolunteerCapabilitiesSchema,
+  }),
+  async (req, res) => {
+    const { volunteerId } = req.params;
+    const body = req.body;
+
+    try {
+      const volunteer = await getVolunteerByUserId(volunteerId);
+      if (!volunteer) {
+        return res.status(404).json({ message: "Volunteer not found." });
+      }
+
+      const before = formatCapabilities(volunteer.capabilities);
+      // Only vetters change the certificate; everyone else keeps the stored one
+      const certificate = (await can(req, Permissions.VOLUNTEERS_VET))
+        ? body
+        : before;
+      const certified = !!certificate.foodHandlerCertified;
+      const capabilities = {
+        vehicleType: body.vehicleType,
+        cargoCapacityKg: body.cargoCapacityKg ?? null,
+        canRefrigerate: !!body.canRefrigerate,
+        foodHandlerCertified: certified,
+        foodHandlerCertExpiresAt:
+          certified && certificate.foodHandlerCertExpiresAt
+            ? new Date(certificate.foodHandlerCertExpiresAt)
+            : null,
+        maxTravelRadiusKm: body.maxTravelRadiusKm ?? null,
+        updatedAt: new Date(),
+      };
+
+      const updated = await updateVolunteer(volunteerId, { capabilities });
+
+      describeAudit(res, {
+        targetType: "volunteer",
+        targetId: volunteerId,
+        before,
+        after: formatCapabilities(updated.capabilities),
+      });
+
+      res.json({
+        message: "Capabilities saved.",
+        capabilities: formatCapabilities(updated.capabilities),
+      });
+    } catch (error) {
+      console.error("UPDATE CAPABILITIES ERROR:", error);
+      res.status(500).json({ message: "Failed to save capabilities." });
+    }
+  }
+);
+
+/**
+ * GET /api/volunteers/:volunteerId/vetting
+ * Vetting status (pending, approved, rejected, suspended) with the reason
+ * for a rejection or suspension, uploaded documents and the required
+ * documents still missing.
+ * Volunteers can read their own; Admins anyone's.
+ */
+router.get(
+  "/:volunteerId/vetting",
+  requirePermission([Permissions.VOLUNTEERS_VIEW, Permissions.VOLUNTEERS_VET], {
+    ownerParam: "volunteerId",
+  }),
+  validateRequest({ params: VolunteerParams }),
+  async (req, res) => {
+    try {
+      const volunteer = await getVolunteerByUserId(req.params.volunteerId);
+      if (!volunteer) {
+        return res.status(404).json({ message: "Volunteer not found." });
+      }
+
+      res.json({ vetting: formatVetting(volunteer) });
+    } catch (error) {
+      console.error("FETCH VETTING ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch vetting status." });
+    }
+  }
+);
+
+/**
+ * POST /api/volunteers/:volunteerId/documents
+ * Upload a vetting document. Body: { type: "id" | "foodSafetyCertificate" |
+ * "driversLicence", file (JPEG, PNG, WebP or PDF data URL, 5 MB at most),
+ * fileName, expiresAt }. Replaces the volunteer's earlier document of the
+ * same type (an accepted one once the new one is approved); a rejected or
+ * suspended volunteer is sent back for review.
+ * Volunteers upload their own; Admins can upload for anyone.
+ */
+router.post(
+  "/:volunteerId/documents",
+  requirePermission(Permissions.USERS_MANAGE, { ownerParam: "volunteerId" }),
+  validateRequest({
+    params: VolunteerParams,
+    body: VolunteerDocumentUploadSchema,
+  }),
+  async (req, res) => {
+    try {
+      const volunteer = await getVolunteerByUserId(req.params.volunteerId);
+      if (!volunteer) {
+        return res.status(404).json({ message: "Volunteer not found." });
+      }
+
+      const before = formatVetting(volunteer);
+      const updated = await addVolunteerDocument(volunteer, req.body);
+      if (!updated) {
+        return res.status(400).json({
+          message: "Upload a JPEG, PNG, WebP or PDF file of 5 MB or less.",
+        });
+      }
+
+      const vetting = formatVetting(updated);
+      describeAudit(res, {
+        targetType: "volunteer",
+        targetId: volunteer.userId,
+        before: { status: before.status, documents: before.documents },
+        after: { status: vetting.status, documents: vetting.documents },
+      });
+
+      res.status(201).json({ message: "Document uploaded.", vetting });
+    } catch (error) {
+      console.error("UPLOAD DOCUMENT ERROR:", error);
+      res.status(500).json({ message: "Failed to upload document." });
+    }
+  }
+);
+
+/**
+ * GET /api/volunteers/:volunteerId/documents/:documentId/file
+ * Returns an uploaded vetting document.
+ * Volunteers can read their own; otherwise volunteers.vet is needed.
+ */
+router.get(
+  "/:volunteerId/documents/:documentId/file",
+  requirePermission(Permissions.VOLUNTEERS_VET, { ownerParam: "volunteerId" }),
+  validateRequest({
+    params: {
+      ...VolunteerParams,
+      documentId: objectId({ required: true, label: "Document ID" }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const volunteer = await getVolunteerByUserId(req.params.volunteerId);
+      const stored = volunteer
+        ? await readVolunteerDocument(volunteer, req.params.documentId)
+        : null;
+      if (!stored) {
+        return res.status(404).json({ message: "Document not found." });
+      }
+
+      res.set("Content-Type", stored.contentType);
+      res.set("Cache-Control", "private, max-age=3600");
+      res.send(stored.buffer);
+    } catch (error) {
+      console.error("FETCH DOCUMENT FILE ERROR:", error);
+      res.status(500).json({ message: "Failed to fetch document." });
+    }
+  }
+);
+
+module.exports = router;
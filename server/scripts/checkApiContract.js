@@ -0,0 +1,122 @@
+// Contract test: every API call in the client services
+// (client/src/services/*.js) must match a route in the generated OpenAPI
+// description and must not use a deprecated path. Lists the calls that do
+// not and exits with code 1.
+// Usage: npm test (from server/)
+const fs = require("fs");
+const path = require("path");
+
+const { ApiRoutes } = require("../routes");
+const { buildOpenApiDocument } = require("../services/openApiService");
+
+const CLIENT_SERVICES_DIR = path.join(__dirname, "../../client/src/services");
+
+// axios.put(`/api/donations/${taskId}/status`, ...) and friends
+const CLIENT_CALL_PATTERN =
+  /axios\.(get|post|put|patch|delete)\(\s*(["'`])(\/api\/[^"'`]*)\2/g;
+
+// "<entity>Id" parameter names, e.g. donationId or taskId
+const isEntityId = (name) => /^[a-z]+[A-Za-z]*Id$/.test(name || "");
+
+// "/api/x/${taskId}/status" -> ["api", "x", { param: "taskId" }, "status"]
+const toSegments = (url) =>
+  url
+    .split("?")[0]
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => {
+      if (!segment.includes("${")) return segment;
+      return { param: segment.match(/^\$\{\s*(\w+)\s*\}$/)?.[1] || null };
+    });
+
+/**
+ * Helper: true when a client call fits a documented path. A ${value} in
+ * the call fits any segment (e.g. ${action} for /pause), but an ${xId}
+ * only fits a path parameter, and not a different {yId} (e.g. a
+ * donationId sent to /{taskId}/status).
+ */
+const matchesPath = (segments, documentedPath) => {
+  const documented = documentedPath.split("/").filter(Boolean);
+  if (documented.length !== segments.length) return false;
+
+  return documented.every((part, index) => {
+    const segment = segments[index];
+    const param = part.match(/^\{(\w+)\}$/)?.[1];
+    if (typeof segment === "string") return !!param || segment === part;
+    if (!isEntityId(segment.param)) return true;
+    if (!param) return false;
+    return !isEntityId(param) || segment.param === param;
+  });
+};
+
+// Every API call in the client services: [{ method, url, location }]
+const findClientCalls = () =>
+  fs
+    .readdirSync(CLIENT_SERVICES_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .flatMap((file) => {
+      const source = fs.readFileSync(
+        path.join(CLIENT_SERVICES_DIR, file),
+        "utf8"
+      );
+      return [...source.matchAll(CLIENT_CALL_PATTERN)].map((match) => ({
+        method: match[1],
+        url: match[3],
+        location: `${file}:${source.slice(0, match.index).split("\n").length}`,
+      }));
+    });
+
+// Number of fixed (non-parameter) segments in a documented path
+const countFixedSegments = (documentedPath) =>
+  documentedPath.split("/").filter((part) => part && !part.startsWith("{"))
+    .length;
+
+/**
+ * Helper: the documented operation a client call reaches. When several
+ * paths fit (e.g. /pending and /{donationId}), the one with the most fixed
+ * segments wins, as Express tries it first.
+ */
+const findOperation = (paths, { method, url }) => {
+  const segments = toSegments(url);
+  const [documentedPath] = Object.keys(paths)
+    .filter(
+      (documentedPath) =>
+        paths[documentedPath][method] && matchesPath(segments, documentedPath)
+    )
+    .sort((a, b) => countFixedSegments(b) - countFixedSegments(a));
+  return documentedPath ? paths[documentedPath][method] : null;
+};
+
+// Print the calls under a heading (nothing when the list is empty)
+const report = (heading, calls) => {
+  if (calls.length === 0) return;
+  console.error(heading);
+  for (const { method, url, location, successor } of calls) {
+    console.error(
+      `  ${method.toUpperCase()} ${url} (${location})` +
+        (successor ? ` -> use ${successor}` : "")
+    );
+  }
+  process.exitCode = 1;
+};
+
+const main = () => {
+  const { paths } = buildOpenApiDocument(ApiRoutes);
+  const calls = findClientCalls().map((call) => ({
+    ...call,
+    operation: findOperation(paths, call),
+  }));
+
+  const undocumented = calls.filter(({ operation }) => !operation);
+  const deprecated = calls
+    .filter(({ operation }) => operation?.deprecated)
+    .map((call) => ({ ...call, successor: call.operation["x-successor"] }));
+
+  report("Client services call routes that are not documented:", undocumented);
+  report("Client services call deprecated routes:", deprecated);
+  if (process.exitCode) return;
+
+  console.log(`All ${calls.length} client API calls match documented routes.`);
+};
+
+main();
@@ -0,0 +1,53 @@
+// Give a registered account the Admin role. Sign-up only offers Donor and
+// Volunteer, so this is how a new deployment gets its first admin; after
+// that, admins change roles from the user management screen.
+// Run with: npm run grant-admin -- someone@example.org
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const { getUserByEmail, updateUser } = require("../models/userModel");
+const { Organization } = require("../models/organizationModel");
+const { ensureDefaultRoles } = require("../services/permissionService");
+const { syncRoleProfiles } = require("../services/roleProfileService");
+
+const MONGO_URI =
+  process.env.MONGO_URI || "mongodb://localhost:27017/nourishlink";
+
+const grantAdmin = async (email) => {
+  if (!email) {
+    throw new Error("Usage: npm run grant-admin -- <email>");
+  }
+
+  await mongoose.connect(MONGO_URI);
+  console.log("MongoDB Connected");
+
+  // The Admin role may not exist yet on a fresh database
+  await ensureDefaultRoles();
+
+  const user = await getUserByEmail(email.trim());
+  if (!user) {
+    throw new Error(`No account is registered with ${email}.`);
+  }
+
+  // Like a role change on the user management screen: staff leave their
+  // center and the Volunteer/Donor profile is retired
+  const admin = await updateUser(user.uid, {
+    role: "Admin",
+    status: "active",
+    organizationId: null,
+  });
+  await Organization.updateMany(
+    { managerUserId: user.uid },
+    { managerUserId: null }
+  );
+  await syncRoleProfiles(admin);
+
+  console.log(`${admin.name} (${admin.email}) is now an admin.`);
+};
+
+grantAdmin(process.argv[2])
+  .catch((err) => {
+    console.error("GRANT ADMIN ERROR:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
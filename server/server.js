@@ -1,3 +1,18 @@
+// The routes load the shared request schemas (../shared/*.mjs) with
+// require(), which Node only supports from 20.19 (22.12 on Node 22); stop
+// with a clear message instead of crashing on the first import
+const [nodeMajor, nodeMinor] = process.versions.node.split(".").map(Number);
+if (
+  !(nodeMajor === 20 && nodeMinor >= 19) &&
+  !(nodeMajor === 22 && nodeMinor >= 12) &&
+  !(nodeMajor > 22)
+) {
+  console.error(
+    `NourishLink needs Node.js 20.19+ or 22.12+ (see "engines" in package.json); this is ${process.version}.`
+  );
+  process.exit(1);
+}
+
 // Load variables from the .env file (like MongoDB URL, Firebase keys, etc.)
 require("dotenv").config();
 
@@ -32,10 +47,24 @@ if (process.env.FIREBASE_SERVICE_ACCOUNT) {
 }
 
 
-// Import route handlers for users, donations, and geocoding features
-const userRoutes = require("./routes/userRoutes");
-const donationRoutes = require("./routes/donationRoutes");
-const geocodingRoutes = require("./routes/geocodingRoutes");
+// Import the API routers (see routes/index.js) and the API docs
+const { ApiRoutes } = require("./routes");
+const apiDocsRoutes = require("./routes/apiDocsRoutes");
+
+// Records every change made through the API in the audit log
+const { auditTrail, notAudited } = require("./services/auditService");
+
+// Seeds the built-in roles and their default permissions
+const { ensureDefaultRoles } = require("./services/permissionService");
+
+// Background job that cancels donations whose food expired before collection
+const { startExpiryScheduler } = require("./services/expiryScheduler");
+// Background job that suspends volunteers whose documents expired
+const { startVettingScheduler } = require("./services/vettingScheduler");
+// Background job that generates donations from donors' recurring schedules
+const {
+  startRecurringScheduler,
+} = require("./services/recurringDonationScheduler");
 
 
 // Create the Express application
@@ -46,7 +75,10 @@ const PORT = process.env.PORT || 5000;
 // Enable CORS so frontend (localhost:5173) can talk to backend (localhost:5000)
 app.use(cors());
 // Allow Express to read JSON bodies from incoming requests
-app.use(express.json());
+// (large enough for proof-of-handover photos sent as base64)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "12mb" }));
+// Record who changed what (POST / PUT / PATCH / DELETE) in the audit log
+app.use(auditTrail);
 
 
 // Use the MongoDB connection string from .env or use local MongoDB as backup
@@ -56,13 +88,26 @@ const MONGO_URI =
 // Connect to MongoDB and log success or errors
 mongoose
   .connect(MONGO_URI)
-  .then(() => console.log("MongoDB Connected"))
+  .then(() => {
+    console.log("MongoDB Connected");
+    // Make sure the built-in roles exist before requests are checked
+    ensureDefaultRoles().catch((err) => console.error("ROLE SEED ERROR:", err));
+    // Start auto-cancelling expired donations once the database is ready
+    startExpiryScheduler();
+    // Generate upcoming donations for recurring schedules
+    startRecurringScheduler();
+    // Suspend volunteers once an accepted document has expired
+    startVettingScheduler();
+  })
   .catch((err) => console.log("MongoDB connection error:", err));
 
 
 
 // Middleware that checks if the request has a valid Firebase token
 const verifyAuth = async (req, res, next) => {
+  // Already checked when an earlier router on the same path passed it on
+  if (req.user) return next();
+
   // Extract token from the Authorization header (format: "Bearer <token>")
   const token = req.headers.authorization?.split(" ")[1];
 
@@ -102,11 +147,15 @@ const verifyAuth = async (req, res, next) => {
 const User = mongoose.model("User");
 
 
-// Register routes for different sections of the API
-app.use("/api/users", userRoutes);                // Public user routes
-app.use("/api/admin", verifyAuth, donationRoutes); // Admin donation routes (protected)
-app.use("/api/donations", verifyAuth, donationRoutes); // Donor/volunteer donation routes (protected)
-app.use("/api/geocoding", geocodingRoutes);       // Public geocoding routes
+// Register routes for different sections of the API (routes/index.js)
+for (const { path, router, auth, audited } of ApiRoutes) {
+  const middleware = [];
+  if (auth === "required") middleware.push(verifyAuth); // Protected routes
+  if (audited === false) middleware.push(notAudited); // Lookups, not audited
+  app.use(path, ...middleware, router);
+}
+// OpenAPI description and explorer page (public, read-only)
+app.use("/api/docs", notAudited, apiDocsRoutes);
 
 
 // Start the server and print a confirmation message
@@ -0,0 +1,693 @@
+// Import mongoose to generate string IDs for new documents
+const mongoose = require("mongoose");
+
+// Import models used when assigning work to volunteers
+const { Donation } = require("../models/donationModel");
+const { getUserByUid } = require("../models/userModel");
+const {
+  getVolunteerByUserId,
+  isApprovedVolunteer,
+} = require("../models/volunteerModel");
+const {
+  Task,
+  ActiveTaskStatuses,
+  getTaskPhase,
+} = require("../models/taskModel");
+const { incrementMetrics } = require("../models/metricsModel");
+const { withLock, LockBusyError } = require("./lockService");
+
+// Import the state machine so every status change is validated and recorded
+const {
+  buildHistoryEntry,
+  getDonationStatusForTask,
+  transitionDonation,
+  transitionTask,
+  sendTransitionError,
+} = require("./statusMachine");
+// Pickup/drop-off windows and the overlapping-task check
+const {
+  getPickupWindow,
+  getDropoffWindow,
+  assertNoOverlap,
+  OverlappingTaskError,
+} = require("./timeWindowService");
+const { generateHandoffCode } = require("./handoffCodeService");
+const { Permissions, roleCan } = require("./permissionService");
+const { sendValidationError } = require("./validationService");
+const { completeCollection } = require("./lineItemService");
+const { describeAudit } = require("./auditService");
+const {
+  assessCenterFit,
+  assertCenterFit,
+  CenterFitError,
+  sendCenterFitError,
+} = require("./centerFitService");
+
+// Add one to the tasksAssigned counter of a volunteer (atomic, creating
+// their metrics record if it does not exist yet)
+const incrementTasksAssigned = (volunteerId) =>
+  incrementMetrics(volunteerId, "Volunteer", { tasksAssigned: 1 });
+
+// Error thrown when a volunteer already has as many active tasks as they
+// may hold (sent as a 409)
+class ActiveTaskLimitError extends Error {
+  constructor(activeTaskCount) {
+    super(
+      `You already have ${activeTaskCount} active tasks. Finish one before claiming another.`
+    );
+    this.name = "ActiveTaskLimitError";
+    this.status = 409;
+    this.activeTaskCount = activeTaskCount;
+  }
+}
+
+/**
+ * Run assign() while holding the volunteer's assignment lock, so checks
+ * made on their current tasks cannot race with another assignment to
+ * them. With maxActiveTasks, first throws ActiveTaskLimitError when the
+ * volunteer already has that many active tasks.
+ */
+const lockAssignment = (volunteerId, maxActiveTasks, assign) =>
+  withLock(`assignment:${volunteerId}`, async () => {
+    if (maxActiveTasks !== undefined) {
+      const activeTaskCount = await Task.countDocuments({
+        volunteerId,
+        status: { $in: ActiveTaskStatuses },
+      });
+      if (activeTaskCount >= maxActiveTasks) {
+        throw new ActiveTaskLimitError(activeTaskCount);
+      }
+    }
+    return assign();
+  });
+
+// Error thrown when a task is given to someone who cannot take it: no
+// such user, a role that cannot work tasks, or a deactivated volunteer.
+// Routes send it as a 400 error on the field that named the volunteer.
+class VolunteerNotAssignableError extends Error {
+  constructor(message, field = "volunteerId") {
+    super(message);
+    this.name = "VolunteerNotAssignableError";
+    this.status = 400;
+    this.field = field;
+  }
+}
+
+/**
+ * Throw VolunteerNotAssignableError unless the user can be given tasks:
+ * they exist, are active, their role has tasks.work and their volunteer
+ * profile (when they have one) is active. field is the request field
+ * reported in the error.
+ */
+const assertAssignableVolunteer = async (volunteerId, field) => {
+  const user = await getUserByUid(volunteerId);
+  if (!user) {
+    throw new VolunteerNotAssignableError(
+      `No user found with ID ${volunteerId}.`,
+      field
+    );
+  }
+  if (!(await roleCan(user.role, Permissions.TASKS_WORK))) {
+    throw new VolunteerNotAssignableError(
+      `${user.name} is not a volunteer.`,
+      field
+    );
+  }
+  const volunteer = await getVolunteerByUserId(volunteerId);
+  if (user.status === "inactive" || volunteer?.status === "inactive") {
+    throw new VolunteerNotAssignableError(
+      `${user.name} is inactive and cannot be given tasks.`,
+      field
+    );
+  }
+  if (volunteer && !isApprovedVolunteer(volunteer)) {
+    throw new VolunteerNotAssignableError(
+      `${user.name} has not been approved as a volunteer (${volunteer.vetting.status}).`,
+      field
+    );
+  }
+};
+
+/**
+ * Build the filter used to atomically take a donation out of a queue.
+ * Self-claims additionally require that claiming is enabled on the donation.
+ */
+const buildQueueFilter = (donationId, status, claim) => {
+  const filter = { donationId, status };
+  if (claim) {
+    filter.claimingEnabled = { $ne: false };
+  }
+  return filter;
+};
+
+// Donation fields describing where and when the food will be dropped off
+const buildDropoffFields = (dropoffOrganization, window) => ({
+  dropoffOrganizationId: dropoffOrganization.organizationId,
+  dropoffLocation: {
+    type: "Point",
+    coordinates: dropoffOrganization.coordinates,
+  },
+  dropoffAddress: dropoffOrganization.address,
+  dropoffWindowStart: window.start,
+  dropoffWindowEnd: window.end,
+});
+
+// Drop-off fields removed again when a drop-off assignment is undone
+const DropoffFieldsUnset = {
+  dropoffOrganizationId: 1,
+  dropoffLocation: 1,
+  dropoffAddress: 1,
+  dropoffWindowStart: 1,
+  dropoffWindowEnd: 1,
+};
+
+/**
+ * Check that the drop-off center can take the donation.
+ * Throws CenterFitError unless overrideFit is set (admins only);
+ * returns the fit with its warnings.
+ */
+const checkCenterFit = (center, donation, { dropoffWindow, overrideFit }) => {
+  const options = { window: dropoffWindow };
+  return overrideFit
+    ? assessCenterFit(center, donation, options)
+    : assertCenterFit(center, donation, options);
+};
+
+/**
+ * Assign a collection task for a pending donation to a volunteer.
+ * The donation status is flipped atomically first, so the same donation
+ * can never end up with two collection tasks.
+ * The task gets a one-time pickup code that the donor reads out.
+ * Pass { claim: true } when the volunteer claimed the task themselves,
+ * and changedBy with the UID of the user making the assignment.
+ * Returns null when the donation is missing or no longer pendingAssignment.
+ * Throws OverlappingTaskError when the volunteer already has a task
+ * during the donation's pickup window, and VolunteerNotAssignableError
+ * when they cannot be given tasks.
+ * Pass maxActiveTasks to refuse volunteers who already have that many
+ * active tasks (ActiveTaskLimitError). The whole assignment runs under the
+ * volunteer's assignment lock, so two assignments to the same volunteer
+ * cannot both pass the overlap and workload checks.
+ */
+const assignCollectionTask = (
+  donationId,
+  volunteerId,
+  { claim = false, changedBy, maxActiveTasks } = {}
+) =>
+  lockAssignment(volunteerId, maxActiveTasks, async () => {
+    const reason = claim
+      ? `Claimed by volunteer ${volunteerId}`
+      : `Assigned to volunteer ${volunteerId}`;
+
+    const pending = await Donation.findOne({ donationId });
+    if (!pending) return null;
+
+    await assertAssignableVolunteer(volunteerId);
+    const window = getPickupWindow(pending);
+    await assertNoOverlap(volunteerId, window);
+
+    const donation = await transitionDonation(
+      buildQueueFilter(donationId, "pendingAssignment", claim),
+      "assignedForCollection",
+      { changedBy, reason }
+    );
+
+    if (!donation) return null;
+
+    let task;
+    try {
+      const taskId = new mongoose.Types.ObjectId().toHexString();
+      task = await Task.create({
+        taskId,
+        donationId,
+        volunteerId,
+        taskType: "collection",
+        status: "assigned",
+        statusHistory: [
+          buildHistoryEntry(null, "assigned", { changedBy, reason }),
+        ],
+        selfClaimed: claim,
+        location: {
+          type: "Point",
+          coordinates: donation.pickupLocation.coordinates,
+        },
+        address: donation.pickupAddress,
+        windowStart: window.start,
+        windowEnd: window.end,
+        handoffCode: generateHandoffCode(),
+        handoffCodeIssuedAt: new Date(),
+      });
+    } catch (error) {
+      // Put the donation back in the queue if the task could not be created
+      await transitionDonation({ donationId }, "pendingAssignment", {
+        changedBy: "system",
+        reason: "Collection task could not be created",
+      });
+      throw error;
+    }
+
+    // Metrics are informational, so a failure here should not undo the assignment
+    try {
+      await incrementTasksAssigned(volunteerId);
+    } catch (err) {
+      console.error("METRICS UPDATE ERROR (assign collection):", err);
+    }
+
+    return { donation, task };
+  });
+
+/**
+ * Assign a distribution task for a collected donation to a volunteer,
+ * delivering to the given drop-off organization.
+ * The task gets a one-time drop-off code for the receiving organization.
+ * Works like assignCollectionTask: the donation is moved to
+ * assignedForDistribution atomically before the task is created.
+ * The drop-off window defaults to the center's next receiving hours;
+ * pass dropoffWindow ({ start, end }) to override it.
+ * Throws CenterFitError when the center is closed, full or does not take
+ * the food, unless overrideFit is set. The result includes the center's
+ * fit warnings.
+ * Returns null when the donation is missing or not in "collected" status.
+ */
+const assignDistributionTask = (
+  donationId,
+  volunteerId,
+  dropoffOrganization,
+  {
+    claim = false,
+    changedBy,
+    dropoffWindow,
+    overrideFit = false,
+    maxActiveTasks,
+  } = {}
+) =>
+  lockAssignment(volunteerId, maxActiveTasks, async () => {
+    const reason = `${
+      claim ? "Claimed by" : "Assigned to"
+    } volunteer ${volunteerId} for drop-off at ${dropoffOrganization.name}`;
+
+    const collected = await Donation.findOne({ donationId });
+    if (!collected) return null;
+
+    await assertAssignableVolunteer(volunteerId);
+
+    const fit = checkCenterFit(dropoffOrganization, collected, {
+      dropoffWindow,
+      overrideFit,
+    });
+
+    const window = dropoffWindow || getDropoffWindow(dropoffOrganization);
+    await assertNoOverlap(volunteerId, window);
+
+    const donation = await transitionDonation(
+      buildQueueFilter(donationId, "collected", claim),
+      "assignedForDistribution",
+      {
+        changedBy,
+        reason,
+        set: buildDropoffFields(dropoffOrganization, window),
+      }
+    );
+
+    if (!donation) return null;
+
+    let task;
+    try {
+      const taskId = new mongoose.Types.ObjectId().toHexString();
+      task = await Task.create({
+        taskId,
+        donationId,
+        volunteerId,
+        taskType: "distribution",
+        status: "assigned",
+        statusHistory: [
+          buildHistoryEntry(null, "assigned", { changedBy, reason }),
+        ],
+        selfClaimed: claim,
+        location: {
+          type: "Point",
+          coordinates: dropoffOrganization.coordinates,
+        },
+        address: dropoffOrganization.address,
+        dropoffOrganizationId: dropoffOrganization.organizationId,
+        windowStart: window.start,
+        windowEnd: window.end,
+        handoffCode: generateHandoffCode(),
+        handoffCodeIssuedAt: new Date(),
+      });
+    } catch (error) {
+      // Return the donation to the distribution queue if the task failed
+      await transitionDonation({ donationId }, "collected", {
+        changedBy: "system",
+        reason: "Distribution task could not be created",
+        unset: DropoffFieldsUnset,
+      });
+      throw error;
+    }
+
+    try {
+      await incrementTasksAssigned(volunteerId);
+    } catch (err) {
+      console.error("METRICS UPDATE ERROR (assign distribution):", err);
+    }
+
+    return { donation, task, warnings: fit.warnings };
+  });
+
+/**
+ * Assign a direct delivery task for a pending donation: the volunteer picks
+ * the food up from the donor and takes it straight to the drop-off
+ * organization, without a separate distribution assignment.
+ * The donation moves to assignedForCollection (with its drop-off point set)
+ * and one task is created with a pickup leg and a drop-off leg, each with
+ * its own one-time handoff code.
+ * The drop-off window defaults to the center's receiving hours from the
+ * start of the pickup window; pass dropoffWindow ({ start, end }) to
+ * override it. The volunteer must be free from pickup start to drop-off end.
+ * The center is checked like in assignDistributionTask.
+ * Returns null when the donation is missing or no longer pendingAssignment.
+ */
+const assignDirectDeliveryTask = (
+  donationId,
+  volunteerId,
+  dropoffOrganization,
+  { changedBy, dropoffWindow, overrideFit = false, maxActiveTasks } = {}
+) =>
+  lockAssignment(volunteerId, maxActiveTasks, async () => {
+    const reason = `Assigned to volunteer ${volunteerId} for direct delivery to ${dropoffOrganization.name}`;
+
+    const pending = await Donation.findOne({ donationId });
+    if (!pending) return null;
+
+    await assertAssignableVolunteer(volunteerId);
+    const fit = checkCenterFit(dropoffOrganization, pending, {
+      dropoffWindow,
+      overrideFit,
+    });
+
+    const pickupWindow = getPickupWindow(pending);
+    const window =
+      dropoffWindow ||
+      getDropoffWindow(dropoffOrganization, pickupWindow.start);
+    const taskWindow = {
+      start: pickupWindow.start,
+      end: window.end > pickupWindow.end ? window.end : pickupWindow.end,
+    };
+    await assertNoOverlap(volunteerId, taskWindow);
+
+    const donation = await transitionDonation(
+      buildQueueFilter(donationId, "pendingAssignment", false),
+      "assignedForCollection",
+      {
+        changedBy,
+        reason,
+        set: buildDropoffFields(dropoffOrganization, window),
+      }
+    );
+
+    if (!donation) return null;
+
+    let task;
+    try {
+      const taskId = new mongoose.Types.ObjectId().toHexString();
+      task = await Task.create({
+        taskId,
+        donationId,
+        volunteerId,
+        taskType: "directDelivery",
+        leg: "pickup",
+        status: "assigned",
+        statusHistory: [
+          buildHistoryEntry(null, "assigned", { changedBy, reason }),
+        ],
+        location: {
+          type: "Point",
+          coordinates: donation.pickupLocation.coordinates,
+        },
+        address: donation.pickupAddress,
+        dropoffLocation: {
+          type: "Point",
+          coordinates: dropoffOrganization.coordinates,
+        },
+        dropoffAddress: dropoffOrganization.address,
+        dropoffOrganizationId: dropoffOrganization.organizationId,
+        windowStart: taskWindow.start,
+        windowEnd: taskWindow.end,
+        pickupWindowEnd: pickupWindow.end,
+        handoffCode: generateHandoffCode(),
+        handoffCodeIssuedAt: new Date(),
+        dropoffHandoffCode: generateHandoffCode(),
+      });
+    } catch (error) {
+      await transitionDonation({ donationId }, "pendingAssignment", {
+        changedBy: "system",
+        reason: "Direct delivery task could not be created",
+        unset: DropoffFieldsUnset,
+      });
+      throw error;
+    }
+
+    try {
+      await incrementTasksAssigned(volunteerId);
+    } catch (err) {
+      console.error("METRICS UPDATE ERROR (assign direct delivery):", err);
+    }
+
+    return { donation, task, warnings: fit.warnings };
+  });
+
+/**
+ * Give a task (usually one with a reported issue) to another volunteer and
+ * clear its issue flags. The volunteer must be free during the task's
+ * window; the overlap check and the change run under their assignment lock.
+ * Returns { previous, task } with the task before and after the change, or
+ * null when the task does not exist or was changed in the meantime.
+ * Throws OverlappingTaskError when the volunteer is busy.
+ */
+const reassignTask = (taskId, volunteerId, { changedBy, reason } = {}) =>
+  lockAssignment(volunteerId, undefined, async () => {
+    const previous = await Task.findOne({ taskId });
+    if (!previous) return null;
+
+    if (previous.windowStart && previous.windowEnd) {
+      await assertNoOverlap(
+        volunteerId,
+        { start: previous.windowStart, end: previous.windowEnd },
+        taskId
+      );
+    }
+
+    const task = await transitionTask(
+      { taskId, status: previous.status },
+      "assigned",
+      {
+        changedBy,
+        reason: reason || `Reassigned to volunteer ${volunteerId}`,
+        set: {
+          volunteerId,
+          issueReported: false,
+          issueNotes: null,
+          assignedAt: new Date(),
+        },
+      }
+    );
+
+    return task && { previous, task };
+  });
+
+/**
+ * Complete the pickup leg of a direct delivery task.
+ * The task stays active and moves on to its drop-off leg: the drop-off code
+ * becomes the code to enter and any location override is cleared.
+ * The donation is marked collected and goes straight on to
+ * assignedForDistribution.
+ * Returns the updated task, or null if the task was changed in the meantime.
+ */
+const completePickupLeg = async (task, donation, { changedBy, proof }) => {
+  const withCode = await Task.findOne({ taskId: task.taskId }).select(
+    "+dropoffHandoffCode"
+  );
+  const now = new Date();
+
+  const updatedTask = await Task.findOneAndUpdate(
+    {
+      taskId: task.taskId,
+      leg: "pickup",
+      status: { $in: ActiveTaskStatuses },
+    },
+    {
+      $set: {
+        leg: "dropoff",
+        pickupCompletedAt: now,
+        pickupProof: proof,
+        handoffCode: withCode.dropoffHandoffCode,
+        handoffCodeIssuedAt: now,
+      },
+      $unset: { dropoffHandoffCode: 1, locationOverride: 1 },
+      $push: {
+        statusHistory: buildHistoryEntry(task.status, task.status, {
+          changedBy,
+          reason: "Pickup leg completed",
+        }),
+      },
+    },
+    { new: true }
+  );
+
+  if (!updatedTask) return null;
+
+  await transitionDonation(
+    { donationId: task.donationId, status: "assignedForCollection" },
+    "collected",
+    {
+      changedBy,
+      reason: "directDelivery task pickup completed",
+      set: {
+        collectedAt: now,
+        collectedByVolunteerId: task.volunteerId,
+        items: completeCollection(donation.toObject().items),
+      },
+    }
+  );
+  await transitionDonation(
+    { donationId: task.donationId, status: "collected" },
+    "assignedForDistribution",
+    { changedBy: "system", reason: "Direct delivery: drop-off leg started" }
+  );
+
+  return updatedTask;
+};
+
+/**
+ * Cancel a donation that has not been collected yet, together with any
+ * open collection (or direct delivery) task for it.
+ * Options: changedBy, reason (history entry), cancellationReason (stored
+ * on the donation, e.g. "expired"), now.
+ * Returns the cancelled donation, or null if it was changed in the meantime.
+ */
+const cancelDonation = async (
+  donation,
+  { changedBy = "system", reason, cancellationReason, now = new Date() } = {}
+) => {
+  const cancelled = await transitionDonation(
+    { donationId: donation.donationId, status: donation.status },
+    "cancelled",
+    {
+      changedBy,
+      reason,
+      set: { cancelledAt: now, cancellationReason },
+    }
+  );
+
+  if (!cancelled) return null;
+
+  const openTasks = await Task.find({
+    donationId: donation.donationId,
+    taskType: { $in: ["collection", "directDelivery"] },
+    status: { $in: [...ActiveTaskStatuses, "pendingReview"] },
+  });
+
+  for (const task of openTasks) {
+    await transitionTask({ taskId: task.taskId }, "cancelled", {
+      changedBy,
+      reason: `Donation cancelled: ${reason}`,
+    });
+  }
+
+  return cancelled;
+};
+
+/**
+ * Staff of the receiving center refuse a delivery that is on its way.
+ * The task fails with the reason, and the donation goes back to the admin
+ * queue without a drop-off point (collected, or pendingAssignment when a
+ * direct delivery had not picked up yet).
+ * Returns the failed task, or null when it was changed in the meantime.
+ */
+const rejectDelivery = async (task, { changedBy, organizationId, reason }) => {
+  const updatedTask = await transitionTask(
+    { taskId: task.taskId, status: task.status },
+    "failed",
+    {
+      changedBy,
+      reason,
+      set: {
+        rejectedByOrganizationId: organizationId,
+        rejectionReason: reason,
+        rejectedAt: new Date(),
+      },
+    }
+  );
+
+  if (!updatedTask) return null;
+
+  await transitionDonation(
+    { donationId: task.donationId },
+    getDonationStatusForTask(getTaskPhase(task), "failed"),
+    { changedBy, reason, unset: DropoffFieldsUnset }
+  );
+
+  return updatedTask;
+};
+
+/**
+ * Express helper: sends the response for errors raised while assigning
+ * (400 when the volunteer cannot be given tasks, 409 for an illegal status
+ * change, an overlapping task, a volunteer at their active task limit or
+ * another assignment to them in progress, 422 when the drop-off center
+ * cannot take the donation).
+ * Returns true when the error was handled.
+ */
+const sendAssignmentError = (res, error) => {
+  if (error instanceof CenterFitError) return sendCenterFitError(res, error);
+  if (error instanceof VolunteerNotAssignableError) {
+    sendValidationError(res, { [error.field]: error.message });
+    return true;
+  }
+  if (error instanceof OverlappingTaskError) {
+    res.status(409).json({
+      message: error.message,
+      conflictingTaskId: error.conflictingTaskId,
+    });
+    return true;
+  }
+  if (error instanceof ActiveTaskLimitError || error instanceof LockBusyError) {
+    res.status(409).json({ message: error.message });
+    return true;
+  }
+  return sendTransitionError(res, error);
+};
+
+/**
+ * Express helper: records in the audit log which volunteer and task an
+ * assignment ({ donation, task }) gave the donation.
+ */
+const describeAssignment = (res, { donation, task }) =>
+  describeAudit(res, {
+    targetType: "donation",
+    targetId: donation.donationId,
+    after: {
+      status: donation.status,
+      taskId: task.taskId,
+      taskType: task.taskType,
+      volunteerId: task.volunteerId,
+      dropoffOrganizationId: donation.dropoffOrganizationId,
+    },
+  });
+
+module.exports = {
+  incrementTasksAssigned,
+  VolunteerNotAssignableError,
+  ActiveTaskLimitError,
+  assertAssignableVolunteer,
+  assignCollectionTask,
+  assignDistributionTask,
+  assignDirectDeliveryTask,
+  reassignTask,
+  completePickupLeg,
+  DropoffFieldsUnset,
+  cancelDonation,
+  rejectDelivery,
+  describeAssignment,
+  sendAssignmentError,
+};
@@ -0,0 +1,267 @@
+// Append-only audit log of changes made through the API. Every POST, PUT,
+// PATCH and DELETE that reaches a route is recorded with who made it, from
+// where, and what changed. Entries are hash-chained so that editing or
+// removing one is detected by verifyAuditChain.
+const crypto = require("crypto");
+
+const { AuditLog, getLastAuditEntry } = require("../models/auditLogModel");
+
+// HTTP methods that change data
+const MutatingMethods = ["POST", "PUT", "PATCH", "DELETE"];
+
+// Request fields never written to the log (photos, uploaded documents,
+// handoff codes, secrets)
+const RedactedFields = [
+  "proof",
+  "photo",
+  "signature",
+  "file",
+  "handoffCode",
+  "password",
+  "token",
+];
+
+// Longest string kept in an entry (default: 500 characters)
+const MAX_AUDIT_STRING_LENGTH =
+  Number(process.env.MAX_AUDIT_STRING_LENGTH) || 500;
+
+// Times an append is retried when another entry took its sequence number
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Nesting kept when copying values into an entry
+const MAX_AUDIT_DEPTH = 5;
+
+// Copy of a value that is safe to store: Mongoose documents and dates
+// flattened, redacted fields replaced and long strings shortened
+const sanitize = (value, depth = 0) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value.toObject === "function") value = value.toObject();
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toHexString === "function") return value.toHexString();
+  if (typeof value === "string") {
+    return value.length > MAX_AUDIT_STRING_LENGTH
+      ? `${value.slice(0, MAX_AUDIT_STRING_LENGTH)}…`
+      : value;
+  }
+  if (typeof value !== "object") return value;
+  if (depth >= MAX_AUDIT_DEPTH) return "[nested]";
+  if (Array.isArray(value)) {
+    return value.map((item) => sanitize(item, depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key, item]) => key !== "__v" && item !== undefined)
+      .map(([key, item]) => [
+        key,
+        RedactedFields.includes(key) ? "[redacted]" : sanitize(item, depth + 1),
+      ])
+  );
+};
+
+// JSON with object keys sorted, so equal values always give the same text
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalJson(item ?? null)).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Top-level fields that differ between before and after
+const diffObjects = (before, after) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  return [...fields]
+    .filter(
+      (field) =>
+        canonicalJson(before?.[field]) !== canonicalJson(after?.[field])
+    )
+    .map((field) => ({ field, from: before?.[field], to: after?.[field] }));
+};
+
+// Hash of an entry's content chained to the previous entry's hash
+const hashEntry = (entry) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      canonicalJson({
+        sequence: entry.sequence,
+        prevHash: entry.prevHash,
+        createdAt: new Date(entry.createdAt).toISOString(),
+        actorUid: entry.actorUid ?? null,
+        actorName: entry.actorName ?? null,
+        actorRole: entry.actorRole ?? null,
+        action: entry.action,
+        method: entry.method,
+        path: entry.path,
+        statusCode: entry.statusCode,
+        targetType: entry.targetType ?? null,
+        targetId: entry.targetId ?? null,
+        before: entry.before ?? null,
+        after: entry.after ?? null,
+        changes: entry.changes || [],
+        ip: entry.ip ?? null,
+      })
+    )
+    .digest("hex");
+
+// Insert one entry at the end of the chain, retrying when a concurrent
+// insert (e.g. from another server instance) took the sequence number
+const insertEntry = async (data) => {
+  for (let attempt = 1; ; attempt++) {
+    const last = await getLastAuditEntry();
+    const entry = {
+      ...data,
+      sequence: (last?.sequence || 0) + 1,
+      prevHash: last?.hash || "",
+      createdAt: new Date(),
+    };
+    try {
+      return await AuditLog.create({ ...entry, hash: hashEntry(entry) });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw err;
+    }
+  }
+};
+
+// Appends run one at a time in this process so they chain in order
+let appendQueue = Promise.resolve();
+
+/**
+ * Append an entry to the audit log.
+ * data: { actorUid, actorName, actorRole, action, method, path, statusCode,
+ *         targetType, targetId, before, after, ip }
+ */
+const appendAuditEntry = (data) => {
+  const before = sanitize(data.before ?? null);
+  const after = sanitize(data.after ?? null);
+  const result = appendQueue.then(() =>
+    insertEntry({
+      ...data,
+      before,
+      after,
+      changes: sanitize(diffObjects(before, after)),
+    })
+  );
+  appendQueue = result.catch(() => {});
+  return result;
+};
+
+// Only the given fields of a document, e.g. to log the fields an update set
+const pickFields = (doc, fields) =>
+  Object.fromEntries(
+    fields.map((field) => [field, doc?.get ? doc.get(field) : doc?.[field]])
+  );
+
+/**
+ * Let a route say what it changed, for its audit entry:
+ * { targetType, targetId, before, after }. Without it the entry records
+ * the request body as "after".
+ */
+const describeAudit = (res, details) => {
+  res.locals.audit = { ...res.locals.audit, ...details };
+};
+
+/**
+ * Middleware: records every mutating request that reached a route, once
+ * the response has been sent. The change itself is not held up or undone
+ * when writing the entry fails; the failure is logged instead.
+ */
+const auditTrail = (req, res, next) => {
+  if (!MutatingMethods.includes(req.method)) return next();
+
+  res.on("finish", () => {
+    if (!req.route || res.locals.skipAudit) return;
+
+    const described = res.locals.audit || {};
+    const hasBody = req.body && Object.keys(req.body).length > 0;
+    const firstParam = Object.values(req.params || {})[0];
+
+    appendAuditEntry({
+      actorUid: req.user?.uid || req.firebaseUid || null,
+      actorName: req.user?.name || null,
+      actorRole: req.user?.role || null,
+      action: `${req.method} ${req.baseUrl}${req.route.path}`,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      statusCode: res.statusCode,
+      targetType: described.targetType || req.baseUrl.split("/").pop() || null,
+      targetId: described.targetId ?? firstParam ?? null,
+      before: described.before,
+      after: described.after ?? (hasBody ? req.body : null),
+      ip: req.ip || null,
+    }).catch((err) => console.error("AUDIT LOG ERROR:", err));
+  });
+
+  next();
+};
+
+// Middleware: leaves a router's requests out of the audit log (for POST
+// routes that only look data up, e.g. geocoding)
+const notAudited = (req, res, next) => {
+  res.locals.skipAudit = true;
+  next();
+};
+
+/**
+ * Check a chain of entries (documents or plain objects, in sequence order,
+ * from an array or a cursor): every entry still has its original content
+ * and links to the entry before it.
+ * Returns { valid, checked, lastHash } or, when broken,
+ * { valid: false, checked, brokenAt, reason }.
+ */
+const verifyAuditEntries = async (entries) => {
+  let prevHash = "";
+  let expectedSequence = 1;
+
+  for await (const doc of entries) {
+    const entry = typeof doc.toObject === "function" ? doc.toObject() : doc;
+    const broken = (reason) => ({
+      valid: false,
+      checked: expectedSequence - 1,
+      brokenAt: expectedSequence,
+      reason,
+    });
+
+    if (entry.sequence !== expectedSequence) {
+      return broken(`Entry ${expectedSequence} is missing.`);
+    }
+    if (entry.prevHash !== prevHash) {
+      return broken("Entry does not link to the entry before it.");
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      return broken("Entry was changed after it was written.");
+    }
+
+    prevHash = entry.hash;
+    expectedSequence++;
+  }
+
+  // Keep lastHash elsewhere (e.g. with an export) to also detect removal
+  // of the newest entries
+  return { valid: true, checked: expectedSequence - 1, lastHash: prevHash };
+};
+
+// Walk the whole stored chain (see verifyAuditEntries)
+const verifyAuditChain = () =>
+  verifyAuditEntries(AuditLog.find().sort({ sequence: 1 }).cursor());
+
+module.exports = {
+  appendAuditEntry,
+  auditTrail,
+  describeAudit,
+  diffObjects,
+  hashEntry,
+  notAudited,
+  pickFields,
+  verifyAuditEntries,
+  verifyAuditChain,
+};
@@ -0,0 +1,260 @@
+// Volunteer availability: weekly times, days off and a daily task limit
+// (Volunteer.availability). Used by the matching engine, the admin volunteer
+// list and the admin coverage calendar.
+const { Donation } = require("../models/donationModel");
+const { Task } = require("../models/taskModel");
+const { getActiveVolunteers } = require("../models/volunteerModel");
+const { User } = require("../models/userModel");
+const { toDateKey, parseDateKey, addDays } = require("./recurrenceService");
+const { Permissions, getRolesWithPermission } = require("./permissionService");
+
+// Task statuses that do not take up a volunteer's day
+const DroppedTaskStatuses = ["cancelled", "failed"];
+
+// Time zone of the server, which day keys are in (see recurrenceService)
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// "HH:MM" as minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes after local midnight of a Date
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+/**
+ * The part of a window ({ start, end }) on each local day it touches:
+ * [{ day: "YYYY-MM-DD", weekday, start, end }] with start and end in
+ * minutes after midnight (end 1440 when it runs on into the next day).
+ */
+const splitByDay = ({ start, end }) => {
+  const parts = [];
+  let dayStart = parseDateKey(toDateKey(start));
+  do {
+    const nextDay = addDays(dayStart, 1);
+    parts.push({
+      day: toDateKey(dayStart),
+      weekday: dayStart.getDay(),
+      start: start > dayStart ? minutesOfDay(start) : 0,
+      end: end < nextDay ? minutesOfDay(end) : 24 * 60,
+    });
+    dayStart = nextDay;
+  } while (dayStart < end);
+  return parts;
+};
+
+/**
+ * Why the volunteer cannot take a task in the window ({ start, end }), or
+ * null when they can. Every day the window touches must not be a day off
+ * and must have weekly times overlapping it. tasksThatDay is the number of
+ * tasks they already have on the day the window starts.
+ */
+const getAvailabilityIssue = (availability, window, tasksThatDay = 0) => {
+  const {
+    weekly = [],
+    blackoutDates = [],
+    maxTasksPerDay,
+  } = availability || {};
+  const parts = splitByDay(window);
+
+  const dayOff = parts.find((part) => blackoutDates.includes(part.day));
+  if (dayOff) {
+    return `Day off on ${dayOff.day}.`;
+  }
+
+  if (weekly.length > 0) {
+    const fits = parts.every((part) =>
+      weekly.some(
+        (slot) =>
+          slot.weekday === part.weekday &&
+          toMinutes(slot.start) < part.end &&
+          toMinutes(slot.end) > part.start
+      )
+    );
+    if (!fits) return "Not available at this time.";
+  }
+
+  if (maxTasksPerDay && tasksThatDay >= maxTasksPerDay) {
+    return `Already has ${tasksThatDay} task(s) that day (limit ${maxTasksPerDay}).`;
+  }
+
+  return null;
+};
+
+/**
+ * Number of tasks each volunteer has on each local day from firstDay up to
+ * (not including) lastDay, counted by the day their window starts
+ * (cancelled and failed tasks do not count). One query for the whole
+ * range. Returns a map of "YYYY-MM-DD" -> volunteerId -> count.
+ */
+const getTaskCountsByDay = async (volunteerIds, firstDay, lastDay) => {
+  const counts = await Task.aggregate([
+    {
+      $match: {
+        volunteerId: { $in: volunteerIds },
+        status: { $nin: DroppedTaskStatuses },
+        windowStart: { $gte: firstDay, $lt: lastDay },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          volunteerId: "$volunteerId",
+          day: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$windowStart",
+              timezone: LOCAL_TIME_ZONE,
+            },
+          },
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return counts.reduce((map, { _id, count }) => {
+    map[_id.day] = { ...map[_id.day], [_id.volunteerId]: count };
+    return map;
+  }, {});
+};
+
+/**
+ * Number of tasks each volunteer has on the given local day (see
+ * getTaskCountsByDay). Returns a map of volunteerId -> count.
+ */
+const getTaskCountsOnDay = async (volunteerIds, date) => {
+  const dayStart = parseDateKey(toDateKey(date));
+  const counts = await getTaskCountsByDay(
+    volunteerIds,
+    dayStart,
+    addDays(dayStart, 1)
+  );
+  return counts[toDateKey(dayStart)] || {};
+};
+
+/**
+ * Availability problem of each volunteer (Volunteer documents) for a
+ * window. Returns a map of volunteerId -> message, for unavailable
+ * volunteers only.
+ */
+const getAvailabilityIssues = async (volunteers, window) => {
+  const taskCounts = await getTaskCountsOnDay(
+    volunteers.map((vol) => vol.userId),
+    window.start
+  );
+
+  return volunteers.reduce((issues, vol) => {
+    const issue = getAvailabilityIssue(
+      vol.availability,
+      window,
+      taskCounts[vol.userId] || 0
+    );
+    if (issue) issues[vol.userId] = issue;
+    return issues;
+  }, {});
+};
+
+/**
+ * Coverage calendar for admins: for each day from `from` ("YYYY-MM-DD"),
+ * how many active volunteers are available in each hour, the pickups still
+ * waiting for a volunteer, and the hours where pickups start but nobody is
+ * available (gaps). Volunteers without weekly times count as available
+ * and are reported as `withoutWeeklyTimes`.
+ */
+const getCoverage = async (from, days) => {
+  const firstDay = parseDateKey(from);
+  const lastDay = addDays(firstDay, days);
+
+  const [profiles, pickups] = await Promise.all([
+    getActiveVolunteers(),
+    Donation.find({
+      status: "pendingAssignment",
+      availabilityTime: { $gte: firstDay, $lt: lastDay },
+    }).select("donationId itemType availabilityTime pickupWindowEnd"),
+  ]);
+
+  // Only volunteers whose account is active and whose role still works tasks
+  const activeUsers = await User.find({
+    uid: { $in: profiles.map((vol) => vol.userId) },
+    role: { $in: await getRolesWithPermission(Permissions.TASKS_WORK) },
+    status: "active",
+  }).select("uid");
+  const activeIds = new Set(activeUsers.map((user) => user.uid));
+  const volunteers = profiles.filter((vol) => activeIds.has(vol.userId));
+  const taskCountsByDay = await getTaskCountsByDay(
+    volunteers.map((vol) => vol.userId),
+    firstDay,
+    lastDay
+  );
+
+  const calendar = [];
+  for (let offset = 0; offset < days; offset++) {
+    const day = addDays(firstDay, offset);
+    const date = toDateKey(day);
+    const taskCounts = taskCountsByDay[date] || {};
+
+    const hours = [];
+    for (let hour = 0; hour < 24; hour++) {
+      const start = new Date(day);
+      start.setHours(hour);
+      const end = new Date(start);
+      end.setHours(hour, 59, 59);
+
+      const available = volunteers.filter(
+        (vol) =>
+          !getAvailabilityIssue(
+            vol.availability,
+            { start, end },
+            taskCounts[vol.userId] || 0
+          )
+      ).length;
+      const pickupsStarting = pickups.filter(
+        (donation) =>
+          toDateKey(donation.availabilityTime) === date &&
+          donation.availabilityTime.getHours() === hour
+      ).length;
+
+      hours.push({ hour, available, pickupsStarting });
+    }
+
+    calendar.push({
+      date,
+      weekday: day.getDay(),
+      daysOff: volunteers.filter((vol) =>
+        vol.availability?.blackoutDates?.includes(date)
+      ).length,
+      hours,
+      pickups: pickups
+        .filter((donation) => toDateKey(donation.availabilityTime) === date)
+        .map((donation) => ({
+          donationId: donation.donationId,
+          itemType: donation.itemType,
+          availabilityTime: donation.availabilityTime,
+          pickupWindowEnd: donation.pickupWindowEnd,
+        })),
+      gaps: hours
+        .filter((slot) => slot.pickupsStarting > 0 && slot.available === 0)
+        .map((slot) => slot.hour),
+    });
+  }
+
+  return {
+    from,
+    days,
+    volunteers: volunteers.length,
+    withoutWeeklyTimes: volunteers.filter(
+      (vol) => !vol.availability?.weekly?.length
+    ).length,
+    calendar,
+  };
+};
+
+module.exports = {
+  getAvailabilityIssue,
+  getTaskCountsByDay,
+  getTaskCountsOnDay,
+  getAvailabilityIssues,
+  getCoverage,
+};
@@ -0,0 +1,100 @@
+// Volunteer capabilities (Volunteer.capabilities): whether a volunteer's
+// vehicle, equipment and certificate fit a donation's size and storage.
+// Used by the matching engine and the admin volunteer list.
+const { distanceInMeters, isValidCoordinates } = require("./geoService");
+
+// Item types only certified food handlers may move (cooked meals)
+const CertifiedItemTypes = ["Prepared Food"];
+
+// Storage requirements that need a cooler, fridge or freezer
+const RefrigeratedStorage = ["chilled", "frozen"];
+
+// True when the donation (or one of its line items) is of a given type
+const hasItemType = (donation, itemTypes) =>
+  itemTypes.includes(donation.itemType) ||
+  (donation.items || []).some((item) => itemTypes.includes(item.itemType));
+
+// Certificate counts when there is one and it has not expired
+const hasValidCertificate = (capabilities, now = new Date()) =>
+  !!capabilities.foodHandlerCertified &&
+  (!capabilities.foodHandlerCertExpiresAt ||
+    new Date(capabilities.foodHandlerCertExpiresAt) > now);
+
+/**
+ * Reasons the volunteer cannot take the donation with what they have, as a
+ * list of messages (empty when they can). distanceKm is how far the pickup
+ * is from their home, or null when unknown. Volunteers who have not filled
+ * in their capabilities are not checked.
+ */
+const getCapabilityIssues = (capabilities, donation, distanceKm = null) => {
+  if (!capabilities?.updatedAt) return [];
+  const issues = [];
+
+  const weightKg = donation.quantity?.estimatedWeightKg;
+  if (
+    capabilities.cargoCapacityKg !== null &&
+    capabilities.cargoCapacityKg !== undefined &&
+    weightKg > capabilities.cargoCapacityKg
+  ) {
+    issues.push(
+      `Can carry ${capabilities.cargoCapacityKg} kg, donation is about ${Math.round(weightKg)} kg.`
+    );
+  }
+
+  if (
+    RefrigeratedStorage.includes(donation.storageRequirement) &&
+    !capabilities.canRefrigerate
+  ) {
+    issues.push(`No refrigeration for ${donation.storageRequirement} food.`);
+  }
+
+  if (
+    hasItemType(donation, CertifiedItemTypes) &&
+    !hasValidCertificate(capabilities)
+  ) {
+    issues.push("Prepared food needs a food-handler certificate.");
+  }
+
+  if (
+    capabilities.maxTravelRadiusKm &&
+    distanceKm !== null &&
+    distanceKm > capabilities.maxTravelRadiusKm
+  ) {
+    issues.push(
+      `Pickup is ${distanceKm.toFixed(1)} km away (travels up to ${capabilities.maxTravelRadiusKm} km).`
+    );
+  }
+
+  return issues;
+};
+
+/**
+ * Capability issues of each volunteer (Volunteer documents) for a donation,
+ * measuring the distance from their home to the pickup. Returns a map of
+ * volunteerId -> messages, for volunteers with issues only.
+ */
+const getCapabilityIssuesForDonation = (volunteers, donation) => {
+  const pickup = donation.pickupLocation?.coordinates;
+
+  return volunteers.reduce((issues, vol) => {
+    const home = vol.homeLocation?.coordinates;
+    const distanceKm =
+      isValidCoordinates(home) && isValidCoordinates(pickup)
+        ? distanceInMeters(home, pickup) / 1000
+        : null;
+
+    const messages = getCapabilityIssues(
+      vol.capabilities,
+      donation,
+      distanceKm
+    );
+    if (messages.length > 0) issues[vol.userId] = messages;
+    return issues;
+  }, {});
+};
+
+module.exports = {
+  CertifiedItemTypes,
+  getCapabilityIssues,
+  getCapabilityIssuesForDonation,
+};
@@ -0,0 +1,282 @@
+// Checks whether a distribution center can take a donation (open, has room,
+// accepts the food) and ranks centers by fit and distance.
+const { distanceInMeters, isValidCoordinates } = require("./geoService");
+const { StorageRequirement } = require("../models/donationModel");
+const { getOpeningIntervals, isOpenAt } = require("./timeWindowService");
+
+// Centers further away than this score 0 on distance (default: 50 km)
+const CENTER_MAX_DISTANCE_KM = Number(process.env.CENTER_MAX_DISTANCE_KM) || 50;
+
+// Share of capacity in use above which a center counts as nearly full
+const CENTER_NEARLY_FULL_RATIO =
+  Number(process.env.CENTER_NEARLY_FULL_RATIO) || 0.9;
+
+// Relative weight of each ranking factor
+const CENTER_FIT_WEIGHTS = {
+  distance: 0.5,
+  space: 0.3,
+  needs: 0.2,
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Keep a value between 0 and 1
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Item types of a donation (its line items, or the summary for old ones)
+const getDonationCategories = (donation) => {
+  const types = (donation.items || []).map((item) => item.itemType);
+  return [...new Set(types.length ? types : [donation.itemType])];
+};
+
+// True when the center published a capacity for at least one storage type
+const hasPublishedCapacity = (center) =>
+  StorageRequirement.some((storage) => center.storageCapacityKg?.[storage] > 0);
+
+// "Mon 09:00" style label for the next opening
+const formatOpening = (date) =>
+  date.toLocaleString("en-US", {
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  });
+
+/**
+ * Check one center against a donation.
+ * Options: window (planned drop-off { start, end }), now.
+ * Returns { blockers, warnings, score, distanceKm, isOpen, freeKg }:
+ * blockers stop an assignment unless an admin overrides them, warnings are
+ * shown only. score (0..1, 1 = best) combines distance from the pickup
+ * point, free space left after the drop-off and how much the center asked
+ * for this kind of food.
+ */
+const assessCenterFit = (
+  center,
+  donation,
+  { window, now = new Date() } = {}
+) => {
+  const blockers = [];
+  const warnings = [];
+
+  // Open?
+  if (center.acceptingDonations === false) {
+    blockers.push("Center is not accepting donations right now.");
+  }
+
+  const intervals = getOpeningIntervals(center, now);
+  const isOpen = isOpenAt(center, now);
+  if (intervals && intervals.length === 0) {
+    blockers.push("Center has no opening hours in the next week.");
+  } else if (
+    window &&
+    intervals &&
+    !intervals.some(
+      ({ start, end }) => start < window.end && end > window.start
+    )
+  ) {
+    blockers.push("Center is closed during the chosen drop-off window.");
+  } else if (!isOpen && intervals?.length) {
+    warnings.push(`Closed now; opens ${formatOpening(intervals[0].start)}.`);
+  }
+
+  // Accepts the food?
+  const categories = getDonationCategories(donation);
+  if (center.acceptedCategories?.length) {
+    const refused = categories.filter(
+      (category) => !center.acceptedCategories.includes(category)
+    );
+    if (refused.length) {
+      blockers.push(`Center does not accept ${refused.join(", ")}.`);
+    }
+  }
+
+  // Room for it?
+  const storage = donation.storageRequirement || "ambient";
+  const weightKg = donation.quantity?.estimatedWeightKg || 0;
+  let freeKg = null;
+  let spaceScore = 0.5; // unknown capacity: neutral
+
+  if (hasPublishedCapacity(center)) {
+    const capacityKg = center.storageCapacityKg?.[storage] || 0;
+    const stockKg = center.currentStockKg?.[storage] || 0;
+    freeKg = Math.max(0, capacityKg - stockKg);
+
+    if (capacityKg === 0) {
+      blockers.push(`Center has no ${storage} storage.`);
+      spaceScore = 0;
+    } else if (weightKg > freeKg) {
+      blockers.push(
+        `Center is full: ${Math.round(freeKg)} kg of ${storage} space left, donation is about ${Math.round(weightKg)} kg.`
+      );
+      spaceScore = 0;
+    } else {
+      if ((stockKg + weightKg) / capacityKg >= CENTER_NEARLY_FULL_RATIO) {
+        warnings.push(`Center's ${storage} storage will be nearly full.`);
+      }
+      spaceScore = clamp01((freeKg - weightKg) / capacityKg);
+    }
+
+    if (!weightKg) {
+      warnings.push("Donation weight is unknown; space could not be checked.");
+    }
+  }
+
+  // Distance from the pickup point
+  const pickup = donation.pickupLocation?.coordinates;
+  const distanceKm =
+    isValidCoordinates(pickup) && isValidCoordinates(center.coordinates)
+      ? distanceInMeters(pickup, center.coordinates) / 1000
+      : null;
+  const distanceScore =
+    distanceKm === null ? 0 : clamp01(1 - distanceKm / CENTER_MAX_DISTANCE_KM);
+
+  // Share of the donation's categories the center asked for
+  const requested = center.requestedCategories || [];
+  const needsScore =
+    categories.filter((category) => requested.includes(category)).length /
+    categories.length;
+
+  const totalWeight = Object.values(CENTER_FIT_WEIGHTS).reduce(
+    (sum, weight) => sum + weight,
+    0
+  );
+  const score =
+    (CENTER_FIT_WEIGHTS.distance * distanceScore +
+      CENTER_FIT_WEIGHTS.space * spaceScore +
+      CENTER_FIT_WEIGHTS.needs * needsScore) /
+    totalWeight;
+
+  return {
+    blockers,
+    warnings,
+    score: Number(score.toFixed(3)),
+    distanceKm: distanceKm === null ? null : Number(distanceKm.toFixed(2)),
+    isOpen,
+    freeKg: freeKg === null ? null : Math.round(freeKg),
+  };
+};
+
+/**
+ * Rank centers for a donation: centers that can take it first, then by
+ * score. Returns [{ center, fit }].
+ */
+const rankCentersForDonation = (centers, donation, options) =>
+  centers
+    .map((center) => ({
+      center,
+      fit: assessCenterFit(center, donation, options),
+    }))
+    .sort(
+      (a, b) =>
+        (a.fit.blockers.length > 0) - (b.fit.blockers.length > 0) ||
+        b.fit.score - a.fit.score
+    );
+
+// Error thrown when a center cannot take a donation.
+// Routes turn it into a 422 response listing the reasons.
+class CenterFitError extends Error {
+  constructor(center, blockers) {
+    super(`${center.name} cannot take this donation: ${blockers.join(" ")}`);
+    this.name = "CenterFitError";
+    this.status = 422;
+    this.organizationId = center.organizationId;
+    this.blockers = blockers;
+  }
+}
+
+/**
+ * Throw CenterFitError when the center cannot take the donation.
+ * Returns the fit (with warnings) otherwise.
+ */
+const assertCenterFit = (center, donation, options) => {
+  const fit = assessCenterFit(center, donation, options);
+  if (fit.blockers.length) throw new CenterFitError(center, fit.blockers);
+  return fit;
+};
+
+/**
+ * Validate the capacity/needs fields a center publishes.
+ * Returns an error message, or null when all given fields are valid.
+ */
+const validateCenterProfile = (profile) => {
+  for (const field of ["storageCapacityKg", "currentStockKg"]) {
+    if (profile[field] === undefined) continue;
+    if (typeof profile[field] !== "object" || profile[field] === null) {
+      return `${field} must be an object of kg per storage type.`;
+    }
+    for (const [storage, kg] of Object.entries(profile[field])) {
+      if (!StorageRequirement.includes(storage)) {
+        return `Unknown storage type "${storage}" in ${field}.`;
+      }
+      if (!Number.isFinite(Number(kg)) || Number(kg) < 0) {
+        return `${field}.${storage} must be a number of kg (0 or more).`;
+      }
+    }
+  }
+
+  if (profile.openingHours !== undefined) {
+    if (!Array.isArray(profile.openingHours)) {
+      return "openingHours must be a list.";
+    }
+    for (const entry of profile.openingHours) {
+      if (
+        !Number.isInteger(entry?.weekday) ||
+        entry.weekday < 0 ||
+        entry.weekday > 6
+      ) {
+        return "Each opening interval needs a weekday (0 = Sunday ... 6).";
+      }
+      if (!TIME_PATTERN.test(entry.open) || !TIME_PATTERN.test(entry.close)) {
+        return "Opening intervals need open and close times as HH:MM.";
+      }
+      if (entry.close <= entry.open) {
+        return "Opening intervals must close after they open.";
+      }
+    }
+  }
+
+  for (const field of ["acceptedCategories", "requestedCategories"]) {
+    if (
+      profile[field] !== undefined &&
+      (!Array.isArray(profile[field]) ||
+        !profile[field].every((category) => typeof category === "string"))
+    ) {
+      return `${field} must be a list of item types.`;
+    }
+  }
+
+  if (
+    profile.acceptingDonations !== undefined &&
+    typeof profile.acceptingDonations !== "boolean"
+  ) {
+    return "acceptingDonations must be true or false.";
+  }
+
+  return null;
+};
+
+/**
+ * Express helper: sends the 422 response for a CenterFitError.
+ * Returns true when the error was handled.
+ */
+const sendCenterFitError = (res, error) => {
+  if (!(error instanceof CenterFitError)) return false;
+  res.status(error.status).json({
+    message: error.message,
+    organizationId: error.organizationId,
+    blockers: error.blockers,
+  });
+  return true;
+};
+
+module.exports = {
+  CENTER_MAX_DISTANCE_KM,
+  CENTER_NEARLY_FULL_RATIO,
+  assessCenterFit,
+  rankCentersForDonation,
+  CenterFitError,
+  assertCenterFit,
+  validateCenterProfile,
+  sendCenterFitError,
+};
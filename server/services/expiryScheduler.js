@@ -0,0 +1,68 @@
+// Import the Donation model and the shared cancellation logic
+const { Donation } = require("../models/donationModel");
+const { cancelDonation } = require("./assignmentService");
+
+// How often to look for expired donations (default: every 5 minutes)
+const EXPIRY_CHECK_INTERVAL_MS =
+  Number(process.env.EXPIRY_CHECK_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Donations in these statuses have not been collected yet and can still expire
+const UNCOLLECTED_STATUSES = ["pendingAssignment", "assignedForCollection"];
+
+/**
+ * Cancel every uncollected donation whose expiry time has passed.
+ * Open collection tasks for those donations are cancelled as well
+ * (see cancelDonation).
+ * Returns the number of donations cancelled.
+ */
+const cancelExpiredDonations = async (now = new Date()) => {
+  const expiredDonations = await Donation.find({
+    status: { $in: UNCOLLECTED_STATUSES },
+    expiresAt: { $lte: now },
+  });
+
+  let cancelledCount = 0;
+
+  for (const donation of expiredDonations) {
+    try {
+      const cancelled = await cancelDonation(donation, {
+        reason: "Expired before collection",
+        cancellationReason: "expired",
+        now,
+      });
+
+      // Skip donations that were collected or changed in the meantime
+      if (cancelled) cancelledCount += 1;
+    } catch (err) {
+      console.error(
+        `EXPIRY CANCEL ERROR (donation ${donation.donationId}):`,
+        err
+      );
+    }
+  }
+
+  if (cancelledCount > 0) {
+    console.log(`Expiry check: cancelled ${cancelledCount} expired donations`);
+  }
+
+  return cancelledCount;
+};
+
+/**
+ * Run cancelExpiredDonations now and then on a fixed interval.
+ * Returns the interval handle so it can be stopped with clearInterval.
+ */
+const startExpiryScheduler = (intervalMs = EXPIRY_CHECK_INTERVAL_MS) => {
+  const run = () =>
+    cancelExpiredDonations().catch((err) =>
+      console.error("EXPIRY SCHEDULER ERROR:", err)
+    );
+
+  run();
+  return setInterval(run, intervalMs);
+};
+
+module.exports = {
+  cancelExpiredDonations,
+  startExpiryScheduler,
+};
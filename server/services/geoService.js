@@ -0,0 +1,35 @@
+// Small geo helpers shared by services that work with [lng, lat] points
+
+// Mean Earth radius in metres
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Haversine distance in metres between two [lng, lat] pairs.
+ */
+const distanceInMeters = (coord1, coord2) => {
+  const toRad = (deg) => deg * (Math.PI / 180);
+  const dLat = toRad(coord2[1] - coord1[1]);
+  const dLon = toRad(coord2[0] - coord1[0]);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.sin(dLon / 2) *
+      Math.sin(dLon / 2) *
+      Math.cos(toRad(coord1[1])) *
+      Math.cos(toRad(coord2[1]));
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// True for a usable [lng, lat] pair (the [0, 0] placeholder is not usable)
+const isValidCoordinates = (coordinates) =>
+  Array.isArray(coordinates) &&
+  coordinates.length === 2 &&
+  coordinates.every(Number.isFinite) &&
+  Math.abs(coordinates[0]) <= 180 &&
+  Math.abs(coordinates[1]) <= 90 &&
+  !(coordinates[0] === 0 && coordinates[1] === 0);
+
+module.exports = {
+  distanceInMeters,
+  isValidCoordinates,
+};
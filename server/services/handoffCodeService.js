@@ -0,0 +1,158 @@
+// One-time handoff codes: the donor (pickup) or receiving organization
+// (drop-off) reads the code out and the volunteer enters it to complete.
+const crypto = require("crypto");
+
+const { Task, ActiveTaskStatuses } = require("../models/taskModel");
+
+// Number of digits in a handoff code
+const HANDOFF_CODE_LENGTH = 6;
+
+// Wrong codes allowed before the task is locked (default: 5)
+const MAX_HANDOFF_ATTEMPTS = Number(process.env.MAX_HANDOFF_ATTEMPTS) || 5;
+
+// Random numeric code, e.g. "048213"
+const generateHandoffCode = () =>
+  crypto
+    .randomInt(0, 10 ** HANDOFF_CODE_LENGTH)
+    .toString()
+    .padStart(HANDOFF_CODE_LENGTH, "0");
+
+// Constant-time comparison so codes cannot be guessed from response times
+const codesMatch = (expected, entered) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(entered ?? "").trim());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Failed attempts made against the task's current code
+const countFailedAttempts = (task) =>
+  (task.failedHandoffAttempts || []).filter(
+    (attempt) =>
+      !task.handoffCodeIssuedAt ||
+      attempt.attemptedAt >= task.handoffCodeIssuedAt
+  ).length;
+
+// Query condition: fewer than MAX_HANDOFF_ATTEMPTS failed attempts against
+// the current code (countFailedAttempts, worked out by MongoDB)
+const HasAttemptsLeft = {
+  $expr: {
+    $lt: [
+      {
+        $size: {
+          $filter: {
+            input: { $ifNull: ["$failedHandoffAttempts", []] },
+            as: "attempt",
+            cond: {
+              $or: [
+                { $not: ["$handoffCodeIssuedAt"] },
+                { $gte: ["$$attempt.attemptedAt", "$handoffCodeIssuedAt"] },
+              ],
+            },
+          },
+        },
+      },
+      MAX_HANDOFF_ATTEMPTS,
+    ],
+  },
+};
+
+// Error thrown when a handoff code is wrong or the task is locked.
+// Routes turn it into a 400 (wrong code) or 423 (locked) response.
+class HandoffCodeError extends Error {
+  constructor(message, { status = 400, attemptsLeft = 0 } = {}) {
+    super(message);
+    this.name = "HandoffCodeError";
+    this.status = status;
+    this.attemptsLeft = attemptsLeft;
+  }
+}
+
+const lockedError = () =>
+  new HandoffCodeError(
+    "Too many wrong handoff codes. Ask an admin for a new code.",
+    { status: 423 }
+  );
+
+/**
+ * Check the code the volunteer entered for a task.
+ * Wrong codes are recorded on the task; after MAX_HANDOFF_ATTEMPTS the task
+ * is locked until an admin issues a new code. Every attempt is recorded
+ * before the code is compared, in the same update that checks the task is
+ * not locked, so parallel guesses cannot get past the limit; a right code
+ * is then taken off the failed attempts again.
+ * Tasks created before handoff codes existed have no code and always pass.
+ * Throws HandoffCodeError when the code is not accepted.
+ */
+const verifyHandoffCode = async (taskId, volunteerId, enteredCode) => {
+  const task = await Task.findOne({ taskId }).select("+handoffCode");
+  if (!task?.handoffCode) return;
+
+  const attempt = { attemptedAt: new Date(), volunteerId };
+  const attempted = await Task.findOneAndUpdate(
+    { taskId, ...HasAttemptsLeft },
+    { $push: { failedHandoffAttempts: attempt } },
+    { new: true }
+  ).select("+handoffCode");
+  if (!attempted) throw lockedError();
+
+  if (codesMatch(attempted.handoffCode, enteredCode)) {
+    await Task.updateOne(
+      { taskId },
+      { $pull: { failedHandoffAttempts: attempt } }
+    );
+    return;
+  }
+
+  const attemptsLeft = MAX_HANDOFF_ATTEMPTS - countFailedAttempts(attempted);
+  if (attemptsLeft <= 0) {
+    throw new HandoffCodeError(
+      "Wrong handoff code. The task is now locked; ask an admin for a new code.",
+      { status: 423 }
+    );
+  }
+  throw new HandoffCodeError(
+    `Wrong handoff code. ${attemptsLeft} attempt(s) left.`,
+    { attemptsLeft }
+  );
+};
+
+/**
+ * Replace the code of an active task (e.g. after it was locked).
+ * Earlier failed attempts stay on the task but no longer count.
+ * Returns the task with the new code selected, or null if not active.
+ */
+const regenerateHandoffCode = async (taskId) => {
+  return await Task.findOneAndUpdate(
+    { taskId, status: { $in: ActiveTaskStatuses } },
+    {
+      $set: {
+        handoffCode: generateHandoffCode(),
+        handoffCodeIssuedAt: new Date(),
+      },
+    },
+    { new: true }
+  ).select("+handoffCode");
+};
+
+/**
+ * Express helper: sends the response for a HandoffCodeError.
+ * Returns true when the error was handled.
+ */
+const sendHandoffCodeError = (res, error) => {
+  if (!(error instanceof HandoffCodeError)) return false;
+  res.status(error.status).json({
+    message: error.message,
+    attemptsLeft: error.attemptsLeft,
+  });
+  return true;
+};
+
+module.exports = {
+  HANDOFF_CODE_LENGTH,
+  MAX_HANDOFF_ATTEMPTS,
+  generateHandoffCode,
+  verifyHandoffCode,
+  regenerateHandoffCode,
+  HandoffCodeError,
+  sendHandoffCodeError,
+};
@@ -0,0 +1,164 @@
+// Allergen list and collection statuses for donation line items
+const { Allergens } = require("../models/donationModel");
+const { validateQuantity, normalizeQuantity } = require("./quantityService");
+
+// Category shown for donations whose items have different categories
+const MIXED_ITEM_TYPE = "Mixed";
+
+/**
+ * Read the line items from a POST /post body.
+ * Older clients send a single itemType + quantity, which becomes one item.
+ */
+const getLineItemsFromBody = ({ items, itemType, quantity }) => {
+  if (Array.isArray(items)) return items;
+  if (!itemType && !quantity) return [];
+  return [{ itemType, quantity }];
+};
+
+/**
+ * Validate line items from a request body.
+ * Returns an error message, or null when every item is valid.
+ */
+const validateLineItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return "A donation needs at least one item.";
+  }
+
+  for (const [index, item] of items.entries()) {
+    const label = `Item ${index + 1}`;
+
+    if (!item || !item.itemType) {
+      return `${label}: category is required.`;
+    }
+
+    const quantityError = validateQuantity(item.quantity);
+    if (quantityError) return `${label}: ${quantityError}`;
+
+    if (item.allergens !== undefined) {
+      if (
+        !Array.isArray(item.allergens) ||
+        item.allergens.some((allergen) => !Allergens.includes(allergen))
+      ) {
+        return `${label}: allergens must be any of: ${Allergens.join(", ")}.`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Turn validated request items into the stored shape
+const normalizeLineItems = (items) =>
+  items.map((item) => ({
+    itemType: item.itemType,
+    name: item.name ? String(item.name).trim() : undefined,
+    quantity: normalizeQuantity(item.quantity),
+    allergens: [...new Set(item.allergens || [])],
+    collectionStatus: "pending",
+  }));
+
+// Add up a numeric quantity field, or undefined when no item has it
+const sumKnown = (items, field) => {
+  const known = items
+    .map((item) => item.quantity[field])
+    .filter((value) => Number.isFinite(value));
+  if (known.length === 0) return undefined;
+  return Number(known.reduce((sum, value) => sum + value, 0).toFixed(2));
+};
+
+/**
+ * Build the donation-level itemType + quantity from normalized line items.
+ * - Same category everywhere -> that category, otherwise "Mixed"
+ * - Same unit everywhere -> amounts are added, otherwise counted as items
+ * Weight and servings are always the sum of what is known.
+ */
+const summarizeLineItems = (items) => {
+  const itemTypes = [...new Set(items.map((item) => item.itemType))];
+  const units = [...new Set(items.map((item) => item.quantity.unit))];
+
+  const quantity =
+    units.length === 1
+      ? {
+          amount: items.reduce((sum, item) => sum + item.quantity.amount, 0),
+          unit: units[0],
+        }
+      : { amount: items.length, unit: "items" };
+
+  quantity.estimatedWeightKg = sumKnown(items, "estimatedWeightKg");
+  quantity.estimatedServings = sumKnown(items, "estimatedServings");
+
+  return {
+    itemType: itemTypes.length === 1 ? itemTypes[0] : MIXED_ITEM_TYPE,
+    quantity,
+  };
+};
+
+// Collection status implied by how much of an item was picked up
+const getCollectionStatus = (collectedAmount, amount) => {
+  if (collectedAmount <= 0) return "notCollected";
+  if (collectedAmount >= amount) return "collected";
+  return "partial";
+};
+
+/**
+ * Apply a volunteer's collection report to a donation's line items.
+ * `updates` is a list of { itemId, collectedAmount }.
+ * Returns { items } with the updated list, or { error } with a message.
+ */
+const applyCollectedAmounts = (items, updates) => {
+  if (!Array.isArray(updates) || updates.length === 0) {
+    return { error: "No collected items were provided." };
+  }
+
+  const byId = new Map(items.map((item) => [String(item._id), { ...item }]));
+
+  for (const update of updates) {
+    const item = byId.get(String(update?.itemId));
+    if (!item) {
+      return { error: `Item ${update?.itemId} is not part of this donation.` };
+    }
+
+    const collectedAmount = Number(update.collectedAmount);
+    if (!Number.isFinite(collectedAmount) || collectedAmount < 0) {
+      return { error: "Collected amount must be 0 or more." };
+    }
+    if (collectedAmount > item.quantity.amount) {
+      return {
+        error: `Collected amount for ${
+          item.name || item.itemType
+        } cannot exceed ${item.quantity.amount} ${item.quantity.unit}.`,
+      };
+    }
+
+    item.collectedAmount = collectedAmount;
+    item.collectionStatus = getCollectionStatus(
+      collectedAmount,
+      item.quantity.amount
+    );
+  }
+
+  return { items: [...byId.values()] };
+};
+
+// Items the volunteer did not report on are assumed fully collected
+const completeCollection = (items) =>
+  items.map((item) =>
+    item.collectionStatus === "pending"
+      ? {
+          ...item,
+          collectionStatus: "collected",
+          collectedAmount: item.quantity.amount,
+        }
+      : item
+  );
+
+module.exports = {
+  Allergens,
+  MIXED_ITEM_TYPE,
+  getLineItemsFromBody,
+  validateLineItems,
+  normalizeLineItems,
+  summarizeLineItems,
+  applyCollectedAmounts,
+  completeCollection,
+};
@@ -0,0 +1,72 @@
+// Short-lived named locks stored in MongoDB, for checks that have to run
+// together with the write they guard (e.g. a volunteer's workload cap and
+// the task that would exceed it) without a replica set for transactions.
+const crypto = require("crypto");
+const { Lock } = require("../models/lockModel");
+
+// How long a lock is held at most (a holder that crashed frees it then)
+const LOCK_TTL_MS = 30 * 1000;
+// How often and how long to wait for a lock someone else holds
+const RETRY_DELAY_MS = 100;
+const MAX_ATTEMPTS = 50;
+
+// Error thrown when a lock stays held by someone else; routes send it as a
+// 409 asking the user to try again
+class LockBusyError extends Error {
+  constructor(name) {
+    super("Another change to this is in progress. Please try again.");
+    this.name = "LockBusyError";
+    this.status = 409;
+    this.lockName = name;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Take the lock if it is free or has expired.
+ * The upsert only matches an expired lock; while the lock is held it tries
+ * to insert a second one with the same name, which the unique index
+ * refuses. Returns true when the lock was taken.
+ */
+const tryAcquire = async (name, token) => {
+  const now = new Date();
+  try {
+    await Lock.findOneAndUpdate(
+      { name, expiresAt: { $lte: now } },
+      { $set: { token, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Run fn() while holding the named lock, waiting up to a few seconds for
+ * it. Returns what fn returns; throws LockBusyError when the lock could
+ * not be taken.
+ */
+const withLock = async (name, fn) => {
+  const token = crypto.randomUUID();
+
+  let acquired = false;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS && !acquired; attempt++) {
+    if (attempt > 0) await sleep(RETRY_DELAY_MS);
+    acquired = await tryAcquire(name, token);
+  }
+  if (!acquired) throw new LockBusyError(name);
+
+  try {
+    return await fn();
+  } finally {
+    await Lock.deleteOne({ name, token });
+  }
+};
+
+module.exports = {
+  LockBusyError,
+  withLock,
+};
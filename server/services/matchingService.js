@@ -0,0 +1,208 @@
+// Import models needed to score volunteers against a donation
+const {
+  Volunteer,
+  ApprovedVolunteerFilter,
+} = require("../models/volunteerModel");
+const { Task, ActiveTaskStatuses } = require("../models/taskModel");
+const { User } = require("../models/userModel");
+
+// Import the configurable scoring rules
+const { getMatchingConfig } = require("../config/matchingConfig");
+// Pickup windows, to skip volunteers who are busy at that time
+const {
+  getPickupWindow,
+  getVolunteersWithOverlap,
+} = require("./timeWindowService");
+// Weekly times, days off and daily limits the volunteers set themselves
+const { getAvailabilityIssues } = require("./availabilityService");
+// Vehicle, cargo capacity, refrigeration, certificate and travel radius
+const { getCapabilityIssues } = require("./capabilityService");
+const { Permissions, getRolesWithPermission } = require("./permissionService");
+
+// Keep a value between 0 and 1
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Count open tasks (pending, assigned, enRoute) for each volunteer.
+ * Returns a map of volunteerId -> number of active tasks.
+ */
+const getActiveTaskCounts = async (volunteerIds) => {
+  const counts = await Task.aggregate([
+    {
+      $match: {
+        volunteerId: { $in: volunteerIds },
+        status: { $in: ActiveTaskStatuses },
+      },
+    },
+    { $group: { _id: "$volunteerId", count: { $sum: 1 } } },
+  ]);
+
+  return counts.reduce((map, item) => {
+    map[item._id] = item.count;
+    return map;
+  }, {});
+};
+
+/**
+ * Score a single volunteer candidate.
+ * Each factor is normalised to 0..1 (1 = best) and combined using the
+ * configured weights, so the final score is also between 0 and 1.
+ */
+const scoreCandidate = ({ distanceKm, activeTasks, rating }, config) => {
+  const breakdown = {
+    distance: clamp01(1 - distanceKm / config.maxDistanceKm),
+    load: clamp01(1 - activeTasks / config.maxActiveTasks),
+    rating: clamp01((rating ?? 0) / 5),
+  };
+
+  const totalWeight = Object.values(config.weights).reduce(
+    (sum, weight) => sum + weight,
+    0
+  );
+
+  const weighted = Object.keys(breakdown).reduce(
+    (sum, key) => sum + (config.weights[key] || 0) * breakdown[key],
+    0
+  );
+
+  return {
+    score: totalWeight > 0 ? weighted / totalWeight : 0,
+    breakdown,
+  };
+};
+
+/**
+ * Rank active, approved volunteers for a donation's pickup location.
+ * Uses the 2dsphere index on Volunteer.homeLocation ($geoNear) to find
+ * nearby volunteers, then scores them by distance, current task load,
+ * rating and availability. Volunteers with a task overlapping the pickup
+ * window, who said they cannot work then (availabilityIssue), or whose
+ * vehicle and equipment do not fit the donation (capabilityIssues) are
+ * unavailable. Available volunteers are always listed first.
+ */
+const rankVolunteersForDonation = async (donation, overrides = {}) => {
+  const config = getMatchingConfig(overrides);
+  const coordinates = donation.pickupLocation?.coordinates;
+
+  if (!coordinates || coordinates.length !== 2) {
+    return { config, candidates: [] };
+  }
+
+  // Nearest active volunteers within the configured radius
+  const nearby = await Volunteer.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates },
+        key: "homeLocation",
+        distanceField: "distanceMeters",
+        maxDistance: config.maxDistanceKm * 1000,
+        spherical: true,
+        query: { status: "active", ...ApprovedVolunteerFilter },
+      },
+    },
+  ]);
+
+  if (nearby.length === 0) {
+    return { config, candidates: [] };
+  }
+
+  const volunteerIds = nearby.map((vol) => vol.userId);
+
+  const pickupWindow = donation.availabilityTime
+    ? getPickupWindow(donation)
+    : null;
+
+  const volunteerRoles = await getRolesWithPermission(Permissions.TASKS_WORK);
+  const [users, activeTaskCounts, busyVolunteers, availabilityIssues] =
+    await Promise.all([
+      User.find({
+        uid: { $in: volunteerIds },
+        role: { $in: volunteerRoles },
+      }).select("uid name email status"),
+      getActiveTaskCounts(volunteerIds),
+      pickupWindow
+        ? getVolunteersWithOverlap(volunteerIds, pickupWindow)
+        : new Set(),
+      pickupWindow ? getAvailabilityIssues(nearby, pickupWindow) : {},
+    ]);
+
+  const userMap = users.reduce((map, user) => {
+    map[user.uid] = user;
+    return map;
+  }, {});
+
+  const candidates = nearby
+    // Skip profiles whose user account is missing or no longer a Volunteer
+    .filter((vol) => userMap[vol.userId])
+    .map((vol) => {
+      const user = userMap[vol.userId];
+      const activeTasks = activeTaskCounts[vol.userId] || 0;
+      const distanceKm = vol.distanceMeters / 1000;
+
+      const hasOverlappingTask = busyVolunteers.has(vol.userId);
+      const availabilityIssue = availabilityIssues[vol.userId] || null;
+      const capabilityIssues = getCapabilityIssues(
+        vol.capabilities,
+        donation,
+        distanceKm
+      );
+
+      const available =
+        user.status === "active" &&
+        activeTasks < config.maxActiveTasks &&
+        !hasOverlappingTask &&
+        !availabilityIssue &&
+        capabilityIssues.length === 0;
+
+      const { score, breakdown } = scoreCandidate(
+        {
+          distanceKm,
+          activeTasks,
+          rating: vol.reviewCount ? vol.rating : config.unratedRating,
+        },
+        config
+      );
+
+      return {
+        uid: vol.userId,
+        name: user.name,
+        email: user.email,
+        phone: vol.phone,
+        homeLocation: vol.homeLocation,
+        rating: vol.reviewCount ? vol.rating : null,
+        reviewCount: vol.reviewCount || 0,
+        tasksCompleted: vol.tasksCompleted,
+        distanceKm,
+        activeTasks,
+        hasOverlappingTask,
+        availabilityIssue,
+        capabilities: vol.capabilities || null,
+        capabilityIssues,
+        available,
+        score: Number(score.toFixed(3)),
+        scoreBreakdown: breakdown,
+      };
+    })
+    .sort((a, b) => {
+      if (a.available !== b.available) return a.available ? -1 : 1;
+      return b.score - a.score;
+    })
+    .slice(0, config.suggestionLimit);
+
+  return { config, candidates };
+};
+
+/**
+ * Return the best available volunteer for a donation, or null if
+ * nobody within range can take the task.
+ */
+const findBestVolunteer = async (donation, overrides = {}) => {
+  const { candidates } = await rankVolunteersForDonation(donation, overrides);
+  return candidates.find((candidate) => candidate.available) || null;
+};
+
+module.exports = {
+  scoreCandidate,
+  rankVolunteersForDonation,
+  findBestVolunteer,
+};
@@ -0,0 +1,309 @@
+// Builds the OpenAPI 3 description of the API from the routers listed in
+// routes/index.js: paths and methods come from the routers, request schemas
+// from validateRequest, permissions from requirePermission and summaries
+// from the "/** METHOD /api/... */" doc comment above each route. Deprecation
+// shims (handlers with a .successor path) are marked deprecated.
+const fs = require("fs");
+
+const { version } = require("../package.json");
+
+// Doc comment of a route: the "METHOD /api/path" line, then its description
+const ROUTE_DOC_PATTERN =
+  /\/\*\*\n \* (GET|POST|PUT|PATCH|DELETE) (\S+)\n((?: \*(?: .*)?\n)*?) \*\//g;
+
+// Standard responses every operation may return
+const ErrorResponses = {
+  400: { description: "Invalid request", schema: "ValidationError" },
+  401: { description: "Missing or invalid token", schema: "Error" },
+  403: { description: "Permission denied", schema: "Error" },
+  500: { description: "Server error", schema: "Error" },
+};
+
+// "/:taskId/status" -> "/{taskId}/status", without a trailing slash
+const toOpenApiPath = (path) =>
+  path.replace(/:(\w+)/g, "{$1}").replace(/(.)\/$/, "$1");
+
+// Path relative to the router ("/api/donations/:id" -> "/:id")
+const toRouterPath = (docPath) =>
+  "/" + docPath.split("/").slice(3).filter(Boolean).join("/");
+
+/**
+ * Helper: reads the route doc comments of the file a router was loaded
+ * from. Returns { "put /:taskId/status": { summary, description } }.
+ */
+const readRouteDocs = (router) => {
+  const file = Object.values(require.cache).find(
+    (module) => module.exports === router
+  )?.filename;
+  if (!file) return {};
+
+  const docs = {};
+  for (const [, method, docPath, body] of fs
+    .readFileSync(file, "utf8")
+    .matchAll(ROUTE_DOC_PATTERN)) {
+    const lines = body
+      .split("\n")
+      .map((line) => line.replace(/^ \* ?/, ""))
+      .filter(Boolean);
+    const text = lines.join(" ");
+    docs[`${method.toLowerCase()} ${toRouterPath(docPath)}`] = {
+      summary: text.split(/(?<=\.)\s/)[0] || `${method} ${docPath}`,
+      description: lines.join("\n"),
+    };
+  }
+  return docs;
+};
+
+// JSON schema of a validation rule (see shared/validation.mjs)
+const toJsonSchema = (rule) => {
+  const schema = rule.label ? { title: rule.label } : {};
+
+  switch (rule.type) {
+    case "string":
+      return {
+        ...schema,
+        type: "string",
+        ...(rule.enum && { enum: rule.enum }),
+        ...(rule.minLength && { minLength: rule.minLength }),
+        ...(rule.maxLength && { maxLength: rule.maxLength }),
+        ...(rule.pattern && { pattern: rule.pattern.source }),
+      };
+    case "number":
+    case "integer":
+      return {
+        ...schema,
+        type: rule.type,
+        ...(rule.min !== undefined && { minimum: rule.min }),
+        ...(rule.max !== undefined && { maximum: rule.max }),
+        ...(rule.greaterThan !== undefined && {
+          exclusiveMinimum: rule.greaterThan,
+        }),
+      };
+    case "boolean":
+      return { ...schema, type: "boolean" };
+    case "date":
+      return { ...schema, type: "string", format: "date-time" };
+    case "objectId":
+      return { ...schema, type: "string", pattern: "^[0-9a-f]{24}$" };
+    case "coordinates":
+      return {
+        ...schema,
+        description: "[longitude, latitude]",
+        type: "array",
+        items: { type: "number" },
+        minItems: 2,
+        maxItems: 2,
+      };
+    case "array":
+      return {
+        ...schema,
+        type: "array",
+        items: toJsonSchema(rule.items),
+        ...(rule.minItems && { minItems: rule.minItems }),
+        ...(rule.maxItems && { maxItems: rule.maxItems }),
+      };
+    case "object":
+      return { ...schema, ...toObjectSchema(rule.fields, rule.allowUnknown) };
+    default:
+      return schema;
+  }
+};
+
+// JSON schema of a { field: rule } schema
+const toObjectSchema = (fields, allowUnknown = false) => {
+  const required = Object.keys(fields).filter(
+    (field) => fields[field].required
+  );
+  return {
+    type: "object",
+    properties: Object.fromEntries(
+      Object.entries(fields).map(([field, rule]) => [field, toJsonSchema(rule)])
+    ),
+    ...(required.length > 0 && { required }),
+    additionalProperties: allowUnknown,
+  };
+};
+
+/**
+ * Helper: the OpenAPI operation for one route.
+ * handlers are the route's middleware and handler, in order.
+ */
+const buildOperation = ({ mount, method, path, handlers, doc }) => {
+  const schemas = handlers.find((handler) => handler.schemas)?.schemas || {};
+  const permissionCheck = handlers.find((handler) => handler.permissions);
+  const successor = handlers.find((handler) => handler.successor)?.successor;
+  const secured = mount.auth !== "none";
+
+  const pathParams = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: schemas.params?.[name]
+      ? toJsonSchema(schemas.params[name])
+      : { type: "string" },
+  }));
+  const queryParams = Object.entries(schemas.query || {}).map(
+    ([name, rule]) => ({
+      name,
+      in: "query",
+      required: !!rule.required,
+      schema: toJsonSchema(rule),
+    })
+  );
+
+  let description = doc?.description || "";
+  if (successor) {
+    description += `Deprecated: use ${method.toUpperCase()} ${successor}, which this path forwards to. Responses carry Deprecation and Link headers.`;
+  }
+  if (permissionCheck) {
+    description +=
+      `\n\nRequires permission: ${permissionCheck.permissions.join(" or ")}` +
+      (permissionCheck.ownerParam
+        ? ` (or the user's own :${permissionCheck.ownerParam}).`
+        : ".");
+  }
+
+  const errorCodes = [
+    ...(schemas.params || schemas.query || schemas.body ? [400] : []),
+    ...(secured ? [401] : []),
+    ...(permissionCheck ? [403] : []),
+    500,
+  ];
+
+  return {
+    tags: [mount.tag],
+    operationId: `${method}${(mount.path + path)
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map((word) => word[0].toUpperCase() + word.slice(1))
+      .join("")}`,
+    summary:
+      doc?.summary ||
+      (successor
+        ? `Moved to ${toOpenApiPath(successor)}`
+        : `${method.toUpperCase()} ${mount.path}${path}`),
+    description: description.trim(),
+    ...(successor && {
+      deprecated: true,
+      "x-successor": toOpenApiPath(successor),
+    }),
+    ...(permissionCheck && { "x-permissions": permissionCheck.permissions }),
+    ...(!secured && { security: [] }),
+    parameters: [...pathParams, ...queryParams],
+    ...(schemas.body && {
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": { schema: toObjectSchema(schemas.body) },
+        },
+      },
+    }),
+    responses: {
+      "2XX": { description: "Success" },
+      ...Object.fromEntries(
+        errorCodes.map((code) => [
+          code,
+          {
+            description: ErrorResponses[code].description,
+            content: {
+              "application/json": {
+                schema: {
+                  $ref: `#/components/schemas/${ErrorResponses[code].schema}`,
+                },
+              },
+            },
+          },
+        ])
+      ),
+    },
+  };
+};
+
+/**
+ * Builds the OpenAPI 3.1 document for the given routers
+ * ([{ path, router, auth, tag, description }], see routes/index.js).
+ */
+const buildOpenApiDocument = (apiRoutes) => {
+  const paths = {};
+
+  for (const mount of apiRoutes) {
+    const docs = readRouteDocs(mount.router);
+
+    for (const layer of mount.router.stack) {
+      if (!layer.route) continue;
+      const { path, methods, stack } = layer.route;
+
+      for (const method of Object.keys(methods)) {
+        const openApiPath = toOpenApiPath(mount.path + path);
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][method] = buildOperation({
+          mount,
+          method,
+          path,
+          handlers: stack.map((routeLayer) => routeLayer.handle),
+          doc: docs[`${method} ${path}`],
+        });
+      }
+    }
+  }
+
+  // A deprecated path needs the permissions of the route it forwards to
+  for (const operations of Object.values(paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      const target = paths[operation["x-successor"]]?.[method];
+      if (!target?.["x-permissions"]) continue;
+      operation["x-permissions"] = target["x-permissions"];
+      operation.responses[403] = target.responses[403];
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "NourishLink API",
+      version,
+      description:
+        "Generated from the Express routers. Protected routes need a Firebase ID token: `Authorization: Bearer <token>`.",
+    },
+    tags: apiRoutes.map(({ tag, description }) => ({
+      name: tag,
+      description,
+    })),
+    security: [{ firebaseToken: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        firebaseToken: {
+          type: "http",
+          scheme: "bearer",
+          description: "Firebase ID token of the signed-in user",
+        },
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          properties: { message: { type: "string" } },
+          required: ["message"],
+        },
+        ValidationError: {
+          type: "object",
+          properties: {
+            message: {
+              type: "string",
+              description: "The first field error",
+            },
+            errors: {
+              type: "object",
+              description:
+                'Message per invalid field, e.g. { "items[0].quantity.amount": "..." }',
+              additionalProperties: { type: "string" },
+            },
+          },
+          required: ["message"],
+        },
+      },
+    },
+  };
+};
+
+module.exports = { buildOpenApiDocument };
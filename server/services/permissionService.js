@@ -0,0 +1,216 @@
+// Named permissions and the middleware routes use to check them.
+// Which role grants which permission is stored in the Role collection;
+// the defaults below seed the built-in roles.
+const { Role, getAllRoles, getRoleByName } = require("../models/roleModel");
+
+// Every permission a route can require
+const Permissions = {
+  DONATIONS_CREATE: "donations.create",
+  DONATIONS_VIEW_ANY: "donations.viewAny",
+  DONATIONS_ASSIGN: "donations.assign",
+  TASKS_WORK: "tasks.work",
+  TASKS_VIEW_ANY: "tasks.viewAny",
+  TASKS_OVERRIDE: "tasks.override",
+  CLAIMING_MANAGE: "claiming.manage",
+  VOLUNTEERS_VIEW: "volunteers.view",
+  VOLUNTEERS_VET: "volunteers.vet",
+  REVIEWS_MODERATE: "reviews.moderate",
+  METRICS_VIEW: "metrics.view",
+  CENTER_RECEIVE: "center.receive",
+  CENTER_EDIT_PROFILE: "center.editProfile",
+  ORGANIZATIONS_MANAGE: "organizations.manage",
+  SCHEDULES_MANAGE: "schedules.manage",
+  SCHEDULES_VIEW_ANY: "schedules.viewAny",
+  USERS_VIEW: "users.view",
+  USERS_MANAGE: "users.manage",
+  ROLES_MANAGE: "roles.manage",
+  AUDIT_VIEW: "audit.view",
+};
+
+// What each permission allows (shown on the role management screen)
+const PermissionDescriptions = {
+  [Permissions.DONATIONS_CREATE]: "Post new donations",
+  [Permissions.DONATIONS_VIEW_ANY]:
+    "View any donation, donor history, handoff codes and proof",
+  [Permissions.DONATIONS_ASSIGN]:
+    "See pending donations and assign or reassign volunteers",
+  [Permissions.TASKS_WORK]:
+    "Claim, run and report issues on their own volunteer tasks",
+  [Permissions.TASKS_VIEW_ANY]:
+    "View any volunteer's tasks, reported issues and late tasks",
+  [Permissions.TASKS_OVERRIDE]:
+    "Regenerate handoff codes and override location checks",
+  [Permissions.CLAIMING_MANAGE]: "Turn volunteer self-claiming on or off",
+  [Permissions.VOLUNTEERS_VIEW]: "List volunteers and their workload",
+  [Permissions.VOLUNTEERS_VET]:
+    "Review volunteer documents and approve or reject volunteers",
+  [Permissions.REVIEWS_MODERATE]:
+    "See reported ratings and reviews and hide or restore them",
+  [Permissions.METRICS_VIEW]: "View platform-wide metrics",
+  [Permissions.CENTER_RECEIVE]:
+    "Receive, confirm and reject deliveries at their own center",
+  [Permissions.CENTER_EDIT_PROFILE]:
+    "Edit their own center's hours, capacity and needs",
+  [Permissions.ORGANIZATIONS_MANAGE]:
+    "Create, edit and deactivate organizations and link members",
+  [Permissions.SCHEDULES_MANAGE]: "Create and change their own schedules",
+  [Permissions.SCHEDULES_VIEW_ANY]: "View every donor's recurring schedules",
+  [Permissions.USERS_VIEW]: "View all user accounts",
+  [Permissions.USERS_MANAGE]: "Change user roles and account status",
+  [Permissions.ROLES_MANAGE]: "Create roles and change their permissions",
+  [Permissions.AUDIT_VIEW]: "View, export and verify the audit log",
+};
+
+// Permissions the built-in roles start with
+const DefaultRolePermissions = {
+  Donor: [Permissions.DONATIONS_CREATE, Permissions.SCHEDULES_MANAGE],
+  Volunteer: [Permissions.TASKS_WORK],
+  CenterStaff: [Permissions.CENTER_RECEIVE, Permissions.CENTER_EDIT_PROFILE],
+  Admin: Object.values(Permissions).filter(
+    (permission) =>
+      ![
+        Permissions.TASKS_WORK,
+        Permissions.CENTER_RECEIVE,
+        Permissions.CENTER_EDIT_PROFILE,
+        Permissions.SCHEDULES_MANAGE,
+      ].includes(permission)
+  ),
+};
+
+// Descriptions stored with the built-in roles when they are first created
+const DefaultRoleDescriptions = {
+  Donor: "Posts donations and recurring schedules",
+  Volunteer: "Picks up and delivers donations",
+  CenterStaff: "Works at one distribution center",
+  Admin: "Runs the platform",
+};
+
+// How long role -> permission mappings are cached (default: 1 minute)
+const ROLE_CACHE_TTL_MS = Number(process.env.ROLE_CACHE_TTL_MS) || 60 * 1000;
+
+// Cached { loadedAt, permissionsByRole: Map<role name, Set<permission>> }
+let roleCache = null;
+
+// Drop the cache so the next check reads the roles again
+const clearRoleCache = () => {
+  roleCache = null;
+};
+
+// Map of role name -> Set of permissions, from the cache when fresh
+const loadRolePermissions = async () => {
+  if (roleCache && Date.now() - roleCache.loadedAt < ROLE_CACHE_TTL_MS) {
+    return roleCache.permissionsByRole;
+  }
+  const roles = await getAllRoles();
+  roleCache = {
+    loadedAt: Date.now(),
+    permissionsByRole: new Map(
+      roles.map((role) => [role.name, new Set(role.permissions)])
+    ),
+  };
+  return roleCache.permissionsByRole;
+};
+
+// Permissions of the signed-in user, loaded once per request
+const getRequestPermissions = async (req) => {
+  if (!req.permissions) {
+    const permissionsByRole = await loadRolePermissions();
+    req.permissions = permissionsByRole.get(req.user?.role) || new Set();
+  }
+  return req.permissions;
+};
+
+// True when the signed-in user has the permission
+const can = async (req, permission) =>
+  (await getRequestPermissions(req)).has(permission);
+
+// True when the role grants the permission (for checks on other users)
+const roleCan = async (roleName, permission) =>
+  !!(await loadRolePermissions()).get(roleName)?.has(permission);
+
+// Names of the roles that grant the permission (for finding users by what
+// they may do rather than by role name)
+const getRolesWithPermission = async (permission) =>
+  [...(await loadRolePermissions())]
+    .filter(([, permissions]) => permissions.has(permission))
+    .map(([roleName]) => roleName);
+
+/**
+ * Route middleware: lets the request through when the user has the
+ * permission (or any of them, when given an array). With ownerParam, a user
+ * acting on their own record (req.params[ownerParam] === their uid) is let
+ * through without it. Sends 403 otherwise.
+ */
+const requirePermission = (permission, { ownerParam } = {}) => {
+  const required = [].concat(permission);
+
+  const middleware = async (req, res, next) => {
+    try {
+      if (ownerParam && req.params[ownerParam] === req.user.uid) {
+        return next();
+      }
+      const granted = await getRequestPermissions(req);
+      if (required.some((p) => granted.has(p))) {
+        return next();
+      }
+      res.status(403).json({
+        message: `Access denied. ${required.join(" or ")} permission required.`,
+      });
+    } catch (err) {
+      console.error("PERMISSION CHECK ERROR:", err);
+      res.status(500).json({ message: "Failed to check permissions." });
+    }
+  };
+
+  // Listed in the generated API description (see openApiService)
+  middleware.permissions = required;
+  middleware.ownerParam = ownerParam;
+  return middleware;
+};
+
+// Create the built-in roles and give them any default permission added
+// since they were created. Called once MongoDB is connected.
+const ensureDefaultRoles = async () => {
+  for (const [name, defaults] of Object.entries(DefaultRolePermissions)) {
+    const role = await getRoleByName(name);
+    if (!role) {
+      await Role.create({
+        name,
+        description: DefaultRoleDescriptions[name],
+        permissions: defaults,
+        grantedDefaults: defaults,
+        builtIn: true,
+      });
+      continue;
+    }
+
+    const newDefaults = defaults.filter(
+      (permission) => !role.grantedDefaults.includes(permission)
+    );
+    if (newDefaults.length > 0) {
+      await Role.updateOne(
+        { name },
+        {
+          $addToSet: {
+            permissions: { $each: newDefaults },
+            grantedDefaults: { $each: newDefaults },
+          },
+          $set: { builtIn: true, updatedAt: Date.now() },
+        }
+      );
+    }
+  }
+  clearRoleCache();
+};
+
+module.exports = {
+  Permissions,
+  PermissionDescriptions,
+  DefaultRolePermissions,
+  can,
+  roleCan,
+  getRolesWithPermission,
+  requirePermission,
+  clearRoleCache,
+  ensureDefaultRoles,
+};
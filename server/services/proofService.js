@@ -0,0 +1,190 @@
+// Proof of pickup / delivery: validation, location check and file storage
+const { getProofStorage } = require("./proofStorage");
+const { distanceInMeters } = require("./geoService");
+const { getTaskTarget } = require("../models/taskModel");
+
+// Completion is rejected when the volunteer is further than this from the
+// task location (default: 300 metres), unless an admin allowed it
+const PROOF_MAX_DISTANCE_METERS =
+  Number(process.env.PROOF_MAX_DISTANCE_METERS) || 300;
+
+// Largest photo or signature accepted (default: 5 MB)
+const PROOF_MAX_IMAGE_BYTES =
+  Number(process.env.PROOF_MAX_IMAGE_BYTES) || 5 * 1024 * 1024;
+
+// Image types accepted from the client and the file extension used for each
+const ImageExtensions = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+/**
+ * Decode a base64 data URL ("data:image/jpeg;base64,...").
+ * Returns { buffer, contentType } or null when it is not a supported image.
+ */
+const parseImageDataUrl = (dataUrl) => {
+  if (typeof dataUrl !== "string") return null;
+
+  const match = dataUrl.match(/^data:([\w/+.-]+);base64,(.+)$/);
+  if (!match || !ImageExtensions[match[1]]) return null;
+
+  const buffer = Buffer.from(match[2], "base64");
+  if (buffer.length === 0) return null;
+
+  return { buffer, contentType: match[1] };
+};
+
+/**
+ * Validate the proof sent with a task completion:
+ * { photo, signature (data URLs), recipientName,
+ *   location: { coordinates: [lng, lat], accuracyMeters, capturedAt } }
+ * Returns an error message, or null when it is valid.
+ */
+const validateProof = (proof) => {
+  if (!proof || typeof proof !== "object") {
+    return "Proof of handover (photo, recipient name, signature and location) is required to complete a task.";
+  }
+
+  const photo = parseImageDataUrl(proof.photo);
+  if (!photo) return "A JPEG, PNG or WebP photo is required.";
+  if (photo.buffer.length > PROOF_MAX_IMAGE_BYTES) {
+    return "Photo is too large.";
+  }
+
+  const signature = parseImageDataUrl(proof.signature);
+  if (!signature) return "A signature is required.";
+  if (signature.buffer.length > PROOF_MAX_IMAGE_BYTES) {
+    return "Signature is too large.";
+  }
+
+  if (typeof proof.recipientName !== "string" || !proof.recipientName.trim()) {
+    return "Recipient name is required.";
+  }
+  if (proof.recipientName.trim().length > 100) {
+    return "Recipient name must be 100 characters or less.";
+  }
+
+  const coordinates = proof.location?.coordinates;
+  if (
+    !Array.isArray(coordinates) ||
+    coordinates.length !== 2 ||
+    !coordinates.every(Number.isFinite) ||
+    Math.abs(coordinates[0]) > 180 ||
+    Math.abs(coordinates[1]) > 90
+  ) {
+    return "Device location ([longitude, latitude]) is required.";
+  }
+
+  if (
+    proof.location.capturedAt &&
+    isNaN(new Date(proof.location.capturedAt).getTime())
+  ) {
+    return "Location timestamp is not a valid date.";
+  }
+
+  return null;
+};
+
+/**
+ * Check the device location of a (validated) proof against the point the
+ * task is completed at: the pickup, or the drop-off for a delivery. Further
+ * than PROOF_MAX_DISTANCE_METERS away it is only allowed when an admin
+ * granted the task a location override.
+ * Returns { distanceMeters, allowed, overridden } (overridden: allowed only
+ * because of the override).
+ */
+const checkProofLocation = (task, location) => {
+  const distanceMeters = distanceInMeters(
+    getTaskTarget(task).coordinates,
+    location.coordinates
+  );
+  const withinRange = distanceMeters <= PROOF_MAX_DISTANCE_METERS;
+  const overrideGranted = !!task.locationOverride?.grantedAt;
+
+  return {
+    distanceMeters,
+    allowed: withinRange || overrideGranted,
+    overridden: !withinRange && overrideGranted,
+  };
+};
+
+// Store one image and describe it for the Task document
+const saveImage = async (task, name, dataUrl) => {
+  const { buffer, contentType } = parseImageDataUrl(dataUrl);
+  const key = `${task.taskId}/${name}-${Date.now()}.${ImageExtensions[contentType]}`;
+  await getProofStorage().save(key, buffer);
+  return { key, contentType, size: buffer.length };
+};
+
+/**
+ * Delete the stored files of a proof (e.g. when the completion failed).
+ * Errors are logged, not thrown.
+ */
+const removeProofFiles = async (proof) => {
+  const keys = [proof?.photo?.key, proof?.signature?.key].filter(Boolean);
+  for (const key of keys) {
+    try {
+      await getProofStorage().remove(key);
+    } catch (err) {
+      console.error("PROOF FILE CLEANUP ERROR:", err);
+    }
+  }
+};
+
+/**
+ * Store photo + signature and build the proof saved on the Task.
+ * The proof has already passed validateProof.
+ */
+const saveProof = async (task, proof, { distanceMeters, overridden }) => {
+  const photo = await saveImage(task, "photo", proof.photo);
+
+  let signature;
+  try {
+    signature = await saveImage(task, "signature", proof.signature);
+  } catch (err) {
+    await removeProofFiles({ photo });
+    throw err;
+  }
+
+  return {
+    photo,
+    signature,
+    recipientName: proof.recipientName.trim(),
+    location: {
+      type: "Point",
+      coordinates: proof.location.coordinates.map(Number),
+    },
+    accuracyMeters: Number.isFinite(Number(proof.location.accuracyMeters))
+      ? Number(proof.location.accuracyMeters)
+      : undefined,
+    capturedAt: proof.location.capturedAt
+      ? new Date(proof.location.capturedAt)
+      : new Date(),
+    submittedAt: new Date(),
+    distanceMeters: Math.round(distanceMeters),
+    locationOverridden: overridden,
+  };
+};
+
+// Read a stored proof file ("photo" or "signature") of a task.
+// proofField is "pickupProof" for the pickup leg of a direct delivery.
+const readProofFile = async (task, file, proofField = "proof") => {
+  const stored = task[proofField]?.[file];
+  if (!stored?.key) return null;
+  return {
+    buffer: await getProofStorage().read(stored.key),
+    contentType: stored.contentType,
+  };
+};
+
+module.exports = {
+  PROOF_MAX_DISTANCE_METERS,
+  PROOF_MAX_IMAGE_BYTES,
+  parseImageDataUrl,
+  validateProof,
+  checkProofLocation,
+  saveProof,
+  removeProofFiles,
+  readProofFile,
+};
@@ -0,0 +1,77 @@
+// File storage for proof-of-handover photos and signatures.
+// Files are written to local disk by default; another backend (e.g. S3)
+// can be plugged in with registerStorageDriver and PROOF_STORAGE_DRIVER.
+const fs = require("fs/promises");
+const path = require("path");
+
+// Directory used by the local disk driver
+const PROOF_UPLOAD_DIR =
+  process.env.PROOF_UPLOAD_DIR ||
+  path.join(__dirname, "..", "uploads", "proofs");
+
+/**
+ * Local disk driver. Keys are relative paths like "<taskId>/photo-123.jpg".
+ * Every driver exposes the same three methods: save, read and remove.
+ */
+const createLocalDiskStorage = (baseDir = PROOF_UPLOAD_DIR) => {
+  const root = path.resolve(baseDir);
+
+  // Refuse keys that would escape the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid proof storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return key;
+    },
+
+    read: async (key) => {
+      return await fs.readFile(resolveKey(key));
+    },
+
+    remove: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+// Available drivers by name
+const drivers = {
+  local: createLocalDiskStorage,
+};
+
+// Add a storage backend, e.g. registerStorageDriver("s3", () => s3Storage)
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+let storage = null;
+
+// Storage driver chosen by PROOF_STORAGE_DRIVER (default: local disk)
+const getProofStorage = () => {
+  if (!storage) {
+    const name = process.env.PROOF_STORAGE_DRIVER || "local";
+    if (!drivers[name]) {
+      throw new Error(`Unknown proof storage driver "${name}".`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+module.exports = {
+  PROOF_UPLOAD_DIR,
+  createLocalDiskStorage,
+  registerStorageDriver,
+  getProofStorage,
+};
@@ -0,0 +1,178 @@
+// Units a donation quantity can be expressed in
+const { QuantityUnits } = require("../models/donationModel");
+
+// Conversion factors used to turn quantities into comparable numbers
+const KG_PER_LB = 0.453592;
+// Rough weight of one prepared meal, used to estimate servings from weight
+const KG_PER_SERVING = 0.4;
+
+// Words people type for each unit in the old free-text quantity field
+const UnitAliases = {
+  kg: ["kg", "kgs", "kilo", "kilos", "kilogram", "kilograms"],
+  lbs: ["lb", "lbs", "pound", "pounds"],
+  servings: ["serving", "servings", "meal", "meals", "portion", "portions"],
+  boxes: [
+    "box",
+    "boxes",
+    "crate",
+    "crates",
+    "case",
+    "cases",
+    "carton",
+    "cartons",
+  ],
+  trays: ["tray", "trays", "pan", "pans"],
+  items: [
+    "item",
+    "items",
+    "pcs",
+    "pc",
+    "piece",
+    "pieces",
+    "unit",
+    "units",
+    "bag",
+    "bags",
+  ],
+};
+
+// Map a free-text unit word to one of QuantityUnits (or null if unknown)
+const normalizeUnit = (word) => {
+  const lower = String(word || "")
+    .toLowerCase()
+    .trim();
+  return (
+    Object.keys(UnitAliases).find((unit) =>
+      UnitAliases[unit].includes(lower)
+    ) || null
+  );
+};
+
+/**
+ * Estimate the weight (kg) of a quantity.
+ * Uses the donor's estimate when given, otherwise converts weight units.
+ * Returns null when the weight cannot be known (e.g. "3 trays").
+ */
+const estimateWeightKg = ({ amount, unit, estimatedWeightKg }) => {
+  if (Number.isFinite(estimatedWeightKg) && estimatedWeightKg >= 0) {
+    return estimatedWeightKg;
+  }
+  if (unit === "kg") return amount;
+  if (unit === "lbs") return Number((amount * KG_PER_LB).toFixed(2));
+  return null;
+};
+
+/**
+ * Estimate how many servings a quantity provides.
+ * Servings are counted directly, everything else is derived from weight.
+ */
+const estimateServings = (quantity) => {
+  if (quantity.unit === "servings") return quantity.amount;
+  const weightKg = estimateWeightKg(quantity);
+  return weightKg === null ? null : Math.round(weightKg / KG_PER_SERVING);
+};
+
+/**
+ * Validate a structured quantity from a request body.
+ * Returns an error message, or null when the quantity is valid.
+ */
+const validateQuantity = (quantity) => {
+  if (!quantity || typeof quantity !== "object") {
+    return "Quantity must include an amount and a unit.";
+  }
+
+  const amount = Number(quantity.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return "Quantity amount must be a number greater than 0.";
+  }
+
+  if (!QuantityUnits.includes(quantity.unit)) {
+    return `Quantity unit must be one of: ${QuantityUnits.join(", ")}.`;
+  }
+
+  if (
+    quantity.estimatedWeightKg !== undefined &&
+    quantity.estimatedWeightKg !== null &&
+    quantity.estimatedWeightKg !== ""
+  ) {
+    const weight = Number(quantity.estimatedWeightKg);
+    if (!Number.isFinite(weight) || weight < 0) {
+      return "Estimated weight must be a positive number of kilograms.";
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Turn a validated request quantity into the stored shape, filling in the
+ * derived weight and servings so metrics can simply add them up.
+ */
+const normalizeQuantity = (quantity) => {
+  const hasWeight =
+    quantity.estimatedWeightKg !== undefined &&
+    quantity.estimatedWeightKg !== null &&
+    quantity.estimatedWeightKg !== "";
+
+  const normalized = {
+    amount: Number(quantity.amount),
+    unit: quantity.unit,
+    estimatedWeightKg: hasWeight
+      ? Number(quantity.estimatedWeightKg)
+      : undefined,
+  };
+
+  normalized.estimatedWeightKg = estimateWeightKg(normalized) ?? undefined;
+  normalized.estimatedServings = estimateServings(normalized) ?? undefined;
+
+  return normalized;
+};
+
+/**
+ * Parse a legacy free-text quantity such as "50 lbs", "3 trays" or "12".
+ * Returns a normalized quantity, or null when the text cannot be understood.
+ */
+const parseLegacyQuantity = (text) => {
+  if (text === null || text === undefined) return null;
+
+  const match = String(text)
+    .trim()
+    .match(/^(\d+(?:[.,]\d+)?)\s*([a-zA-Z]+)?/);
+  if (!match) return null;
+
+  const amount = Number(match[1].replace(",", "."));
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+
+  // A bare number is treated as a count of items
+  const unit = match[2] ? normalizeUnit(match[2]) : "items";
+  if (!unit) return null;
+
+  return normalizeQuantity({ amount, unit });
+};
+
+// Human-readable quantity, e.g. "3 trays (~6 kg)"; accepts legacy strings too
+const formatQuantity = (quantity) => {
+  if (!quantity) return "";
+  if (typeof quantity === "string") return quantity;
+
+  const base = `${quantity.amount} ${quantity.unit}`;
+  if (
+    quantity.estimatedWeightKg !== undefined &&
+    quantity.estimatedWeightKg !== null &&
+    !["kg", "lbs"].includes(quantity.unit)
+  ) {
+    return `${base} (~${quantity.estimatedWeightKg} kg)`;
+  }
+  return base;
+};
+
+module.exports = {
+  QuantityUnits,
+  KG_PER_SERVING,
+  estimateWeightKg,
+  estimateServings,
+  validateQuantity,
+  normalizeQuantity,
+  parseLegacyQuantity,
+  formatQuantity,
+};
@@ -0,0 +1,137 @@
+// Schedule request rules shared with the client form
+const { validate, firstError } = require("../../shared/validation.mjs");
+const { ScheduleSchema } = require("../../shared/schemas.mjs");
+const { PerishableItemTypes } = require("./urgencyService");
+
+// Occurrence days are "YYYY-MM-DD" strings in server local time
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Never look further ahead than this when searching for occurrences
+const MAX_LOOKAHEAD_DAYS = 400;
+
+// "YYYY-MM-DD" for a Date (local time)
+const toDateKey = (date) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+};
+
+// Local midnight of a "YYYY-MM-DD" key
+const parseDateKey = (key) => {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const isValidDateKey = (key) =>
+  typeof key === "string" &&
+  DATE_KEY_PATTERN.test(key) &&
+  toDateKey(parseDateKey(key)) === key;
+
+// Local midnight `days` days after the given date
+const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Last day number of the month the date is in (28-31)
+const daysInMonth = (date) =>
+  new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+/**
+ * Returns true if the schedule has an occurrence on the given day.
+ * Ignores status and skipped days; only start/end dates and the pattern.
+ */
+const occursOn = (schedule, dateKey) => {
+  if (dateKey < schedule.startDate) return false;
+  if (schedule.endDate && dateKey > schedule.endDate) return false;
+
+  const date = parseDateKey(dateKey);
+
+  switch (schedule.frequency) {
+    case "daily":
+      return true;
+    case "weekly":
+      return schedule.weekdays.includes(date.getDay());
+    case "monthly":
+      // Day 31 falls on the last day of shorter months
+      return (
+        date.getDate() === Math.min(schedule.dayOfMonth, daysInMonth(date))
+      );
+    default:
+      return false;
+  }
+};
+
+/**
+ * List the occurrence days between two days (inclusive), skipping days the
+ * donor opted out of.
+ */
+const getOccurrencesBetween = (schedule, fromKey, toKey) => {
+  const occurrences = [];
+  let date = parseDateKey(fromKey);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+    const key = toDateKey(date);
+    if (key > toKey) break;
+    if (occursOn(schedule, key) && !schedule.skippedDates.includes(key)) {
+      occurrences.push(key);
+    }
+    date = addDays(date, 1);
+  }
+
+  return occurrences;
+};
+
+// The next `count` occurrence days from today (used by the donor dashboard)
+const getUpcomingOccurrences = (schedule, count = 5, now = new Date()) => {
+  const horizon = toDateKey(addDays(now, MAX_LOOKAHEAD_DAYS));
+  return getOccurrencesBetween(schedule, toDateKey(now), horizon).slice(
+    0,
+    count
+  );
+};
+
+/**
+ * Concrete times for one occurrence of a template:
+ * pickup window start/end and the expiry time (if the template has one).
+ */
+const getOccurrenceTimes = (template, dateKey) => {
+  const windowStart = new Date(`${dateKey}T${template.windowStart}`);
+  const windowEnd = new Date(`${dateKey}T${template.windowEnd}`);
+  const expiresAt = template.shelfLifeHours
+    ? new Date(windowStart.getTime() + template.shelfLifeHours * 36e5)
+    : undefined;
+
+  return { windowStart, windowEnd, expiresAt };
+};
+
+/**
+ * Validate a schedule from a request body: the shared ScheduleSchema, plus
+ * the shelf life the server requires for perishable item types.
+ * Returns an error message, or null when the schedule is valid.
+ */
+const validateSchedule = (schedule) => {
+  const schemaError = firstError(validate(ScheduleSchema, schedule));
+  if (schemaError) return schemaError;
+
+  const { template } = schedule;
+  const perishableItem = template.items.find((item) =>
+    PerishableItemTypes.includes(item.itemType)
+  );
+  if (perishableItem && !template.shelfLifeHours) {
+    return `A shelf life (hours) is required for ${perishableItem.itemType}.`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  toDateKey,
+  parseDateKey,
+  isValidDateKey,
+  addDays,
+  occursOn,
+  getOccurrencesBetween,
+  getUpcomingOccurrences,
+  getOccurrenceTimes,
+  validateSchedule,
+};
@@ -0,0 +1,192 @@
+// Import mongoose to generate string IDs for new donations
+const mongoose = require("mongoose");
+
+// Import models touched when generating donations from schedules
+const { Donation } = require("../models/donationModel");
+const { RecurringSchedule } = require("../models/recurringScheduleModel");
+const { incrementMetrics } = require("../models/metricsModel");
+
+// Shared donation logic
+const { buildHistoryEntry } = require("./statusMachine");
+const { cancelDonation } = require("./assignmentService");
+const { normalizeLineItems, summarizeLineItems } = require("./lineItemService");
+const {
+  toDateKey,
+  getOccurrencesBetween,
+  getOccurrenceTimes,
+} = require("./recurrenceService");
+
+// How far ahead donations are generated (default: 48 hours), so admins and
+// volunteers can plan the pickup before the window opens
+const RECURRING_LEAD_HOURS = Number(process.env.RECURRING_LEAD_HOURS) || 48;
+
+// How often schedules are checked (default: every 15 minutes)
+const RECURRING_CHECK_INTERVAL_MS =
+  Number(process.env.RECURRING_CHECK_INTERVAL_MS) || 15 * 60 * 1000;
+
+// Duplicate key error code (occurrence was already generated)
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Create the Donation for one occurrence of a schedule.
+ * Returns the donation, or null if it was already generated.
+ */
+const createOccurrenceDonation = async (schedule, dateKey) => {
+  const { template } = schedule;
+  const { windowStart, windowEnd, expiresAt } = getOccurrenceTimes(
+    template,
+    dateKey
+  );
+
+  // Template items are stored normalized; copy them as fresh line items
+  const items = normalizeLineItems(
+    template.items.map((item) => (item.toObject ? item.toObject() : item))
+  );
+  const summary = summarizeLineItems(items);
+
+  try {
+    const donation = await Donation.create({
+      donationId: new mongoose.Types.ObjectId().toHexString(),
+      donorId: schedule.donorId,
+      donorName: schedule.donorName,
+      itemType: summary.itemType,
+      quantity: summary.quantity,
+      items,
+      notes: template.notes,
+      status: "pendingAssignment",
+      statusHistory: [
+        buildHistoryEntry(null, "pendingAssignment", {
+          changedBy: "system",
+          reason: `Generated from recurring schedule ${schedule.scheduleId}`,
+        }),
+      ],
+      pickupLocation: {
+        type: "Point",
+        coordinates: template.pickupLocation.coordinates,
+      },
+      pickupAddress: template.pickupAddress,
+      availabilityTime: windowStart,
+      pickupWindowEnd: windowEnd,
+      expiresAt,
+      storageRequirement: template.storageRequirement || "ambient",
+      scheduleId: schedule.scheduleId,
+      occurrenceDate: dateKey,
+      postedAt: new Date(),
+    });
+
+    try {
+      await incrementMetrics(schedule.donorId, "Donor", {
+        totalDonationsPosted: 1,
+        totalWeightKg: donation.quantity.estimatedWeightKg || 0,
+        totalServings: donation.quantity.estimatedServings || 0,
+      });
+    } catch (err) {
+      console.error("METRICS UPDATE ERROR (recurring donation):", err);
+    }
+
+    return donation;
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) return null;
+    throw error;
+  }
+};
+
+/**
+ * Generate donations for every active schedule whose next occurrences fall
+ * within the lead time. Occurrences whose pickup window already closed are
+ * not generated. Returns the number of donations created.
+ */
+const generateScheduledDonations = async (now = new Date()) => {
+  const schedules = await RecurringSchedule.find({ status: "active" });
+  const horizon = new Date(now.getTime() + RECURRING_LEAD_HOURS * 36e5);
+
+  let createdCount = 0;
+
+  for (const schedule of schedules) {
+    try {
+      const occurrences = getOccurrencesBetween(
+        schedule,
+        toDateKey(now),
+        toDateKey(horizon)
+      );
+
+      for (const dateKey of occurrences) {
+        const { windowStart, windowEnd } = getOccurrenceTimes(
+          schedule.template,
+          dateKey
+        );
+        if (windowEnd <= now || windowStart > horizon) continue;
+
+        const donation = await createOccurrenceDonation(schedule, dateKey);
+        if (donation) createdCount += 1;
+      }
+    } catch (err) {
+      console.error(
+        `RECURRING DONATION ERROR (schedule ${schedule.scheduleId}):`,
+        err
+      );
+    }
+  }
+
+  if (createdCount > 0) {
+    console.log(`Recurring schedules: generated ${createdCount} donations`);
+  }
+
+  return createdCount;
+};
+
+/**
+ * Cancel donations already generated for a schedule that have not been
+ * collected yet. Pass dateKey to cancel a single occurrence only.
+ * Returns the number of donations cancelled.
+ */
+const cancelGeneratedDonations = async (
+  schedule,
+  { dateKey, changedBy, reason }
+) => {
+  const filter = {
+    scheduleId: schedule.scheduleId,
+    status: { $in: ["pendingAssignment", "assignedForCollection"] },
+  };
+  if (dateKey) {
+    filter.occurrenceDate = dateKey;
+  } else {
+    filter.availabilityTime = { $gt: new Date() };
+  }
+
+  const donations = await Donation.find(filter);
+  let cancelledCount = 0;
+
+  for (const donation of donations) {
+    const cancelled = await cancelDonation(donation, {
+      changedBy,
+      reason,
+      // "skipped" for one occurrence, "scheduleChanged" for pause/end
+      cancellationReason: dateKey ? "skipped" : "scheduleChanged",
+    });
+    if (cancelled) cancelledCount += 1;
+  }
+
+  return cancelledCount;
+};
+
+/**
+ * Run generateScheduledDonations now and then on a fixed interval.
+ * Returns the interval handle so it can be stopped with clearInterval.
+ */
+const startRecurringScheduler = (intervalMs = RECURRING_CHECK_INTERVAL_MS) => {
+  const run = () =>
+    generateScheduledDonations().catch((err) =>
+      console.error("RECURRING SCHEDULER ERROR:", err)
+    );
+
+  run();
+  return setInterval(run, intervalMs);
+};
+
+module.exports = {
+  createOccurrenceDonation,
+  generateScheduledDonations,
+  cancelGeneratedDonations,
+  startRecurringScheduler,
+};
@@ -0,0 +1,238 @@
+// Ratings and reviews of completed tasks: who may review which task, the
+// tasks still waiting for the signed-in user's review, and the rating
+// totals kept on Metrics and Volunteer.
+const mongoose = require("mongoose");
+const { Review } = require("../models/reviewModel");
+const { Task } = require("../models/taskModel");
+const { Donation } = require("../models/donationModel");
+const { Volunteer } = require("../models/volunteerModel");
+const { Metrics } = require("../models/metricsModel");
+const { User } = require("../models/userModel");
+const { Permissions, can } = require("./permissionService");
+
+// How long after a task is completed it can still be reviewed (default: 30)
+const REVIEW_WINDOW_DAYS = Number(process.env.REVIEW_WINDOW_DAYS) || 30;
+
+// Task types each reviewer role rates: the donor and the volunteer meet at
+// the pickup, the center receives the drop-off
+const ReviewableTaskTypes = {
+  donor: ["collection", "directDelivery"],
+  center: ["distribution", "directDelivery"],
+  volunteer: ["collection", "directDelivery"],
+};
+
+// Earliest completion time of a task that can still be reviewed
+const getReviewWindowStart = (now = new Date()) =>
+  new Date(now.getTime() - REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * What the signed-in user may write about a task of the donation:
+ * { reviewerRole, subjectId, subjectType }, or null when they did not take
+ * part in it in a role that reviews this type of task.
+ */
+const getReviewTarget = async (req, task, donation) => {
+  const { uid, organizationId } = req.user;
+  const volunteerSubject = {
+    subjectId: task.volunteerId,
+    subjectType: "Volunteer",
+  };
+
+  if (
+    task.volunteerId === uid &&
+    ReviewableTaskTypes.volunteer.includes(task.taskType) &&
+    (await can(req, Permissions.TASKS_WORK))
+  ) {
+    return {
+      reviewerRole: "volunteer",
+      subjectId: donation.donorId,
+      subjectType: "Donor",
+    };
+  }
+  if (
+    donation.donorId === uid &&
+    ReviewableTaskTypes.donor.includes(task.taskType) &&
+    (await can(req, Permissions.DONATIONS_CREATE))
+  ) {
+    return { reviewerRole: "donor", ...volunteerSubject };
+  }
+  if (
+    organizationId &&
+    task.dropoffOrganizationId === organizationId &&
+    ReviewableTaskTypes.center.includes(task.taskType) &&
+    (await can(req, Permissions.CENTER_RECEIVE))
+  ) {
+    return { reviewerRole: "center", ...volunteerSubject };
+  }
+  return null;
+};
+
+// True while the completed task can still be reviewed
+const isWithinReviewWindow = (task, now = new Date()) =>
+  task.status === "completed" &&
+  !!task.completedAt &&
+  task.completedAt >= getReviewWindowStart(now);
+
+/**
+ * Completed tasks the signed-in user can still review (newest first), with
+ * who they would rate: [{ taskId, donationId, taskType, itemType,
+ * completedAt, reviewerRole, subjectId, subjectType, subjectName }].
+ */
+const getPendingReviews = async (req, now = new Date()) => {
+  const { uid, organizationId } = req.user;
+  const recentlyCompleted = {
+    status: "completed",
+    completedAt: { $gte: getReviewWindowStart(now) },
+  };
+
+  const queries = [];
+  if (await can(req, Permissions.TASKS_WORK)) {
+    queries.push({
+      ...recentlyCompleted,
+      volunteerId: uid,
+      taskType: { $in: ReviewableTaskTypes.volunteer },
+    });
+  }
+  if (await can(req, Permissions.DONATIONS_CREATE)) {
+    const donationIds = await Donation.find({ donorId: uid }).distinct(
+      "donationId"
+    );
+    queries.push({
+      ...recentlyCompleted,
+      donationId: { $in: donationIds },
+      taskType: { $in: ReviewableTaskTypes.donor },
+    });
+  }
+  if (organizationId && (await can(req, Permissions.CENTER_RECEIVE))) {
+    queries.push({
+      ...recentlyCompleted,
+      dropoffOrganizationId: organizationId,
+      taskType: { $in: ReviewableTaskTypes.center },
+    });
+  }
+  if (queries.length === 0) return [];
+
+  const tasks = await Task.find({ $or: queries }).sort({ completedAt: -1 });
+  // Reviewed by the user, or by anyone at their center
+  const reviewers = [{ reviewerId: uid }];
+  if (organizationId) {
+    reviewers.push({ reviewerOrganizationId: organizationId });
+  }
+  const reviewed = new Set(
+    await Review.find({
+      $or: reviewers,
+      taskId: { $in: tasks.map((task) => task.taskId) },
+    }).distinct("taskId")
+  );
+  const unreviewed = tasks.filter((task) => !reviewed.has(task.taskId));
+
+  const donations = await Donation.find({
+    donationId: { $in: unreviewed.map((task) => task.donationId) },
+  }).select("donationId donorId itemType");
+  const donationMap = new Map(donations.map((d) => [d.donationId, d]));
+
+  const pending = [];
+  for (const task of unreviewed) {
+    const donation = donationMap.get(task.donationId);
+    const target = donation && (await getReviewTarget(req, task, donation));
+    if (target) {
+      pending.push({
+        taskId: task.taskId,
+        donationId: task.donationId,
+        taskType: task.taskType,
+        itemType: donation.itemType,
+        completedAt: task.completedAt,
+        ...target,
+      });
+    }
+  }
+
+  const names = await getUserNames(pending.map((item) => item.subjectId));
+  return pending.map((item) => ({
+    ...item,
+    subjectName: names.get(item.subjectId) || "Unknown",
+  }));
+};
+
+// Map of uid -> name for the given users
+const getUserNames = async (uids) => {
+  const users = await User.find({ uid: { $in: [...new Set(uids)] } }).select(
+    "uid name"
+  );
+  return new Map(users.map((user) => [user.uid, user.name]));
+};
+
+/**
+ * Work out a user's rating again from their visible reviews and store it
+ * on their Metrics (and Volunteer profile for volunteers). A user without
+ * visible reviews has no rating (null).
+ * Returns { rating, reviewCount }.
+ */
+const refreshRating = async (subjectId, subjectType) => {
+  const [summary] = await Review.aggregate([
+    { $match: { subjectId, status: "visible" } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: "$rating" },
+        reviewCount: { $sum: 1 },
+      },
+    },
+  ]);
+  const totals = {
+    rating: summary ? Math.round(summary.average * 100) / 100 : null,
+    reviewCount: summary?.reviewCount || 0,
+  };
+
+  await Metrics.findOneAndUpdate(
+    { userId: subjectId },
+    {
+      $set: { ...totals, updatedAt: Date.now() },
+      $setOnInsert: {
+        metricsId: new mongoose.Types.ObjectId().toHexString(),
+        userType: subjectType,
+      },
+    },
+    { upsert: true }
+  );
+  if (subjectType === "Volunteer") {
+    await Volunteer.updateOne({ userId: subjectId }, { $set: totals });
+  }
+
+  return totals;
+};
+
+/**
+ * Review as returned to the client. Reviewer names (from `names`) are only
+ * included when withReviewer is set; otherwise the reviewer is described
+ * by their role.
+ */
+const formatReview = (review, { names = new Map(), withReviewer } = {}) => ({
+  reviewId: review.reviewId,
+  taskId: review.taskId,
+  donationId: review.donationId,
+  reviewerRole: review.reviewerRole,
+  ...(withReviewer && {
+    reviewerId: review.reviewerId,
+    reviewerName: names.get(review.reviewerId) || "Unknown",
+    subjectId: review.subjectId,
+    subjectName: names.get(review.subjectId) || "Unknown",
+  }),
+  subjectType: review.subjectType,
+  rating: review.rating,
+  comment: review.comment || null,
+  status: review.status,
+  reportedAt: review.reportedAt || null,
+  reportReason: review.reportReason || null,
+  moderationReason: review.moderation?.reason || null,
+  createdAt: review.createdAt,
+});
+
+module.exports = {
+  REVIEW_WINDOW_DAYS,
+  getReviewTarget,
+  isWithinReviewWindow,
+  getPendingReviews,
+  getUserNames,
+  refreshRating,
+  formatReview,
+};
@@ -0,0 +1,100 @@
+// Keeps the role-specific records of a user (Volunteer or Donor profile and
+// their Metrics) in line with the user's role and status after an admin
+// changes them. Which profile a role has follows from its permissions.
+// Profiles are never deleted: a user who loses the role keeps an inactive
+// profile that comes back if the role is given back.
+const mongoose = require("mongoose");
+
+const {
+  Volunteer,
+  createVolunteer,
+  getVolunteerByUserId,
+} = require("../models/volunteerModel");
+const { Donor, createDonor } = require("../models/donorModel");
+const { Metrics } = require("../models/metricsModel");
+const { Permissions, roleCan } = require("./permissionService");
+
+// Profile types and the collection each is stored in
+const ProfileModels = { Volunteer, Donor };
+
+/**
+ * The profile (and Metrics userType) a role comes with: "Volunteer" for
+ * roles that work tasks, "Donor" for roles that post their own donations
+ * without seeing everyone's, null for the rest (e.g. admins, center staff).
+ */
+const getProfileType = async (roleName) => {
+  if (await roleCan(roleName, Permissions.TASKS_WORK)) return "Volunteer";
+  if (
+    (await roleCan(roleName, Permissions.DONATIONS_CREATE)) &&
+    !(await roleCan(roleName, Permissions.DONATIONS_VIEW_ANY))
+  ) {
+    return "Donor";
+  }
+  return null;
+};
+
+/**
+ * Returns true when making the user a volunteer needs a phone number,
+ * i.e. they have no Volunteer profile yet (phone is required on it).
+ */
+const needsVolunteerPhone = async (uid) => !(await getVolunteerByUserId(uid));
+
+/**
+ * Activate the profile matching the user's role (creating it when missing)
+ * and set every other profile of theirs to inactive. A deactivated user's
+ * profile is inactive too. phone sets the Volunteer profile's phone number.
+ * Returns the active profile, or null when the role has none.
+ */
+const syncRoleProfiles = async (user, { phone } = {}) => {
+  const profileType = await getProfileType(user.role);
+  let activeProfile = null;
+
+  for (const [type, Model] of Object.entries(ProfileModels)) {
+    const status =
+      profileType === type && user.status === "active" ? "active" : "inactive";
+    const update = { status, updatedAt: Date.now() };
+    if (type === "Volunteer" && phone) update.phone = phone;
+
+    let profile = await Model.findOneAndUpdate({ userId: user.uid }, update, {
+      new: true,
+    });
+    if (!profile && profileType === type) {
+      profile =
+        type === "Volunteer"
+          ? await createVolunteer({ userId: user.uid, phone, status })
+          : await createDonor({ userId: user.uid, status });
+    }
+    if (profileType === type) activeProfile = profile;
+  }
+
+  // One Metrics record per user: it follows the role, or is retired
+  if (profileType) {
+    await Metrics.findOneAndUpdate(
+      { userId: user.uid },
+      {
+        $set: {
+          userType: profileType,
+          status: "active",
+          updatedAt: Date.now(),
+        },
+        $setOnInsert: {
+          metricsId: new mongoose.Types.ObjectId().toHexString(),
+        },
+      },
+      { upsert: true }
+    );
+  } else {
+    await Metrics.updateOne(
+      { userId: user.uid },
+      { status: "inactive", updatedAt: Date.now() }
+    );
+  }
+
+  return activeProfile;
+};
+
+module.exports = {
+  getProfileType,
+  needsVolunteerPhone,
+  syncRoleProfiles,
+};
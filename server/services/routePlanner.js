@@ -0,0 +1,243 @@
+// Multi-stop route planning for a volunteer's active tasks.
+// Runs locally (no paid routing API): travel distance is the straight-line
+// distance scaled by a road factor, and a donation's pickup stop always
+// comes before its drop-off stop.
+const { distanceInMeters } = require("./geoService");
+const { getTaskTarget } = require("../models/taskModel");
+
+// Straight-line distance x this factor approximates road distance
+const ROUTE_ROAD_FACTOR = Number(process.env.ROUTE_ROAD_FACTOR) || 1.3;
+
+// Average travel speed used for time estimates (default: 30 km/h)
+const ROUTE_AVERAGE_SPEED_KMH =
+  Number(process.env.ROUTE_AVERAGE_SPEED_KMH) || 30;
+
+// Minutes spent at each stop (parking, handover, proof)
+const ROUTE_STOP_MINUTES = Number(process.env.ROUTE_STOP_MINUTES) || 10;
+
+// Up to this many stops every order is checked; above it a heuristic is used
+const EXACT_SEARCH_MAX_STOPS = 8;
+
+// Estimated road distance in km between two [lng, lat] points
+const travelKm = (from, to) =>
+  (distanceInMeters(from, to) / 1000) * ROUTE_ROAD_FACTOR;
+
+// Stop as used by the planner and returned to the client.
+// leg is "pickup" or "dropoff"; stopId is unique per stop.
+const buildStop = (task, leg, coordinates, address, windowEnd) => ({
+  stopId: `${task.taskId}:${leg}`,
+  taskId: task.taskId,
+  taskType: task.taskType,
+  leg,
+  donationId: task.donationId,
+  status: task.status,
+  address,
+  coordinates,
+  windowStart: task.windowStart,
+  windowEnd,
+});
+
+/**
+ * Stops of a task: one for collection/distribution tasks, two for a direct
+ * delivery whose pickup leg is still open.
+ */
+const toStops = (task) => {
+  if (task.taskType === "collection") {
+    return [
+      buildStop(
+        task,
+        "pickup",
+        task.location.coordinates,
+        task.address,
+        task.windowEnd
+      ),
+    ];
+  }
+  if (task.taskType === "distribution" || task.leg === "dropoff") {
+    const target = getTaskTarget(task);
+    return [
+      buildStop(
+        task,
+        "dropoff",
+        target.coordinates,
+        target.address,
+        task.windowEnd
+      ),
+    ];
+  }
+  return [
+    buildStop(
+      task,
+      "pickup",
+      task.location.coordinates,
+      task.address,
+      task.pickupWindowEnd || task.windowEnd
+    ),
+    buildStop(
+      task,
+      "dropoff",
+      task.dropoffLocation.coordinates,
+      task.dropoffAddress,
+      task.windowEnd
+    ),
+  ];
+};
+
+/**
+ * True when the stop may be visited now: a drop-off stop has to wait
+ * until the pickup stop of the same donation (if it is on the route)
+ * has been visited.
+ */
+const isVisitable = (stop, visited, pickupDonationIds) =>
+  stop.leg !== "dropoff" ||
+  !pickupDonationIds.has(stop.donationId) ||
+  visited.some(
+    (other) => other.leg === "pickup" && other.donationId === stop.donationId
+  );
+
+// True when the whole order respects pickup-before-drop-off
+const respectsPrecedence = (order, pickupDonationIds) =>
+  order.every((stop, index) =>
+    isVisitable(stop, order.slice(0, index), pickupDonationIds)
+  );
+
+// Total travel distance of an order, starting at `start` (if known)
+const routeKm = (start, order) =>
+  order.reduce((sum, stop, index) => {
+    const from = index === 0 ? start : order[index - 1].coordinates;
+    return from ? sum + travelKm(from, stop.coordinates) : sum;
+  }, 0);
+
+/**
+ * Exact search (depth-first with pruning) for small routes.
+ */
+const findShortestOrder = (start, stops, pickupDonationIds) => {
+  let best = { km: Infinity, order: stops };
+
+  const visit = (order, remaining, km) => {
+    if (km >= best.km) return;
+    if (remaining.length === 0) {
+      best = { km, order };
+      return;
+    }
+
+    const last = order.length ? order[order.length - 1].coordinates : start;
+    remaining.forEach((stop, index) => {
+      if (!isVisitable(stop, order, pickupDonationIds)) return;
+      visit(
+        [...order, stop],
+        remaining.filter((_, i) => i !== index),
+        km + (last ? travelKm(last, stop.coordinates) : 0)
+      );
+    });
+  };
+
+  visit([], stops, 0);
+  return best.order;
+};
+
+/**
+ * Heuristic for larger routes: nearest visitable stop first,
+ * then 2-opt (reverse segments while it shortens the route).
+ */
+const findShortOrder = (start, stops, pickupDonationIds) => {
+  let order = [];
+  let remaining = [...stops];
+
+  while (remaining.length) {
+    const last = order.length ? order[order.length - 1].coordinates : start;
+    const candidates = remaining.filter((stop) =>
+      isVisitable(stop, order, pickupDonationIds)
+    );
+    const next = candidates.reduce((nearest, stop) =>
+      last &&
+      travelKm(last, stop.coordinates) < travelKm(last, nearest.coordinates)
+        ? stop
+        : nearest
+    );
+    order.push(next);
+    remaining = remaining.filter((stop) => stop !== next);
+  }
+
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const candidate = [
+          ...order.slice(0, i),
+          ...order.slice(i, j + 1).reverse(),
+          ...order.slice(j + 1),
+        ];
+        if (
+          respectsPrecedence(candidate, pickupDonationIds) &&
+          routeKm(start, candidate) < routeKm(start, order) - 1e-9
+        ) {
+          order = candidate;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return order;
+};
+
+/**
+ * Plan the visiting order of a volunteer's active tasks.
+ * A direct delivery can be two stops (pickup and drop-off).
+ * `start` is the [lng, lat] the volunteer sets off from (current position or
+ * home); without it the route starts at the first stop.
+ * Returns the ordered stops with leg distance, cumulative distance, estimated
+ * arrival time and whether the arrival is after the task window closes,
+ * plus route totals.
+ */
+const planRoute = (start, tasks, { departureTime = new Date() } = {}) => {
+  const stops = tasks.flatMap(toStops);
+  const pickupDonationIds = new Set(
+    stops.filter((stop) => stop.leg === "pickup").map((stop) => stop.donationId)
+  );
+
+  const order =
+    stops.length <= EXACT_SEARCH_MAX_STOPS
+      ? findShortestOrder(start, stops, pickupDonationIds)
+      : findShortOrder(start, stops, pickupDonationIds);
+
+  let distanceKm = 0;
+  let minutes = 0;
+
+  const plannedStops = order.map((stop, index) => {
+    const from = index === 0 ? start : order[index - 1].coordinates;
+    const legKm = from ? travelKm(from, stop.coordinates) : 0;
+
+    distanceKm += legKm;
+    minutes += (legKm / ROUTE_AVERAGE_SPEED_KMH) * 60;
+    const arrivalTime = new Date(departureTime.getTime() + minutes * 60000);
+    minutes += ROUTE_STOP_MINUTES;
+
+    return {
+      ...stop,
+      order: index + 1,
+      legDistanceKm: Number(legKm.toFixed(2)),
+      cumulativeDistanceKm: Number(distanceKm.toFixed(2)),
+      arrivalTime,
+      late: !!stop.windowEnd && arrivalTime > new Date(stop.windowEnd),
+    };
+  });
+
+  return {
+    start: start || null,
+    stops: plannedStops,
+    totalDistanceKm: Number(distanceKm.toFixed(2)),
+    totalDurationMinutes: Math.round(minutes),
+    method:
+      stops.length <= EXACT_SEARCH_MAX_STOPS ? "exact" : "nearestNeighbour2Opt",
+  };
+};
+
+module.exports = {
+  ROUTE_ROAD_FACTOR,
+  ROUTE_AVERAGE_SPEED_KMH,
+  ROUTE_STOP_MINUTES,
+  planRoute,
+};
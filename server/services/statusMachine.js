@@ -0,0 +1,185 @@
+// Import models whose status fields are controlled by this module
+const { Donation } = require("../models/donationModel");
+const { Task } = require("../models/taskModel");
+
+// Legal donation status transitions: current status -> allowed next statuses
+const DonationTransitions = {
+  // Donations can be cancelled (e.g. food expired) until they are collected
+  pendingAssignment: ["assignedForCollection", "cancelled"],
+  // Back to pendingAssignment when the collection task fails or is cancelled
+  assignedForCollection: ["collected", "pendingAssignment", "cancelled"],
+  collected: ["assignedForDistribution"],
+  // Back to collected when the distribution task fails or is cancelled
+  assignedForDistribution: ["delivered", "collected"],
+  delivered: [],
+  cancelled: [],
+};
+
+// Legal task status transitions: current status -> allowed next statuses
+const TaskTransitions = {
+  pending: ["assigned", "cancelled"],
+  // "assigned" -> "assigned" is a reassignment to another volunteer
+  assigned: [
+    "assigned",
+    "enRoute",
+    "completed",
+    "cancelled",
+    "failed",
+    "pendingReview",
+  ],
+  enRoute: ["assigned", "completed", "cancelled", "failed", "pendingReview"],
+  // Admin resolves a reported issue by reassigning or cancelling the task
+  pendingReview: ["assigned", "cancelled"],
+  completed: [],
+  cancelled: [],
+  failed: [],
+};
+
+// How a donation moves when one of its tasks reaches a new status.
+// Keyed by task phase (task type; see getTaskPhase for direct deliveries),
+// then by the task's new status.
+const DonationStatusForTask = {
+  collection: {
+    completed: "collected",
+    cancelled: "pendingAssignment",
+    failed: "pendingAssignment",
+  },
+  distribution: {
+    completed: "delivered",
+    cancelled: "collected",
+    failed: "collected",
+  },
+};
+
+// Older records were written with status values that are no longer used
+const LegacyStatusAliases = {
+  pending_review: "pendingReview",
+};
+
+// Error thrown when a status change is not allowed by the state machine.
+// Routes turn it into a 409 Conflict response.
+class InvalidTransitionError extends Error {
+  constructor(entity, from, to) {
+    super(`Cannot change ${entity} status from "${from}" to "${to}".`);
+    this.name = "InvalidTransitionError";
+    this.status = 409;
+    this.entity = entity;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// Map a stored status to its current name (handles legacy values)
+const normalizeStatus = (status) => LegacyStatusAliases[status] || status;
+
+// Returns true if `from` -> `to` is a legal move for the given transition table
+const canTransition = (transitions, from, to) => {
+  const allowed = transitions[normalizeStatus(from)] || [];
+  return allowed.includes(to);
+};
+
+// Convenience wrappers for each entity
+const canTransitionDonation = (from, to) =>
+  canTransition(DonationTransitions, from, to);
+const canTransitionTask = (from, to) =>
+  canTransition(TaskTransitions, from, to);
+
+// Donation status implied by a task status change, or null if none
+const getDonationStatusForTask = (taskPhase, taskStatus) =>
+  DonationStatusForTask[taskPhase]?.[taskStatus] || null;
+
+// Build a status history entry
+const buildHistoryEntry = (from, to, { changedBy, reason } = {}) => ({
+  from,
+  to,
+  changedBy: changedBy || "system",
+  reason,
+  changedAt: new Date(),
+});
+
+/**
+ * Apply a status change to the first document matching `filter`.
+ * - Returns null when no document matches the filter
+ *   (or another request changed it first).
+ * - Throws InvalidTransitionError when the move is not allowed.
+ * - Appends an entry to statusHistory in the same atomic update.
+ * Options: changedBy, reason, set (extra fields), unset (fields to remove).
+ */
+const applyTransition = async (
+  Model,
+  entity,
+  transitions,
+  filter,
+  toStatus,
+  { changedBy, reason, set = {}, unset } = {}
+) => {
+  const current = await Model.findOne(filter);
+  if (!current) return null;
+
+  if (!canTransition(transitions, current.status, toStatus)) {
+    throw new InvalidTransitionError(entity, current.status, toStatus);
+  }
+
+  const update = {
+    $set: { ...set, status: toStatus },
+    $push: {
+      statusHistory: buildHistoryEntry(current.status, toStatus, {
+        changedBy,
+        reason,
+      }),
+    },
+  };
+  if (unset) update.$unset = unset;
+
+  // Matching on the status we just read makes the change atomic:
+  // if someone else moved the document in between, nothing is updated.
+  return await Model.findOneAndUpdate(
+    { ...filter, _id: current._id, status: current.status },
+    update,
+    { new: true }
+  );
+};
+
+// Change a donation's status (see applyTransition)
+const transitionDonation = (filter, toStatus, options) =>
+  applyTransition(
+    Donation,
+    "donation",
+    DonationTransitions,
+    filter,
+    toStatus,
+    options
+  );
+
+// Change a task's status (see applyTransition)
+const transitionTask = (filter, toStatus, options) =>
+  applyTransition(Task, "task", TaskTransitions, filter, toStatus, options);
+
+/**
+ * Express helper: sends a 409 response for InvalidTransitionError.
+ * Returns true when the error was handled.
+ */
+const sendTransitionError = (res, error) => {
+  if (!(error instanceof InvalidTransitionError)) return false;
+  res.status(409).json({
+    message: error.message,
+    entity: error.entity,
+    from: error.from,
+    to: error.to,
+  });
+  return true;
+};
+
+module.exports = {
+  DonationTransitions,
+  TaskTransitions,
+  InvalidTransitionError,
+  normalizeStatus,
+  canTransitionDonation,
+  canTransitionTask,
+  getDonationStatusForTask,
+  buildHistoryEntry,
+  transitionDonation,
+  transitionTask,
+  sendTransitionError,
+};
@@ -0,0 +1,190 @@
+// Import the Task model to look for clashing tasks
+const { Task, ActiveTaskStatuses } = require("../models/taskModel");
+
+// Length of the pickup window for donations posted without an end time
+const DEFAULT_PICKUP_WINDOW_HOURS =
+  Number(process.env.DEFAULT_PICKUP_WINDOW_HOURS) || 2;
+
+// Length of the drop-off window when a center has no receiving hours
+const DEFAULT_DROPOFF_WINDOW_HOURS =
+  Number(process.env.DEFAULT_DROPOFF_WINDOW_HOURS) || 4;
+
+const HOUR_MS = 36e5;
+
+// JS day numbers, 0 = Sunday ... 6 = Saturday
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// "HH:MM" on the same local day as `date`
+const atTime = (date, time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+/**
+ * Pickup window of a donation. availabilityTime is the window start;
+ * donations from before windows existed get the default length.
+ */
+const getPickupWindow = (donation) => {
+  const start = new Date(donation.availabilityTime);
+  const end = donation.pickupWindowEnd
+    ? new Date(donation.pickupWindowEnd)
+    : new Date(start.getTime() + DEFAULT_PICKUP_WINDOW_HOURS * HOUR_MS);
+  return { start, end };
+};
+
+// Opening hours of a center as { weekday: [{ open, close }] }.
+// Weekly openingHours win over the older daily dropoffHours; null means the
+// center has not published any hours.
+const getWeeklyHours = (organization) => {
+  if (organization?.openingHours?.length) {
+    return organization.openingHours.reduce((week, entry) => {
+      week[entry.weekday] = [...(week[entry.weekday] || []), entry];
+      return week;
+    }, {});
+  }
+
+  const hours = organization?.dropoffHours;
+  if (hours?.start && hours?.end) {
+    const daily = [{ open: hours.start, close: hours.end }];
+    return Object.fromEntries(WEEKDAYS.map((weekday) => [weekday, daily]));
+  }
+
+  return null;
+};
+
+/**
+ * Opening intervals ({ start, end }) of a center that have not closed yet,
+ * in order, for the `days` days starting with the day of `from`.
+ * Returns null when the center has not published any hours.
+ */
+const getOpeningIntervals = (organization, from = new Date(), days = 8) => {
+  const week = getWeeklyHours(organization);
+  if (!week) return null;
+
+  const intervals = [];
+  for (let offset = 0; offset < days; offset++) {
+    const day = new Date(from.getTime() + offset * 24 * HOUR_MS);
+    (week[day.getDay()] || []).forEach(({ open, close }) => {
+      const start = atTime(day, open);
+      const end = atTime(day, close);
+      if (end > from && end > start) intervals.push({ start, end });
+    });
+  }
+
+  return intervals.sort((a, b) => a.start - b.start);
+};
+
+// True when the center is open at `date` (centers without hours always are)
+const isOpenAt = (organization, date = new Date()) => {
+  const intervals = getOpeningIntervals(organization, date, 1);
+  if (!intervals) return true;
+  return intervals.some(({ start, end }) => start <= date && date < end);
+};
+
+/**
+ * Next drop-off window at a distribution center, starting from `from`.
+ * Uses the center's opening hours when it has them: the next opening
+ * interval that has not closed yet.
+ */
+const getDropoffWindow = (organization, from = new Date()) => {
+  const next = getOpeningIntervals(organization, from)?.[0];
+
+  if (!next) {
+    return {
+      start: from,
+      end: new Date(from.getTime() + DEFAULT_DROPOFF_WINDOW_HOURS * HOUR_MS),
+    };
+  }
+
+  return { start: next.start < from ? from : next.start, end: next.end };
+};
+
+/**
+ * Validate a window from a request body.
+ * Returns an error message, or null when start/end are valid dates in order.
+ */
+const validateWindow = (start, end, label = "Pickup window") => {
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    return `${label} must have a valid start and end time.`;
+  }
+  if (endDate <= startDate) {
+    return `${label} must end after it starts.`;
+  }
+  return null;
+};
+
+/**
+ * Find an active task of the volunteer whose window overlaps the given one.
+ * Tasks created before windows existed have no window and never clash.
+ * Pass excludeTaskId to ignore the task being reassigned.
+ */
+const findOverlappingTask = async (
+  volunteerId,
+  { start, end },
+  excludeTaskId
+) => {
+  const filter = {
+    volunteerId,
+    status: { $in: ActiveTaskStatuses },
+    windowStart: { $lt: end },
+    windowEnd: { $gt: start },
+  };
+  if (excludeTaskId) filter.taskId = { $ne: excludeTaskId };
+
+  return await Task.findOne(filter);
+};
+
+/**
+ * Of the given volunteers, return the set of those who already have an
+ * active task overlapping the window (used by the matching engine).
+ */
+const getVolunteersWithOverlap = async (volunteerIds, { start, end }) => {
+  const ids = await Task.distinct("volunteerId", {
+    volunteerId: { $in: volunteerIds },
+    status: { $in: ActiveTaskStatuses },
+    windowStart: { $lt: end },
+    windowEnd: { $gt: start },
+  });
+  return new Set(ids);
+};
+
+// Error thrown when a volunteer would get two tasks at the same time.
+// Routes turn it into a 409 Conflict response.
+class OverlappingTaskError extends Error {
+  constructor(volunteerId, task) {
+    super(
+      `Volunteer already has a ${task.taskType} task between ${task.windowStart.toISOString()} and ${task.windowEnd.toISOString()}.`
+    );
+    this.name = "OverlappingTaskError";
+    this.status = 409;
+    this.volunteerId = volunteerId;
+    this.conflictingTaskId = task.taskId;
+  }
+}
+
+/**
+ * Throw OverlappingTaskError if the volunteer already has an active task
+ * overlapping the window.
+ */
+const assertNoOverlap = async (volunteerId, window, excludeTaskId) => {
+  const clash = await findOverlappingTask(volunteerId, window, excludeTaskId);
+  if (clash) throw new OverlappingTaskError(volunteerId, clash);
+};
+
+module.exports = {
+  DEFAULT_PICKUP_WINDOW_HOURS,
+  DEFAULT_DROPOFF_WINDOW_HOURS,
+  getPickupWindow,
+  getOpeningIntervals,
+  isOpenAt,
+  getDropoffWindow,
+  validateWindow,
+  findOverlappingTask,
+  getVolunteersWithOverlap,
+  OverlappingTaskError,
+  assertNoOverlap,
+};
@@ -0,0 +1,105 @@
+// Item types that spoil quickly even when the donor gives no expiry time
+const PerishableItemTypes = ["Prepared Food", "Produce"];
+
+// Expiry further away than this (in hours) does not add any urgency
+const EXPIRY_HORIZON_HOURS = 72;
+
+// Pickups starting within this many hours get an extra urgency boost
+const SOON_PICKUP_HOURS = 6;
+
+// Hours between two dates (negative when `to` is in the past)
+const hoursBetween = (from, to) => (new Date(to) - new Date(from)) / 36e5;
+
+// Returns true if the donation needs to move quickly (perishable food).
+// Multi-item donations count as perishable when any line item is.
+const isPerishable = (donation) =>
+  PerishableItemTypes.includes(donation.itemType) ||
+  (donation.items || []).some((item) =>
+    PerishableItemTypes.includes(item.itemType)
+  ) ||
+  ["chilled", "frozen"].includes(donation.storageRequirement);
+
+/**
+ * Compute how urgently a donation needs to be picked up.
+ * Returns a score from 0 (can wait) to 100 (act now), a level used by the
+ * admin dashboard, and flags for expired / expiring-before-pickup food.
+ */
+const computeUrgency = (donation, now = new Date()) => {
+  const hoursToExpiry = donation.expiresAt
+    ? hoursBetween(now, donation.expiresAt)
+    : null;
+  const hoursToPickup = donation.availabilityTime
+    ? hoursBetween(now, donation.availabilityTime)
+    : null;
+
+  const perishable = isPerishable(donation);
+  const expired = hoursToExpiry !== null && hoursToExpiry <= 0;
+
+  // Food that spoils before it is even available cannot be rescued in time
+  const expiresBeforePickup =
+    !!donation.expiresAt &&
+    !!donation.availabilityTime &&
+    new Date(donation.expiresAt) <= new Date(donation.availabilityTime);
+
+  let score;
+  if (hoursToExpiry !== null) {
+    // Closer expiry -> higher score (30 at the horizon, 100 when expired)
+    const remaining = Math.min(
+      Math.max(hoursToExpiry, 0),
+      EXPIRY_HORIZON_HOURS
+    );
+    score = 100 - (remaining / EXPIRY_HORIZON_HOURS) * 70;
+  } else {
+    // No expiry given: fall back to the kind of food
+    score = perishable ? 40 : 10;
+  }
+
+  // Cold-chain food needs to move quickly once it leaves the donor's fridge
+  if (donation.storageRequirement === "chilled") score += 10;
+  if (donation.storageRequirement === "frozen") score += 5;
+
+  if (hoursToPickup !== null && hoursToPickup < SOON_PICKUP_HOURS) score += 10;
+
+  score = Math.round(Math.min(score, 100));
+
+  let level = "standard";
+  if (expired || expiresBeforePickup || score >= 70) {
+    level = "urgent";
+  } else if (score >= 40) {
+    level = "high";
+  }
+
+  return {
+    score,
+    level,
+    perishable,
+    hoursToExpiry,
+    expired,
+    expiresBeforePickup,
+  };
+};
+
+/**
+ * Sort donations by urgency (most urgent first), breaking ties by the
+ * earliest availability time. Returns plain objects with an `urgency` field.
+ */
+const sortByUrgency = (donations, now = new Date()) => {
+  return donations
+    .map((donation) => {
+      const plain = donation.toObject ? donation.toObject() : donation;
+      return { ...plain, urgency: computeUrgency(plain, now) };
+    })
+    .sort((a, b) => {
+      if (b.urgency.score !== a.urgency.score) {
+        return b.urgency.score - a.urgency.score;
+      }
+      return new Date(a.availabilityTime) - new Date(b.availabilityTime);
+    });
+};
+
+module.exports = {
+  PerishableItemTypes,
+  isPerishable,
+  computeUrgency,
+  sortByUrgency,
+};
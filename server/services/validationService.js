@@ -0,0 +1,76 @@
+// Request validation for the routes. Each route declares the schemas of
+// its params, query and body (rules from shared/validation.mjs, which the
+// client forms use too) and invalid requests are refused with 400 before
+// the handler runs.
+const {
+  validate,
+  array,
+  boolean,
+  coordinates,
+  date,
+  integer,
+  number,
+  object,
+  objectId,
+  string,
+} = require("../../shared/validation.mjs");
+
+// Firebase UID of a user (e.g. a volunteer or donor ID)
+const userId = (options = {}) =>
+  string({ maxLength: 128, label: "User ID", ...options });
+
+/**
+ * Send the 400 response for field errors ({ field: message }).
+ * message repeats the first error so clients that only show message still
+ * say what is wrong.
+ */
+const sendValidationError = (res, errors) =>
+  res.status(400).json({ message: Object.values(errors)[0], errors });
+
+/**
+ * Route middleware: validates req.params, req.query and req.body against
+ * the given schemas ({ params, query, body }). Body and params may only
+ * hold the fields their schema lists; query may carry others. Errors for
+ * params and query are keyed "params.<field>" / "query.<field>".
+ */
+const validateRequest = (schemas) => {
+  const middleware = (req, res, next) => {
+    const errors = {};
+
+    for (const location of ["params", "query", "body"]) {
+      if (!schemas[location]) continue;
+      const found = validate(schemas[location], req[location], {
+        coerce: location !== "body",
+        allowUnknown: location === "query",
+      });
+      for (const [field, message] of Object.entries(found)) {
+        errors[location === "body" ? field : `${location}.${field}`] = message;
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return sendValidationError(res, errors);
+    }
+    next();
+  };
+
+  // Read by the OpenAPI generator to describe the request
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+module.exports = {
+  sendValidationError,
+  validateRequest,
+  // Rule helpers, so routes declare their schemas from one import
+  array,
+  boolean,
+  coordinates,
+  date,
+  integer,
+  number,
+  object,
+  objectId,
+  string,
+  userId,
+};
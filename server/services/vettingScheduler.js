@@ -0,0 +1,122 @@
+// Import the Volunteer model and the vetting helpers
+const {
+  Volunteer,
+  ApprovedVolunteerFilter,
+} = require("../models/volunteerModel");
+const { Task } = require("../models/taskModel");
+const { DocumentLabels, setVetting } = require("./vettingService");
+const { toDateKey } = require("./recurrenceService");
+const { transitionTask } = require("./statusMachine");
+
+// How often to look for expired volunteer documents (default: every hour)
+const VETTING_CHECK_INTERVAL_MS =
+  Number(process.env.VETTING_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+/**
+ * Send a suspended volunteer's active tasks to the admins' reported issues
+ * (pendingReview, with the suspension as the issue notes): the volunteer
+ * can no longer work on them and an admin reassigns or cancels them.
+ * Returns the number of tasks sent.
+ */
+const flagTasksOfSuspendedVolunteer = async (volunteerId, note) => {
+  const tasks = await Task.find({
+    volunteerId,
+    // Tasks the volunteer is working on ("pending" ones have no volunteer yet)
+    status: { $in: ["assigned", "enRoute"] },
+  });
+  const issueNotes = `Volunteer suspended: ${note}`;
+
+  let flaggedCount = 0;
+  for (const task of tasks) {
+    const flagged = await transitionTask(
+      { taskId: task.taskId, volunteerId, status: task.status },
+      "pendingReview",
+      {
+        changedBy: "system",
+        reason: issueNotes,
+        set: { issueReported: true, issueNotes },
+      }
+    );
+    if (flagged) flaggedCount += 1;
+  }
+  return flaggedCount;
+};
+
+// An accepted or still unreviewed document that has expired
+const isExpiredDocument = (doc, now) =>
+  doc.status !== "rejected" && doc.expiresAt <= now;
+
+/**
+ * Suspend every approved volunteer with a document (accepted, or uploaded
+ * and not reviewed yet) that has expired, and send their active tasks to
+ * the admins for reassignment. They are back in the review queue once they
+ * upload a new document.
+ * Returns the number of volunteers suspended.
+ */
+const suspendVolunteersWithExpiredDocuments = async (now = new Date()) => {
+  const volunteers = await Volunteer.find({
+    ...ApprovedVolunteerFilter,
+    documents: {
+      $elemMatch: { status: { $ne: "rejected" }, expiresAt: { $lte: now } },
+    },
+  });
+
+  let suspendedCount = 0;
+  let flaggedTaskCount = 0;
+
+  for (const volunteer of volunteers) {
+    const expired = volunteer.documents.find((doc) =>
+      isExpiredDocument(doc, now)
+    );
+    const note = `${DocumentLabels[expired.type]} expired on ${toDateKey(
+      expired.expiresAt
+    )}.`;
+    try {
+      setVetting(volunteer, {
+        status: "suspended",
+        note,
+        reviewedBy: undefined,
+        reviewedAt: now,
+      });
+      await volunteer.save();
+      suspendedCount += 1;
+      flaggedTaskCount += await flagTasksOfSuspendedVolunteer(
+        volunteer.userId,
+        note
+      );
+    } catch (err) {
+      console.error(
+        `VETTING SUSPEND ERROR (volunteer ${volunteer.userId}):`,
+        err
+      );
+    }
+  }
+
+  if (suspendedCount > 0) {
+    console.log(
+      `Vetting check: suspended ${suspendedCount} volunteers with expired documents, ${flaggedTaskCount} of their tasks sent to admin review`
+    );
+  }
+
+  return suspendedCount;
+};
+
+/**
+ * Run suspendVolunteersWithExpiredDocuments now and then on a fixed
+ * interval. Returns the interval handle so it can be stopped with
+ * clearInterval.
+ */
+const startVettingScheduler = (intervalMs = VETTING_CHECK_INTERVAL_MS) => {
+  const run = () =>
+    suspendVolunteersWithExpiredDocuments().catch((err) =>
+      console.error("VETTING SCHEDULER ERROR:", err)
+    );
+
+  run();
+  return setInterval(run, intervalMs);
+};
+
+module.exports = {
+  suspendVolunteersWithExpiredDocuments,
+  startVettingScheduler,
+};
@@ -0,0 +1,256 @@
+// Volunteer vetting: uploaded documents (ID, food-safety certificate,
+// driver's licence) and the admin approve / reject decision. Suspension
+// when a document expires runs in vettingScheduler.
+const mongoose = require("mongoose");
+const { getProofStorage } = require("./proofStorage");
+
+// Largest document accepted (default: 5 MB)
+const VETTING_MAX_DOCUMENT_BYTES =
+  Number(process.env.VETTING_MAX_DOCUMENT_BYTES) || 5 * 1024 * 1024;
+
+// File types accepted for documents and the file extension used for each
+const DocumentExtensions = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "application/pdf": "pdf",
+};
+
+// Names of the document types shown in messages
+const DocumentLabels = {
+  id: "ID",
+  foodSafetyCertificate: "Food-safety certificate",
+  driversLicence: "Driver's licence",
+};
+
+// Vehicles that need a driver's licence
+const LicensedVehicleTypes = ["motorbike", "car", "van", "truck"];
+
+/**
+ * Decode a base64 data URL of a supported document type.
+ * Returns { buffer, contentType } or null when it is not supported.
+ */
+const parseDocumentDataUrl = (dataUrl) => {
+  const match =
+    typeof dataUrl === "string" &&
+    dataUrl.match(/^data:([\w/+.-]+);base64,(.+)$/);
+  if (!match || !DocumentExtensions[match[1]]) return null;
+
+  const buffer = Buffer.from(match[2], "base64");
+  if (buffer.length === 0) return null;
+
+  return { buffer, contentType: match[1] };
+};
+
+// Document types the volunteer must have accepted before approval: an ID,
+// and a driver's licence when they drive
+const getRequiredDocumentTypes = (volunteer) => [
+  "id",
+  ...(LicensedVehicleTypes.includes(volunteer.capabilities?.vehicleType)
+    ? ["driversLicence"]
+    : []),
+];
+
+// Required document types without an unexpired, not rejected upload
+const getMissingDocumentTypes = (volunteer, now = new Date()) =>
+  getRequiredDocumentTypes(volunteer).filter(
+    (type) =>
+      !volunteer.documents.some(
+        (doc) =>
+          doc.type === type && doc.status !== "rejected" && doc.expiresAt > now
+      )
+  );
+
+// Change some of the volunteer's vetting fields (undefined clears one)
+const setVetting = (volunteer, fields) => {
+  Object.entries(fields).forEach(([field, value]) =>
+    volunteer.set(`vetting.${field}`, value)
+  );
+};
+
+// Document as returned to the client (the storage key stays on the server)
+const formatDocument = (doc) => ({
+  documentId: doc.documentId,
+  type: doc.type,
+  label: DocumentLabels[doc.type],
+  fileName: doc.fileName || null,
+  contentType: doc.contentType,
+  expiresAt: doc.expiresAt,
+  status: doc.status,
+  uploadedAt: doc.uploadedAt,
+  reviewedAt: doc.reviewedAt || null,
+});
+
+// Vetting state as returned to the client
+const formatVetting = (volunteer) => ({
+  status: volunteer.vetting?.status || "approved",
+  note: volunteer.vetting?.note || null,
+  submittedAt: volunteer.vetting?.submittedAt || null,
+  reviewedAt: volunteer.vetting?.reviewedAt || null,
+  documents: volunteer.documents.map(formatDocument),
+  requiredDocuments: getRequiredDocumentTypes(volunteer),
+  missingDocuments: getMissingDocumentTypes(volunteer),
+});
+
+// Delete the stored files of documents no longer kept on the volunteer
+const removeDocumentFiles = (documents) =>
+  Promise.all(
+    documents.map((doc) =>
+      getProofStorage()
+        .remove(doc.fileKey)
+        .catch((err) => console.error("REMOVE DOCUMENT FILE ERROR:", err))
+    )
+  );
+
+/**
+ * Store an uploaded document ({ type, file, fileName, expiresAt }) for the
+ * volunteer, replacing their earlier unreviewed or rejected document of the
+ * same type. An accepted one is kept until the new one is approved, so an
+ * approved volunteer's expiry is still checked against the reviewed copy.
+ * A rejected or suspended volunteer goes back to the review queue.
+ * Returns the saved Volunteer, or null when the file is not supported.
+ */
+const addVolunteerDocument = async (
+  volunteer,
+  { type, file, fileName, expiresAt }
+) => {
+  const parsed = parseDocumentDataUrl(file);
+  if (!parsed || parsed.buffer.length > VETTING_MAX_DOCUMENT_BYTES) {
+    return null;
+  }
+
+  const documentId = new mongoose.Types.ObjectId().toHexString();
+  const fileKey = `volunteers/${volunteer.userId}/${documentId}.${
+    DocumentExtensions[parsed.contentType]
+  }`;
+  await getProofStorage().save(fileKey, parsed.buffer);
+
+  const replaced = volunteer.documents.filter(
+    (doc) => doc.type === type && doc.status !== "accepted"
+  );
+  volunteer.documents = [
+    ...volunteer.documents.filter((doc) => !replaced.includes(doc)),
+    {
+      documentId,
+      type,
+      fileKey,
+      contentType: parsed.contentType,
+      fileName: fileName?.trim() || undefined,
+      expiresAt: new Date(expiresAt),
+    },
+  ];
+
+  if (
+    ["pending", "rejected", "suspended"].includes(volunteer.vetting?.status)
+  ) {
+    setVetting(volunteer, { status: "pending", submittedAt: new Date() });
+  }
+
+  await volunteer.save();
+
+  // Old files are only removed once the new one is recorded
+  await removeDocumentFiles(replaced);
+
+  return volunteer;
+};
+
+/**
+ * Read a stored document file. Returns { buffer, contentType } or null
+ * when the volunteer has no such document.
+ */
+const readVolunteerDocument = async (volunteer, documentId) => {
+  const doc = volunteer.documents.find((d) => d.documentId === documentId);
+  if (!doc) return null;
+
+  const buffer = await getProofStorage().read(doc.fileKey);
+  return { buffer, contentType: doc.contentType, fileName: doc.fileName };
+};
+
+/**
+ * Approve the volunteer: their pending documents are accepted, replacing
+ * earlier accepted ones of the same type, and they can be given tasks. An
+ * accepted food-safety certificate also marks them as a certified food
+ * handler (see capabilityService).
+ */
+const approveVolunteer = async (volunteer, reviewerUid, now = new Date()) => {
+  const newlyAccepted = volunteer.documents.filter(
+    (doc) => doc.status === "pending"
+  );
+  newlyAccepted.forEach((doc) => {
+    doc.status = "accepted";
+    doc.reviewedBy = reviewerUid;
+    doc.reviewedAt = now;
+  });
+
+  const superseded = volunteer.documents.filter(
+    (doc) =>
+      doc.status === "accepted" &&
+      !newlyAccepted.includes(doc) &&
+      newlyAccepted.some((accepted) => accepted.type === doc.type)
+  );
+  volunteer.documents = volunteer.documents.filter(
+    (doc) => !superseded.includes(doc)
+  );
+
+  const certificate = volunteer.documents.find(
+    (doc) => doc.type === "foodSafetyCertificate" && doc.status === "accepted"
+  );
+  if (certificate) {
+    volunteer.set("capabilities.foodHandlerCertified", true);
+    volunteer.set(
+      "capabilities.foodHandlerCertExpiresAt",
+      certificate.expiresAt
+    );
+  }
+
+  setVetting(volunteer, {
+    status: "approved",
+    note: undefined,
+    reviewedBy: reviewerUid,
+    reviewedAt: now,
+  });
+  const saved = await volunteer.save();
+
+  await removeDocumentFiles(superseded);
+  return saved;
+};
+
+/**
+ * Reject the volunteer with a reason: their pending documents are rejected
+ * and they cannot be given tasks until they upload new ones and are
+ * approved.
+ */
+const rejectVolunteer = async (
+  volunteer,
+  reviewerUid,
+  reason,
+  now = new Date()
+) => {
+  volunteer.documents.forEach((doc) => {
+    if (doc.status === "pending") {
+      doc.status = "rejected";
+      doc.reviewedBy = reviewerUid;
+      doc.reviewedAt = now;
+    }
+  });
+
+  setVetting(volunteer, {
+    status: "rejected",
+    note: reason.trim(),
+    reviewedBy: reviewerUid,
+    reviewedAt: now,
+  });
+  return await volunteer.save();
+};
+
+module.exports = {
+  DocumentLabels,
+  getRequiredDocumentTypes,
+  getMissingDocumentTypes,
+  formatVetting,
+  addVolunteerDocument,
+  readVolunteerDocument,
+  approveVolunteer,
+  rejectVolunteer,
+  setVetting,
+};
@@ -0,0 +1,119 @@
+// Unit tests for the audit log hash chain (entries are built in memory;
+// no database needed)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { AuditLog } = require("../models/auditLogModel");
+const {
+  diffObjects,
+  hashEntry,
+  verifyAuditEntries,
+} = require("../services/auditService");
+
+// A chain of entries linked and hashed like insertEntry does
+const buildChain = (contents) => {
+  const entries = [];
+  for (const [index, content] of contents.entries()) {
+    const entry = {
+      action: "PUT /api/users/:uid",
+      method: "PUT",
+      path: "/api/users/u1",
+      statusCode: 200,
+      actorUid: "admin1",
+      ...content,
+      sequence: index + 1,
+      prevHash: entries[index - 1]?.hash || "",
+      createdAt: new Date(Date.UTC(2025, 0, 1, 12, index)),
+    };
+    entries.push({ ...entry, hash: hashEntry(entry) });
+  }
+  return entries;
+};
+
+// An entry as it comes back from MongoDB after being saved
+const saveAndReload = (entry) => AuditLog.hydrate(new AuditLog(entry).toBSON());
+
+test("an untouched chain verifies", async () => {
+  const entries = buildChain([
+    { before: { role: "Donor" }, after: { role: "Volunteer" } },
+    { targetType: "task", targetId: "t1" },
+  ]);
+  assert.deepEqual(await verifyAuditEntries(entries), {
+    valid: true,
+    checked: 2,
+    lastHash: entries[1].hash,
+  });
+});
+
+test("an empty log verifies", async () => {
+  assert.deepEqual(await verifyAuditEntries([]), {
+    valid: true,
+    checked: 0,
+    lastHash: "",
+  });
+});
+
+test("a changed entry breaks the chain", async () => {
+  const entries = buildChain([{ after: { role: "Admin" } }, {}]);
+  entries[0].after = { role: "Donor" };
+
+  const result = await verifyAuditEntries(entries);
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 1);
+  assert.equal(result.checked, 0);
+  assert.match(result.reason, /changed/);
+});
+
+test("a removed entry breaks the chain", async () => {
+  const entries = buildChain([{}, {}, {}]);
+  const result = await verifyAuditEntries([entries[0], entries[2]]);
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 2);
+  assert.match(result.reason, /missing/);
+});
+
+test("an entry re-hashed on its own no longer links", async () => {
+  const entries = buildChain([{}, {}]);
+  const forged = { ...entries[1], prevHash: "0".repeat(64) };
+  forged.hash = hashEntry(forged);
+
+  const result = await verifyAuditEntries([entries[0], forged]);
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 2);
+  assert.match(result.reason, /link/);
+});
+
+test("saved entries with empty objects still verify", async () => {
+  const entries = buildChain([
+    { before: {}, after: { items: [], quantity: {} } },
+    {
+      before: { notes: "" },
+      after: {},
+      changes: [{ field: "extra", from: {}, to: { a: 1 } }],
+    },
+  ]);
+  const reloaded = entries.map(saveAndReload);
+
+  assert.deepEqual(reloaded[0].toObject().before, {});
+  assert.equal((await verifyAuditEntries(reloaded)).valid, true);
+});
+
+test("an empty before or after replaced by null breaks the chain", async () => {
+  const [entry] = buildChain([{ before: {}, after: {} }]);
+  const result = await verifyAuditEntries([{ ...entry, before: null }]);
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 1);
+});
+
+test("diffObjects lists the top-level fields that differ", () => {
+  assert.deepEqual(
+    diffObjects(
+      { role: "Donor", status: "active", tags: ["a"] },
+      { role: "Volunteer", status: "active", tags: ["a"], phone: "123" }
+    ),
+    [
+      { field: "role", from: "Donor", to: "Volunteer" },
+      { field: "phone", from: undefined, to: "123" },
+    ]
+  );
+  assert.deepEqual(diffObjects(null, null), []);
+});
@@ -0,0 +1,88 @@
+// Unit tests for volunteer availability checks (times are server local time)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getAvailabilityIssue } = require("../services/availabilityService");
+
+// 2025-01-06 is a Monday (weekday 1)
+const at = (day, hours, minutes = 0) => new Date(2025, 0, day, hours, minutes);
+
+const eveningsMonToWed = {
+  weekly: [1, 2, 3].map((weekday) => ({
+    weekday,
+    start: "18:00",
+    end: "23:59",
+  })),
+};
+
+test("volunteers without weekly times are always available", () => {
+  assert.equal(
+    getAvailabilityIssue(undefined, { start: at(6, 9), end: at(6, 11) }),
+    null
+  );
+});
+
+test("the window has to overlap the weekly times", () => {
+  assert.equal(
+    getAvailabilityIssue(eveningsMonToWed, {
+      start: at(6, 19),
+      end: at(6, 21),
+    }),
+    null
+  );
+  assert.equal(
+    getAvailabilityIssue(eveningsMonToWed, {
+      start: at(6, 9),
+      end: at(6, 11),
+    }),
+    "Not available at this time."
+  );
+});
+
+test("a window past midnight needs times on the next day too", () => {
+  // Monday 22:00 to Tuesday 01:00: Tuesday has no time after midnight
+  const overnight = { start: at(6, 22), end: at(7, 1) };
+  assert.equal(
+    getAvailabilityIssue(eveningsMonToWed, overnight),
+    "Not available at this time."
+  );
+
+  const withNights = {
+    weekly: [
+      ...eveningsMonToWed.weekly,
+      { weekday: 2, start: "00:00", end: "02:00" },
+    ],
+  };
+  assert.equal(getAvailabilityIssue(withNights, overnight), null);
+});
+
+test("a window ending at midnight only touches its own day", () => {
+  assert.equal(
+    getAvailabilityIssue(
+      { ...eveningsMonToWed, blackoutDates: ["2025-01-08"] },
+      { start: at(7, 22), end: at(8, 0) }
+    ),
+    null
+  );
+});
+
+test("days off count on every day the window touches", () => {
+  const availability = { blackoutDates: ["2025-01-07"] };
+  assert.equal(
+    getAvailabilityIssue(availability, { start: at(6, 23), end: at(7, 1) }),
+    "Day off on 2025-01-07."
+  );
+  assert.equal(
+    getAvailabilityIssue(availability, { start: at(6, 20), end: at(6, 22) }),
+    null
+  );
+});
+
+test("the daily task limit applies to the day the window starts", () => {
+  const availability = { maxTasksPerDay: 2 };
+  const window = { start: at(6, 9), end: at(6, 10) };
+  assert.equal(getAvailabilityIssue(availability, window, 1), null);
+  assert.equal(
+    getAvailabilityIssue(availability, window, 2),
+    "Already has 2 task(s) that day (limit 2)."
+  );
+});
@@ -0,0 +1,133 @@
+// Unit tests for handoff code checks and the wrong-code lockout. The Task
+// model is replaced by one in-memory task whose updates apply at once, as
+// a single MongoDB update does.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Task } = require("../models/taskModel");
+const {
+  MAX_HANDOFF_ATTEMPTS,
+  verifyHandoffCode,
+  HandoffCodeError,
+} = require("../services/handoffCodeService");
+
+const CODE = "123456";
+const WRONG_CODE = "000000";
+
+// Failed attempts made against the task's current code
+const currentAttempts = (task) =>
+  task.failedHandoffAttempts.filter(
+    (attempt) =>
+      !task.handoffCodeIssuedAt ||
+      attempt.attemptedAt >= task.handoffCodeIssuedAt
+  );
+
+// Mongoose query stand-in: .select() resolves to the result
+const query = (result) => ({ select: async () => result });
+
+/**
+ * Replace the Task methods used by verifyHandoffCode with ones working on
+ * a single task. The conditional update only matches while fewer than
+ * MAX_HANDOFF_ATTEMPTS attempts count, like its $expr condition.
+ * Returns the stored task.
+ */
+const useTask = (t, fields = {}) => {
+  const task = {
+    taskId: "task-1",
+    handoffCode: CODE,
+    failedHandoffAttempts: [],
+    ...fields,
+  };
+  const copy = () => structuredClone(task);
+
+  t.mock.method(Task, "findOne", () => query(copy()));
+  t.mock.method(Task, "findOneAndUpdate", (filter, update) => {
+    assert.ok(filter.$expr, "the attempt limit is checked in the update");
+    if (currentAttempts(task).length >= MAX_HANDOFF_ATTEMPTS) {
+      return query(null);
+    }
+    task.failedHandoffAttempts.push(update.$push.failedHandoffAttempts);
+    return query(copy());
+  });
+  t.mock.method(Task, "updateOne", async (filter, update) => {
+    const pulled = update.$pull.failedHandoffAttempts;
+    task.failedHandoffAttempts = task.failedHandoffAttempts.filter(
+      (attempt) =>
+        attempt.volunteerId !== pulled.volunteerId ||
+        attempt.attemptedAt.getTime() !== pulled.attemptedAt.getTime()
+    );
+  });
+  return task;
+};
+
+// The HandoffCodeError thrown by a check, or null when the code passed
+const check = (code) =>
+  verifyHandoffCode("task-1", "vol-1", code).then(
+    () => null,
+    (error) => {
+      assert.ok(error instanceof HandoffCodeError);
+      return error;
+    }
+  );
+
+test("the right code passes and is not counted as a failed attempt", async (t) => {
+  const task = useTask(t);
+
+  assert.equal(await check(CODE), null);
+  assert.equal(await check(` ${CODE} `), null);
+  assert.equal(task.failedHandoffAttempts.length, 0);
+});
+
+test("tasks without a handoff code always pass", async (t) => {
+  useTask(t, { handoffCode: undefined });
+
+  assert.equal(await check(WRONG_CODE), null);
+  assert.equal(Task.findOneAndUpdate.mock.callCount(), 0);
+});
+
+test("wrong codes count down and then lock the task", async (t) => {
+  const task = useTask(t);
+
+  for (let left = MAX_HANDOFF_ATTEMPTS - 1; left > 0; left--) {
+    const error = await check(WRONG_CODE);
+    assert.equal(error.status, 400);
+    assert.equal(error.attemptsLeft, left);
+  }
+  assert.equal((await check(WRONG_CODE)).status, 423);
+
+  // Locked: even the right code is refused and nothing more is recorded
+  assert.equal((await check(CODE)).status, 423);
+  assert.equal(task.failedHandoffAttempts.length, MAX_HANDOFF_ATTEMPTS);
+});
+
+test("parallel guesses cannot get past the attempt limit", async (t) => {
+  const task = useTask(t);
+
+  const guesses = Array.from({ length: MAX_HANDOFF_ATTEMPTS * 3 }, (_, i) =>
+    String(i).padStart(6, "9")
+  );
+  const errors = await Promise.all([...guesses, CODE].map(check));
+
+  assert.equal(task.failedHandoffAttempts.length, MAX_HANDOFF_ATTEMPTS);
+  assert.equal(errors.at(-1)?.status, 423, "the right code came too late");
+  assert.equal(
+    errors.filter((error) => error.status === 400).length,
+    MAX_HANDOFF_ATTEMPTS - 1
+  );
+});
+
+test("a new code starts a new count", async (t) => {
+  const issuedAt = new Date();
+  const earlier = new Date(issuedAt.getTime() - 60 * 1000);
+  useTask(t, {
+    handoffCodeIssuedAt: issuedAt,
+    failedHandoffAttempts: Array.from({ length: MAX_HANDOFF_ATTEMPTS }, () => ({
+      attemptedAt: earlier,
+      volunteerId: "vol-1",
+    })),
+  });
+
+  const error = await check(WRONG_CODE);
+  assert.equal(error.status, 400);
+  assert.equal(error.attemptsLeft, MAX_HANDOFF_ATTEMPTS - 1);
+  assert.equal(await check(CODE), null);
+});
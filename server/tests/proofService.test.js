@@ -0,0 +1,175 @@
+// Unit tests for the proof a volunteer sends to complete a task (no
+// database or file storage needed)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PROOF_MAX_DISTANCE_METERS,
+  PROOF_MAX_IMAGE_BYTES,
+  parseImageDataUrl,
+  validateProof,
+  checkProofLocation,
+} = require("../services/proofService");
+
+// Base64 data URL of `bytes` bytes of the given type
+const dataUrl = (contentType = "image/png", bytes = 8) =>
+  `data:${contentType};base64,${Buffer.alloc(bytes, 1).toString("base64")}`;
+
+// Proof that passes validateProof, with some fields replaced
+const proof = (fields = {}) => ({
+  photo: dataUrl("image/jpeg"),
+  signature: dataUrl("image/png"),
+  recipientName: "Sam Receiver",
+  location: {
+    coordinates: [-0.1276, 51.5072],
+    accuracyMeters: 12,
+    capturedAt: "2026-03-02T10:00:00Z",
+  },
+  ...fields,
+});
+
+// Point about `meters` north of [lng, lat]
+const northOf = ([lng, lat], meters) => [lng, lat + meters / 111195];
+
+const TARGET = [-0.1276, 51.5072];
+const task = (fields = {}) => ({
+  taskId: "task-1",
+  taskType: "collection",
+  location: { type: "Point", coordinates: TARGET },
+  address: "Pickup address",
+  ...fields,
+});
+
+test("parseImageDataUrl accepts JPEG, PNG and WebP data URLs only", () => {
+  const parsed = parseImageDataUrl(dataUrl("image/webp", 3));
+  assert.equal(parsed.contentType, "image/webp");
+  assert.equal(parsed.buffer.length, 3);
+
+  assert.equal(parseImageDataUrl(dataUrl("image/gif")), null);
+  assert.equal(parseImageDataUrl(dataUrl("application/pdf")), null);
+  assert.equal(parseImageDataUrl("data:image/png;base64,"), null);
+  assert.equal(parseImageDataUrl("image/png;base64,AAAA"), null);
+  assert.equal(parseImageDataUrl("https://example.com/photo.png"), null);
+  assert.equal(parseImageDataUrl(undefined), null);
+});
+
+test("a complete proof is valid", () => {
+  assert.equal(validateProof(proof()), null);
+  assert.equal(
+    validateProof(proof({ location: { coordinates: [10, 20] } })),
+    null
+  );
+});
+
+test("proof without a photo or signature is refused", () => {
+  assert.match(validateProof(undefined), /is required to complete a task/);
+  assert.match(validateProof(proof({ photo: undefined })), /photo/);
+  assert.match(validateProof(proof({ photo: dataUrl("image/gif") })), /photo/);
+  assert.match(validateProof(proof({ signature: "" })), /signature/);
+  assert.match(
+    validateProof(proof({ signature: "data:image/png;base64," })),
+    /signature/
+  );
+});
+
+test("images over the size limit are refused", () => {
+  const tooLarge = dataUrl("image/png", PROOF_MAX_IMAGE_BYTES + 1);
+  assert.equal(
+    validateProof(proof({ photo: tooLarge })),
+    "Photo is too large."
+  );
+  assert.equal(
+    validateProof(proof({ signature: tooLarge })),
+    "Signature is too large."
+  );
+});
+
+test("the recipient name is required and limited in length", () => {
+  assert.match(validateProof(proof({ recipientName: "  " })), /Recipient/);
+  assert.match(
+    validateProof(proof({ recipientName: "x".repeat(101) })),
+    /100 characters/
+  );
+});
+
+test("the device location has to be a valid [longitude, latitude]", () => {
+  for (const coordinates of [
+    undefined,
+    [51.5],
+    [181, 0],
+    [0, 91],
+    ["-0.12", "51.5"],
+    [NaN, 0],
+  ]) {
+    assert.match(
+      validateProof(proof({ location: { coordinates } })),
+      /Device location/,
+      `coordinates ${JSON.stringify(coordinates)}`
+    );
+  }
+  assert.match(
+    validateProof(
+      proof({ location: { coordinates: TARGET, capturedAt: "yesterday" } })
+    ),
+    /timestamp/
+  );
+});
+
+test("completion is allowed near the task location", () => {
+  const result = checkProofLocation(task(), {
+    coordinates: northOf(TARGET, 50),
+  });
+
+  assert.equal(result.allowed, true);
+  assert.equal(result.overridden, false);
+  assert.ok(Math.abs(result.distanceMeters - 50) < 1);
+});
+
+test("completion too far from the task location is refused", () => {
+  const result = checkProofLocation(task(), {
+    coordinates: northOf(TARGET, PROOF_MAX_DISTANCE_METERS + 100),
+  });
+
+  assert.equal(result.allowed, false);
+  assert.ok(result.distanceMeters > PROOF_MAX_DISTANCE_METERS);
+});
+
+test("an admin location override allows completion from further away", () => {
+  const overridden = task({
+    locationOverride: { grantedBy: "admin-1", grantedAt: new Date() },
+  });
+
+  const far = checkProofLocation(overridden, {
+    coordinates: northOf(TARGET, 5000),
+  });
+  assert.equal(far.allowed, true);
+  assert.equal(far.overridden, true);
+
+  // Nearby completions do not count as overridden
+  const near = checkProofLocation(overridden, { coordinates: TARGET });
+  assert.equal(near.allowed, true);
+  assert.equal(near.overridden, false);
+});
+
+test("the drop-off leg of a direct delivery is checked at the drop-off", () => {
+  const dropoff = northOf(TARGET, 10000);
+  const delivery = task({
+    taskType: "directDelivery",
+    leg: "dropoff",
+    dropoffLocation: { type: "Point", coordinates: dropoff },
+    dropoffAddress: "Center address",
+  });
+
+  assert.equal(
+    checkProofLocation(delivery, { coordinates: dropoff }).allowed,
+    true
+  );
+  assert.equal(
+    checkProofLocation(delivery, { coordinates: TARGET }).allowed,
+    false
+  );
+  assert.equal(
+    checkProofLocation({ ...delivery, leg: "pickup" }, { coordinates: TARGET })
+      .allowed,
+    true
+  );
+});
@@ -0,0 +1,156 @@
+// Unit tests for recurring schedule expansion and validation
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isValidDateKey,
+  occursOn,
+  getOccurrencesBetween,
+  getUpcomingOccurrences,
+  getOccurrenceTimes,
+  validateSchedule,
+} = require("../services/recurrenceService");
+
+const schedule = (fields) => ({
+  startDate: "2025-01-01",
+  skippedDates: [],
+  weekdays: [],
+  ...fields,
+});
+
+// A schedule request body that passes validation
+const validRequest = (fields = {}, templateFields = {}) => ({
+  frequency: "daily",
+  startDate: "2025-01-01",
+  template: {
+    items: [{ itemType: "Bakery", quantity: { amount: 5, unit: "kg" } }],
+    pickupAddress: "1 Main Street",
+    pickupLocation: { coordinates: [-73.6, 45.5] },
+    windowStart: "09:00",
+    windowEnd: "11:00",
+    ...templateFields,
+  },
+  ...fields,
+});
+
+test("day keys must be real calendar days", () => {
+  assert.ok(isValidDateKey("2024-02-29"));
+  assert.equal(isValidDateKey("2025-02-29"), false);
+  assert.equal(isValidDateKey("2025-1-01"), false);
+  assert.equal(isValidDateKey(undefined), false);
+});
+
+test("schedules only occur between their start and end dates", () => {
+  const daily = schedule({ frequency: "daily", endDate: "2025-01-31" });
+  assert.equal(occursOn(daily, "2024-12-31"), false);
+  assert.ok(occursOn(daily, "2025-01-01"));
+  assert.ok(occursOn(daily, "2025-01-31"));
+  assert.equal(occursOn(daily, "2025-02-01"), false);
+});
+
+test("weekly schedules occur on their weekdays", () => {
+  // 2025-01-06 is a Monday
+  const weekly = schedule({ frequency: "weekly", weekdays: [1, 3] });
+  assert.deepEqual(getOccurrencesBetween(weekly, "2025-01-06", "2025-01-19"), [
+    "2025-01-06",
+    "2025-01-08",
+    "2025-01-13",
+    "2025-01-15",
+  ]);
+});
+
+test("monthly schedules fall back to the last day of short months", () => {
+  const monthly = schedule({ frequency: "monthly", dayOfMonth: 31 });
+  assert.deepEqual(getOccurrencesBetween(monthly, "2025-01-01", "2025-04-30"), [
+    "2025-01-31",
+    "2025-02-28",
+    "2025-03-31",
+    "2025-04-30",
+  ]);
+});
+
+test("skipped days are left out", () => {
+  const daily = schedule({
+    frequency: "daily",
+    skippedDates: ["2025-01-02"],
+  });
+  assert.deepEqual(getOccurrencesBetween(daily, "2025-01-01", "2025-01-03"), [
+    "2025-01-01",
+    "2025-01-03",
+  ]);
+});
+
+test("upcoming occurrences start today and stop at the end date", () => {
+  const daily = schedule({ frequency: "daily", endDate: "2025-01-12" });
+  const now = new Date(2025, 0, 10, 15, 0);
+  assert.deepEqual(getUpcomingOccurrences(daily, 5, now), [
+    "2025-01-10",
+    "2025-01-11",
+    "2025-01-12",
+  ]);
+});
+
+test("occurrence times combine the day with the template window", () => {
+  const times = getOccurrenceTimes(
+    { windowStart: "09:00", windowEnd: "11:30", shelfLifeHours: 4 },
+    "2025-03-01"
+  );
+  assert.deepEqual(times.windowStart, new Date(2025, 2, 1, 9, 0));
+  assert.deepEqual(times.windowEnd, new Date(2025, 2, 1, 11, 30));
+  assert.deepEqual(times.expiresAt, new Date(2025, 2, 1, 13, 0));
+
+  const noShelfLife = getOccurrenceTimes(
+    { windowStart: "09:00", windowEnd: "10:00" },
+    "2025-03-01"
+  );
+  assert.equal(noShelfLife.expiresAt, undefined);
+});
+
+test("valid schedules pass validation", () => {
+  assert.equal(validateSchedule(validRequest()), null);
+  assert.equal(
+    validateSchedule(validRequest({ frequency: "weekly", weekdays: [0, 6] })),
+    null
+  );
+});
+
+test("schedules need the days they repeat on", () => {
+  assert.match(
+    validateSchedule(validRequest({ frequency: "weekly", weekdays: [] })),
+    /at least one weekday/
+  );
+  assert.match(
+    validateSchedule(validRequest({ frequency: "monthly" })),
+    /day of the month/
+  );
+  assert.match(
+    validateSchedule(validRequest({ frequency: "yearly" })),
+    /Frequency must be one of/
+  );
+});
+
+test("schedule dates and pickup window must be in order", () => {
+  assert.match(
+    validateSchedule(validRequest({ startDate: "2025-02-30" })),
+    /Start date must be a valid date/
+  );
+  assert.match(
+    validateSchedule(validRequest({ endDate: "2024-12-31" })),
+    /on or after the start date/
+  );
+  assert.match(
+    validateSchedule(validRequest({}, { windowEnd: "08:00" })),
+    /end must be after the start/
+  );
+});
+
+test("perishable items need a shelf life", () => {
+  const items = [{ itemType: "Produce", quantity: { amount: 2, unit: "kg" } }];
+  assert.match(
+    validateSchedule(validRequest({}, { items })),
+    /shelf life \(hours\) is required for Produce/
+  );
+  assert.equal(
+    validateSchedule(validRequest({}, { items, shelfLifeHours: 24 })),
+    null
+  );
+});
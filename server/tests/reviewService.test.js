@@ -0,0 +1,142 @@
+// Unit tests for who may review which task (no database needed)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Permissions } = require("../services/permissionService");
+const {
+  getReviewTarget,
+  isWithinReviewWindow,
+  REVIEW_WINDOW_DAYS,
+} = require("../services/reviewService");
+
+// Signed-in user with the given permissions (preset so none are loaded)
+const mockRequest = (user, permissions) => ({
+  user: { organizationId: null, ...user },
+  permissions: new Set(permissions),
+});
+
+const donation = { donationId: "d1", donorId: "donor-1" };
+const task = (taskType, fields = {}) => ({
+  taskId: "t1",
+  donationId: "d1",
+  taskType,
+  volunteerId: "vol-1",
+  ...fields,
+});
+
+const donorReq = mockRequest({ uid: "donor-1" }, [
+  Permissions.DONATIONS_CREATE,
+]);
+const volunteerReq = mockRequest({ uid: "vol-1" }, [Permissions.TASKS_WORK]);
+const centerReq = mockRequest({ uid: "staff-1", organizationId: "center-1" }, [
+  Permissions.CENTER_RECEIVE,
+]);
+
+test("the volunteer reviews the donor of the pickups they did", async () => {
+  for (const taskType of ["collection", "directDelivery"]) {
+    assert.deepEqual(
+      await getReviewTarget(volunteerReq, task(taskType), donation),
+      {
+        reviewerRole: "volunteer",
+        subjectId: "donor-1",
+        subjectType: "Donor",
+      }
+    );
+  }
+  assert.equal(
+    await getReviewTarget(volunteerReq, task("distribution"), donation),
+    null
+  );
+});
+
+test("the donor reviews the volunteer who picked up their food", async () => {
+  assert.deepEqual(
+    await getReviewTarget(donorReq, task("collection"), donation),
+    { reviewerRole: "donor", subjectId: "vol-1", subjectType: "Volunteer" }
+  );
+  assert.equal(
+    await getReviewTarget(donorReq, task("distribution"), donation),
+    null
+  );
+  assert.equal(
+    await getReviewTarget(donorReq, task("collection"), {
+      ...donation,
+      donorId: "donor-2",
+    }),
+    null
+  );
+});
+
+test("center staff review deliveries to their own center", async () => {
+  for (const taskType of ["distribution", "directDelivery"]) {
+    assert.deepEqual(
+      await getReviewTarget(
+        centerReq,
+        task(taskType, { dropoffOrganizationId: "center-1" }),
+        donation
+      ),
+      { reviewerRole: "center", subjectId: "vol-1", subjectType: "Volunteer" }
+    );
+  }
+
+  const otherCenter = task("distribution", {
+    dropoffOrganizationId: "center-2",
+  });
+  assert.equal(await getReviewTarget(centerReq, otherCenter, donation), null);
+
+  // Tasks created before the center was stored on distribution tasks
+  assert.equal(
+    await getReviewTarget(centerReq, task("distribution"), donation),
+    null
+  );
+
+  const pickup = task("collection", { dropoffOrganizationId: "center-1" });
+  assert.equal(await getReviewTarget(centerReq, pickup, donation), null);
+});
+
+test("reviews need the reviewer role's permission", async () => {
+  const unlinked = mockRequest({ uid: "staff-1" }, [
+    Permissions.CENTER_RECEIVE,
+  ]);
+  const delivery = task("distribution", { dropoffOrganizationId: "center-1" });
+  assert.equal(await getReviewTarget(unlinked, delivery, donation), null);
+
+  const withoutPermission = mockRequest(
+    { uid: "staff-1", organizationId: "center-1" },
+    []
+  );
+  assert.equal(
+    await getReviewTarget(withoutPermission, delivery, donation),
+    null
+  );
+  assert.equal(
+    await getReviewTarget(
+      mockRequest({ uid: "vol-1" }, []),
+      task("collection"),
+      donation
+    ),
+    null
+  );
+});
+
+test("completed tasks can be reviewed within the review window", () => {
+  const now = new Date("2026-03-31T12:00:00Z");
+  const daysAgo = (days) =>
+    new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+  assert.equal(
+    isWithinReviewWindow({ status: "completed", completedAt: daysAgo(1) }, now),
+    true
+  );
+  assert.equal(
+    isWithinReviewWindow(
+      { status: "completed", completedAt: daysAgo(REVIEW_WINDOW_DAYS + 1) },
+      now
+    ),
+    false
+  );
+  assert.equal(
+    isWithinReviewWindow({ status: "failed", completedAt: daysAgo(1) }, now),
+    false
+  );
+  assert.equal(isWithinReviewWindow({ status: "completed" }, now), false);
+});
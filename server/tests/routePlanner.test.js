@@ -0,0 +1,149 @@
+// Unit tests for planning the order of a volunteer's stops (no database
+// needed). Stops lie on the equator, so longitude differences are distances.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ROUTE_AVERAGE_SPEED_KMH,
+  ROUTE_STOP_MINUTES,
+  planRoute,
+} = require("../services/routePlanner");
+
+const START = [0, 0];
+
+// Active task of the given type at longitude lng
+const task = (taskId, taskType, donationId, lng, fields = {}) => ({
+  taskId,
+  taskType,
+  donationId,
+  status: "assigned",
+  location: { type: "Point", coordinates: [lng, 0] },
+  address: `${taskId} address`,
+  ...fields,
+});
+const collection = (taskId, donationId, lng, fields) =>
+  task(taskId, "collection", donationId, lng, fields);
+const distribution = (taskId, donationId, lng, fields) =>
+  task(taskId, "distribution", donationId, lng, fields);
+
+const orderOf = (route) => route.stops.map((stop) => stop.taskId);
+
+// Every donation's collection stop comes before its distribution stop
+const assertCollectedFirst = (route) => {
+  const position = new Map(
+    route.stops.map((stop, index) => [
+      `${stop.taskType}:${stop.donationId}`,
+      index,
+    ])
+  );
+  route.stops
+    .filter((stop) => stop.taskType === "distribution")
+    .forEach((stop) => {
+      const pickup = position.get(`collection:${stop.donationId}`);
+      if (pickup !== undefined) {
+        assert.ok(
+          pickup < position.get(`distribution:${stop.donationId}`),
+          `donation ${stop.donationId} is dropped off before it is collected`
+        );
+      }
+    });
+};
+
+test("a donation is collected before it is distributed", () => {
+  // The drop-off is nearer, but the food has to be picked up first
+  const route = planRoute(START, [
+    distribution("drop", "d1", 0.01),
+    collection("pick", "d1", 0.05),
+  ]);
+
+  assert.deepEqual(orderOf(route), ["pick", "drop"]);
+  assert.equal(route.method, "exact");
+});
+
+test("a drop-off whose food is already collected can come first", () => {
+  const route = planRoute(START, [
+    collection("pick-2", "d2", 0.05),
+    distribution("drop-1", "d1", 0.01),
+  ]);
+
+  assert.deepEqual(orderOf(route), ["drop-1", "pick-2"]);
+});
+
+test("several legs are ordered by distance within the precedence rule", () => {
+  const route = planRoute(START, [
+    distribution("drop-1", "d1", 0.03),
+    distribution("drop-2", "d2", 0.015),
+    collection("pick-2", "d2", 0.02),
+    collection("pick-1", "d1", 0.01),
+  ]);
+
+  // drop-2 lies between the two pickups but has to wait for pick-2
+  assert.deepEqual(orderOf(route), ["pick-1", "pick-2", "drop-2", "drop-1"]);
+  assertCollectedFirst(route);
+});
+
+test("long routes keep every collection before its distribution", () => {
+  // Drop-offs near the start, pickups far out: nearest-first would break
+  // the rule without the precedence check
+  const tasks = [1, 2, 3, 4, 5].flatMap((n) => [
+    distribution(`drop-${n}`, `d${n}`, 0.001 * n),
+    collection(`pick-${n}`, `d${n}`, 0.1 - 0.01 * n),
+  ]);
+  const route = planRoute(START, tasks);
+
+  assert.equal(route.method, "nearestNeighbour2Opt");
+  assert.equal(route.stops.length, tasks.length);
+  assertCollectedFirst(route);
+});
+
+test("stops are numbered with distances, arrival times and late flags", () => {
+  const departureTime = new Date("2026-03-02T09:00:00Z");
+  const route = planRoute(
+    START,
+    [
+      collection("pick", "d1", 0.01, {
+        windowEnd: new Date("2026-03-02T12:00:00Z"),
+      }),
+      distribution("drop", "d1", 0.02, {
+        windowEnd: new Date("2026-03-02T09:05:00Z"),
+      }),
+    ],
+    { departureTime }
+  );
+
+  assert.deepEqual(
+    route.stops.map((stop) => stop.order),
+    [1, 2]
+  );
+  const [pick, drop] = route.stops;
+  assert.ok(pick.legDistanceKm > 0);
+  // Leg distances are rounded to 10 m
+  assert.ok(
+    Math.abs(
+      drop.cumulativeDistanceKm - (pick.legDistanceKm + drop.legDistanceKm)
+    ) <= 0.01
+  );
+  assert.equal(route.totalDistanceKm, drop.cumulativeDistanceKm);
+
+  // Arrival: travel time at the average speed plus time spent at the stop
+  const pickMinutes = (pick.legDistanceKm / ROUTE_AVERAGE_SPEED_KMH) * 60;
+  assert.ok(
+    Math.abs(
+      pick.arrivalTime.getTime() -
+        (departureTime.getTime() + pickMinutes * 60000)
+    ) < 1000
+  );
+  assert.ok(
+    drop.arrivalTime.getTime() - pick.arrivalTime.getTime() >=
+      ROUTE_STOP_MINUTES * 60000
+  );
+  assert.equal(pick.late, false);
+  assert.equal(drop.late, true);
+});
+
+test("without a start the route begins at the first stop", () => {
+  const route = planRoute(null, [collection("pick", "d1", 0.05)]);
+
+  assert.equal(route.start, null);
+  assert.equal(route.stops[0].legDistanceKm, 0);
+  assert.equal(route.totalDistanceKm, 0);
+});
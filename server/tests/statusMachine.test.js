@@ -0,0 +1,117 @@
+// Unit tests for the donation and task status rules (no database needed)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DonationTransitions,
+  TaskTransitions,
+  InvalidTransitionError,
+  normalizeStatus,
+  canTransitionDonation,
+  canTransitionTask,
+  getDonationStatusForTask,
+  buildHistoryEntry,
+  sendTransitionError,
+} = require("../services/statusMachine");
+
+// Minimal Express response that records what was sent
+const mockResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+test("donations follow the collection and distribution flow", () => {
+  assert.ok(
+    canTransitionDonation("pendingAssignment", "assignedForCollection")
+  );
+  assert.ok(canTransitionDonation("assignedForCollection", "collected"));
+  assert.ok(canTransitionDonation("collected", "assignedForDistribution"));
+  assert.ok(canTransitionDonation("assignedForDistribution", "delivered"));
+});
+
+test("donations cannot skip steps or leave a final status", () => {
+  assert.equal(canTransitionDonation("pendingAssignment", "collected"), false);
+  assert.equal(canTransitionDonation("collected", "cancelled"), false);
+  assert.equal(canTransitionDonation("delivered", "collected"), false);
+  assert.equal(canTransitionDonation("cancelled", "pendingAssignment"), false);
+  assert.equal(canTransitionDonation("unknown", "collected"), false);
+});
+
+test("tasks can be reassigned, reported and resolved", () => {
+  assert.ok(canTransitionTask("assigned", "assigned"));
+  assert.ok(canTransitionTask("assigned", "enRoute"));
+  assert.ok(canTransitionTask("enRoute", "pendingReview"));
+  assert.ok(canTransitionTask("pendingReview", "assigned"));
+  assert.ok(canTransitionTask("pendingReview", "cancelled"));
+  assert.equal(canTransitionTask("pendingReview", "completed"), false);
+});
+
+test("completed, cancelled and failed tasks are final", () => {
+  for (const status of ["completed", "cancelled", "failed"]) {
+    assert.deepEqual(TaskTransitions[status], []);
+    for (const next of Object.keys(TaskTransitions)) {
+      assert.equal(canTransitionTask(status, next), false);
+    }
+  }
+});
+
+test("every transition target is a known status", () => {
+  for (const transitions of [DonationTransitions, TaskTransitions]) {
+    for (const targets of Object.values(transitions)) {
+      for (const target of targets) assert.ok(target in transitions, target);
+    }
+  }
+});
+
+test("legacy status values are read under their current name", () => {
+  assert.equal(normalizeStatus("pending_review"), "pendingReview");
+  assert.equal(normalizeStatus("assigned"), "assigned");
+  assert.ok(canTransitionTask("pending_review", "cancelled"));
+});
+
+test("task outcomes move the donation back or forward", () => {
+  assert.equal(
+    getDonationStatusForTask("collection", "completed"),
+    "collected"
+  );
+  assert.equal(
+    getDonationStatusForTask("collection", "failed"),
+    "pendingAssignment"
+  );
+  assert.equal(
+    getDonationStatusForTask("distribution", "completed"),
+    "delivered"
+  );
+  assert.equal(
+    getDonationStatusForTask("distribution", "cancelled"),
+    "collected"
+  );
+  assert.equal(getDonationStatusForTask("collection", "enRoute"), null);
+  assert.equal(getDonationStatusForTask("unknown", "completed"), null);
+});
+
+test("history entries default to the system as author", () => {
+  const entry = buildHistoryEntry("assigned", "enRoute", { reason: "Started" });
+  assert.equal(entry.from, "assigned");
+  assert.equal(entry.to, "enRoute");
+  assert.equal(entry.changedBy, "system");
+  assert.equal(entry.reason, "Started");
+  assert.ok(entry.changedAt instanceof Date);
+});
+
+test("invalid transitions are sent as 409 Conflict", () => {
+  const res = mockResponse();
+  const error = new InvalidTransitionError("task", "completed", "assigned");
+  assert.equal(sendTransitionError(res, error), true);
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.message, error.message);
+
+  assert.equal(sendTransitionError(mockResponse(), new Error("other")), false);
+});
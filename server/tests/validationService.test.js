@@ -0,0 +1,268 @@
+// Unit tests for the shared validation rules (shared/validation.mjs) and
+// the validateRequest route middleware (no database needed)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  validateRequest,
+  sendValidationError,
+  array,
+  boolean,
+  coordinates,
+  date,
+  integer,
+  number,
+  object,
+  objectId,
+  string,
+  userId,
+} = require("../services/validationService");
+const { validate, firstError } = require("../../shared/validation.mjs");
+
+// Minimal Express response that records what was sent
+const mockResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Run the middleware on a request; returns { nextCalled, res }
+const runMiddleware = (middleware, req) => {
+  const res = mockResponse();
+  let nextCalled = false;
+  middleware({ params: {}, query: {}, body: {}, ...req }, res, () => {
+    nextCalled = true;
+  });
+  return { nextCalled, res };
+};
+
+// Errors of one value checked against one rule
+const errorsOf = (rule, value, options) =>
+  validate({ field: { label: "Field", ...rule } }, { field: value }, options);
+
+test("string: enum, length and pattern", () => {
+  const rule = string({
+    enum: ["car", "van"],
+    minLength: 3,
+    maxLength: 3,
+  });
+  assert.deepEqual(errorsOf(rule, " van "), {});
+  assert.deepEqual(errorsOf(rule, "bus"), {
+    field: "Field must be one of: car, van.",
+  });
+  assert.deepEqual(errorsOf(rule, 12), { field: "Field must be text." });
+
+  assert.deepEqual(errorsOf(string({ maxLength: 2 }), "abc"), {
+    field: "Field must be 2 characters or less.",
+  });
+  assert.deepEqual(errorsOf(string({ minLength: 2 }), "a"), {
+    field: "Field must be at least 2 characters.",
+  });
+  const postcode = string({ pattern: /^\d{5}$/, patternMessage: "Bad code." });
+  assert.deepEqual(errorsOf(postcode, "12345"), {});
+  assert.deepEqual(errorsOf(postcode, "12a45"), { field: "Bad code." });
+});
+
+test("number and integer: range and type", () => {
+  const amount = number({ min: 0, max: 10 });
+  assert.deepEqual(errorsOf(amount, 2.5), {});
+  assert.deepEqual(errorsOf(amount, 11), {
+    field: "Field must be at most 10.",
+  });
+  assert.deepEqual(errorsOf(amount, -1), {
+    field: "Field must be at least 0.",
+  });
+  assert.deepEqual(errorsOf(number({ greaterThan: 0 }), 0), {
+    field: "Field must be greater than 0.",
+  });
+  assert.deepEqual(errorsOf(amount, "5"), {
+    field: "Field must be a number.",
+  });
+
+  assert.deepEqual(errorsOf(integer({ min: 1 }), 3), {});
+  assert.deepEqual(errorsOf(integer(), 1.5), {
+    field: "Field must be a whole number.",
+  });
+});
+
+test("boolean, date, objectId and coordinates", () => {
+  assert.deepEqual(errorsOf(boolean(), false), {});
+  assert.deepEqual(errorsOf(boolean(), "yes"), {
+    field: "Field must be true or false.",
+  });
+
+  assert.deepEqual(errorsOf(date(), "2026-03-02T10:00:00Z"), {});
+  assert.deepEqual(errorsOf(date(), "someday"), {
+    field: "Field must be a valid date.",
+  });
+  assert.deepEqual(errorsOf(date({ future: true }), "2000-01-01"), {
+    field: "Field must be in the future.",
+  });
+
+  assert.deepEqual(errorsOf(objectId(), "65f0c0ffee0000000000abcd"), {});
+  assert.deepEqual(errorsOf(objectId(), "not-an-id"), {
+    field: "Field is not a valid ID.",
+  });
+
+  assert.deepEqual(errorsOf(coordinates(), [-0.12, 51.5]), {});
+  assert.deepEqual(errorsOf(coordinates(), [200, 0]), {
+    field: "Field must be [longitude, latitude].",
+  });
+});
+
+test("required fields, custom checks and unknown fields", () => {
+  const schema = {
+    name: string({ required: true, label: "Name" }),
+    end: date({
+      label: "End",
+      check: (value, data) =>
+        new Date(value) > new Date(data.start) ? null : "End is too early.",
+    }),
+    start: date({ label: "Start" }),
+  };
+
+  assert.deepEqual(
+    validate(schema, { name: "Ada", start: "2026-03-01", end: "2026-03-02" }),
+    {}
+  );
+  assert.deepEqual(
+    validate(schema, {
+      name: "  ",
+      start: "2026-03-02",
+      end: "2026-03-01",
+      extra: 1,
+    }),
+    {
+      name: "Name is required.",
+      end: "End is too early.",
+      extra: "extra is not an accepted field.",
+    }
+  );
+  assert.deepEqual(validate(schema, { extra: 1 }, { allowUnknown: true }), {
+    name: "Name is required.",
+  });
+});
+
+test("arrays and nested objects report the path of each error", () => {
+  const schema = {
+    items: array(
+      object({
+        quantity: object({
+          amount: number({ required: true, greaterThan: 0, label: "Amount" }),
+        }),
+      }),
+      { minItems: 1, maxItems: 2, itemLabel: "Item" }
+    ),
+    allergens: array(string({ enum: ["nuts"] }), { itemLabel: "Allergen" }),
+  };
+
+  assert.deepEqual(
+    validate(schema, {
+      items: [{ quantity: { amount: 1 } }],
+      allergens: ["nuts"],
+    }),
+    {}
+  );
+  assert.deepEqual(
+    validate(schema, {
+      items: [{ quantity: { amount: 1 } }, { quantity: { amount: 0 } }],
+      allergens: ["nuts", "milk"],
+    }),
+    {
+      "items[1].quantity.amount": "Item 2: Amount must be greater than 0.",
+      "allergens[1]": "Allergen 2 must be one of: nuts.",
+    }
+  );
+  assert.deepEqual(validate(schema, { items: [] }), {
+    items: "items needs at least 1 item(s).",
+  });
+  assert.deepEqual(validate(schema, { items: "none" }), {
+    items: "items must be a list.",
+  });
+});
+
+test("firstError returns the first message or null", () => {
+  assert.equal(firstError({ a: "First.", b: "Second." }), "First.");
+  assert.equal(firstError({}), null);
+});
+
+test("validateRequest lets valid requests through", () => {
+  const middleware = validateRequest({
+    params: { volunteerId: userId({ required: true }) },
+    query: { days: integer({ min: 1 }) },
+    body: { vehicleType: string({ required: true }) },
+  });
+
+  const { nextCalled, res } = runMiddleware(middleware, {
+    params: { volunteerId: "uid-1" },
+    query: { days: "7", page: "2" },
+    body: { vehicleType: "car" },
+  });
+  assert.equal(nextCalled, true);
+  assert.equal(res.statusCode, null);
+});
+
+test("validateRequest refuses invalid requests with 400 and field errors", () => {
+  const middleware = validateRequest({
+    params: { donationId: objectId({ required: true, label: "Donation ID" }) },
+    query: { days: integer({ min: 1, label: "Days" }) },
+    body: { urgent: boolean({ label: "Urgent" }) },
+  });
+
+  const { nextCalled, res } = runMiddleware(middleware, {
+    params: { donationId: "abc" },
+    query: { days: "0" },
+    body: { urgent: "true", extra: 1 },
+  });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, {
+    message: "Donation ID is not a valid ID.",
+    errors: {
+      "params.donationId": "Donation ID is not a valid ID.",
+      "query.days": "Days must be at least 1.",
+      // Body values are not read from text, and only listed fields pass
+      urgent: "Urgent must be true or false.",
+      extra: "extra is not an accepted field.",
+    },
+  });
+});
+
+test("numbers and booleans in params and query are read from text", () => {
+  const middleware = validateRequest({
+    params: { limit: integer({ max: 50 }) },
+    query: { active: boolean() },
+  });
+
+  assert.equal(
+    runMiddleware(middleware, {
+      params: { limit: "20" },
+      query: { active: "false" },
+    }).nextCalled,
+    true
+  );
+  const { res } = runMiddleware(middleware, {
+    params: { limit: "twenty" },
+    query: { active: "maybe" },
+  });
+  assert.deepEqual(Object.keys(res.body.errors), [
+    "params.limit",
+    "query.active",
+  ]);
+});
+
+test("sendValidationError repeats the first error as the message", () => {
+  const res = mockResponse();
+  sendValidationError(res, { name: "Name is required.", age: "Too young." });
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, {
+    message: "Name is required.",
+    errors: { name: "Name is required.", age: "Too young." },
+  });
+});
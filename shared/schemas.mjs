@@ -0,0 +1,352 @@
+// Request schemas used both by the server routes and by the client forms
+// that build those requests (see validation.mjs for the rule helpers).
+// The lists below must match the server models.
+import {
+  array,
+  boolean,
+  coordinates,
+  date,
+  integer,
+  number,
+  object,
+  objectId,
+  string,
+} from "./validation.mjs";
+
+// Units a quantity can be given in (donationModel QuantityUnits)
+export const QUANTITY_UNITS = [
+  "kg",
+  "lbs",
+  "servings",
+  "boxes",
+  "trays",
+  "items",
+];
+
+// Allergens a line item can be flagged with (donationModel Allergens)
+export const ALLERGENS = [
+  "gluten",
+  "dairy",
+  "eggs",
+  "nuts",
+  "peanuts",
+  "soy",
+  "fish",
+  "shellfish",
+  "sesame",
+];
+
+// How the food has to be stored (donationModel StorageRequirement)
+export const STORAGE_REQUIREMENTS = ["ambient", "chilled", "frozen"];
+
+// How often a recurring schedule repeats (recurringScheduleModel)
+export const SCHEDULE_FREQUENCIES = ["daily", "weekly", "monthly"];
+
+// How a volunteer gets around (volunteerModel VehicleTypes)
+export const VEHICLE_TYPES = [
+  "none",
+  "bicycle",
+  "motorbike",
+  "car",
+  "van",
+  "truck",
+];
+
+// Documents a volunteer uploads for vetting (volunteerModel
+// VolunteerDocumentTypes)
+export const VOLUNTEER_DOCUMENT_TYPES = [
+  "id",
+  "foodSafetyCertificate",
+  "driversLicence",
+];
+
+// Day keys ("2025-03-01") and times of day ("09:30") used by schedules
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// True when a day key is a real calendar day ("2025-02-30" is not)
+const isCalendarDate = (key) => {
+  const [year, month, day] = key.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Roles a new account can sign up with. Admin and CenterStaff are only
+// given by an admin (user management, Organizations screen) or, for the
+// first admin, with the server's "npm run grant-admin".
+export const REGISTER_ROLES = ["Donor", "Volunteer"];
+
+// { amount, unit } quantity of a line item
+export const QuantitySchema = {
+  amount: number({ required: true, greaterThan: 0, label: "Amount" }),
+  unit: string({ required: true, enum: QUANTITY_UNITS, label: "Unit" }),
+  estimatedWeightKg: number({ min: 0, label: "Estimated weight (kg)" }),
+  estimatedServings: number({ min: 0, label: "Estimated servings" }),
+};
+
+// One item of a donation or schedule template
+export const LineItemSchema = {
+  itemType: string({ required: true, maxLength: 60, label: "Category" }),
+  name: string({ maxLength: 100, label: "Description" }),
+  quantity: object(QuantitySchema, { required: true, label: "Quantity" }),
+  allergens: array(string({ enum: ALLERGENS, label: "Allergen" }), {
+    label: "Allergens",
+  }),
+};
+
+// POST /api/donations/post. Older clients may send a single itemType +
+// quantity instead of items.
+export const DonationPostSchema = {
+  items: array(object(LineItemSchema, { label: "Item" }), {
+    itemLabel: "Item",
+    label: "Items",
+  }),
+  itemType: string({ maxLength: 60, label: "Category" }),
+  quantity: object(QuantitySchema, { label: "Quantity" }),
+  pickupAddress: string({
+    required: true,
+    maxLength: 300,
+    label: "Pickup address",
+  }),
+  pickupLocation: object(
+    { coordinates: coordinates({ required: true, label: "Pickup location" }) },
+    { required: true, allowUnknown: true, label: "Pickup location" }
+  ),
+  availabilityTime: date({ required: true, label: "Pickup time" }),
+  pickupWindowEnd: date({ label: "Pickup window end" }),
+  expiresAt: date({ future: true, label: "Expiry time" }),
+  storageRequirement: string({
+    enum: STORAGE_REQUIREMENTS,
+    label: "Storage requirement",
+  }),
+  notes: string({ maxLength: 1000, label: "Notes" }),
+};
+
+// POST /api/schedules: a recurring donation and the template each
+// generated donation is made from
+export const ScheduleSchema = {
+  frequency: string({
+    required: true,
+    enum: SCHEDULE_FREQUENCIES,
+    label: "Frequency",
+    // Weekly and monthly schedules say on which days they repeat
+    check: (frequency, schedule) => {
+      if (frequency === "weekly" && !schedule.weekdays?.length) {
+        return "Weekly schedules need at least one weekday (0 = Sunday ... 6 = Saturday).";
+      }
+      if (
+        frequency === "monthly" &&
+        [undefined, null, ""].includes(schedule.dayOfMonth)
+      ) {
+        return "Monthly schedules need a day of the month between 1 and 31.";
+      }
+      return null;
+    },
+  }),
+  weekdays: array(integer({ min: 0, max: 6 }), { itemLabel: "Weekday" }),
+  dayOfMonth: integer({ min: 1, max: 31, label: "Day of the month" }),
+  startDate: string({
+    required: true,
+    pattern: DATE_KEY_PATTERN,
+    patternMessage: "Start date must be a date (YYYY-MM-DD).",
+    label: "Start date",
+    check: (key) =>
+      isCalendarDate(key) ? null : "Start date must be a valid date.",
+  }),
+  endDate: string({
+    pattern: DATE_KEY_PATTERN,
+    patternMessage: "End date must be a date (YYYY-MM-DD).",
+    label: "End date",
+    check: (key, schedule) => {
+      if (!isCalendarDate(key)) return "End date must be a valid date.";
+      return key < schedule.startDate
+        ? "End date must be on or after the start date."
+        : null;
+    },
+  }),
+  template: object(
+    {
+      items: array(object(LineItemSchema, { label: "Item" }), {
+        required: true,
+        minItems: 1,
+        itemLabel: "Item",
+        label: "Items",
+      }),
+      notes: string({ maxLength: 1000, label: "Notes" }),
+      pickupAddress: string({
+        required: true,
+        maxLength: 300,
+        label: "Pickup address",
+      }),
+      pickupLocation: object(
+        {
+          coordinates: coordinates({
+            required: true,
+            label: "Pickup location",
+          }),
+        },
+        { required: true, allowUnknown: true, label: "Pickup location" }
+      ),
+      windowStart: string({
+        required: true,
+        pattern: TIME_PATTERN,
+        patternMessage: "Pickup window start must be a time (HH:MM).",
+        label: "Pickup window start",
+      }),
+      windowEnd: string({
+        required: true,
+        pattern: TIME_PATTERN,
+        patternMessage: "Pickup window end must be a time (HH:MM).",
+        label: "Pickup window end",
+        check: (end, schedule) =>
+          end <= schedule.template?.windowStart
+            ? "Pickup window end must be after the start."
+            : null,
+      }),
+      storageRequirement: string({
+        enum: STORAGE_REQUIREMENTS,
+        label: "Storage requirement",
+      }),
+      shelfLifeHours: number({ min: 1, label: "Shelf life (hours)" }),
+    },
+    { required: true, label: "Donation template" }
+  ),
+};
+
+// POST /api/users/register (the Firebase account is created first, so the
+// password is not part of it)
+export const RegisterSchema = {
+  email: string({
+    required: true,
+    maxLength: 254,
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    patternMessage: "Email must be a valid email address.",
+    label: "Email",
+  }),
+  name: string({ required: true, maxLength: 100, label: "Name" }),
+  role: string({
+    required: true,
+    enum: REGISTER_ROLES,
+    label: "Role",
+    // The volunteer profile needs a phone number
+    check: (role, data) =>
+      role === "Volunteer" && !data.phone
+        ? "Volunteers need a phone number."
+        : null,
+  }),
+  phone: string({
+    maxLength: 30,
+    pattern: /^[0-9+()\-.\s]{5,30}$/,
+    patternMessage:
+      "Phone number can only contain digits, spaces and + ( ) - .",
+    label: "Phone number",
+  }),
+  homeLocation: object(
+    {
+      coordinates: coordinates({ required: true, label: "Home location" }),
+      address: string({ maxLength: 300, label: "Home address" }),
+    },
+    { label: "Home location" }
+  ),
+};
+
+// PUT /api/volunteers/:volunteerId/availability: weekly times the volunteer
+// can take tasks, days off and a daily task limit
+export const VolunteerAvailabilitySchema = {
+  weekly: array(
+    object(
+      {
+        weekday: integer({ required: true, min: 0, max: 6, label: "Weekday" }),
+        start: string({
+          required: true,
+          pattern: TIME_PATTERN,
+          patternMessage: "Start must be a time (HH:MM).",
+          label: "Start",
+        }),
+        end: string({
+          required: true,
+          pattern: TIME_PATTERN,
+          patternMessage: "End must be a time (HH:MM).",
+          label: "End",
+        }),
+      },
+      { label: "Available time" }
+    ),
+    {
+      maxItems: 50,
+      itemLabel: "Available time",
+      label: "Weekly availability",
+      check: (slots) =>
+        slots.some((slot) => slot.end <= slot.start)
+          ? "Each available time must end after it starts."
+          : null,
+    }
+  ),
+  blackoutDates: array(
+    string({
+      pattern: DATE_KEY_PATTERN,
+      patternMessage: "Days off must be dates (YYYY-MM-DD).",
+    }),
+    { maxItems: 366, itemLabel: "Day off", label: "Days off" }
+  ),
+  maxTasksPerDay: integer({ min: 1, max: 20, label: "Tasks per day" }),
+};
+
+// Body of PUT /api/volunteers/:volunteerId/capabilities (null clears the
+// capacity, certificate expiry and travel radius)
+export const VolunteerCapabilitiesSchema = {
+  vehicleType: string({
+    required: true,
+    enum: VEHICLE_TYPES,
+    label: "Vehicle type",
+  }),
+  cargoCapacityKg: number({ min: 0, max: 5000, label: "Cargo capacity" }),
+  canRefrigerate: boolean({ label: "Refrigeration" }),
+  foodHandlerCertified: boolean({ label: "Food-handler certification" }),
+  foodHandlerCertExpiresAt: date({ label: "Certificate expiry" }),
+  maxTravelRadiusKm: number({
+    greaterThan: 0,
+    max: 500,
+    label: "Travel radius",
+  }),
+};
+
+// Body of POST /api/volunteers/:volunteerId/documents (file is a data URL)
+export const VolunteerDocumentUploadSchema = {
+  type: string({
+    required: true,
+    enum: VOLUNTEER_DOCUMENT_TYPES,
+    label: "Document type",
+  }),
+  file: string({
+    required: true,
+    pattern: /^data:[\w/+.-]+;base64,/,
+    patternMessage: "Choose a file to upload.",
+    label: "File",
+  }),
+  fileName: string({ maxLength: 200, label: "File name" }),
+  expiresAt: date({ required: true, future: true, label: "Expiry date" }),
+};
+
+// Body of PUT /api/admin/vetting/:volunteerId/reject
+export const VettingRejectionSchema = {
+  reason: string({ required: true, maxLength: 500, label: "Reason" }),
+};
+
+// Body of POST /api/reviews: a 1-5 star rating of a completed task
+export const ReviewSchema = {
+  taskId: objectId({ required: true, label: "Task ID" }),
+  rating: integer({ required: true, min: 1, max: 5, label: "Rating" }),
+  comment: string({ maxLength: 1000, label: "Comment" }),
+};
+
+// Body of PUT /api/reviews/:reviewId/report
+export const ReviewReportSchema = {
+  reason: string({ required: true, maxLength: 500, label: "Reason" }),
+};
+
+// Body of PUT /api/admin/reviews/:reviewId/moderation
+export const ReviewModerationSchema = {
+  hidden: boolean({ required: true, label: "Hidden" }),
+  reason: string({ maxLength: 500, label: "Reason" }),
+};
@@ -0,0 +1,235 @@
+// Schema-based request validation shared by the server routes and the
+// client forms. A schema maps field names to rules made with the helpers
+// below; validate() returns one message per invalid field, e.g.
+// { "items[0].quantity.amount": "Item 1: Amount must be greater than 0." }.
+
+// Rule helpers. Options every rule takes:
+// - required: the field must be given (null and "" count as not given)
+// - label: name used in messages (defaults to the field path)
+// - check(value, data): extra check returning a message or null
+// - coerce: read a number or boolean given as text (always on for query
+//   and params)
+// Type-specific options are listed next to each helper.
+
+// enum, minLength, maxLength, pattern (+ patternMessage)
+export const string = (options = {}) => ({ type: "string", ...options });
+// min, max, greaterThan
+export const number = (options = {}) => ({ type: "number", ...options });
+// min, max
+export const integer = (options = {}) => ({ type: "integer", ...options });
+export const boolean = (options = {}) => ({ type: "boolean", ...options });
+// A date string or timestamp; future: must be later than now
+export const date = (options = {}) => ({ type: "date", ...options });
+// A MongoDB ObjectId as a 24-character hex string
+export const objectId = (options = {}) => ({ type: "objectId", ...options });
+// GeoJSON [longitude, latitude]
+export const coordinates = (options = {}) => ({
+  type: "coordinates",
+  ...options,
+});
+// items: rule for each element; minItems, maxItems, itemLabel (e.g. "Item")
+export const array = (items, options = {}) => ({
+  type: "array",
+  items,
+  ...options,
+});
+// fields: schema of the nested object; allowUnknown keeps other keys
+export const object = (fields, options = {}) => ({
+  type: "object",
+  fields,
+  ...options,
+});
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// Forms send "" or null for fields left empty
+const isMissing = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+const isPlainObject = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+// Query strings and URL params arrive as text; read numbers and booleans
+// from them when coerce is on
+const toNumber = (value, coerce) =>
+  coerce && typeof value === "string" && value.trim() !== ""
+    ? Number(value)
+    : value;
+
+const toBoolean = (value, coerce) => {
+  if (coerce && value === "true") return true;
+  if (coerce && value === "false") return false;
+  return value;
+};
+
+// Message for a value that breaks its rule, or null when it is valid.
+// Nested objects and arrays add their own messages to errors instead.
+const checkValue = (rule, value, path, label, errors, options) => {
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string") return `${label} must be text.`;
+      const text = value.trim();
+      if (rule.enum && !rule.enum.includes(text)) {
+        return `${label} must be one of: ${rule.enum.join(", ")}.`;
+      }
+      if (rule.minLength && text.length < rule.minLength) {
+        return `${label} must be at least ${rule.minLength} characters.`;
+      }
+      if (rule.maxLength && text.length > rule.maxLength) {
+        return `${label} must be ${rule.maxLength} characters or less.`;
+      }
+      if (rule.pattern && !rule.pattern.test(text)) {
+        return rule.patternMessage || `${label} is not valid.`;
+      }
+      return null;
+    }
+
+    case "number":
+    case "integer": {
+      const number = toNumber(value, options.coerce || rule.coerce);
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        return `${label} must be a number.`;
+      }
+      if (rule.type === "integer" && !Number.isInteger(number)) {
+        return `${label} must be a whole number.`;
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return `${label} must be at least ${rule.min}.`;
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return `${label} must be at most ${rule.max}.`;
+      }
+      if (rule.greaterThan !== undefined && !(number > rule.greaterThan)) {
+        return `${label} must be greater than ${rule.greaterThan}.`;
+      }
+      return null;
+    }
+
+    case "boolean":
+      return typeof toBoolean(value, options.coerce || rule.coerce) ===
+        "boolean"
+        ? null
+        : `${label} must be true or false.`;
+
+    case "date": {
+      const time =
+        typeof value === "string" || typeof value === "number"
+          ? new Date(value).getTime()
+          : value instanceof Date
+            ? value.getTime()
+            : NaN;
+      if (Number.isNaN(time)) return `${label} must be a valid date.`;
+      if (rule.future && time <= Date.now()) {
+        return `${label} must be in the future.`;
+      }
+      return null;
+    }
+
+    case "objectId":
+      return typeof value === "string" && OBJECT_ID_PATTERN.test(value)
+        ? null
+        : `${label} is not a valid ID.`;
+
+    case "coordinates":
+      return Array.isArray(value) &&
+        value.length === 2 &&
+        value.every((n) => typeof n === "number" && Number.isFinite(n)) &&
+        Math.abs(value[0]) <= 180 &&
+        Math.abs(value[1]) <= 90
+        ? null
+        : `${label} must be [longitude, latitude].`;
+
+    case "array": {
+      if (!Array.isArray(value)) return `${label} must be a list.`;
+      if (rule.minItems && value.length < rule.minItems) {
+        return `${label} needs at least ${rule.minItems} item(s).`;
+      }
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return `${label} can have at most ${rule.maxItems} item(s).`;
+      }
+      // "Item 2: Amount ..." for objects, "Allergen 2 ..." for plain values
+      const itemLabel = rule.itemLabel || rule.items.label || label;
+      value.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        if (rule.items.type === "object") {
+          validateField(rule.items, item, itemPath, errors, {
+            ...options,
+            prefix: `${itemLabel} ${index + 1}: `,
+          });
+        } else {
+          validateField(
+            { ...rule.items, label: `${itemLabel} ${index + 1}` },
+            item,
+            itemPath,
+            errors,
+            options
+          );
+        }
+      });
+      return null;
+    }
+
+    case "object":
+      if (!isPlainObject(value)) return `${label} must be an object.`;
+      validateFields(rule.fields, value, errors, {
+        ...options,
+        allowUnknown: rule.allowUnknown,
+        basePath: path,
+      });
+      return null;
+
+    default:
+      return null;
+  }
+};
+
+// Validate one field; adds its message to errors when invalid
+const validateField = (rule, value, path, errors, options) => {
+  const label = `${options.prefix || ""}${rule.label || path}`;
+
+  if (isMissing(value)) {
+    if (rule.required) errors[path] = `${label} is required.`;
+    return;
+  }
+
+  const message =
+    checkValue(rule, value, path, label, errors, options) ||
+    (rule.check ? rule.check(value, options.data) : null);
+  if (message) errors[path] = message;
+};
+
+// Validate every field of a schema, and refuse fields it does not list
+const validateFields = (schema, data, errors, options) => {
+  const pathOf = (field) =>
+    options.basePath ? `${options.basePath}.${field}` : field;
+
+  for (const [field, rule] of Object.entries(schema)) {
+    validateField(rule, data[field], pathOf(field), errors, options);
+  }
+
+  if (!options.allowUnknown) {
+    for (const field of Object.keys(data)) {
+      if (!(field in schema)) {
+        errors[pathOf(field)] = `${pathOf(field)} is not an accepted field.`;
+      }
+    }
+  }
+};
+
+/**
+ * Check data against a schema ({ field: rule }).
+ * options: { allowUnknown, coerce } - allowUnknown lets fields the schema
+ * does not list through; coerce reads numbers and booleans from text.
+ * Returns { field path: message } for every invalid field (empty if valid).
+ */
+export const validate = (schema, data, options = {}) => {
+  const errors = {};
+  const fields = isPlainObject(data) ? data : {};
+  validateFields(schema, fields, errors, { ...options, data: fields });
+  return errors;
+};
+
+// The first message of a validate() result, or null when there is none
+export const firstError = (errors) => Object.values(errors)[0] || null;